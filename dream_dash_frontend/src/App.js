@@ -1,49 +1,360 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useReducer, useRef } from 'react';
 import './App.css';
 import GameCanvas from './components/GameCanvas';
 import Game3D from './components/Game3D';
+import ReplayLibrary from './components/ReplayLibrary';
+import MainMenu from './components/MainMenu';
+import PauseMenu from './components/PauseMenu';
+import SettingsPanel from './components/SettingsPanel';
+import LevelEditor from './components/LevelEditor';
+import ToastStack from './components/ToastStack';
+import TrophyRoom from './components/TrophyRoom';
+import DailyDash from './components/DailyDash';
+import Announcer from './components/Announcer';
+import useGamepad from './hooks/useGamepad';
+import useInputManager from './hooks/useInputManager';
+import useAudio from './hooks/useAudio';
+import useAchievements from './hooks/useAchievements';
+import usePrefersReducedMotion from './hooks/usePrefersReducedMotion';
+import { loadSettings, saveSettings } from './settings/settingsStore';
+import { playerTwoBindings, sanitizeBindings } from './input/bindings';
+import { createSession, formatRunTime, sessionReducer } from './game/session';
+import { HIGH_CONTRAST_THEME, findTheme, sanitizeCustomThemes, withAlpha } from './theme/themes';
+import { dailyChallenge, dailyStreak } from './game/daily';
+import { dailyAttemptUsed, loadDailyResults, recordDailyResult, startDailyAttempt } from './game/dailyStore';
+import { findRaceGhost } from './game/ghostStore';
+import { resolveDifficulty } from './game/difficulty';
 
 // PUBLIC_INTERFACE
 function App() {
-  const [theme, setTheme] = useState('light');
-  const [score, setScore] = useState(0);
-  const [time, setTime] = useState(0);
+  const [session, dispatchSession] = useReducer(sessionReducer, undefined, createSession);
   const [mode3D, setMode3D] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [showReplays, setShowReplays] = useState(false);
+  const [showTrophies, setShowTrophies] = useState(false);
+  const [showDaily, setShowDaily] = useState(false);
+  // Daily Dash in progress: { challenge, scored }; scored until its first run ends
+  const [daily, setDaily] = useState(null);
+  // Local two-player 2D run: 'coop', 'versus' or null for a solo run
+  const [twoPlayer, setTwoPlayer] = useState(null);
+  // Seed of the ghost course a "race your best" run plays on; null for a random one
+  const [raceSeed, setRaceSeed] = useState(null);
+  const [screen, setScreen] = useState('menu');
+  const [paused, setPaused] = useState(false);
+  const [runId, setRunId] = useState(0);
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [showSettings, setShowSettings] = useState(false);
+  const [playtest, setPlaytest] = useState(null);
+  const [toasts, setToasts] = useState([]);
+  const toastTimersRef = useRef(new Set());
 
-  // Effect to apply theme to document element
+  const playing = screen === 'game';
+
+  // Toasts expire on their own; pending timers are cleared on unmount
+  const pushToast = useCallback((text, icon, kind) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts(list => [...list, { id, text, icon, kind }]);
+    const timer = setTimeout(() => {
+      toastTimersRef.current.delete(timer);
+      setToasts(list => list.filter(t => t.id !== id));
+    }, kind === 'achievement' || kind === 'error' ? 4000 : 2500);
+    toastTimersRef.current.add(timer);
+  }, []);
+
+  useEffect(() => {
+    const timers = toastTimersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+
+  // Theme tokens (see theme/themes) drive the chrome below, both game renderers
+  // and the CSS variables in App.css; high contrast overrides the chosen theme
+  const customThemes = useMemo(
+    () => sanitizeCustomThemes(settings.appearance.customThemes),
+    [settings.appearance.customThemes]
+  );
+  const highContrast = settings.accessibility.highContrast;
+  const theme = useMemo(
+    () => (highContrast ? HIGH_CONTRAST_THEME : findTheme(settings.appearance.theme, customThemes)),
+    [highContrast, settings.appearance.theme, customThemes]
+  );
   useEffect(() => {
-    document.documentElement.setAttribute('data-theme', theme);
+    const root = document.documentElement;
+    const { tokens } = theme;
+    root.setAttribute('data-theme', theme.base);
+    root.style.setProperty('--bg-primary', tokens.background);
+    root.style.setProperty('--bg-secondary', tokens.surface);
+    root.style.setProperty('--text-primary', tokens.text);
+    root.style.setProperty('--button-bg', tokens.primary);
   }, [theme]);
 
-  // simple timer
+  // Reduced motion: the setting or the system preference; CSS reads the attribute
+  const systemReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = settings.accessibility.reducedMotion || systemReducedMotion;
   useEffect(() => {
-    const id = setInterval(() => setTime(t => t + 1), 1000);
-    return () => clearInterval(id);
+    document.documentElement.setAttribute('data-reduced-motion', String(reducedMotion));
+  }, [reducedMotion]);
+
+  // Difficulty of new runs (see game/difficulty); Daily Dash runs always play on normal
+  const { gameplay } = settings;
+  const difficulty = useMemo(
+    () => resolveDifficulty({ preset: gameplay.difficulty, custom: gameplay.custom, assists: gameplay.assists }),
+    [gameplay.difficulty, gameplay.custom, gameplay.assists]
+  );
+
+  // Latest gameplay narration for the screen-reader announcer
+  const [announcement, setAnnouncement] = useState(null);
+  const announce = useCallback((text) => {
+    setAnnouncement(last => ({ id: (last ? last.id : 0) + 1, text }));
   }, []);
 
+  // Run timer; counts only while a live run is in progress and unpaused. It adds
+  // up real elapsed time, so the part-second before a pause isn't lost
+  const runLive = playing && !paused && session.status === 'running';
+  useEffect(() => {
+    if (!runLive) return undefined;
+    let last = Date.now();
+    const tick = () => {
+      const now = Date.now();
+      dispatchSession({ type: 'tick', ms: now - last });
+      last = now;
+    };
+    const id = setInterval(tick, 1000);
+    return () => {
+      clearInterval(id);
+      tick();
+    };
+  }, [runLive]);
+
+  // Auto-pause when the tab is hidden or the window loses focus
+  useEffect(() => {
+    if (!playing || !settings.general.autoPause) return undefined;
+    const pause = () => setPaused(true);
+    const onVisibility = () => {
+      if (document.hidden) pause();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('blur', pause);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('blur', pause);
+    };
+  }, [playing, settings.general.autoPause]);
+
+  // Bundled data that failed to load (achievements, the campaign) is reported as a toast
+  const reportError = useCallback((message) => pushToast(message, '⚠️', 'error'), [pushToast]);
+
+  const achievements = useAchievements(
+    useCallback((def) => pushToast(`Achievement unlocked: ${def.title}`, def.icon, 'achievement'), [pushToast]),
+    reportError
+  );
+
+  // Session callbacks shared by both games (see game/session)
+  const sessionEvents = useMemo(() => ({
+    onStart: ({ mode, lives, level }) => {
+      dispatchSession({ type: 'start', mode, lives, level });
+      achievements.startRun(mode);
+    },
+    onScore: (increment, total, stars) => dispatchSession({ type: 'score', increment, total, stars }),
+    onLifeLost: (lives) => dispatchSession({ type: 'lifeLost', lives }),
+    onLifeGained: (lives) => dispatchSession({ type: 'lifeGained', lives }),
+    onLevelChange: (level) => dispatchSession({ type: 'levelChange', level }),
+    onGameOver: (result) => dispatchSession({ type: 'gameOver', result }),
+    onRestart: () => dispatchSession({ type: 'reset' }),
+  }), [achievements]);
+  const runOver = session.status === 'over';
+  const resetSession = () => dispatchSession({ type: 'reset' });
+
+  // Controller Start: restart a finished run, otherwise toggle pause
+  const onGamepadStart = useCallback(() => {
+    if (!playing || showSettings) return;
+    if (runOver) {
+      dispatchSession({ type: 'reset' });
+      setPaused(false);
+      setRunId(id => id + 1);
+    } else {
+      setPaused(p => !p);
+    }
+  }, [playing, showSettings, runOver]);
+
+  const gamepad = useGamepad({
+    onConnect: useCallback((pad) => pushToast(`Controller connected: ${pad.id}`, '🎮'), [pushToast]),
+    onDisconnect: useCallback(() => pushToast('Controller disconnected', '🎮'), [pushToast]),
+    onStart: onGamepadStart,
+  });
+
+  // Keyboard, touch and controller mapped to game actions (see input/bindings)
+  const bindings = useMemo(() => sanitizeBindings(settings.controls.bindings), [settings.controls.bindings]);
+  const input = useInputManager({ bindings, gamepad });
+  const audio = useAudio(settings.audio);
+
+  // The pause action toggles pause during a run
+  useEffect(() => {
+    if (!playing) return undefined;
+    return input.on(action => {
+      if (action === 'pause' && !showSettings) setPaused(p => !p);
+    });
+  }, [input, playing, showSettings]);
+
+  const updateSettings = useCallback((next) => {
+    setSettings(next);
+    saveSettings(next);
+  }, []);
+
+  const toggleMute = () => {
+    updateSettings({ ...settings, audio: { ...settings.audio, muted: !settings.audio.muted } });
+  };
+
   // PUBLIC_INTERFACE
   const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+    const next = theme.base === 'dark' ? 'light' : 'dark';
+    updateSettings({ ...settings, appearance: { ...settings.appearance, theme: next } });
+  };
+
+  const startGame = (use3D) => {
+    setRaceSeed(null);
+    setDaily(null);
+    setTwoPlayer(null);
+    setReplay(null);
+    setPlaytest(null);
+    setPaused(false);
+    resetSession();
+    setMode3D(use3D);
+    setRunId(id => id + 1);
+    setScreen('game');
+  };
+
+  // A 2D run on the seed of the personal-best ghost at this difficulty, so it races it
+  const raceGhost = useMemo(
+    () => (screen === 'menu' ? findRaceGhost('2d', difficulty) : null),
+    [screen, difficulty]
+  );
+  const startRace = () => {
+    startGame(false);
+    setRaceSeed(raceGhost.seed);
+  };
+
+  // Player two needs keys player one's bindings leave free
+  const startTwoPlayer = (rules) => {
+    if (!playerTwoBindings(bindings)) {
+      pushToast('Your controls leave player 2 no keys: pick another preset in Settings', '⚠️', 'error');
+      return;
+    }
+    startGame(false);
+    setTwoPlayer(rules);
   };
 
   const toggleMode = () => {
-    setMode3D(m => !m);
+    if (!daily) {
+      startGame(!mode3D);
+      return;
+    }
+    abandonDaily();
+    startDaily(!mode3D);
   }
 
+  // Only the day's first run is scored; later ones are practice. The attempt is
+  // marked used as it starts, so reloading mid-run doesn't hand out another
+  const startDaily = (use3D) => {
+    const challenge = dailyChallenge();
+    const scored = startDailyAttempt(challenge.date);
+    startGame(use3D);
+    setShowDaily(false);
+    setDaily({ challenge, scored });
+  };
+
+  const finishDaily = (result) => {
+    if (!daily || !daily.scored) return;
+    const { challenge } = daily;
+    setDaily({ challenge, scored: false });
+    const entry = { ...result, date: challenge.date, mode: mode3D ? '3d' : '2d', modifiers: challenge.modifiers };
+    if (!recordDailyResult(entry)) return;
+    const streak = dailyStreak(loadDailyResults(), challenge.date);
+    pushToast(`Daily Dash recorded: ${result.score} • ${streak}-day streak`, '🔥');
+  };
+
+  // Restarting or leaving the scored run uses up the day's attempt at its current score
+  const abandonDaily = () => {
+    if (!daily || !daily.scored || session.status !== 'running') return;
+    finishDaily({ score: session.score, level: session.level, stars: session.stars, durationMs: session.elapsedMs });
+  };
+
+  const openReplays = () => {
+    if (playing) setPaused(true);
+    setShowReplays(true);
+  };
+
+  const openTrophies = () => {
+    if (playing) setPaused(true);
+    setShowTrophies(true);
+  };
+
+  const restartRun = () => {
+    abandonDaily();
+    setPaused(false);
+    resetSession();
+    setRunId(id => id + 1);
+  };
+
+  const quitToMenu = () => {
+    abandonDaily();
+    setDaily(null);
+    setTwoPlayer(null);
+    setPaused(false);
+    setReplay(null);
+    setPlaytest(null);
+    resetSession();
+    setScreen('menu');
+  };
+
+  // Level editor playtests run in the 2D game; the editor stays mounted
+  // (hidden) so its document and undo history survive the round trip
+  const startPlaytest = (options) => {
+    setRaceSeed(null);
+    setDaily(null);
+    setTwoPlayer(null);
+    setReplay(null);
+    setPaused(false);
+    resetSession();
+    setMode3D(false);
+    setPlaytest(options);
+    setRunId(id => id + 1);
+    setScreen('game');
+  };
+
+  const exitPlaytest = () => {
+    setPaused(false);
+    setPlaytest(null);
+    resetSession();
+    setScreen('editor');
+  };
+
+  const watchReplay = (r) => {
+    abandonDaily();
+    setDaily(null);
+    setTwoPlayer(null);
+    setShowReplays(false);
+    setPlaytest(null);
+    setPaused(false);
+    resetSession();
+    setMode3D(r.mode === '3d');
+    setReplay(r);
+    setScreen('game');
+  };
+
   // Inline styles using Ocean Professional styleThemeData
   const colors = {
-    primary: '#2563EB',
-    secondary: '#F59E0B',
-    background: '#f9fafb',
-    surface: '#ffffff',
-    text: '#111827',
+    primary: theme.tokens.primary,
+    secondary: theme.tokens.secondary,
+    background: theme.tokens.background,
+    surface: theme.tokens.surface,
+    text: theme.tokens.text,
   };
 
   const appContainerStyle = {
     minHeight: '100vh',
     display: 'flex',
     flexDirection: 'column',
-    background: `linear-gradient(180deg, rgba(37,99,235,0.10) 0%, ${colors.background} 100%)`,
+    background: `linear-gradient(180deg, ${withAlpha(colors.primary, 0.1)} 0%, ${colors.background} 100%)`,
     color: colors.text,
   };
 
@@ -51,7 +362,7 @@ function App() {
     position: 'sticky',
     top: 0,
     background: colors.surface,
-    borderBottom: '1px solid rgba(17,24,39,0.06)',
+    borderBottom: `1px solid ${withAlpha(colors.text, 0.06)}`,
     zIndex: 10,
   };
 
@@ -73,7 +384,7 @@ function App() {
   };
 
   const statPill = {
-    background: 'rgba(37,99,235,0.08)',
+    background: withAlpha(colors.primary, 0.08),
     color: colors.primary,
     padding: '6px 10px',
     borderRadius: 999,
@@ -90,10 +401,13 @@ function App() {
     padding: '24px 16px 48px',
   };
 
+  // Games size themselves to the card, so it takes the available width while playing
   const gameCardStyle = {
-    width: 'fit-content',
+    position: 'relative',
+    width: playing ? 'min(100%, 960px)' : 'fit-content',
+    boxSizing: 'border-box',
     background: colors.surface,
-    border: '1px solid rgba(17,24,39,0.06)',
+    border: `1px solid ${withAlpha(colors.text, 0.06)}`,
     borderRadius: 16,
     padding: 16,
     boxShadow: '0 10px 30px rgba(2,8,23,0.08)',
@@ -111,7 +425,53 @@ function App() {
     fontSize: 14,
     fontWeight: 600,
     cursor: 'pointer',
-    boxShadow: '0 6px 16px rgba(37,99,235,0.35)',
+    boxShadow: `0 6px 16px ${withAlpha(colors.primary, 0.35)}`,
+  };
+
+  const gameFrameStyle = {
+    position: 'relative',
+  };
+
+  const gameProps = {
+    ...sessionEvents,
+    paused,
+    input,
+    bindings,
+    audio,
+    theme: theme.tokens,
+    // Editor playtests don't count towards achievements
+    onEvents: playtest ? undefined : achievements.trackEvents,
+    challenge: daily ? daily.challenge : undefined,
+    difficulty: daily ? undefined : difficulty,
+    onAnnounce: settings.accessibility.narration ? announce : undefined,
+    reducedMotion,
+    safeShapes: settings.accessibility.shapes,
+    onGameOver: daily
+      ? (result) => {
+        sessionEvents.onGameOver(result);
+        finishDaily(result);
+      }
+      : sessionEvents.onGameOver,
+    onRestart: daily
+      ? () => {
+        abandonDaily();
+        sessionEvents.onRestart();
+      }
+      : sessionEvents.onRestart,
+    replay,
+    onExitReplay: () => setReplay(null),
+  };
+
+  const editorMounted = screen === 'editor' || Boolean(playtest);
+
+  const overlayStyle = {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(2,8,23,0.35)',
+    zIndex: 20,
   };
 
   const toggleButtonStyle = {
@@ -126,7 +486,7 @@ function App() {
     fontSize: 14,
     fontWeight: 700,
     cursor: 'pointer',
-    boxShadow: '0 6px 16px rgba(245,158,11,0.35)',
+    boxShadow: `0 6px 16px ${withAlpha(colors.secondary, 0.35)}`,
   };
 
   return (
@@ -135,37 +495,166 @@ function App() {
         <div style={toolbarStyle} role="region" aria-label="Game status bar">
           <div style={badgeStyle}>
             Dream Dash
-            <span style={{ ...statPill, background: 'rgba(245,158,11,0.12)', color: colors.secondary }}>
+            <span style={{ ...statPill, background: withAlpha(colors.secondary, 0.12), color: colors.secondary }}>
               Modern • Ocean
             </span>
           </div>
           <div style={{ display: 'flex', gap: 12 }}>
-            <div style={statPill} aria-live="polite">Score: {score}</div>
-            <div style={statPill} aria-live="polite">Time: {time}s</div>
-            <div style={{ ...statPill, background: 'rgba(17,24,39,0.08)', color: colors.text }}>
-              Mode: {mode3D ? '3D' : '2D'}
+            <div style={statPill} aria-live="polite">Score: {session.score}</div>
+            <div style={statPill}>Lives: {session.lives}</div>
+            <div style={statPill}>Level: {session.level}</div>
+            <div style={statPill}>Time: {formatRunTime(session.elapsedMs)}</div>
+            <div style={{ ...statPill, background: withAlpha(colors.text, 0.08), color: colors.text }}>
+              Mode: {mode3D ? '3D' : '2D'}{replay ? ' Replay' : ''}{playtest ? ' Playtest' : ''}
+              {daily ? (daily.scored ? ' Daily' : ' Daily practice') : ''}
+              {twoPlayer ? (twoPlayer === 'coop' ? ' Co-op' : ' Versus') : ''}
             </div>
+            {playing && !paused && (
+              <button
+                type="button"
+                style={{ ...statPill, border: 'none', cursor: 'pointer' }}
+                onClick={() => setPaused(true)}
+                aria-label="Pause game"
+              >
+                Pause
+              </button>
+            )}
+            <button
+              type="button"
+              style={{ ...statPill, border: 'none', cursor: 'pointer' }}
+              onClick={openReplays}
+            >
+              Replays
+            </button>
+            <button
+              type="button"
+              style={{ ...statPill, border: 'none', cursor: 'pointer' }}
+              onClick={openTrophies}
+            >
+              Trophies
+            </button>
+            <button
+              type="button"
+              style={{ ...statPill, border: 'none', cursor: 'pointer' }}
+              onClick={toggleMute}
+              aria-label={settings.audio.muted ? 'Unmute sound' : 'Mute sound'}
+              aria-pressed={settings.audio.muted}
+            >
+              {settings.audio.muted ? '🔇' : '🔊'}
+            </button>
           </div>
         </div>
       </header>
 
       <main style={contentStyle}>
         <div style={gameCardStyle} role="group" aria-label="Game area">
-          {mode3D ? (
-            <Game3D onScore={(increment = 1) => setScore(s => s + increment)} />
-          ) : (
-            <GameCanvas onScore={(increment = 1) => setScore(s => s + increment)} />
+          {screen === 'menu' && (
+            <MainMenu
+              onPlay={startGame}
+              onPlayTwo={startTwoPlayer}
+              onReplays={() => setShowReplays(true)}
+              onTrophies={() => setShowTrophies(true)}
+              onDaily={() => setShowDaily(true)}
+              onSettings={() => setShowSettings(true)}
+              onEditor={() => setScreen('editor')}
+              onRace={startRace}
+              raceBest={raceGhost ? raceGhost.score : null}
+              difficulty={gameplay.difficulty}
+              onDifficulty={(id) => updateSettings({ ...settings, gameplay: { ...gameplay, difficulty: id } })}
+              theme={theme.tokens}
+            />
           )}
+          {editorMounted && (
+            <div style={{ display: screen === 'editor' ? 'block' : 'none' }}>
+              <LevelEditor
+                active={screen === 'editor'}
+                onPlaytest={startPlaytest}
+                onClose={() => setScreen('menu')}
+                theme={theme.tokens}
+              />
+            </div>
+          )}
+          {playing && (
+            <div style={gameFrameStyle}>
+              {mode3D ? (
+                <Game3D key={`${runId}-${replay ? replay.id : 'live'}`} {...gameProps} fill />
+              ) : (
+                <GameCanvas
+                  key={`${runId}-${replay ? replay.id : 'live'}`}
+                  {...gameProps}
+                  twoPlayer={twoPlayer}
+                  seed={raceSeed ?? undefined}
+                  highContrast={highContrast}
+                  onError={reportError}
+                  lowEffects={settings.graphics.lowEffects}
+                  playtest={playtest}
+                  onExitPlaytest={exitPlaytest}
+                />
+              )}
+              {paused && (
+                <PauseMenu
+                  onResume={() => setPaused(false)}
+                  onRestart={restartRun}
+                  onSettings={() => setShowSettings(true)}
+                  onQuit={playtest ? exitPlaytest : quitToMenu}
+                  bindings={bindings}
+                  theme={theme.tokens}
+                />
+              )}
+            </div>
+          )}
+          <ToastStack toasts={toasts} theme={theme.tokens} />
+          <Announcer message={announcement} />
         </div>
       </main>
 
+      {showReplays && (
+        <div style={overlayStyle}>
+          <ReplayLibrary onWatch={watchReplay} onClose={() => setShowReplays(false)} theme={theme.tokens} />
+        </div>
+      )}
+
+      {showDaily && (
+        <div style={overlayStyle}>
+          <DailyDash
+            challenge={dailyChallenge()}
+            results={loadDailyResults()}
+            attempted={dailyAttemptUsed(dailyChallenge().date)}
+            onPlay={startDaily}
+            onClose={() => setShowDaily(false)}
+            theme={theme.tokens}
+          />
+        </div>
+      )}
+
+      {showTrophies && (
+        <div style={overlayStyle}>
+          <TrophyRoom
+            achievements={achievements.progress()}
+            onClose={() => setShowTrophies(false)}
+            theme={theme.tokens}
+          />
+        </div>
+      )}
+
+      {showSettings && (
+        <div style={overlayStyle}>
+          <SettingsPanel
+            settings={settings}
+            onChange={updateSettings}
+            onClose={() => setShowSettings(false)}
+            theme={theme.tokens}
+          />
+        </div>
+      )}
+
       <button
         className="theme-toggle"
         style={themeButtonStyle}
         onClick={toggleTheme}
-        aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+        aria-label={`Switch to ${theme.base === 'dark' ? 'light' : 'dark'} mode`}
       >
-        {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+        {theme.base === 'dark' ? '☀️ Light' : '🌙 Dark'}
       </button>
 
       <button
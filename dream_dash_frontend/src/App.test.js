@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
 import App from './App';
 
 test('renders Game status bar with score and time', () => {
@@ -8,3 +8,168 @@ test('renders Game status bar with score and time', () => {
   expect(scoreElement).toBeInTheDocument();
   expect(timeElement).toBeInTheDocument();
 });
+
+test('starting a run resets the header session for the new mode', () => {
+  render(<App />);
+  expect(screen.getByText(/Lives:\s*0/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Play 2D'));
+  expect(screen.getByText(/Lives:\s*3/)).toBeInTheDocument();
+  expect(screen.getByText(/Level:\s*1/)).toBeInTheDocument();
+  expect(screen.getByText(/Time:\s*0s/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause game' }));
+  fireEvent.click(screen.getByText('Quit to menu'));
+  expect(screen.getByText(/Lives:\s*0/)).toBeInTheDocument();
+});
+
+test('the run clock keeps the part-seconds played between pauses', () => {
+  jest.useFakeTimers();
+  render(<App />);
+  fireEvent.click(screen.getByText('Play 2D'));
+  [0, 1].forEach(() => {
+    act(() => jest.advanceTimersByTime(700));
+    fireEvent.click(screen.getByRole('button', { name: 'Pause game' }));
+    fireEvent.click(screen.getByText('Resume'));
+  });
+  expect(screen.getByText(/Time:\s*1s/)).toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test('P pauses a run and opens the pause menu', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Play 2D'));
+  fireEvent.keyDown(window, { key: 'p' });
+  expect(screen.getByRole('dialog', { name: /game paused/i })).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Resume'));
+  expect(screen.queryByRole('dialog', { name: /game paused/i })).not.toBeInTheDocument();
+});
+
+test('a rebound pause key is saved and pauses the next run', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Settings'));
+  fireEvent.click(screen.getByRole('button', { name: /pause primary key/i }));
+  fireEvent.keyDown(window, { key: 'k' });
+  expect(screen.getByRole('button', { name: /pause primary key: K/i })).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('dreamDash.settings')).controls.bindings.pause[0]).toBe('k');
+
+  fireEvent.click(screen.getByText('Done'));
+  fireEvent.click(screen.getByText('Play 2D'));
+  fireEvent.keyDown(window, { key: 'k' });
+  expect(screen.getByRole('dialog', { name: /game paused/i })).toBeInTheDocument();
+  expect(screen.getByText('K or Esc to resume')).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('the level editor playtests its campaign and comes back', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Level Editor'));
+  expect(screen.getByRole('region', { name: /level editor/i })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(/Play from here/));
+  expect(screen.getByText(/Playtest • level 1/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Back to editor'));
+  expect(screen.getByRole('region', { name: /level editor/i })).toBeVisible();
+  expect(screen.queryByText(/Playtest • level 1/)).not.toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('the trophy room lists achievements with their progress', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Trophy Room'));
+  expect(screen.getByRole('dialog', { name: /trophy room/i })).toBeInTheDocument();
+  expect(screen.getByText('Star Collector')).toBeInTheDocument();
+  expect(screen.getByRole('progressbar', { name: /star collector progress/i })).toHaveAttribute('aria-valuenow', '0');
+  fireEvent.click(screen.getByText('Close'));
+  expect(screen.queryByRole('dialog', { name: /trophy room/i })).not.toBeInTheDocument();
+});
+
+test('daily dash shows the day\'s twists and starts a scored daily run', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Daily Dash'));
+  const panel = screen.getByRole('dialog', { name: 'Daily Dash' });
+  expect(within(panel).getByText(/first run today is the one that counts/)).toBeInTheDocument();
+
+  fireEvent.click(within(panel).getByText('Play 2D'));
+  expect(screen.queryByRole('dialog', { name: 'Daily Dash' })).not.toBeInTheDocument();
+  expect(screen.getByText(/Mode: 2D\s*Daily$/)).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('leaving a scored daily run by reloading still uses up the day\'s attempt', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByText('Daily Dash'));
+  fireEvent.click(within(screen.getByRole('dialog', { name: 'Daily Dash' })).getByText('Play 2D'));
+  unmount();
+
+  render(<App />);
+  fireEvent.click(screen.getByText('Daily Dash'));
+  const panel = screen.getByRole('dialog', { name: 'Daily Dash' });
+  expect(within(panel).getByText(/scored run was left before it finished/)).toBeInTheDocument();
+  fireEvent.click(within(panel).getByText('Practice 2D'));
+  expect(screen.getByText(/Mode: 2D\s*Daily practice$/)).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('two-player versus starts a 2D run with both players\' lives', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('2 Players: Versus'));
+  expect(screen.getByText(/Mode: 2D\s*Versus$/)).toBeInTheDocument();
+  expect(screen.getByText(/Lives:\s*6/)).toBeInTheDocument();
+  expect(screen.getByText(/P2: W A S D/)).toBeInTheDocument();
+});
+
+test('with the WASD preset, player two moves over to I J K L', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Settings'));
+  fireEvent.click(screen.getByRole('button', { name: 'WASD' }));
+  fireEvent.click(screen.getByText('Done'));
+  fireEvent.click(screen.getByText('2 Players: Co-op'));
+  expect(screen.getByText(/P2: I J K L/)).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('accessibility settings switch on high contrast and reduced motion', () => {
+  window.localStorage.clear();
+  render(<App />);
+  expect(screen.getByRole('status', { name: 'Game announcements' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Settings'));
+  fireEvent.click(screen.getByLabelText('High contrast colours'));
+  fireEvent.click(screen.getByLabelText(/Reduce motion/));
+  expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+  expect(document.documentElement).toHaveAttribute('data-reduced-motion', 'true');
+  expect(JSON.parse(window.localStorage.getItem('dreamDash.settings')).accessibility.highContrast).toBe(true);
+  // Panels and menus follow the theme instead of staying light
+  const settingsPanel = screen.getByRole('dialog', { name: 'Settings' });
+  expect(settingsPanel).toHaveStyle({ backgroundColor: '#000000', color: '#ffffff' });
+  expect(screen.getByRole('menu', { name: 'Main menu' }).firstChild).toHaveStyle({ color: '#ffffff' });
+  window.localStorage.clear();
+});
+
+test('the difficulty picked on the menu sets up the next run and is remembered', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Difficulty'), { target: { value: 'easy' } });
+  fireEvent.click(screen.getByText('Play 2D'));
+  expect(screen.getByText(/Lives:\s*5/)).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('dreamDash.settings')).gameplay.difficulty).toBe('easy');
+  window.localStorage.clear();
+});
+
+test('a saved ghost can be raced: the next 2D run plays its course and loads it', () => {
+  window.localStorage.clear();
+  const ghost = { key: '2d:seed:7', seed: 7, score: 2, ticks: 9, sampleTicks: 3, points: [0, 0, 3, 0, 6, 0] };
+  ghost.scoreTicks = [4, 8];
+  window.localStorage.setItem('dreamDash.ghosts', JSON.stringify({ version: 1, ghosts: [ghost] }));
+  render(<App />);
+  fireEvent.click(screen.getByText('Race your best (2)'));
+  expect(screen.getByText(/Racing your best: 2/)).toBeInTheDocument();
+  window.localStorage.clear();
+});
@@ -0,0 +1,100 @@
+/**
+ * Screen-reader narration of a run.
+ * Turns engine events (see game/engine2d and game/engine3d) into short
+ * sentences for an aria-live announcer, and watches for storms closing in on
+ * the player so it can warn before the hit. Pure: the games feed it each tick's
+ * state and events and pass what it says to `announce`.
+ */
+
+// 2D: world units ahead of the player's leading edge, and vertical reach
+const NEAR_2D = { ahead: 120, vertical: 60 };
+// 3D: world units down the track, and lateral reach
+const NEAR_3D = { ahead: 8, lateral: 2 };
+
+const BOSS_ATTACKS = {
+  volley: "Lightning volley, move off the marked spots",
+  blast: "Wind blast coming",
+  summon: "The boss is summoning storms",
+};
+
+function lives(n) {
+  return `${n} ${n === 1 ? "life" : "lives"} left`;
+}
+
+// PUBLIC_INTERFACE
+export function narrateEvent(ev) {
+  /** Sentence for one engine event, or null if it is not narrated. */
+  const who = ev.player ? `Player ${ev.player}: ` : "";
+  switch (ev.type) {
+    case "star":
+      return `${who}Star, score ${ev.score}`;
+    case "stormHit":
+      return `${who}Hit by a storm, ${lives(ev.lives)}`;
+    case "shieldBlock":
+      return `${who}Shield blocked a storm`;
+    case "extraLife":
+      return `Extra life, ${lives(ev.lives)}`;
+    case "down":
+      return `Player ${ev.player} is down`;
+    case "revive":
+      return `Player ${ev.player} is back`;
+    case "lightning":
+      return "Lightning about to strike";
+    case "split":
+      return "A storm split in two";
+    case "bossStart":
+      return "Boss storm! Collect charged stars to hit its weak point";
+    case "bossAttack":
+      return BOSS_ATTACKS[ev.attack] || null;
+    case "bossHit":
+      return ev.health === 0 ? null : `${who}Boss hit, ${ev.health} to go`;
+    case "bossDefeated":
+      return `${who}Boss beaten, bonus ${ev.bonus}`;
+    case "levelUp":
+      return `Level ${ev.level}`;
+    case "gameOver":
+      return ev.winner ? `Game over, player ${ev.winner} wins` : `Game over, score ${ev.score}`;
+    default:
+      return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function stormNearby2d(state) {
+  /** True when a storm is about to reach a 2D player (approaching from the right). */
+  const players = [state.player, state.player2].filter((p) => p && !p.down);
+  return state.storms.some((st) =>
+    players.some((p) => {
+      const gap = st.x - 40 - (p.x + p.size);
+      return gap >= 0 && gap <= NEAR_2D.ahead && Math.abs(st.y - (p.y + p.size / 2)) <= NEAR_2D.vertical;
+    })
+  );
+}
+
+// PUBLIC_INTERFACE
+export function stormNearby3d(state) {
+  /** True when an active storm ahead on the track is in the 3D player's path. */
+  const p = state.player;
+  return state.storms.some(
+    (st) => st.active && st.z < p.z && p.z - st.z <= NEAR_3D.ahead && Math.abs(st.x - p.x) <= NEAR_3D.lateral
+  );
+}
+
+// PUBLIC_INTERFACE
+export function createNarrator({ stormNearby }) {
+  /**
+   * Returns `tick(state, events)`, which lists what to announce for a tick:
+   * its events, plus "Storm ahead" when a storm comes near while none was.
+   * `stormNearby` is stormNearby2d or stormNearby3d.
+   */
+  let warned = false;
+  return {
+    tick(state, events) {
+      const out = events.map(narrateEvent).filter(Boolean);
+      const near = !state.gameOver && stormNearby(state);
+      if (near && !warned) out.push("Storm ahead");
+      warned = near;
+      return out;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import * as engine2d from "../game/engine2d";
+import * as engine3d from "../game/engine3d";
+import { createNarrator, narrateEvent, stormNearby2d, stormNearby3d } from "./narration";
+
+test("engine events become short sentences", () => {
+  expect(narrateEvent({ type: "star", x: 1, y: 2, score: 4 })).toBe("Star, score 4");
+  expect(narrateEvent({ type: "stormHit", lives: 1 })).toBe("Hit by a storm, 1 life left");
+  expect(narrateEvent({ type: "stormHit", lives: 2, player: 2 })).toBe("Player 2: Hit by a storm, 2 lives left");
+  expect(narrateEvent({ type: "levelUp", level: 3 })).toBe("Level 3");
+  expect(narrateEvent({ type: "lightning", x: 300 })).toBe("Lightning about to strike");
+  expect(narrateEvent({ type: "gameOver", score: 9, winner: 1 })).toBe("Game over, player 1 wins");
+  expect(narrateEvent({ type: "jump" })).toBeNull();
+});
+
+test("storms closing in on the player are spotted in both modes", () => {
+  const s2 = engine2d.createInitialState({ seed: 1 });
+  const p = s2.player;
+  expect(stormNearby2d({ ...s2, storms: [{ x: p.x + p.size + 100, y: p.y, speed: 1 }] })).toBe(true);
+  expect(stormNearby2d({ ...s2, storms: [{ x: p.x + p.size + 300, y: p.y, speed: 1 }] })).toBe(false);
+  expect(stormNearby2d({ ...s2, storms: [{ x: p.x - 100, y: p.y, speed: 1 }] })).toBe(false);
+
+  const s3 = engine3d.createInitialState({ seed: 1 });
+  const storm = { x: s3.player.x, y: 1.5, z: s3.player.z - 5, active: true };
+  expect(stormNearby3d({ ...s3, storms: [storm] })).toBe(true);
+  expect(stormNearby3d({ ...s3, storms: [{ ...storm, x: s3.player.x + 3 }] })).toBe(false);
+  expect(stormNearby3d({ ...s3, storms: [{ ...storm, active: false }] })).toBe(false);
+});
+
+test("the narrator warns once per approach and reads the tick's events", () => {
+  let near = false;
+  const narrator = createNarrator({ stormNearby: () => near });
+  const state = { gameOver: false };
+  expect(narrator.tick(state, [{ type: "levelUp", level: 2 }])).toEqual(["Level 2"]);
+
+  near = true;
+  expect(narrator.tick(state, [])).toEqual(["Storm ahead"]);
+  expect(narrator.tick(state, [])).toEqual([]);
+  near = false;
+  narrator.tick(state, []);
+  near = true;
+  expect(narrator.tick(state, [{ type: "star", score: 1 }])).toEqual(["Star, score 1", "Storm ahead"]);
+});
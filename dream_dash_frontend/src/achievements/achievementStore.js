@@ -0,0 +1,42 @@
+/**
+ * Achievement unlocks and progress persisted to localStorage.
+ * Saved as { version, unlocked: { id: isoDate }, progress: { id: n } }; entries
+ * for achievements that no longer exist are kept, so a definition that comes
+ * back later finds its progress again.
+ */
+
+const STORAGE_KEY = "dreamDash.achievements";
+const STORE_VERSION = 1;
+
+function pick(obj, check) {
+  const out = {};
+  Object.entries(obj && typeof obj === "object" ? obj : {}).forEach(([id, v]) => {
+    if (check(v)) out[id] = v;
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function loadAchievements() {
+  /** Returns the saved { unlocked, progress }; unreadable data counts as nothing earned yet. */
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return {
+      unlocked: pick(data.unlocked, (v) => typeof v === "string"),
+      progress: pick(data.progress, (v) => Number.isFinite(v) && v >= 0),
+    };
+  } catch (e) {
+    return { unlocked: {}, progress: {} };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveAchievements({ unlocked, progress }) {
+  /** Persists unlocks and progress; failures (private mode, quota) are ignored. */
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORE_VERSION, unlocked, progress }));
+  } catch (e) {
+    // Storage unavailable: achievements simply won't persist
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Data-driven achievements, checked against the engine events both games
+ * report (see game/session). Definitions live in achievements.json:
+ *
+ *   {
+ *     "id": "untouchable",
+ *     "title": "Untouchable",
+ *     "description": "Reach level 5 without losing a life",
+ *     "icon": "🛡️",
+ *     "mode": "2d",                 // optional: "2d", "3d" or "any" (default)
+ *     "scope": "run",               // "run" counts within one run, "lifetime" across all
+ *     "event": "levelUp",           // engine event type that makes progress
+ *     "where": { "airborne": true }, // optional: fields the event must match
+ *     "value": "level",             // optional: progress is this event field, not a count
+ *     "failOn": ["stormHit"],       // optional, run scope: these events void the run
+ *     "target": 5
+ *   }
+ *
+ * Adding an achievement only needs a new entry, as long as the engines
+ * already emit the event it listens for. Tracking is pure: trackEvents()
+ * returns the next state and what it unlocked, like the engines' step().
+ */
+
+// PUBLIC_INTERFACE
+export const ACHIEVEMENT_FORMAT_VERSION = 1;
+
+const SCOPES = ["run", "lifetime"];
+const MODES = ["any", "2d", "3d"];
+
+function fail(path, message) {
+  throw new Error(`${path} ${message}`);
+}
+
+function isObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function text(def, key, path) {
+  if (typeof def[key] !== "string" || !def[key].trim()) fail(`${path}.${key}`, "must be a non-empty string");
+  return def[key].trim();
+}
+
+function oneOf(value, options, path) {
+  if (!options.includes(value)) fail(path, `must be one of ${options.map((o) => `"${o}"`).join(", ")}`);
+  return value;
+}
+
+function parseDefinition(def, path) {
+  if (!isObject(def)) fail(path, "must be an object");
+  if (!Number.isInteger(def.target) || def.target < 1) fail(`${path}.target`, "must be a whole number of at least 1");
+  if (def.where !== undefined && !isObject(def.where)) fail(`${path}.where`, "must be an object");
+  if (def.value !== undefined && typeof def.value !== "string") fail(`${path}.value`, "must be an event field name");
+  const failOn = def.failOn === undefined ? [] : def.failOn;
+  if (!Array.isArray(failOn) || failOn.some((t) => typeof t !== "string")) {
+    fail(`${path}.failOn`, "must be an array of event types");
+  }
+  const scope = oneOf(def.scope, SCOPES, `${path}.scope`);
+  if (failOn.length > 0 && scope !== "run") fail(`${path}.failOn`, 'only applies to "run" achievements');
+  return {
+    id: text(def, "id", path),
+    title: text(def, "title", path),
+    description: text(def, "description", path),
+    icon: typeof def.icon === "string" ? def.icon : "🏆",
+    mode: oneOf(def.mode === undefined ? "any" : def.mode, MODES, `${path}.mode`),
+    scope,
+    event: text(def, "event", path),
+    where: def.where || {},
+    value: def.value || null,
+    failOn,
+    target: def.target,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseAchievements(source) {
+  /**
+   * Validates an achievements file given as JSON text or an object and returns
+   * the definitions with defaults filled in; throws an Error naming the bad field.
+   */
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`Achievements file is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!isObject(data)) throw new Error("Achievements file must be a JSON object");
+  if (data.version !== ACHIEVEMENT_FORMAT_VERSION) {
+    throw new Error(`Unsupported achievements version ${data.version} (expected ${ACHIEVEMENT_FORMAT_VERSION})`);
+  }
+  if (!Array.isArray(data.achievements)) throw new Error("Achievements file must contain an achievements array");
+  const definitions = data.achievements.map((def, i) => parseDefinition(def, `achievements[${i}]`));
+  definitions.forEach((def, i) => {
+    if (definitions.findIndex((d) => d.id === def.id) !== i) fail(`achievements[${i}].id`, `"${def.id}" is used twice`);
+  });
+  return definitions;
+}
+
+// PUBLIC_INTERFACE
+export function createAchievementState(saved = {}) {
+  /**
+   * Tracker state from saved { unlocked: { id: isoDate }, progress: { id: n } }.
+   * Lifetime progress is the running total; run progress keeps the best run.
+   */
+  return {
+    unlocked: { ...saved.unlocked },
+    progress: { ...saved.progress },
+    run: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function startRun(state, mode) {
+  /** Starts counting a new run in `mode` ("2d" or "3d"); run-scope counters start over. */
+  return { ...state, run: { mode, counts: {}, failed: {} } };
+}
+
+function matches(def, ev) {
+  return ev.type === def.event && Object.keys(def.where).every((key) => ev[key] === def.where[key]);
+}
+
+// PUBLIC_INTERFACE
+export function trackEvents(state, definitions, events, now = new Date().toISOString()) {
+  /**
+   * Applies one batch of engine events to the current run. Returns
+   * { state, unlocked } where `unlocked` lists the definitions newly earned,
+   * stamped with `now`. Events outside a run are ignored.
+   */
+  const { run } = state;
+  if (!run || events.length === 0) return { state, unlocked: [] };
+  const next = {
+    unlocked: { ...state.unlocked },
+    progress: { ...state.progress },
+    run: { ...run, counts: { ...run.counts }, failed: { ...run.failed } },
+  };
+  const unlocked = [];
+
+  definitions.forEach((def) => {
+    if (next.unlocked[def.id] || (def.mode !== "any" && def.mode !== run.mode)) return;
+    events.forEach((ev) => {
+      if (next.unlocked[def.id]) return;
+      if (def.failOn.includes(ev.type)) next.run.failed[def.id] = true;
+      if (next.run.failed[def.id] || !matches(def, ev)) return;
+
+      const prev = def.scope === "run" ? next.run.counts[def.id] || 0 : next.progress[def.id] || 0;
+      const value = def.value ? Math.max(prev, Number(ev[def.value]) || 0) : prev + 1;
+      if (def.scope === "run") {
+        next.run.counts[def.id] = value;
+        next.progress[def.id] = Math.max(next.progress[def.id] || 0, value);
+      } else {
+        next.progress[def.id] = value;
+      }
+      if (value >= def.target) {
+        next.unlocked[def.id] = now;
+        unlocked.push(def);
+      }
+    });
+  });
+  return { state: next, unlocked };
+}
+
+// PUBLIC_INTERFACE
+export function achievementProgress(state, definitions) {
+  /** Trophy-room rows: each definition with { progress (capped at target), unlockedAt }. */
+  return definitions.map((def) => ({
+    ...def,
+    progress: state.unlocked[def.id] ? def.target : Math.min(def.target, state.progress[def.id] || 0),
+    unlockedAt: state.unlocked[def.id] || null,
+  }));
+}
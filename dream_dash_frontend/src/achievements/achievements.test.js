@@ -0,0 +1,112 @@
+import bundled from "./achievements.json";
+import {
+  achievementProgress,
+  createAchievementState,
+  parseAchievements,
+  startRun,
+  trackEvents,
+} from "./achievements";
+import { loadAchievements, saveAchievements } from "./achievementStore";
+
+const NOW = "2026-01-02T03:04:05.000Z";
+
+function file(achievements) {
+  return { version: 1, achievements };
+}
+
+function def(overrides = {}) {
+  return { id: "a", title: "A", description: "Do a thing", scope: "run", event: "star", target: 2, ...overrides };
+}
+
+// Feeds each batch through the tracker and collects the ids it unlocked
+function play(definitions, mode, batches, state = createAchievementState()) {
+  let s = startRun(state, mode);
+  const unlocked = [];
+  batches.forEach((events) => {
+    const out = trackEvents(s, definitions, events, NOW);
+    s = out.state;
+    unlocked.push(...out.unlocked.map((d) => d.id));
+  });
+  return { state: s, unlocked };
+}
+
+test("the bundled achievements are valid", () => {
+  const definitions = parseAchievements(bundled);
+  expect(definitions.length).toBeGreaterThan(0);
+  definitions.forEach((d) => expect(d.target).toBeGreaterThan(0));
+});
+
+test.each([
+  ["{", /not valid JSON/],
+  [{ version: 2, achievements: [] }, /Unsupported achievements version 2/],
+  [file([def({ target: 0 })]), /achievements\[0\]\.target must be a whole number/],
+  [file([def({ scope: "forever" })]), /achievements\[0\]\.scope must be one of "run", "lifetime"/],
+  [file([def({ mode: "4d" })]), /achievements\[0\]\.mode must be one of "any", "2d", "3d"/],
+  [file([def({ scope: "lifetime", failOn: ["stormHit"] })]), /failOn only applies to "run" achievements/],
+  [file([def(), def()]), /achievements\[1\]\.id "a" is used twice/],
+])("rejects a bad achievements file: %#", (source, message) => {
+  expect(() => parseAchievements(typeof source === "string" ? source : JSON.stringify(source))).toThrow(message);
+});
+
+test("run achievements count within one run and keep the best run as progress", () => {
+  const definitions = parseAchievements(file([def({ target: 3 })]));
+  const first = play(definitions, "2d", [[{ type: "star" }, { type: "star" }]]);
+  expect(first.unlocked).toEqual([]);
+
+  const second = play(definitions, "2d", [[{ type: "star" }]], first.state);
+  expect(achievementProgress(second.state, definitions)[0].progress).toBe(2);
+
+  const third = play(definitions, "2d", [[{ type: "star" }], [{ type: "star" }, { type: "star" }]], second.state);
+  expect(third.unlocked).toEqual(["a"]);
+  expect(achievementProgress(third.state, definitions)[0]).toMatchObject({ progress: 3, unlockedAt: NOW });
+});
+
+test("lifetime achievements add up across runs, per mode", () => {
+  const definitions = parseAchievements(file([def({ scope: "lifetime", mode: "3d", event: "gameOver", target: 2 })]));
+  let { state } = play(definitions, "3d", [[{ type: "gameOver" }]]);
+  state = play(definitions, "2d", [[{ type: "gameOver" }]], state).state;
+  expect(state.progress.a).toBe(1);
+  expect(play(definitions, "3d", [[{ type: "gameOver" }]], state).unlocked).toEqual(["a"]);
+});
+
+test("value, where and failOn express level, airborne and no-hit goals", () => {
+  const definitions = parseAchievements(
+    file([
+      def({ id: "flawless", event: "levelUp", value: "level", failOn: ["stormHit"], target: 3 }),
+      def({ id: "rider", scope: "lifetime", event: "windEnd", where: { airborne: true, hit: false }, target: 1 }),
+    ])
+  );
+  const hit = play(definitions, "2d", [
+    [{ type: "levelUp", level: 2 }],
+    [{ type: "stormHit", lives: 2 }],
+    [{ type: "levelUp", level: 3 }],
+    [{ type: "windEnd", airborne: true, hit: true }],
+    [{ type: "windEnd", airborne: false, hit: false }],
+  ]);
+  expect(hit.unlocked).toEqual([]);
+
+  const clean = play(definitions, "2d", [
+    [{ type: "levelUp", level: 2 }],
+    [{ type: "levelUp", level: 3 }, { type: "windEnd", airborne: true, hit: false }],
+  ]);
+  expect(clean.unlocked).toEqual(["flawless", "rider"]);
+
+  // Earned achievements never unlock twice
+  expect(play(definitions, "2d", [[{ type: "levelUp", level: 3 }]], clean.state).unlocked).toEqual([]);
+});
+
+test("events outside a run are ignored", () => {
+  const definitions = parseAchievements(file([def({ target: 1 })]));
+  const state = createAchievementState();
+  expect(trackEvents(state, definitions, [{ type: "star" }], NOW)).toEqual({ state, unlocked: [] });
+});
+
+test("unlocks and progress survive a reload; junk is dropped", () => {
+  window.localStorage.clear();
+  saveAchievements({ unlocked: { a: NOW }, progress: { a: 3 } });
+  expect(loadAchievements()).toEqual({ unlocked: { a: NOW }, progress: { a: 3 } });
+
+  window.localStorage.setItem("dreamDash.achievements", JSON.stringify({ unlocked: { b: 1 }, progress: { b: -1 } }));
+  expect(loadAchievements()).toEqual({ unlocked: {}, progress: {} });
+  window.localStorage.clear();
+});
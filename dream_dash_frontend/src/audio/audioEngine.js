@@ -0,0 +1,94 @@
+import { SFX, musicForLevel } from "./sounds";
+import { detectBackend } from "./backends";
+
+/**
+ * Game audio: one-shot SFX plus a looping music track whose intensity follows
+ * the level. Browsers keep audio locked until a user gesture, so nothing is
+ * audible before unlock(); SFX requested while locked are dropped (they'd be
+ * stale by then) but the current music request is remembered and starts as
+ * soon as the context is running.
+ */
+
+// The same effect retriggered faster than this is skipped; a magnet sweeping
+// up a row of stars in one tick should sound like one pickup, not a buzz.
+const RETRIGGER_MS = 45;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_VOLUMES = { master: 0.8, music: 0.6, sfx: 0.8, muted: false };
+
+function clamp01(v) {
+  return typeof v === "number" && Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : 0;
+}
+
+// PUBLIC_INTERFACE
+export function mixGains(volumes) {
+  /** Bus gains for a volume setting; mute silences the master bus only. */
+  return {
+    master: volumes.muted ? 0 : clamp01(volumes.master),
+    music: clamp01(volumes.music),
+    sfx: clamp01(volumes.sfx),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createAudioEngine({ backend = detectBackend(), now = () => Date.now() } = {}) {
+  /**
+   * Returns { unlock, isUnlocked, setVolumes, play, playMusic, stopMusic,
+   * setMusicPaused, dispose, backend }. Safe to call in any order.
+   */
+  let music = null;
+  let musicPaused = false;
+  const lastPlayed = {};
+
+  const startRequestedMusic = () => {
+    if (!music || !backend.isRunning()) return;
+    backend.startMusic(music);
+    backend.setMusicPaused(musicPaused);
+  };
+
+  backend.setGains(mixGains(DEFAULT_VOLUMES));
+
+  return {
+    backend,
+    unlock() {
+      /** Call from a user gesture handler; resumes the audio context. */
+      if (backend.isRunning()) return Promise.resolve();
+      return Promise.resolve(backend.resume())
+        .then(startRequestedMusic)
+        .catch(() => {
+          // Still locked; the next gesture tries again
+        });
+    },
+    isUnlocked: () => backend.isRunning(),
+    setVolumes(volumes) {
+      backend.setGains(mixGains({ ...DEFAULT_VOLUMES, ...volumes }));
+    },
+    play(name) {
+      const spec = SFX[name];
+      if (!spec || !backend.isRunning()) return;
+      const t = now();
+      if (lastPlayed[name] !== undefined && t - lastPlayed[name] < RETRIGGER_MS) return;
+      lastPlayed[name] = t;
+      backend.playSfx(name, spec);
+    },
+    playMusic(cue, level) {
+      /** Starts or retunes the music loop; a no-op if nothing audible changes. */
+      const next = musicForLevel(cue, level);
+      if (music && music.cue === next.cue && music.intensity === next.intensity) return;
+      music = next;
+      startRequestedMusic();
+    },
+    stopMusic() {
+      music = null;
+      backend.stopMusic();
+    },
+    setMusicPaused(paused) {
+      musicPaused = Boolean(paused);
+      if (backend.isRunning()) backend.setMusicPaused(musicPaused);
+    },
+    dispose() {
+      music = null;
+      backend.close();
+    },
+  };
+}
@@ -0,0 +1,104 @@
+import { createAudioEngine, mixGains } from "./audioEngine";
+import { createNullBackend, detectBackend } from "./backends";
+import { musicForLevel, musicStep, sfxForEvent, SFX, MAX_INTENSITY } from "./sounds";
+
+function setup() {
+  let t = 0;
+  const backend = createNullBackend();
+  const audio = createAudioEngine({ backend, now: () => t });
+  return { audio, backend, advance: (ms) => (t += ms), of: (type) => backend.log.filter((e) => e.type === type) };
+}
+
+test("jsdom has no Web Audio, so the null backend is used", () => {
+  expect(detectBackend().log).toEqual([]);
+});
+
+test("sound stays off until unlocked, then remembered music starts", async () => {
+  const { audio, of } = setup();
+  audio.playMusic("calm", 1);
+  audio.play("jump");
+  expect(of("sfx")).toHaveLength(0);
+  expect(of("music")).toHaveLength(0);
+
+  await audio.unlock();
+  expect(audio.isUnlocked()).toBe(true);
+  expect(of("music")[0].track).toMatchObject({ cue: "calm", intensity: 1 });
+  audio.play("jump");
+  expect(of("sfx").map((e) => e.name)).toEqual(["jump"]);
+});
+
+test("rapid repeats of one effect are collapsed; unknown names are ignored", async () => {
+  const { audio, advance, of } = setup();
+  await audio.unlock();
+  audio.play("star");
+  audio.play("star");
+  audio.play("stormHit");
+  audio.play("nope");
+  advance(100);
+  audio.play("star");
+  expect(of("sfx").map((e) => e.name)).toEqual(["star", "stormHit", "star"]);
+});
+
+test("music retunes only when the cue or intensity changes", async () => {
+  const { audio, of } = setup();
+  await audio.unlock();
+  audio.playMusic("tense", 1);
+  audio.playMusic("tense", 2);
+  audio.playMusic("tense", 3);
+  audio.playMusic("dusk", 3);
+  expect(of("music").map((e) => [e.track.cue, e.track.intensity])).toEqual([
+    ["tense", 1],
+    ["tense", 2],
+    ["dusk", 2],
+  ]);
+  audio.stopMusic();
+  expect(of("stopMusic")).toHaveLength(1);
+});
+
+test("mute silences the master bus and volumes are clamped", () => {
+  expect(mixGains({ master: 0.5, music: 2, sfx: -1, muted: false })).toEqual({ master: 0.5, music: 1, sfx: 0 });
+  expect(mixGains({ master: 0.5, music: 0.5, sfx: 0.5, muted: true }).master).toBe(0);
+
+  const { audio, of } = setup();
+  audio.setVolumes({ master: 0.3, muted: true });
+  expect(of("gains").pop()).toEqual({ type: "gains", master: 0, music: 0.6, sfx: 0.8 });
+});
+
+test("music intensity follows the level and adds layers", () => {
+  expect(musicForLevel("calm", 1).intensity).toBe(1);
+  expect(musicForLevel("calm", 50).intensity).toBe(MAX_INTENSITY);
+  expect(musicForLevel("calm", 5).bpm).toBeGreaterThan(musicForLevel("calm", 1).bpm);
+  expect(musicForLevel("unknown", 1).cue).toBe("default");
+
+  const parts = (level) => {
+    const track = musicForLevel("default", level);
+    const all = new Set();
+    for (let i = 0; i < 16; i++) musicStep(track, i).forEach((n) => all.add(n.part));
+    return [...all].sort();
+  };
+  expect(parts(1)).toEqual(["bass"]);
+  expect(parts(8)).toEqual(["arp", "bass", "hat", "lead"]);
+});
+
+test("every game event with a sound maps to a defined effect", () => {
+  const types = [
+    "jump",
+    "dive",
+    "star",
+    "stormHit",
+    "shieldBlock",
+    "powerUp",
+    "extraLife",
+    "levelUp",
+    "wind",
+    "lightning",
+    "split",
+    "bossStart",
+    "bossAttack",
+    "bossHit",
+    "bossDefeated",
+    "gameOver",
+  ];
+  types.forEach((type) => expect(SFX[sfxForEvent({ type })]).toBeDefined());
+  expect(sfxForEvent({ type: "somethingElse" })).toBeNull();
+});
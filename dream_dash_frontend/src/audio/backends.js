@@ -0,0 +1,209 @@
+import { musicStep } from "./sounds";
+
+/**
+ * Audio output backends for the audio engine.
+ * A backend is { resume(), isRunning(), setGains({ master, music, sfx }),
+ * playSfx(name, spec), startMusic(track), stopMusic(), setMusicPaused(paused),
+ * close() }. The Web Audio backend synthesizes everything; the null backend
+ * makes no sound and keeps a log, for jsdom and browsers without Web Audio.
+ */
+
+// How far ahead the music scheduler queues notes, and how often it wakes
+const LOOKAHEAD_S = 0.12;
+const SCHEDULE_MS = 25;
+
+const MUSIC_PARTS = {
+  bass: { wave: "triangle", gain: 0.22 },
+  arp: { wave: "square", gain: 0.06 },
+  hat: { wave: null, gain: 0.05 },
+  lead: { wave: "sawtooth", gain: 0.035 },
+};
+
+// PUBLIC_INTERFACE
+export function createNullBackend() {
+  /** Silent backend; every call is appended to `log` for tests. */
+  const log = [];
+  let running = false;
+  return {
+    log,
+    resume() {
+      running = true;
+      log.push({ type: "resume" });
+      return Promise.resolve();
+    },
+    isRunning: () => running,
+    setGains(gains) {
+      log.push({ type: "gains", ...gains });
+    },
+    playSfx(name) {
+      log.push({ type: "sfx", name });
+    },
+    startMusic(track) {
+      log.push({ type: "music", track });
+    },
+    stopMusic() {
+      log.push({ type: "stopMusic" });
+    },
+    setMusicPaused(paused) {
+      log.push({ type: "musicPaused", paused });
+    },
+    close() {
+      running = false;
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createWebAudioBackend(AudioContextClass) {
+  /**
+   * Web Audio backend. The AudioContext is created on the first resume() call,
+   * which must come from a user gesture for browsers to allow playback.
+   */
+  let ctx = null;
+  let buses = null;
+  let noise = null;
+  let gains = { master: 1, music: 1, sfx: 1 };
+  let track = null;
+  let timer = null;
+  let step = 0;
+  let nextStepTime = 0;
+  let musicPaused = false;
+
+  const ensureContext = () => {
+    if (ctx) return ctx;
+    ctx = new AudioContextClass();
+    const master = ctx.createGain();
+    const music = ctx.createGain();
+    const sfx = ctx.createGain();
+    music.connect(master);
+    sfx.connect(master);
+    master.connect(ctx.destination);
+    buses = { master, music, sfx };
+    applyGains();
+
+    noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return ctx;
+  };
+
+  function applyGains() {
+    if (!buses) return;
+    // A short ramp avoids zipper noise while a slider is dragged
+    Object.keys(buses).forEach((key) => {
+      const value = key === "music" && musicPaused ? 0 : gains[key];
+      buses[key].gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+    });
+  }
+
+  const envelope = (t, seconds, peak, out) => {
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(peak, t + 0.005);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + seconds);
+    g.connect(out);
+    return g;
+  };
+
+  const tone = (wave, freq, t, seconds, peak, out, sweepTo) => {
+    const osc = ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.setValueAtTime(freq, t);
+    if (sweepTo) osc.frequency.exponentialRampToValueAtTime(sweepTo, t + seconds);
+    osc.connect(envelope(t, seconds, peak, out));
+    osc.start(t);
+    osc.stop(t + seconds + 0.02);
+  };
+
+  const hiss = (t, seconds, peak, out, cutoff = 1200) => {
+    const src = ctx.createBufferSource();
+    src.buffer = noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.frequency.value = cutoff;
+    src.connect(filter);
+    filter.connect(envelope(t, seconds, peak, out));
+    src.start(t);
+    src.stop(t + seconds + 0.02);
+  };
+
+  const schedule = () => {
+    if (!ctx || !track || ctx.state !== "running") return;
+    const stepSeconds = 60 / track.bpm / 4;
+    if (nextStepTime < ctx.currentTime) nextStepTime = ctx.currentTime + 0.05;
+    while (nextStepTime < ctx.currentTime + LOOKAHEAD_S) {
+      const t = nextStepTime;
+      const out = buses.music;
+      for (const note of musicStep(track, step)) {
+        const part = MUSIC_PARTS[note.part];
+        const seconds = note.beats * stepSeconds * 4;
+        if (part.wave) tone(part.wave, note.freq, t, seconds, part.gain, out);
+        else hiss(t, seconds, part.gain, out, 7000);
+      }
+      nextStepTime += stepSeconds;
+      step += 1;
+    }
+  };
+
+  return {
+    resume() {
+      return ensureContext().resume();
+    },
+    isRunning: () => Boolean(ctx) && ctx.state === "running",
+    setGains(next) {
+      gains = next;
+      applyGains();
+    },
+    playSfx(name, spec) {
+      if (!ctx || ctx.state !== "running") return;
+      const t = ctx.currentTime;
+      const seconds = spec.ms / 1000;
+      if (spec.notes) {
+        const each = seconds / spec.notes.length;
+        spec.notes.forEach((freq, i) => tone(spec.wave, freq, t + i * each, each * 1.5, spec.gain, buses.sfx));
+      } else {
+        tone(spec.wave, spec.from, t, seconds, spec.gain, buses.sfx, spec.to);
+      }
+      if (spec.noise) hiss(t, seconds, spec.noise, buses.sfx);
+    },
+    startMusic(next) {
+      // Retuning keeps the step counter so a level change doesn't restart the bar
+      track = next;
+      if (!timer && !musicPaused) {
+        nextStepTime = 0;
+        timer = window.setInterval(schedule, SCHEDULE_MS);
+      }
+    },
+    stopMusic() {
+      track = null;
+      step = 0;
+      if (timer) window.clearInterval(timer);
+      timer = null;
+    },
+    setMusicPaused(paused) {
+      musicPaused = paused;
+      applyGains();
+      if (paused && timer) {
+        window.clearInterval(timer);
+        timer = null;
+      } else if (!paused && track && !timer) {
+        nextStepTime = 0;
+        timer = window.setInterval(schedule, SCHEDULE_MS);
+      }
+    },
+    close() {
+      this.stopMusic();
+      if (ctx) ctx.close();
+      ctx = null;
+      buses = null;
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function detectBackend() {
+  /** Web Audio where the browser supports it, otherwise the null backend. */
+  const AudioContextClass =
+    typeof window !== "undefined" ? window.AudioContext || window.webkitAudioContext : undefined;
+  return AudioContextClass ? createWebAudioBackend(AudioContextClass) : createNullBackend();
+}
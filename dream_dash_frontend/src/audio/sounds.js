@@ -0,0 +1,118 @@
+/**
+ * Sound design data: synthesized SFX voices and procedural music tracks.
+ * Everything is generated from oscillators and a noise buffer at play time,
+ * so there are no audio assets to load. The specs are plain objects so the
+ * mapping from game events to sounds can be tested without an AudioContext.
+ *
+ * An SFX voice is { wave, from, to, ms, gain, noise?, notes? }: an oscillator
+ * swept from `from` to `to` Hz over `ms`, or (with `notes`) a quick arpeggio
+ * of those frequencies; `noise` mixes in filtered white noise.
+ */
+
+// PUBLIC_INTERFACE
+export const SFX = {
+  jump: { wave: "square", from: 320, to: 640, ms: 120, gain: 0.18 },
+  dive: { wave: "sawtooth", from: 520, to: 160, ms: 140, gain: 0.14 },
+  star: { wave: "triangle", notes: [880, 1175, 1568], ms: 150, gain: 0.22 },
+  stormHit: { wave: "sawtooth", from: 180, to: 60, ms: 320, gain: 0.3, noise: 0.35 },
+  shieldBlock: { wave: "triangle", from: 1200, to: 600, ms: 200, gain: 0.22, noise: 0.1 },
+  powerUp: { wave: "square", notes: [523, 659, 784, 1047], ms: 260, gain: 0.16 },
+  extraLife: { wave: "triangle", notes: [659, 784, 1047, 1319, 1568], ms: 400, gain: 0.22 },
+  levelUp: { wave: "triangle", notes: [523, 659, 784, 1047, 1319], ms: 520, gain: 0.24 },
+  wind: { wave: "sine", from: 200, to: 140, ms: 700, gain: 0.04, noise: 0.3 },
+  lightning: { wave: "sawtooth", from: 110, to: 45, ms: 500, gain: 0.12, noise: 0.5 },
+  split: { wave: "square", from: 300, to: 120, ms: 160, gain: 0.1, noise: 0.2 },
+  bossStart: { wave: "sawtooth", notes: [131, 123, 110, 98], ms: 900, gain: 0.22, noise: 0.2 },
+  bossHit: { wave: "square", from: 900, to: 220, ms: 220, gain: 0.2, noise: 0.15 },
+  bossDefeated: { wave: "triangle", notes: [523, 659, 784, 1047, 1319, 1568], ms: 800, gain: 0.26 },
+  gameOver: { wave: "triangle", notes: [392, 330, 262, 196], ms: 900, gain: 0.26 },
+};
+
+// Engine event type -> SFX name
+const EVENT_SFX = {
+  jump: "jump",
+  dive: "dive",
+  star: "star",
+  stormHit: "stormHit",
+  shieldBlock: "shieldBlock",
+  powerUp: "powerUp",
+  extraLife: "extraLife",
+  revive: "extraLife",
+  levelUp: "levelUp",
+  wind: "wind",
+  lightning: "lightning",
+  split: "split",
+  bossStart: "bossStart",
+  bossAttack: "lightning",
+  bossHit: "bossHit",
+  bossDefeated: "bossDefeated",
+  gameOver: "gameOver",
+};
+
+// PUBLIC_INTERFACE
+export function sfxForEvent(event) {
+  /** SFX name for a game engine event, or null if the event is silent. */
+  return EVENT_SFX[event.type] || null;
+}
+
+// Music cues name a key and feel; levels in the campaign pick one by name
+const CUES = {
+  default: { root: 262, scale: [0, 2, 4, 7, 9], bpm: 100 },
+  calm: { root: 262, scale: [0, 2, 4, 7, 9], bpm: 88 },
+  breezy: { root: 294, scale: [0, 2, 3, 7, 9], bpm: 100 },
+  tense: { root: 220, scale: [0, 3, 5, 7, 10], bpm: 112 },
+  dusk: { root: 175, scale: [0, 4, 6, 7, 11], bpm: 96 },
+};
+
+// PUBLIC_INTERFACE
+export const MAX_INTENSITY = 4;
+
+// PUBLIC_INTERFACE
+export function musicForLevel(cue, level = 1) {
+  /**
+   * Track description for a music cue at a given level. Intensity rises with
+   * the level (bass, then arpeggio, then hats, then a double-time lead) and
+   * the tempo climbs a little with it; unknown cues use the default.
+   */
+  const base = CUES[cue] || CUES.default;
+  const intensity = Math.max(1, Math.min(MAX_INTENSITY, Math.ceil(level / 2)));
+  return {
+    cue: CUES[cue] ? cue : "default",
+    root: base.root,
+    scale: base.scale,
+    bpm: base.bpm + (intensity - 1) * 6,
+    intensity,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function noteFrequency(root, semitones) {
+  /** Equal-tempered frequency `semitones` above `root`. */
+  return root * Math.pow(2, semitones / 12);
+}
+
+// PUBLIC_INTERFACE
+export function musicStep(track, step) {
+  /**
+   * Notes to play on one 16th-note step of a track's one-bar loop, as
+   * [{ part, freq, beats }]. Parts: bass, arp, hat, lead.
+   */
+  const notes = [];
+  const i = step % 16;
+  const { root, scale, intensity } = track;
+  if (i % 4 === 0) {
+    // Root on the downbeats, fifth on the offbeats
+    notes.push({ part: "bass", freq: noteFrequency(root / 2, i % 8 === 0 ? 0 : 7), beats: 0.9 });
+  }
+  if (intensity >= 2 && i % 2 === 0) {
+    notes.push({ part: "arp", freq: noteFrequency(root, scale[(i / 2) % scale.length]), beats: 0.4 });
+  }
+  if (intensity >= 3 && i % 2 === 1) {
+    notes.push({ part: "hat", freq: 0, beats: 0.1 });
+  }
+  if (intensity >= 4) {
+    const degree = scale[(i * 3) % scale.length];
+    notes.push({ part: "lead", freq: noteFrequency(root * 2, degree), beats: 0.2 });
+  }
+  return notes;
+}
@@ -0,0 +1,28 @@
+import React from "react";
+
+// Kept in the accessibility tree but off screen
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Announcer
+ * Polite aria-live region for gameplay narration (see a11y/narration).
+ * `message` is { id, text }; a new id re-announces even a repeated text.
+ */
+export default function Announcer({ message }) {
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true" aria-label="Game announcements" style={VISUALLY_HIDDEN}>
+      {message && <span key={message.id}>{message.text}</span>}
+    </div>
+  );
+}
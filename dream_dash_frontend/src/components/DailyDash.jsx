@@ -0,0 +1,125 @@
+import React from "react";
+import { MODIFIERS } from "../game/modifiers";
+import { dailyStreak } from "../game/daily";
+import { formatRunTime } from "../game/session";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * DailyDash
+ * Panel for today's Daily Dash (see game/daily): its modifiers, the current
+ * streak and past results. The first run of the day is the scored attempt;
+ * once it is in, `onPlay(use3D)` starts practice runs that are not recorded.
+ * `results` comes from loadDailyResults (game/dailyStore); `attempted` says
+ * today's scored run has begun, even if it was left before it got a result.
+ */
+export default function DailyDash({
+  challenge,
+  results,
+  attempted = false,
+  onPlay,
+  onClose,
+  theme = BUILT_IN_THEMES.light.tokens,
+}) {
+  const today = results.find((r) => r.date === challenge.date);
+  const streak = dailyStreak(results, challenge.date);
+
+  const button = {
+    background: withAlpha(theme.primary, 0.12),
+    color: theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "8px 12px",
+    fontSize: 13,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+  const cell = { padding: "2px 6px", textAlign: "right" };
+  const verb = today || attempted ? "Practice" : "Play";
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Daily Dash"
+      style={{
+        width: 420,
+        maxWidth: "calc(100vw - 32px)",
+        maxHeight: "80vh",
+        overflowY: "auto",
+        padding: 16,
+        borderRadius: 12,
+        background: theme.surface,
+        boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+        color: theme.text,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <strong>Daily Dash • {challenge.date}</strong>
+        <button type="button" style={{ ...button, padding: "4px 8px", fontSize: 12 }} onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Everyone gets the same stars and storms today. Today's twists:
+        <ul style={{ margin: "4px 0 0", paddingLeft: 20 }}>
+          {challenge.modifiers.map((id) => (
+            <li key={id}>
+              <strong>{MODIFIERS[id].label}</strong> — {MODIFIERS[id].description}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 8 }}>
+        {today
+          ? `Today's score: ${today.score} (${today.mode.toUpperCase()}). Come back tomorrow for another scored run.`
+          : attempted
+            ? "Today's scored run was left before it finished. Come back tomorrow for another scored run."
+            : "Your first run today is the one that counts."}{" "}
+        🔥 Streak: {streak} {streak === 1 ? "day" : "days"}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+        <button
+          type="button"
+          style={{ ...button, background: theme.primary, color: theme.surface }}
+          onClick={() => onPlay(false)}
+        >
+          {verb} 2D
+        </button>
+        <button type="button" style={button} onClick={() => onPlay(true)}>
+          {verb} 3D
+        </button>
+      </div>
+
+      {results.length === 0 ? (
+        <div style={{ fontSize: 13, opacity: 0.7 }}>No daily runs yet.</div>
+      ) : (
+        <table aria-label="Daily history" style={{ borderCollapse: "collapse", fontSize: 13, width: "100%" }}>
+          <thead>
+            <tr style={{ opacity: 0.7 }}>
+              <th style={{ ...cell, textAlign: "left" }}>Date</th>
+              <th style={cell}>Mode</th>
+              <th style={cell}>Score</th>
+              <th style={cell}>Level</th>
+              <th style={cell}>Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r) => (
+              <tr key={r.date}>
+                <td style={{ ...cell, textAlign: "left" }}>{r.date}</td>
+                <td style={cell}>{r.mode.toUpperCase()}</td>
+                <td style={cell}>{r.score}</td>
+                <td style={cell}>{r.level}</td>
+                <td style={cell}>{formatRunTime(r.durationMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
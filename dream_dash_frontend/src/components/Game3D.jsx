@@ -1,438 +1,584 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { OrbitControls, Stars as DreiStars, Float, Html, Text } from "@react-three/drei";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { Stars as DreiStars, Float } from "@react-three/drei";
+import { Shape } from "three";
+import { CONFIG, FRAME_MS, createInitialState, step } from "../game/engine3d";
+import { randomSeed } from "../game/rng";
+import { accumulate } from "../game/fixedLoop";
+import { createRecorder, normalizeInput } from "../game/replay";
+import { DEFAULT_DIFFICULTY, difficultyLabel } from "../game/difficulty";
+import { saveReplay } from "../game/replayStore";
+import useReplayPlayback from "../hooks/useReplayPlayback";
+import ReplayControls from "./ReplayControls";
+import GameOverPanel from "./GameOverPanel";
+import { DEFAULT_BINDINGS, actionKeysHint, controlsHint } from "../input/bindings";
+import { sfxForEvent } from "../audio/sounds";
+import { reportRunEvents } from "../game/session";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+import { createNarrator, stormNearby3d } from "../a11y/narration";
+
+export { sphereAabbIntersect } from "../game/engine3d";
 
 /**
  * PUBLIC_INTERFACE
  * Game3D
  * A fully playable 3D endless runner using @react-three/fiber and @react-three/drei.
- * - Player: capsule that moves with arrow keys (Left/Right strafe, Up jumps, Down quick drop)
+ * Rules live in `game/engine3d`; this component steps it at a fixed 60Hz tick
+ * from `useFrame` and renders the resulting state.
+ * - Player: capsule steered by actions from `input` (see input/inputManager): move
+ *   left/right strafes, jump while held, dive for a quick drop; controllers rumble on game over;
+ *   on-screen hints name the keys in `bindings`
  * - Ground: scrolling illusion via moving tiles and far background stars
  * - Collectibles: glowing star meshes; picking them increases score
- * - Obstacles: stormy clouds (dark billboards) move toward the player and cause game over on collision
+ * - Obstacles: stormy clouds move toward the player; a hit costs a life (runs start
+ *   with the difficulty's lives, assists included; see game/difficulty), knocks the
+ *   player sideways and shakes the camera, then the capsule blinks through a second
+ *   of invulnerability. Extra-life pickups appear from level 3 and give lives up to five
  * - Wind gusts: random lateral push on the player
  * - Level progression: speed and target increase every N stars; HUD shows level and score
- * - UI overlay: React elements layered over Canvas (score/level/game over/restart)
- * - Restart: press R or click Restart
- * Visual palette follows the Ocean Professional theme (blue/amber accents).
+ * - UI overlay: React elements layered over Canvas (score/level/restart) and the
+ *   game-over panel with the local high-score table
+ * - Restart: the restart action or the Restart button
+ * - Replays: every run is recorded; pass `replay` to watch one instead of playing
+ * - Daily Dash: `challenge` ({ date, seed, modifiers }) plays the day's seed and
+ *   modifiers; its runs stay out of the high-score table
+ * - `difficulty` (see game/difficulty) sets lives, the level target, storms, wind
+ *   and speed; it is recorded with the replay and high score
+ * - Pause: `paused` stops the render loop, so the simulation and its timers freeze
+ * - Sound through `audio` (see audio/audioEngine): SFX for engine events, music
+ *   that intensifies with the level
+ * - Live runs report onStart, onScore, onLifeLost, onLifeGained, onLevelChange,
+ *   onGameOver, onRestart and onEvents to the parent (see game/session)
+ * - Size: `width` x `height` px, or with `fill` the container's full width at the
+ *   same aspect ratio (capped at 75% of the viewport height); the r3f canvas
+ *   follows resizes and renders at up to 2x device pixel ratio
+ * - Colours and light levels come from `theme` tokens (see theme/themes); dark
+ *   themes dim the lights under a night sky
+ * - Accessibility: `onAnnounce(text)` receives narration for a screen-reader
+ *   announcer (see a11y/narration), which otherwise reads the level banner;
+ *   `reducedMotion` stills the camera shake, lightning, bobbing and twinkling;
+ *   `safeShapes` makes stars five-pointed and gives storms spikes
+ * - Every fifth level brings a boss storm (see game/boss) far down the track,
+ *   with a health bar, marked lightning lanes and glowing charged stars
  */
 
-// Global configuration for the runner
-const CONFIG = {
-  laneWidth: 1.5,
-  worldWidth: 8,
-  groundZCount: 20,
-  groundTileLength: 4, // length along -Z
-  baseForwardSpeed: 0.12,
-  player: {
-    radius: 0.35, // for collision approximation
-    height: 1.2,
-    jumpVelocity: 0.23,
-    gravity: -0.015,
-    moveSpeed: 0.12,
-    minX: -3,
-    maxX: 3,
-    startY: 0.6,
-  },
-  star: {
-    count: 14,
-    radius: 0.3,
-  },
-  storm: {
-    count: 8,
-    size: { x: 1.4, y: 0.8, z: 1.2 }, // AABB half-extents approximation
-  },
-  wind: {
-    chance: 0.002,
-    durationMs: 1800,
-    maxForce: 0.06,
-  },
-  colors: {
-    primary: "#2563EB",
-    secondary: "#F59E0B",
-    skyTop: "#bfe3ff",
-    skyBottom: "#f8fbff",
-    storm: "#5f6470",
-    groundA: "#e6f0ff",
-    groundB: "#dde9ff",
-  },
+// Cap on the render resolution multiplier; 3x phones would triple the fill cost
+const MAX_DPR = 2;
+
+// Daily Dash runs (`challenge`, see game/daily) add the day's modifiers
+const ENGINE = {
+  createInitialState: ({ challenge, ...options }) =>
+    createInitialState({ ...options, modifiers: challenge ? challenge.modifiers : [] }),
+  step,
 };
 
-function useKeyboard() {
-  const pressed = useRef(new Set());
-  useEffect(() => {
-    const down = (e) => {
-      if (["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "r", "R"].includes(e.key)) {
-        e.preventDefault();
-      }
-      pressed.current.add(e.key);
-    };
-    const up = (e) => {
-      pressed.current.delete(e.key);
-    };
-    window.addEventListener("keydown", down, { passive: false });
-    window.addEventListener("keyup", up, { passive: false });
-    return () => {
-      window.removeEventListener("keydown", down);
-      window.removeEventListener("keyup", up);
-    };
-  }, []);
-  return pressed;
+// Options for a fresh live run: a challenge fixes the seed, otherwise `seed` or a random one
+function runOptions(seed, challenge, difficulty) {
+  return { seed: challenge ? challenge.seed : seed ?? randomSeed(), challenge, difficulty };
 }
 
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
+const CAMERA_POSITION = [0, 2.1, 5.2];
+const SHAKE_AMPLITUDE = 0.18;
+const BLINK_MS = 100;
+
+function hudFromState(s) {
+  return {
+    score: s.score,
+    level: s.level,
+    target: s.target,
+    lives: s.lives,
+    gameOver: s.gameOver,
+    message: s.message.text,
+    boss: s.boss && { health: s.boss.health, maxHealth: s.boss.maxHealth },
+  };
 }
 
-// Distance-based collision for sphere (player) vs AABB (storm)
-// PUBLIC_INTERFACE
-export function sphereAabbIntersect(center, radius, boxCenter, halfSize) {
-  /** Sphere vs AABB collision */
-  const dx = Math.max(Math.abs(center.x - boxCenter.x) - halfSize.x, 0);
-  const dy = Math.max(Math.abs(center.y - boxCenter.y) - halfSize.y, 0);
-  const dz = Math.max(Math.abs(center.z - boxCenter.z) - halfSize.z, 0);
-  return dx * dx + dy * dy + dz * dz <= radius * radius;
+function sameHud(a, b) {
+  return (
+    a.score === b.score &&
+    a.lives === b.lives &&
+    a.level === b.level &&
+    a.target === b.target &&
+    a.gameOver === b.gameOver &&
+    a.message === b.message &&
+    (a.boss && a.boss.health) === (b.boss && b.boss.health)
+  );
 }
 
-// PUBLIC_INTERFACE
-export default function Game3D({ width = 800, height = 460, onScore }) {
-  const keyboard = useKeyboard();
-
-  // Core game state
-  const [level, setLevel] = useState(1);
-  const [score, setScore] = useState(0);
-  const [target, setTarget] = useState(8); // stars needed to next level
-  const [gameOver, setGameOver] = useState(false);
-  const [speed, setSpeed] = useState(CONFIG.baseForwardSpeed);
-  const [message, setMessage] = useState("");
-
-  // Player state
-  const playerRef = useRef({
-    x: 0,
-    y: CONFIG.player.startY,
-    z: 2,
-    vy: 0,
-    grounded: true,
+// Drives the simulation from the r3f render loop; `frameRef` holds the latest tick callback
+function Runner({ frameRef }) {
+  useFrame((_, delta) => frameRef.current(delta));
+  return null;
+}
+
+// Jitters the camera around its rest position while the engine's shake timer runs
+function CameraRig({ engineRef, reducedMotion }) {
+  const { camera } = useThree();
+  useFrame(() => {
+    const strength = reducedMotion ? 0 : (engineRef.current.shake / CONFIG.shakeMs) * SHAKE_AMPLITUDE;
+    camera.position.set(
+      CAMERA_POSITION[0] + (Math.random() * 2 - 1) * strength,
+      CAMERA_POSITION[1] + (Math.random() * 2 - 1) * strength,
+      CAMERA_POSITION[2]
+    );
   });
+  return null;
+}
 
-  // Wind state
-  const windRef = useRef({ force: 0, until: 0 });
-
-  // Stars and storms
-  const starsRef = useRef([]);
-  const stormsRef = useRef([]);
-
-  // Initialize entities
-  const resetEntities = useCallback(() => {
-    const randLane = () => (Math.random() * CONFIG.worldWidth - CONFIG.worldWidth / 2) * 0.6;
-    // Stars scattered ahead
-    starsRef.current = Array.from({ length: CONFIG.star.count }).map((_, i) => ({
-      x: randLane(),
-      y: 0.8 + Math.random() * 1.1,
-      z: -i * 6 - 10 - Math.random() * 6,
-      active: true,
-    }));
-    // Storms approaching
-    stormsRef.current = Array.from({ length: CONFIG.storm.count }).map((_, i) => ({
-      x: randLane(),
-      y: 1.2 + Math.random() * 0.8,
-      z: -i * 12 - 20 - Math.random() * 16,
-      active: true,
+// Ground tiles moving backward to create a parallax/scrolling sense
+function Ground({ engineRef, theme }) {
+  const group = useRef();
+  const tiles = useMemo(() => {
+    return Array.from({ length: CONFIG.groundZCount }).map((_, i) => ({
+      z: -i * CONFIG.groundTileLength,
+      id: i,
     }));
   }, []);
-
-  const restart = useCallback(() => {
-    setLevel(1);
-    setScore(0);
-    setTarget(8);
-    setGameOver(false);
-    setSpeed(CONFIG.baseForwardSpeed);
-    setMessage("");
-    playerRef.current = {
-      x: 0,
-      y: CONFIG.player.startY,
-      z: 2,
-      vy: 0,
-      grounded: true,
-    };
-    windRef.current = { force: 0, until: 0 };
-    resetEntities();
-  }, [resetEntities]);
-
-  useEffect(() => {
-    resetEntities();
-  }, [resetEntities]);
-
-  // Level progression
-  useEffect(() => {
-    if (score >= target && !gameOver) {
-      setLevel((l) => l + 1);
-      setTarget((t) => t + 6);
-      setSpeed((s) => s + 0.02);
-      setMessage(`Level ${level + 1}!`);
-      const id = setTimeout(() => setMessage(""), 1600);
-      return () => clearTimeout(id);
+  useFrame((_, delta) => {
+    if (!group.current) return;
+    const { speed, player } = engineRef.current;
+    const frames = Math.min(delta, 0.05) * 60; // speed is per 60Hz frame
+    for (let i = 0; i < group.current.children.length; i++) {
+      const m = group.current.children[i];
+      // shift along z to create endless scroll
+      m.position.z += speed * frames;
+      if (m.position.z > CONFIG.groundTileLength) {
+        m.position.z -= CONFIG.groundZCount * CONFIG.groundTileLength;
+      }
     }
-    return undefined;
-  }, [score, target, gameOver, level]);
+    // slight lateral based on player X for parallax
+    group.current.position.x = -player.x * 0.05;
+  });
+  return (
+    <group ref={group}>
+      {tiles.map((t, idx) => (
+        <mesh position={[0, 0, t.z]} rotation={[-Math.PI / 2, 0, 0]} key={idx} receiveShadow>
+          <planeGeometry args={[CONFIG.worldWidth, CONFIG.groundTileLength]} />
+          <meshStandardMaterial
+            color={idx % 2 === 0 ? theme.groundA : theme.groundB}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+}
 
-  // Handle Restart via keyboard
-  useEffect(() => {
-    const onKey = (e) => {
-      if ((e.key === "r" || e.key === "R")) {
-        restart();
-      }
-    };
-    window.addEventListener("keydown", onKey);
-    return () => window.removeEventListener("keydown", onKey);
-  }, [restart]);
-
-  // Per-frame loop
-  const Runner = () => {
-    useFrame((_, delta) => {
-      if (delta > 0.05) return; // clamp long frames
-      const now = performance.now();
-
-      // Spawn random wind gust
-      if (!gameOver && Math.random() < CONFIG.wind.chance && now > windRef.current.until) {
-        const force = (Math.random() * 2 - 1) * CONFIG.wind.maxForce;
-        windRef.current = { force, until: now + CONFIG.wind.durationMs };
-      }
-      if (now > windRef.current.until) windRef.current.force = 0;
-
-      // Player controls
-      const pressed = keyboard.current;
-      const p = playerRef.current;
-      if (!gameOver) {
-        const lateral = (pressed.has("ArrowLeft") ? -1 : 0) + (pressed.has("ArrowRight") ? 1 : 0);
-        p.x += lateral * CONFIG.player.moveSpeed;
-        p.x += windRef.current.force; // wind push
-        p.x = clamp(p.x, CONFIG.player.minX, CONFIG.player.maxX);
-
-        if (pressed.has("ArrowUp") && p.grounded) {
-          p.vy = CONFIG.player.jumpVelocity;
-          p.grounded = false;
-        }
-        if (pressed.has("ArrowDown")) {
-          p.vy += CONFIG.player.gravity * 0.4; // quick drop
-        }
+// Player as a capsule approximation
+function Player({ engineRef, theme, reducedMotion }) {
+  const body = useRef();
+  useFrame(() => {
+    const { player: p, invulnerable } = engineRef.current;
+    if (body.current) {
+      body.current.position.set(p.x, p.y, p.z);
+      // Blink while invulnerable
+      body.current.visible = invulnerable === 0 || Math.floor(invulnerable / BLINK_MS) % 2 === 0;
+    }
+  });
+  return (
+    <group ref={body}>
+      <mesh castShadow>
+        <capsuleGeometry args={[CONFIG.player.radius, CONFIG.player.height - CONFIG.player.radius * 2, 8, 16]} />
+        <meshStandardMaterial color={theme.secondary} emissive={theme.secondary} emissiveIntensity={0.1} />
+      </mesh>
+      <Float speed={reducedMotion ? 0 : 2} rotationIntensity={0.05} floatIntensity={reducedMotion ? 0 : 0.1}>
+        <mesh position={[0, CONFIG.player.height / 2 + 0.2, 0]}>
+          <sphereGeometry args={[0.15, 16, 16]} />
+          <meshStandardMaterial color={theme.primary} emissive={theme.primary} emissiveIntensity={0.3} />
+        </mesh>
+      </Float>
+    </group>
+  );
+}
 
-        // Gravity
-        p.vy += CONFIG.player.gravity;
-        p.y += p.vy;
+// Flat five-pointed star, extruded, for the colour-blind-safe shapes
+const STAR_SHAPE = (() => {
+  const shape = new Shape();
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? CONFIG.star.radius * 1.4 : CONFIG.star.radius * 0.6;
+    const angle = Math.PI / 2 + (i * Math.PI) / 5;
+    if (i === 0) shape.moveTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    else shape.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+  shape.closePath();
+  return shape;
+})();
+const STAR_EXTRUDE = { depth: 0.12, bevelEnabled: false };
+
+function Stars({ engineRef, theme, safeShapes }) {
+  const refs = useRef([]);
+  useFrame(() => {
+    engineRef.current.stars.forEach((s, i) => {
+      const m = refs.current[i];
+      if (!m) return;
+      m.visible = s.active;
+      m.position.set(s.x, s.y, s.z);
+      m.rotation.y += 0.02;
+      // Charged stars (boss fights) are bigger and glow like lightning
+      m.scale.setScalar(s.charged ? 1.5 : 1);
+      m.material.emissive.set(s.charged ? theme.lightning : theme.secondary);
+    });
+  });
+  return (
+    <group>
+      {engineRef.current.stars.map((s, i) => (
+        <mesh key={`star-${i}`} ref={(el) => (refs.current[i] = el)}>
+          {safeShapes ? (
+            <extrudeGeometry args={[STAR_SHAPE, STAR_EXTRUDE]} />
+          ) : (
+            <icosahedronGeometry args={[CONFIG.star.radius, 0]} />
+          )}
+          <meshStandardMaterial color={theme.star} emissive={theme.secondary} emissiveIntensity={0.6} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
 
-        // Ground collision
-        const groundY = CONFIG.player.startY;
-        if (p.y <= groundY) {
-          p.y = groundY;
-          p.vy = 0;
-          p.grounded = true;
-        }
-      }
+function ExtraLife({ engineRef, theme }) {
+  const mesh = useRef();
+  useFrame(() => {
+    const life = engineRef.current.extraLife;
+    if (!mesh.current) return;
+    mesh.current.visible = Boolean(life);
+    if (!life) return;
+    mesh.current.position.set(life.x, life.y, life.z);
+    mesh.current.rotation.y += 0.04;
+  });
+  return (
+    <mesh ref={mesh} visible={false}>
+      <octahedronGeometry args={[CONFIG.extraLife.radius, 0]} />
+      <meshStandardMaterial
+        color={theme.extraLife}
+        emissive={theme.extraLife}
+        emissiveIntensity={0.7}
+      />
+    </mesh>
+  );
+}
 
-      // Move world toward player (illusion of forward motion)
-      const forward = speed + Math.min(level * 0.003, 0.05);
-      starsRef.current.forEach((s) => {
-        s.z += forward;
-        if (s.z > 3) {
-          // respawn ahead
-          s.z = -60 - Math.random() * 40;
-          s.x = (Math.random() * CONFIG.worldWidth - CONFIG.worldWidth / 2) * 0.6;
-          s.y = 0.8 + Math.random() * 1.1;
-          s.active = true;
-        }
-      });
-      stormsRef.current.forEach((s) => {
-        s.z += forward * 1.1;
-        if (s.z > 3) {
-          s.z = -80 - Math.random() * 60;
-          s.x = (Math.random() * CONFIG.worldWidth - CONFIG.worldWidth / 2) * 0.6;
-          s.y = 1.0 + Math.random() * 1.3;
-          s.active = true;
-        }
-      });
-
-      // Collisions
-      if (!gameOver) {
-        // Collect stars
-        for (const s of starsRef.current) {
-          if (!s.active) continue;
-          const hit = sphereAabbIntersect(
-            { x: p.x, y: p.y, z: p.z },
-            CONFIG.star.radius,
-            { x: s.x, y: s.y, z: s.z },
-            { x: 0.25, y: 0.25, z: 0.25 }
-          );
-          if (hit) {
-            s.active = false;
-            setScore((prev) => prev + 1);
-            if (typeof onScore === "function") onScore(1);
-          }
-        }
-        // Storm damage
-        for (const st of stormsRef.current) {
-          if (!st.active) continue;
-          const hit = sphereAabbIntersect(
-            { x: p.x, y: p.y, z: p.z },
-            CONFIG.player.radius,
-            { x: st.x, y: st.y, z: st.z },
-            { x: CONFIG.storm.size.x, y: CONFIG.storm.size.y, z: CONFIG.storm.size.z }
-          );
-          if (hit) {
-            setGameOver(true);
-            setMessage("Game Over");
-            break;
-          }
-        }
-      }
+function Storms({ engineRef, theme, reducedMotion, safeShapes }) {
+  const refs = useRef([]);
+  const bolts = useRef([]);
+  useFrame(() => {
+    engineRef.current.storms.forEach((s, i) => {
+      const m = refs.current[i];
+      if (!m) return;
+      m.visible = s.active;
+      m.position.set(s.x, s.y, s.z);
+      // subtle bobbing
+      if (!reducedMotion) m.position.y += Math.sin(performance.now() * 0.002 + i) * 0.002;
+      if (bolts.current[i]) bolts.current[i].visible = !reducedMotion && Math.random() < 0.02;
     });
-    return null;
-  };
+  });
+  return (
+    <group>
+      {engineRef.current.storms.map((st, i) => (
+        <group key={`storm-${i}`} ref={(el) => (refs.current[i] = el)}>
+          <mesh>
+            <sphereGeometry args={[0.7, 16, 16]} />
+            <meshStandardMaterial color={theme.storm} roughness={0.9} />
+          </mesh>
+          <mesh position={[0.6, 0.1, 0]}>
+            <sphereGeometry args={[0.5, 16, 16]} />
+            <meshStandardMaterial color={theme.storm} roughness={0.95} />
+          </mesh>
+          <mesh position={[-0.6, 0.0, 0]}>
+            <sphereGeometry args={[0.45, 16, 16]} />
+            <meshStandardMaterial color={theme.storm} roughness={0.95} />
+          </mesh>
+          {/* Spikes underneath so storms read as storms without relying on colour */}
+          {safeShapes &&
+            [-0.5, 0, 0.5].map((x) => (
+              <mesh key={x} position={[x, -0.75, 0]} rotation={[Math.PI, 0, 0]}>
+                <coneGeometry args={[0.16, 0.45, 6]} />
+                <meshStandardMaterial color={theme.storm} roughness={0.95} />
+              </mesh>
+            ))}
+          {/* Occasional flash bolt */}
+          <group position={[0, -0.3, 0]}>
+            <mesh visible={false} ref={(el) => (bolts.current[i] = el)}>
+              <boxGeometry args={[0.05, 0.6, 0.05]} />
+              <meshStandardMaterial color={theme.lightning} emissive={theme.lightning} emissiveIntensity={2} />
+            </mesh>
+          </group>
+        </group>
+      ))}
+    </group>
+  );
+}
 
-  // Ground tiles moving backward to create a parallax/scrolling sense
-  const Ground = () => {
-    const group = useRef();
-    const tiles = useMemo(() => {
-      return Array.from({ length: CONFIG.groundZCount }).map((_, i) => ({
-        z: -i * CONFIG.groundTileLength,
-        id: i,
-      }));
-    }, []);
-    useFrame(() => {
-      const p = playerRef.current;
-      if (!group.current) return;
-      for (let i = 0; i < group.current.children.length; i++) {
-        const m = group.current.children[i];
-        // shift along z to create endless scroll
-        m.position.z += speed;
-        if (m.position.z > CONFIG.groundTileLength) {
-          m.position.z -= CONFIG.groundZCount * CONFIG.groundTileLength;
-        }
-      }
-      // slight lateral based on player X for parallax
-      group.current.position.x = -playerRef.current.x * 0.05;
+// Boss storm (see game/boss): a giant cloud far down the track with a glowing
+// weak point, and the lanes its lightning volley will strike marked at the
+// player's depth
+function Boss({ engineRef, theme, reducedMotion }) {
+  const group = useRef();
+  const body = useRef();
+  const bolts = useRef([]);
+  useFrame(() => {
+    const s = engineRef.current;
+    const boss = s.boss;
+    if (!group.current) return;
+    group.current.visible = Boolean(boss);
+    const attack = boss && boss.attack;
+    const volley = attack && attack.kind === "volley" ? attack : null;
+    bolts.current.forEach((m, i) => {
+      if (!m) return;
+      m.visible = Boolean(volley) && i < boss.bolts.length;
+      if (!m.visible) return;
+      m.position.set(boss.bolts[i], 2, s.player.z);
+      m.material.opacity = volley.phase === "active" ? 0.95 : 0.3;
     });
-    return (
-      <group ref={group}>
-        {tiles.map((t, idx) => (
-          <mesh position={[0, 0, t.z]} rotation={[-Math.PI / 2, 0, 0]} key={idx} receiveShadow>
-            <planeGeometry args={[CONFIG.worldWidth, CONFIG.groundTileLength]} />
-            <meshStandardMaterial
-              color={idx % 2 === 0 ? CONFIG.colors.groundA : CONFIG.colors.groundB}
-            />
+    if (!boss) return;
+    group.current.position.set(boss.x, CONFIG.boss.y, CONFIG.boss.z);
+    const swell = attack && attack.kind === "blast" && attack.phase === "warn" ? 1.15 : 1;
+    group.current.scale.setScalar(swell);
+    body.current.material.emissive.set(boss.hit > 0 && !reducedMotion ? theme.lightning : "#000000");
+  });
+  return (
+    <>
+      <group ref={group} visible={false}>
+        <mesh ref={body}>
+          <sphereGeometry args={[2.4, 24, 24]} />
+          <meshStandardMaterial color={theme.storm} roughness={0.9} />
+        </mesh>
+        {[-2.2, 2.2].map((x) => (
+          <mesh key={x} position={[x, -0.3, 0]}>
+            <sphereGeometry args={[1.6, 20, 20]} />
+            <meshStandardMaterial color={theme.storm} roughness={0.95} />
           </mesh>
         ))}
+        {/* Weak point: the core charged stars zap */}
+        <mesh position={[0, -2.4, 1]}>
+          <sphereGeometry args={[0.6, 16, 16]} />
+          <meshStandardMaterial color={theme.lightning} emissive={theme.lightning} emissiveIntensity={1.5} />
+        </mesh>
       </group>
-    );
-  };
+      {Array.from({ length: CONFIG.boss.volleySize }).map((_, i) => (
+        <mesh key={`volley-${i}`} visible={false} ref={(el) => (bolts.current[i] = el)}>
+          <cylinderGeometry args={[CONFIG.boss.boltRadius, CONFIG.boss.boltRadius, 4, 12]} />
+          <meshStandardMaterial
+            color={theme.lightning}
+            emissive={theme.lightning}
+            emissiveIntensity={1.2}
+            transparent
+            opacity={0.3}
+          />
+        </mesh>
+      ))}
+    </>
+  );
+}
 
-  // Player as a capsule approximation
-  const Player = () => {
-    const body = useRef();
-    useFrame(() => {
-      const p = playerRef.current;
-      if (body.current) {
-        body.current.position.set(p.x, p.y, p.z);
-      }
+function Sky({ theme }) {
+  // gradient background via large plane
+  return (
+    <group position={[0, 0, -20]}>
+      <mesh rotation={[0, 0, 0]}>
+        <planeGeometry args={[200, 100]} />
+        <meshBasicMaterial
+          color={theme.skyBottom}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function Game3D({
+  width = 800,
+  height = 460,
+  fill = false,
+  onStart,
+  onScore,
+  onLifeLost,
+  onLifeGained,
+  onLevelChange,
+  onGameOver,
+  onRestart,
+  onEvents,
+  seed,
+  challenge,
+  difficulty = DEFAULT_DIFFICULTY,
+  paused = false,
+  input,
+  bindings = DEFAULT_BINDINGS,
+  audio,
+  theme = BUILT_IN_THEMES.light.tokens,
+  onAnnounce,
+  reducedMotion = false,
+  safeShapes = false,
+  replay,
+  onExitReplay,
+}) {
+  const isReplay = Boolean(replay);
+  const { advance: advanceReplay, controls: replayControls } = useReplayPlayback(replay, ENGINE);
+
+  // Simulation state, stepped at a fixed tick; React only mirrors the HUD values
+  const engineRef = useRef(null);
+  if (engineRef.current === null) {
+    engineRef.current = ENGINE.createInitialState(runOptions(seed, challenge, difficulty));
+  }
+  const recorderRef = useRef(null);
+  const newRecorder = useCallback(
+    () => createRecorder({ mode: "3d", seed: engineRef.current.seed, tickMs: FRAME_MS, challenge, difficulty }),
+    [challenge, difficulty]
+  );
+  if (recorderRef.current === null) recorderRef.current = newRecorder();
+  const accumulatorRef = useRef(0);
+  const [hud, setHud] = useState(() => hudFromState(engineRef.current));
+  const { score, level, target, lives, gameOver, message, boss } = hud;
+  const [gameOverResult, setGameOverResult] = useState(null);
+
+  // Latest callbacks, so restart and the frame loop don't depend on them
+  const propsRef = useRef({
+    onStart,
+    onScore,
+    onLifeLost,
+    onLifeGained,
+    onLevelChange,
+    onGameOver,
+    onRestart,
+    onEvents,
+    onAnnounce,
+  });
+  useEffect(() => {
+    propsRef.current = {
+      onStart,
+      onScore,
+      onLifeLost,
+      onLifeGained,
+      onLevelChange,
+      onGameOver,
+      onRestart,
+      onEvents,
+      onAnnounce,
+    };
+  }, [onStart, onScore, onLifeLost, onLifeGained, onLevelChange, onGameOver, onRestart, onEvents, onAnnounce]);
+
+  // Turns each tick into screen-reader narration; restarted with the run
+  const narratorRef = useRef(null);
+  if (narratorRef.current === null) narratorRef.current = createNarrator({ stormNearby: stormNearby3d });
+
+  const reportStart = useCallback(() => {
+    const { lives, level } = engineRef.current;
+    if (propsRef.current.onStart) propsRef.current.onStart({ mode: "3d", lives, level });
+  }, []);
+
+  useEffect(() => {
+    if (!isReplay) reportStart();
+  }, [isReplay, reportStart]);
+
+  // Held input is dropped on pause since key releases may never arrive
+  useEffect(() => {
+    if (paused) input.clear();
+    audio.setMusicPaused(paused);
+  }, [paused, input, audio]);
+
+  // The 3D runner has no authored levels, so it always plays the default cue
+  useEffect(() => {
+    audio.playMusic("default", engineRef.current.level);
+    return () => audio.stopMusic();
+  }, [audio]);
+
+  const restart = useCallback(() => {
+    engineRef.current = ENGINE.createInitialState(runOptions(seed, challenge, difficulty));
+    recorderRef.current = newRecorder();
+    narratorRef.current = createNarrator({ stormNearby: stormNearby3d });
+    accumulatorRef.current = 0;
+    setHud(hudFromState(engineRef.current));
+    input.clear();
+    audio.playMusic("default", engineRef.current.level);
+    setGameOverResult(null);
+    if (propsRef.current.onRestart) propsRef.current.onRestart();
+    reportStart();
+  }, [seed, challenge, difficulty, input, audio, reportStart, newRecorder]);
+
+  // Restart action; presses from before this run must not leak into it
+  useEffect(() => {
+    input.clear();
+    if (isReplay || paused) return undefined;
+    return input.on((action) => {
+      if (action === "restart") restart();
+    });
+  }, [input, restart, isReplay, paused]);
+
+  const playSounds = (events) => {
+    events.forEach((ev) => {
+      const sfx = sfxForEvent(ev);
+      if (sfx) audio.play(sfx);
+      if (ev.type === "levelUp") audio.playMusic("default", ev.level);
+      if (ev.type === "gameOver") audio.stopMusic();
     });
-    return (
-      <group ref={body}>
-        <mesh castShadow>
-          <capsuleGeometry args={[CONFIG.player.radius, CONFIG.player.height - CONFIG.player.radius * 2, 8, 16]} />
-          <meshStandardMaterial color={CONFIG.colors.secondary} emissive={"#F59E0B"} emissiveIntensity={0.1} />
-        </mesh>
-        <Float speed={2} rotationIntensity={0.05} floatIntensity={0.1}>
-          <mesh position={[0, CONFIG.player.height / 2 + 0.2, 0]}>
-            <sphereGeometry args={[0.15, 16, 16]} />
-            <meshStandardMaterial color={CONFIG.colors.primary} emissive={"#2563EB"} emissiveIntensity={0.3} />
-          </mesh>
-        </Float>
-      </group>
-    );
   };
 
-  const Stars = () => {
-    const refs = useRef([]);
-    useFrame(() => {
-      starsRef.current.forEach((s, i) => {
-        const m = refs.current[i];
-        if (!m) return;
-        m.visible = s.active;
-        m.position.set(s.x, s.y, s.z);
-        m.rotation.y += 0.02;
-      });
-    });
-    return (
-      <group>
-        {starsRef.current.map((s, i) => (
-          <mesh key={`star-${i}`} ref={(el) => (refs.current[i] = el)}>
-            <icosahedronGeometry args={[CONFIG.star.radius, 0]} />
-            <meshStandardMaterial color={CONFIG.colors.secondary} emissive={CONFIG.colors.secondary} emissiveIntensity={0.6} />
-          </mesh>
-        ))}
-      </group>
-    );
+  const narrate = (state, events) => {
+    const { onAnnounce: announce } = propsRef.current;
+    const said = narratorRef.current.tick(state, events);
+    if (said.length > 0 && typeof announce === "function") announce(said.join(". "));
   };
 
-  const Storms = () => {
-    const refs = useRef([]);
-    useFrame(() => {
-      stormsRef.current.forEach((s, i) => {
-        const m = refs.current[i];
-        if (!m) return;
-        m.visible = s.active;
-        m.position.set(s.x, s.y, s.z);
-        // subtle bobbing
-        m.position.y += Math.sin(performance.now() * 0.002 + i) * 0.002;
-      });
+  const playTick = () => {
+    // The 3D runner jumps while jump is held; quantized exactly as the
+    // recorder stores it so the replay reproduces this tick
+    const sampled = input.sample();
+    const tickInput = normalizeInput({
+      left: sampled.left,
+      right: sampled.right,
+      jump: sampled.jumpHeld || sampled.jump,
+      dive: sampled.diveHeld,
+      axis: sampled.axis,
+    });
+    const wasOver = engineRef.current.gameOver;
+    const out = step(engineRef.current, tickInput, FRAME_MS);
+    engineRef.current = out.state;
+    if (!wasOver) recorderRef.current.record(tickInput);
+    playSounds(out.events);
+    reportRunEvents(out.events, propsRef.current);
+    narrate(out.state, out.events);
+
+    out.events.forEach((ev) => {
+      if (ev.type === "stormHit" && ev.lives > 0) input.rumble(0.6, 180);
+      if (ev.type === "gameOver") {
+        const result = {
+          score: ev.score,
+          level: ev.level,
+          stars: ev.stars,
+          durationMs: ev.durationMs,
+          difficulty: difficultyLabel(out.state.difficulty),
+        };
+        saveReplay(recorderRef.current.finish({ score: ev.score, level: ev.level }));
+        setGameOverResult(result);
+        input.rumble(1, 400);
+        if (propsRef.current.onGameOver) propsRef.current.onGameOver(result);
+      }
     });
-    return (
-      <group>
-        {stormsRef.current.map((st, i) => (
-          <group key={`storm-${i}`} ref={(el) => (refs.current[i] = el)}>
-            <mesh>
-              <sphereGeometry args={[0.7, 16, 16]} />
-              <meshStandardMaterial color={CONFIG.colors.storm} roughness={0.9} />
-            </mesh>
-            <mesh position={[0.6, 0.1, 0]}>
-              <sphereGeometry args={[0.5, 16, 16]} />
-              <meshStandardMaterial color={CONFIG.colors.storm} roughness={0.95} />
-            </mesh>
-            <mesh position={[-0.6, 0.0, 0]}>
-              <sphereGeometry args={[0.45, 16, 16]} />
-              <meshStandardMaterial color={CONFIG.colors.storm} roughness={0.95} />
-            </mesh>
-            {/* Occasional flash bolt */}
-            <group position={[0, -0.3, 0]}>
-              <mesh visible={Math.random() < 0.02}>
-                <boxGeometry args={[0.05, 0.6, 0.05]} />
-                <meshStandardMaterial color={"#ffef88"} emissive={"#ffef88"} emissiveIntensity={2} />
-              </mesh>
-            </group>
-          </group>
-        ))}
-      </group>
-    );
   };
 
-  const Sky = () => {
-    // gradient background via large plane
-    return (
-      <group position={[0, 0, -20]}>
-        <mesh rotation={[0, 0, 0]}>
-          <planeGeometry args={[200, 100]} />
-          <meshBasicMaterial
-            color={CONFIG.colors.skyBottom}
-          />
-        </mesh>
-      </group>
-    );
+  // Per-frame loop: run whole simulation ticks for the elapsed time
+  const frameRef = useRef(null);
+  frameRef.current = (delta) => {
+    if (paused || delta > 0.05) return; // skip long frames (tab switches, hitches, resume)
+    const { ticks, accumulator } = accumulate(accumulatorRef.current, delta * 1000, FRAME_MS);
+    accumulatorRef.current = accumulator;
+    for (let i = 0; i < ticks; i++) {
+      if (isReplay) {
+        const out = advanceReplay();
+        engineRef.current = out.state;
+        playSounds(out.events);
+        narrate(out.state, out.events);
+      } else {
+        playTick();
+      }
+    }
+
+    const next = hudFromState(engineRef.current);
+    setHud((prev) => (sameHud(prev, next) ? prev : next));
   };
 
   const UIOverlay = () => {
     const pill = {
-      background: "rgba(37,99,235,0.08)",
-      color: "#2563EB",
+      background: withAlpha(theme.primary, 0.08),
+      color: theme.primary,
       padding: "6px 10px",
       borderRadius: 999,
       fontSize: 14,
@@ -452,40 +598,72 @@ export default function Game3D({ width = 800, height = 460, onScore }) {
       >
         <div style={{ display: "flex", justifyContent: "space-between", padding: 12 }}>
           <div style={{ display: "flex", alignItems: "center", gap: 8, pointerEvents: "auto" }}>
-            <span style={{ fontWeight: 700, color: "#111827" }}>Dream Dash 3D</span>
-            <span style={{ ...pill, background: "rgba(245,158,11,0.12)", color: "#F59E0B" }}>Modern • Ocean</span>
+            <span style={{ fontWeight: 700, color: theme.text }}>Dream Dash 3D</span>
+            <span style={{ ...pill, background: withAlpha(theme.secondary, 0.12), color: theme.secondary }}>
+              Modern • Ocean
+            </span>
           </div>
           <div>
             <span style={pill}>Score: {score}</span>
             <span style={{ ...pill, marginLeft: 8 }}>Level: {level}</span>
+            <span style={{ ...pill, marginLeft: 8, background: withAlpha(theme.extraLife, 0.1), color: theme.extraLife }}>
+              Lives: {lives}
+            </span>
             <span style={{ ...pill, marginLeft: 8 }}>Next: {Math.max(target - score, 0)}</span>
           </div>
         </div>
 
-        {message && (
-          <div
-            style={{
-              alignSelf: "center",
-              marginBottom: "auto",
-              marginTop: 40,
-              background: "rgba(37,99,235,0.9)",
-              color: "#fff",
-              padding: "10px 16px",
-              borderRadius: 16,
-              fontWeight: 800,
-              letterSpacing: 0.3,
-              boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
-            }}
-          >
-            {message}
+        {boss && (
+          <div style={{ alignSelf: "center", textAlign: "center", fontSize: 12, fontWeight: 700, color: theme.text }}>
+            Boss storm {boss.health}/{boss.maxHealth}
+            <div
+              role="progressbar"
+              aria-label="Boss health"
+              aria-valuemin={0}
+              aria-valuemax={boss.maxHealth}
+              aria-valuenow={boss.health}
+              style={{ width: 200, height: 10, marginTop: 4, background: withAlpha(theme.text, 0.2), borderRadius: 5 }}
+            >
+              <div
+                style={{
+                  width: `${(100 * boss.health) / boss.maxHealth}%`,
+                  height: "100%",
+                  background: "#EF4444",
+                  borderRadius: 5,
+                }}
+              />
+            </div>
           </div>
         )}
 
+        {/* Live region for the banner unless the app's announcer already narrates the run */}
+        <div
+          role={onAnnounce ? undefined : "status"}
+          aria-live={onAnnounce ? undefined : "polite"}
+          style={{ alignSelf: "center", marginBottom: "auto", marginTop: 40 }}
+        >
+          {message && !(gameOver && gameOverResult && !isReplay) && (
+            <div
+              style={{
+                background: withAlpha(theme.primary, 0.9),
+                color: "#fff",
+                padding: "10px 16px",
+                borderRadius: 16,
+                fontWeight: 800,
+                letterSpacing: 0.3,
+                boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+              }}
+            >
+              {message}
+            </div>
+          )}
+        </div>
+
         <div style={{ display: "flex", justifyContent: "space-between", padding: 12, alignItems: "flex-end" }}>
           <div
             style={{
-              background: "rgba(37,99,235,0.06)",
-              color: "#2563EB",
+              background: withAlpha(theme.primary, 0.06),
+              color: theme.primary,
               padding: "6px 8px",
               borderRadius: 8,
               fontSize: 12,
@@ -493,72 +671,110 @@ export default function Game3D({ width = 800, height = 460, onScore }) {
               pointerEvents: "auto",
             }}
           >
-            Arrows: Move/Jump • R: Restart
+            {isReplay ? `Replay • seed ${replay.seed}` : controlsHint(bindings)}
           </div>
-          <button
-            onClick={() => restart()}
-            style={{
-              pointerEvents: "auto",
-              background: "#2563EB",
-              color: "#fff",
-              border: "none",
-              borderRadius: 8,
-              padding: "8px 12px",
-              fontSize: 12,
-              fontWeight: 800,
-              boxShadow: "0 6px 16px rgba(37,99,235,0.35)",
-              cursor: "pointer",
-            }}
-            type="button"
-            aria-label="Restart 3D game"
-          >
-            Restart
-          </button>
+          {!isReplay && (
+            <button
+              onClick={() => restart()}
+              style={{
+                pointerEvents: "auto",
+                background: theme.primary,
+                color: "#fff",
+                border: "none",
+                borderRadius: 8,
+                padding: "8px 12px",
+                fontSize: 12,
+                fontWeight: 800,
+                boxShadow: `0 6px 16px ${withAlpha(theme.primary, 0.35)}`,
+                cursor: "pointer",
+              }}
+              type="button"
+              aria-label="Restart 3D game"
+            >
+              Restart
+            </button>
+          )}
         </div>
       </div>
     );
   };
 
   return (
-    <div style={{ position: "relative", width, height }}>
-      <Canvas
-        shadows
-        camera={{ position: [0, 2.1, 5.2], fov: 60 }}
-        style={{
-          borderRadius: 12,
-          boxShadow: "0 10px 25px rgba(0,0,0,0.08)",
-          background: `linear-gradient(180deg, ${CONFIG.colors.skyTop} 0%, ${CONFIG.colors.skyBottom} 100%)`,
-          display: "block",
-        }}
+    <div style={{ width: fill ? "100%" : width }}>
+      <div
+        style={
+          fill
+            ? { position: "relative", width: "100%", aspectRatio: `${width} / ${height}`, maxHeight: "75vh" }
+            : { position: "relative", width, height }
+        }
       >
-        {/* Lights */}
-        <ambientLight intensity={0.6} />
-        <directionalLight
-          position={[2, 4, 3]}
-          castShadow
-          intensity={0.8}
-          color={CONFIG.colors.primary}
-          shadow-mapSize-width={1024}
-          shadow-mapSize-height={1024}
-        />
-        {/* Visual sky/star field */}
-        <DreiStars radius={80} depth={40} count={1200} factor={3} saturation={0} fade speed={0.4} />
-        <Sky />
-
-        {/* World */}
-        <Ground />
-        <Player />
-        <Stars />
-        <Storms />
-
-        {/* Game loop */}
-        <Runner />
-
-        {/* Optional: allow exploration when paused */}
-        {/* <OrbitControls enablePan={false} enableZoom={false} /> */}
-      </Canvas>
+        <Canvas
+          shadows
+          dpr={[1, MAX_DPR]}
+          frameloop={paused ? "never" : "always"}
+          camera={{ position: CAMERA_POSITION, fov: 60 }}
+          style={{
+            borderRadius: 12,
+            boxShadow: "0 10px 25px rgba(0,0,0,0.08)",
+            background: `linear-gradient(180deg, ${theme.skyTop} 0%, ${theme.skyBottom} 100%)`,
+            display: "block",
+          }}
+        >
+          {/* Lights */}
+          <ambientLight intensity={theme.ambientLight} />
+          <directionalLight
+            position={[2, 4, 3]}
+            castShadow
+            intensity={theme.sunLight}
+            color={theme.primary}
+            shadow-mapSize-width={1024}
+            shadow-mapSize-height={1024}
+          />
+          {/* Visual sky/star field */}
+          <DreiStars
+            radius={80}
+            depth={40}
+            count={1200}
+            factor={3}
+            saturation={0}
+            fade
+            speed={reducedMotion ? 0 : 0.4}
+          />
+          <Sky theme={theme} />
+
+          {/* World */}
+          <Ground engineRef={engineRef} theme={theme} />
+          <Player engineRef={engineRef} theme={theme} reducedMotion={reducedMotion} />
+          <Stars engineRef={engineRef} theme={theme} safeShapes={safeShapes} />
+          <Storms engineRef={engineRef} theme={theme} reducedMotion={reducedMotion} safeShapes={safeShapes} />
+          <ExtraLife engineRef={engineRef} theme={theme} />
+          <Boss engineRef={engineRef} theme={theme} reducedMotion={reducedMotion} />
+          <CameraRig engineRef={engineRef} reducedMotion={reducedMotion} />
+
+          {/* Game loop */}
+          <Runner frameRef={frameRef} />
+
+          {/* Optional: allow exploration when paused */}
+          {/* <OrbitControls enablePan={false} enableZoom={false} /> */}
+        </Canvas>
+
+        {/* Called rather than mounted, so the banner's live region survives HUD updates */}
+        {UIOverlay()}
+        {gameOverResult && !isReplay && (
+          <GameOverPanel
+            mode="3d"
+            result={gameOverResult}
+            onRestart={restart}
+            highScores={!challenge}
+            restartKeys={actionKeysHint(bindings, "restart")}
+            theme={theme}
+          />
+        )}
+      </div>
 
-      <UIOverlay />
+      {isReplay && (
+        <ReplayControls {...replayControls} tickMs={replay.tickMs} onExit={onExitReplay} theme={theme} />
+      )}
     </div>
   );
 }
@@ -1,432 +1,471 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
+import { BOSS_SHAPE, createInitialState, currentLevel, step, FRAME_MS, WORLD_SIZE } from "../game/engine2d";
+import { parseCampaign } from "../game/levels";
+import campaignData from "../levels/campaign.json";
+import { createRng, randomSeed } from "../game/rng";
+import { createFixedLoop } from "../game/fixedLoop";
+import { createRecorder, normalizeInput } from "../game/replay";
+import { saveReplay } from "../game/replayStore";
+import { createGhostRecorder, ghostKey, ghostPosition, ghostScore } from "../game/ghost";
+import { loadGhost, saveGhostIfBest } from "../game/ghostStore";
+import { DEFAULT_DIFFICULTY, difficultyLabel } from "../game/difficulty";
+import useReplayPlayback from "../hooks/useReplayPlayback";
+import ReplayControls from "./ReplayControls";
+import GameOverPanel from "./GameOverPanel";
+import { DEFAULT_BINDINGS, actionKeysHint, controlsHint, playerTwoBindings, playerTwoHint } from "../input/bindings";
+import { sfxForEvent } from "../audio/sounds";
+import { createParticleSystem } from "../game/particles";
+import { reportRunEvents } from "../game/session";
+import { computeViewport, screenToWorld, worldTransform } from "../game/viewport";
+import useElementSize from "../hooks/useElementSize";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+import { createNarrator, stormNearby2d } from "../a11y/narration";
+import { STORM_RADIUS } from "../game/storms/body";
+import { chaserTarget } from "../game/storms/chaser";
+import { strikeColumn } from "../game/storms/striker";
+import { SPLITTER } from "../game/storms/splitter";
+import { PARALLAX_LAYERS, parallaxOffset, skyAt } from "../game/sky";
+
+// Bundled campaign (levels/campaign.json). A broken file is reported through
+// `onError` and the game falls back to endless mode instead of failing to load.
+function loadCampaign() {
+  try {
+    return { levels: parseCampaign(campaignData).levels, error: null };
+  } catch (e) {
+    return { levels: [], error: `Campaign not loaded, playing endless mode: ${e.message}` };
+  }
+}
+
+const { levels: CAMPAIGN, error: CAMPAIGN_ERROR } = loadCampaign();
+
+// Replays are stepped through the same campaign they were recorded on. Daily
+// Dash runs (`challenge`, see game/daily) skip it and play endless mode with
+// the day's modifiers.
+const ENGINE = {
+  createInitialState: ({ challenge, ...options }) =>
+    createInitialState(
+      challenge ? { ...options, modifiers: challenge.modifiers } : { ...options, levels: CAMPAIGN }
+    ),
+  step,
+};
+
+// Options for a fresh live run: a challenge fixes the seed, otherwise `seed` or a random one
+function runOptions(seed, challenge, twoPlayer, difficulty) {
+  return { seed: challenge ? challenge.seed : seed ?? randomSeed(), challenge, twoPlayer, difficulty };
+}
+
+// HUD colours of the live score delta against the personal-best ghost
+const GHOST_AHEAD = "#16A34A";
+const GHOST_BEHIND = "#EF4444";
+const GHOST_ALPHA = 0.35;
+
+// Second player's colour in two-player runs; the first keeps the theme's
+const PLAYER_TWO_COLOR = "#EC4899";
+
+// Entities that moved further than this in one tick wrapped or respawned;
+// they are drawn at their new position instead of sliding across the screen.
+const SNAP_DISTANCE = 60;
+
+// Power-up pickups and HUD timers, keyed by engine power-up kind
+const POWER_UP_STYLE = {
+  shield: { color: "#2563EB", glyph: "S", label: "Shield" },
+  magnet: { color: "#EF4444", glyph: "M", label: "Magnet" },
+  slow: { color: "#8B5CF6", glyph: "T", label: "Slow" },
+};
+
+function lerpPosition(a, b, alpha) {
+  if (!a || Math.abs(b.x - a.x) > SNAP_DISTANCE || Math.abs(b.y - a.y) > SNAP_DISTANCE) return b;
+  return { ...b, x: a.x + (b.x - a.x) * alpha, y: a.y + (b.y - a.y) * alpha };
+}
+
+const { width: W, height: H } = WORLD_SIZE;
+
+// Fixed backdrop of faint stars drawn at night and when the theme dims the scene
+const NIGHT_SKY = (() => {
+  const rng = createRng(0x5ca1ab1e);
+  return Array.from({ length: 40 }, () => ({
+    x: rng.range(0, W),
+    y: rng.range(0, H * 0.7),
+    r: rng.range(0.5, 1.5),
+    twinkle: rng.range(0, Math.PI * 2),
+  }));
+})();
+
+// Parallax scenery behind the near clouds (see game/sky); each layer repeats every `span` px
+const SCENERY = (() => {
+  const rng = createRng(0x9a11a5);
+  const peaks = [];
+  for (let x = 0; x < W * 1.5; x += rng.range(50, 110)) peaks.push({ x, y: rng.range(H * 0.45, H * 0.7) });
+  return {
+    mountains: { span: W * 1.5, peaks },
+    farClouds: {
+      span: W * 1.25,
+      puffs: Array.from({ length: 6 }, (_, i) => ({
+        x: i * ((W * 1.25) / 6) + rng.range(0, 40),
+        y: rng.range(40, 140),
+        w: rng.range(25, 45),
+        h: rng.range(7, 12),
+      })),
+    },
+    haze: {
+      span: W * 2,
+      banks: Array.from({ length: 4 }, (_, i) => ({ x: i * (W / 2), w: rng.range(120, 200), h: rng.range(12, 22) })),
+    },
+  };
+})();
+
+// Music cue of the level being played; endless mode has none of its own
+function musicCue(state) {
+  const level = currentLevel(state);
+  return level ? level.music : "default";
+}
+
+// Text for the canvas' accessible name, kept current with the run
+function canvasLabel(state) {
+  const players = state.player2
+    ? [state.player, state.player2]
+        .map((p) => (p.down ? `player ${p.id} down` : `player ${p.id} score ${p.score}, ${p.lives} lives`))
+        .join("; ")
+    : `score ${state.score}, ${state.lives} lives`;
+  return `Dream Dash 2D game, level ${state.level}: ${players}${state.gameOver ? ". Game over" : ""}`;
+}
+
+// Five-pointed star outline around (x, y), used by the colour-blind-safe shapes
+function starPath(ctx, x, y, r) {
+  ctx.beginPath();
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? r : r * 0.45;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+  }
+  ctx.closePath();
+}
+
+// Blends entity positions between the last two simulation ticks for smooth
+// motion on displays faster than the 60Hz tick rate
+function interpolate(prev, next, alpha) {
+  if (!prev || prev === next || alpha >= 1) return next;
+  const prevStorms = new Map(prev.storms.map((st) => [st.id, st]));
+  return {
+    ...next,
+    distance: prev.distance + (next.distance - prev.distance) * alpha,
+    player: lerpPosition(prev.player, next.player, alpha),
+    player2: next.player2 && lerpPosition(prev.player2, next.player2, alpha),
+    clouds: next.clouds.map((c, i) => lerpPosition(prev.clouds[i], c, alpha)),
+    stars: next.stars.map((st, i) => lerpPosition(prev.stars[i], st, alpha)),
+    // Storms come and go (and split) mid-list, so match them by id rather than index
+    storms: next.storms.map((st) => lerpPosition(prevStorms.get(st.id), st, alpha)),
+    boss: next.boss && lerpPosition(prev.boss, next.boss, alpha),
+    powerUps: next.powerUps.map((pu, i) => lerpPosition(prev.powerUps[i], pu, alpha)),
+  };
+}
 
 /**
  * PUBLIC_INTERFACE
  * GameCanvas v3
- * Full user-provided implementation:
- * - State: gameOver, level, score, lives, starsCollected, nextLevelAt
- * - Controls: Arrow keys, continuous movement, R to restart
- * - AI environment: storms, wind, clouds
- * - Collisions: storms (damage), stars (collect to progress)
- * - HUD with score, level, lives, and game over overlay
+ * Renderer and input layer for the 2D simulation in `game/engine2d`:
+ * - State: engine state kept in refs, advanced at a fixed 60Hz tick and drawn
+ *   interpolated, so speed is the same at 60, 120 or 144Hz
+ * - Layout: fills its container's width (up to 75% of the viewport height),
+ *   letterboxing the fixed-size world; the canvas is rendered at the device
+ *   pixel ratio and follows resizes and rotation live (see game/viewport)
+ * - Controls: actions from `input` (see input/inputManager): keyboard bindings,
+ *   touch regions and controller (stick/d-pad steering, A jump, B dive, rumble on hits);
+ *   on-screen hints name the keys in `bindings`
+ * - Levels: the authored campaign in levels/campaign.json (see game/levels), then
+ *   endless mode; each level sets its own spawn waves, wind and sky palette. If the
+ *   campaign file is broken, `onError(message)` says so and runs play endless mode
+ * - AI environment: storms, wind, clouds (seeded; pass `seed` to reproduce a run)
+ * - Every run is recorded; pass `replay` to watch one instead of playing
+ * - Ghost racing (see game/ghost): the best live run on a course (same seed, or
+ *   the same Daily Dash) is saved and replayed as a translucent player, with a
+ *   HUD pill showing the score ahead of or behind it; pass the ghost's `seed`
+ *   (see findRaceGhost in game/ghostStore) to race it again
+ * - `playtest` ({ levels, startLevel, startTime }) runs editor levels instead of
+ *   the campaign; such runs keep no replay or high score, and `onExitPlaytest`
+ *   returns to the editor
+ * - `challenge` ({ date, seed, modifiers }) plays a Daily Dash: the day's seed and
+ *   modifiers in endless mode; its runs stay out of the high-score table
+ * - `twoPlayer` ("coop" or "versus", see game/engine2d) adds a second player on
+ *   W/A/S/D (I/J/K/L when player one uses those) with their own colour, lives
+ *   and score; such runs keep no replay, ghost or high score
+ * - `difficulty` (see game/difficulty) sets lives, stars per level, storms, wind
+ *   and speed; it is recorded with the replay, ghost and high score
+ * - `paused` freezes the simulation (and its timers) while still drawing the last frame
+ * - Storm behaviours (see game/storms) are telegraphed: chasers watch their
+ *   target, strikers light up their column before the bolt and splitters crack
+ *   open before they split
+ * - Every fifth level, authored or endless, brings a boss storm (see game/boss) with a health
+ *   bar, marked lightning volleys, wind blasts and summoned mini-storms; charged
+ *   stars wear a ring
+ * - Collisions: storms (damage), stars (collect to progress), power-ups (shield,
+ *   magnet, slow-time; they live in engine state, so a restart or unmount drops them)
+ * - HUD with score, level, lives and power-up timers; game over overlay with the
+ *   local high-score table
  * - Level-complete banner animation and subtle UI hints
+ * - Particles (see game/particles): star sparkles, storm-hit debris, wind
+ *   streaks, landing dust and level-up confetti; `lowEffects` shrinks the budget
  * - Touch controls and restart button overlay for accessibility
+ * - Colours come from `theme` tokens (see theme/themes); themes with a
+ *   `sceneDim` tint authored level skies towards night and add a starfield
+ * - Sky (see game/sky): distant mountains, far clouds, the near clouds and
+ *   foreground haze scroll at their own parallax rates as the world moves (slow-time
+ *   and speed included), and the run's clock turns day to sunset, night (tinted,
+ *   with twinkling stars) and dawn
+ * - Accessibility: `onAnnounce(text)` receives narration for a screen-reader
+ *   announcer (see a11y/narration) and the canvas' accessible name follows the
+ *   score; `reducedMotion` drops the star flash, lightning, banner bounce,
+ *   parallax scrolling and twinkling; `safeShapes` draws stars as star outlines
+ *   and storms with a jagged edge; `highContrast` keeps the day/night tint off
+ *   so the high contrast theme's colours stay as they are
+ * - Sound through `audio` (see audio/audioEngine): SFX for engine events, and
+ *   music that follows the level's cue and speeds up with the level number
+ * - Live runs report onStart, onScore, onLifeLost, onLevelChange, onGameOver,
+ *   onRestart and onEvents to the parent (see game/session); replays report nothing
  * - Proper event listener and timer cleanup
  */
-export default function GameCanvas({ onScore }) {
+export default function GameCanvas({
+  onStart,
+  onScore,
+  onLifeLost,
+  onLevelChange,
+  onGameOver,
+  onRestart,
+  onEvents,
+  seed,
+  challenge,
+  twoPlayer = null,
+  difficulty = DEFAULT_DIFFICULTY,
+  paused = false,
+  input,
+  bindings = DEFAULT_BINDINGS,
+  audio,
+  theme = BUILT_IN_THEMES.light.tokens,
+  lowEffects = false,
+  onAnnounce,
+  reducedMotion = false,
+  safeShapes = false,
+  highContrast = false,
+  replay,
+  onExitReplay,
+  playtest,
+  onExitPlaytest,
+  onError,
+}) {
   const canvasRef = useRef(null);
-  const rafRef = useRef(null);
-
-  // Timers/timeouts refs for cleanup
-  const windTimeoutRef = useRef(null);
-  const flashTimeoutRef = useRef(null);
-  const stormHitCooldownRef = useRef(null);
-  const levelBannerTimeoutRef = useRef(null);
-
-  // Game state
-  const [score, setScore] = useState(0);
-  const [level, setLevel] = useState(1);
-  const [lives, setLives] = useState(3);
-  const [starsCollected, setStarsCollected] = useState(0);
-  const [nextLevelAt, setNextLevelAt] = useState(5);
-  const [gameOver, setGameOver] = useState(false);
-
-  // Level complete animation state
-  const [showLevelBanner, setShowLevelBanner] = useState(false);
-  const [bannerText, setBannerText] = useState("");
-
-  // Local effect flags/state
-  const pressedRef = useRef(new Set());
-  const lastDownImpulseAtRef = useRef(0);
-  const canTakeStormDamageRef = useRef(true);
-
-  // World entities
-  const starsRef = useRef([]);
-  const cloudsRef = useRef([]);
-  const stormsRef = useRef([]);
-
-  // Sim variables
-  const windForceRef = useRef(0);
-  const flashAlphaRef = useRef(0);
-
-  // Player object kept in a ref so it persists across renders without causing re-renders
-  const playerRef = useRef({
-    x: 100,
-    y: 250,
-    size: 30,
-    vy: 0,
-    gravity: 0.8,
-    jumpPower: -12,
-    grounded: true,
-    speed: 2.5,
-    maxX: 600 - 30, // will update after canvas mount
-    minX: 0,
-    ceilingY: 10,
-  });
-
-  // PUBLIC_INTERFACE
-  const restartGame = useCallback(() => {
-    // Reset game state
-    setScore(0);
-    setLevel(1);
-    setLives(3);
-    setStarsCollected(0);
-    setNextLevelAt(5);
-    setGameOver(false);
-    setShowLevelBanner(false);
-    setBannerText("");
-
-    // Reset world
-    starsRef.current = [];
-    cloudsRef.current = [];
-    stormsRef.current = [];
-    windForceRef.current = 0;
-    flashAlphaRef.current = 0;
-
-    // Reset inputs and cooldowns
-    pressedRef.current.clear();
-    canTakeStormDamageRef.current = true;
-    if (stormHitCooldownRef.current) {
-      clearTimeout(stormHitCooldownRef.current);
-      stormHitCooldownRef.current = null;
-    }
-    if (levelBannerTimeoutRef.current) {
-      clearTimeout(levelBannerTimeoutRef.current);
-      levelBannerTimeoutRef.current = null;
-    }
-
-    // Reset player
-    const canvas = canvasRef.current;
-    const W = (canvas && canvas.width) || 600;
-    playerRef.current = {
-      x: 100,
-      y: 250,
-      size: 30,
-      vy: 0,
-      gravity: 0.8,
-      jumpPower: -12,
-      grounded: true,
-      speed: 2.5,
-      maxX: W - 30,
-      minX: 0,
-      ceilingY: 10,
-    };
+  const boxRef = useRef(null);
 
-    // Reinit entities
-    initEntities();
+  // Reported once per mount; the parent shows it (e.g. as a toast)
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    if (CAMPAIGN_ERROR && onErrorRef.current) onErrorRef.current(CAMPAIGN_ERROR);
   }, []);
+  const isPlaytest = Boolean(playtest);
+  const isTwoPlayer = Boolean(twoPlayer);
+  const playerTwoKeys = isTwoPlayer ? playerTwoBindings(bindings) : null;
+  const engine = useMemo(
+    () =>
+      playtest
+        ? { createInitialState: (options) => createInitialState({ ...options, ...playtest }), step }
+        : ENGINE,
+    [playtest]
+  );
+
+  // Simulation state; replaced wholesale on every tick. The previous tick's
+  // state is kept for render interpolation.
+  const engineRef = useRef(null);
+  const prevEngineRef = useRef(null);
+  if (engineRef.current === null) {
+    engineRef.current = engine.createInitialState(runOptions(seed, challenge, twoPlayer, difficulty));
+  }
 
-  // Initialize clouds and stars
-  const initEntities = useCallback(() => {
+  // Per-tick input log of the current run, saved as a replay on game over
+  const recorderRef = useRef(null);
+  const newRecorder = useCallback(
+    () => createRecorder({ mode: "2d", seed: engineRef.current.seed, tickMs: FRAME_MS, challenge, difficulty }),
+    [challenge, difficulty]
+  );
+  if (recorderRef.current === null) recorderRef.current = newRecorder();
+
+  // Personal-best ghost of this course and the trajectory of the current run;
+  // replays, playtests and two-player runs race nobody
+  const ghostRef = useRef(null);
+  const ghostRecorderRef = useRef(null);
+  const startGhost = useCallback(() => {
+    if (replay || playtest || twoPlayer) return;
+    const key = ghostKey({ mode: "2d", seed: engineRef.current.seed, challenge, difficulty });
+    ghostRef.current = loadGhost(key);
+    ghostRecorderRef.current = createGhostRecorder(key, engineRef.current.seed);
+  }, [replay, playtest, twoPlayer, challenge, difficulty]);
+  if (ghostRecorderRef.current === null) startGhost();
+
+  // Cosmetic only; advanced with the simulation so pausing freezes it too
+  const particlesRef = useRef(null);
+  if (particlesRef.current === null) {
+    particlesRef.current = createParticleSystem({ level: lowEffects ? "low" : "full" });
+  }
+  useEffect(() => {
+    particlesRef.current.setLevel(lowEffects ? "low" : "full");
+  }, [lowEffects]);
+
+  // Screen mapping; the backing store is resized here and the loop reads the ref
+  const box = useElementSize(boxRef, WORLD_SIZE);
+  const viewport = useMemo(
+    () => computeViewport({ cssWidth: box.width, cssHeight: box.height, dpr: box.dpr, worldWidth: W, worldHeight: H }),
+    [box]
+  );
+  const viewportRef = useRef(viewport);
+  useEffect(() => {
+    viewportRef.current = viewport;
     const canvas = canvasRef.current;
     if (!canvas) return;
-    const W = canvas.width;
-
-    // Clouds
-    const clouds = [];
-    for (let i = 0; i < 8; i++) {
-      clouds.push({
-        x: i * 100,
-        y: 220 + Math.random() * 30,
-        w: 50,
-        h: 20,
-        speed: 0.5,
-      });
-    }
-    cloudsRef.current = clouds;
-
-    // Stars
-    const stars = [];
-    for (let i = 0; i < 10; i++) {
-      stars.push({
-        x: i * 80 + 100,
-        y: 100 + Math.random() * 100,
-        r: 5,
-        speed: 1.5,
-      });
-    }
-    starsRef.current = stars;
+    canvas.width = viewport.backingWidth;
+    canvas.height = viewport.backingHeight;
+  }, [viewport]);
 
-    // Storms start empty and spawn via AI
-    stormsRef.current = [];
+  // Final stats of a finished run, shown in the game-over panel
+  const [gameOverResult, setGameOverResult] = useState(null);
 
-    // Reset wind and flash
-    windForceRef.current = 0;
-    flashAlphaRef.current = 0;
-  }, []);
+  const isReplay = Boolean(replay);
+  const { advance: advanceReplay, controls: replayControls } = useReplayPlayback(replay, engine);
 
-  // Input handlers (keyboard)
+  // Read by the loop and input handlers; held input is dropped on pause since
+  // key releases may never arrive while the window is in the background
+  const pausedRef = useRef(paused);
   useEffect(() => {
-    const onKeyDown = (e) => {
-      if (
-        e.key === "ArrowUp" ||
-        e.key === "ArrowDown" ||
-        e.key === "ArrowLeft" ||
-        e.key === "ArrowRight"
-      ) {
-        e.preventDefault();
-        pressedRef.current.add(e.key);
-      }
+    pausedRef.current = paused;
+    if (paused) input.clear();
+    audio.setMusicPaused(paused);
+  }, [paused, input, audio]);
 
-      if (e.key === "r" || e.key === "R") {
-        // Restart when game over, or anytime per request
-        restartGame();
-        return;
-      }
+  // The second player's keys (see playerTwoBindings) are theirs for the run's lifetime
+  useEffect(() => {
+    input.setPlayerTwo(isTwoPlayer);
+    return () => input.setPlayerTwo(false);
+  }, [input, isTwoPlayer]);
 
-      const player = playerRef.current;
-      if (e.key === "ArrowUp") {
-        if (player.grounded) {
-          player.vy = player.jumpPower;
-          player.grounded = false;
-        } else {
-          player.vy += -0.8;
-        }
-      }
+  // Theme tokens and accessibility options for the loop, which reads them each frame
+  const themeRef = useRef(theme);
+  useEffect(() => {
+    themeRef.current = theme;
+  }, [theme]);
+  const a11yRef = useRef({ reducedMotion, safeShapes, highContrast });
+  useEffect(() => {
+    a11yRef.current = { reducedMotion, safeShapes, highContrast };
+  }, [reducedMotion, safeShapes, highContrast]);
 
-      if (e.key === "ArrowDown") {
-        const now = Date.now();
-        if (now - lastDownImpulseAtRef.current > 120) {
-          player.vy += 3.2;
-          lastDownImpulseAtRef.current = now;
-        }
-      }
-    };
+  // Turns each tick into screen-reader narration; restarted with the run
+  const narratorRef = useRef(null);
+  if (narratorRef.current === null) narratorRef.current = createNarrator({ stormNearby: stormNearby2d });
 
-    const onKeyUp = (e) => {
-      if (
-        e.key === "ArrowUp" ||
-        e.key === "ArrowDown" ||
-        e.key === "ArrowLeft" ||
-        e.key === "ArrowRight"
-      ) {
-        e.preventDefault();
-        if (pressedRef.current.has(e.key)) {
-          pressedRef.current.delete(e.key);
-        }
-      }
+  // Music for the run; restartGame retunes it for the fresh state
+  useEffect(() => {
+    audio.playMusic(musicCue(engineRef.current), engineRef.current.level);
+    return () => audio.stopMusic();
+  }, [audio]);
+
+  // Latest props without restarting the loop when the parent re-renders
+  const propsRef = useRef({
+    onStart,
+    onScore,
+    onLifeLost,
+    onLevelChange,
+    onGameOver,
+    onRestart,
+    onEvents,
+    onAnnounce,
+  });
+  useEffect(() => {
+    propsRef.current = {
+      onStart,
+      onScore,
+      onLifeLost,
+      onLevelChange,
+      onGameOver,
+      onRestart,
+      onEvents,
+      onAnnounce,
     };
+  }, [onStart, onScore, onLifeLost, onLevelChange, onGameOver, onRestart, onEvents, onAnnounce]);
 
-    window.addEventListener("keydown", onKeyDown, { passive: false });
-    window.addEventListener("keyup", onKeyUp, { passive: false });
+  const reportStart = useCallback(() => {
+    const { lives, level } = engineRef.current;
+    if (propsRef.current.onStart) propsRef.current.onStart({ mode: "2d", lives, level });
+  }, []);
+
+  useEffect(() => {
+    if (!isReplay) reportStart();
+  }, [isReplay, reportStart]);
 
+  // PUBLIC_INTERFACE
+  const restartGame = useCallback(() => {
+    engineRef.current = engine.createInitialState(runOptions(seed, challenge, twoPlayer, difficulty));
+    prevEngineRef.current = null;
+    particlesRef.current.clear();
+    narratorRef.current = createNarrator({ stormNearby: stormNearby2d });
+    recorderRef.current = newRecorder();
+    startGhost();
+    input.clear();
+    audio.playMusic(musicCue(engineRef.current), engineRef.current.level);
+    setGameOverResult(null);
+    if (propsRef.current.onRestart) propsRef.current.onRestart();
+    reportStart();
+  }, [seed, challenge, twoPlayer, difficulty, input, audio, engine, reportStart, startGhost, newRecorder]);
+
+  // Restart action; replays are watch-only. Presses made before this run
+  // started (menus, the previous run) must not leak into its first tick.
+  useEffect(() => {
+    input.clear();
+    if (isReplay) return undefined;
+    const unsubscribe = input.on((action) => {
+      if (action === "restart" && !pausedRef.current) restartGame();
+    });
     return () => {
-      window.removeEventListener("keydown", onKeyDown);
-      window.removeEventListener("keyup", onKeyUp);
+      unsubscribe();
+      input.clear();
     };
-  }, [restartGame]);
+  }, [input, restartGame, isReplay]);
 
-  // Touch controls (mobile-friendly)
+  // Touch controls (mobile-friendly), fed to the input manager as virtual buttons
   const touchAreaRef = useRef(null);
   useEffect(() => {
     const el = touchAreaRef.current;
-    if (!el) return;
-
-    let touchStartX = null;
+    if (!el || isReplay) return undefined;
 
     const onTouchStart = (e) => {
+      if (pausedRef.current) return;
       const rect = el.getBoundingClientRect();
-      const x = e.touches[0].clientX - rect.left;
-      const y = e.touches[0].clientY - rect.top;
-      touchStartX = x;
+      // Regions are in world space so letterboxing doesn't shift them
+      const { x, y } = screenToWorld(
+        viewportRef.current,
+        e.touches[0].clientX - rect.left,
+        e.touches[0].clientY - rect.top,
+        W,
+        H
+      );
 
       // simple regions: left/right halves for horizontal, top area for jump
-      const width = rect.width;
-      const height = rect.height;
-
-      if (y < height * 0.6) {
-        // jump
-        const player = playerRef.current;
-        if (player.grounded) {
-          player.vy = player.jumpPower;
-          player.grounded = false;
-        } else {
-          player.vy += -0.8;
-        }
+      if (y < H * 0.6) {
+        input.press("jump");
       } else {
-        if (x < width / 2) {
-          pressedRef.current.add("ArrowLeft");
-        } else {
-          pressedRef.current.add("ArrowRight");
-        }
+        input.press(x < W / 2 ? "moveLeft" : "moveRight");
       }
     };
 
-    const onTouchMove = (e) => {
-      // optional: could implement swipe down to dive
-      // for simplicity, ignore continuous changes here
-    };
-
     const onTouchEnd = () => {
-      pressedRef.current.delete("ArrowLeft");
-      pressedRef.current.delete("ArrowRight");
-      touchStartX = null;
+      input.release("jump");
+      input.release("moveLeft");
+      input.release("moveRight");
     };
 
     el.addEventListener("touchstart", onTouchStart, { passive: true });
-    el.addEventListener("touchmove", onTouchMove, { passive: true });
     el.addEventListener("touchend", onTouchEnd, { passive: true });
 
     return () => {
       el.removeEventListener("touchstart", onTouchStart);
-      el.removeEventListener("touchmove", onTouchMove);
       el.removeEventListener("touchend", onTouchEnd);
     };
-  }, []);
-
-  // Utility: collision checks
-  function rectCircleColliding(px, py, pw, ph, cx, cy, r) {
-    const closestX = Math.max(px, Math.min(cx, px + pw));
-    const closestY = Math.max(py, Math.min(cy, py + ph));
-    const dx = cx - closestX;
-    const dy = cy - closestY;
-    return dx * dx + dy * dy <= r * r;
-  }
-
-  function rectRectOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
-    return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
-  }
-
-  // AI computer control
-  const computerControl = useCallback(
-    (W) => {
-      // Spawn new storms occasionally; scale with level slightly
-      const maxStorms = Math.min(2 + Math.floor(level / 2), 5);
-      if (Math.random() < 0.01 && stormsRef.current.length < maxStorms) {
-        stormsRef.current.push({
-          x: W,
-          y: 80 + Math.random() * 120,
-          speed: 1.6 + Math.random() * 0.8 + level * 0.1,
-        });
-      }
-
-      // Random wind gusts
-      if (Math.random() < 0.002) {
-        windForceRef.current = (Math.random() - 0.5) * (2 + level * 0.2);
-        if (windTimeoutRef.current) clearTimeout(windTimeoutRef.current);
-        windTimeoutRef.current = setTimeout(() => {
-          windForceRef.current = 0;
-          windTimeoutRef.current = null;
-        }, 2000);
-      }
-    },
-    [level]
-  );
-
-  // Handle star collection
-  const handleStarCollisions = useCallback(
-    (W) => {
-      const player = playerRef.current;
-      const stars = starsRef.current;
-
-      for (let i = 0; i < stars.length; i++) {
-        const s = stars[i];
-        if (
-          rectCircleColliding(
-            player.x,
-            player.y,
-            player.size,
-            player.size,
-            s.x,
-            s.y,
-            s.r
-          )
-        ) {
-          // Update score and HUD
-          setScore((prev) => prev + 1);
-          setStarsCollected((prev) => prev + 1);
-          if (typeof onScore === "function") {
-            onScore(1);
-          }
-
-          // Flash effect
-          flashAlphaRef.current = 0.35;
-          if (flashTimeoutRef.current) clearTimeout(flashTimeoutRef.current);
-          flashTimeoutRef.current = setTimeout(() => {
-            flashAlphaRef.current = 0;
-            flashTimeoutRef.current = null;
-          }, 120);
-
-          // Respawn star
-          s.x = W + 40 + Math.random() * 200;
-          s.y = 80 + Math.random() * 200;
-        }
-      }
-    },
-    [onScore]
-  );
-
-  // Handle storm collisions (damage)
-  const handleStormCollisions = useCallback((W) => {
-    const player = playerRef.current;
-    const storms = stormsRef.current;
-
-    for (let i = 0; i < storms.length; i++) {
-      const st = storms[i];
-      // Storm visual approx: ellipse radius 40x20 -> bounding rect
-      const sx = st.x - 40;
-      const sy = st.y - 20;
-      const sw = 80;
-      const sh = 40;
-
-      if (
-        rectRectOverlap(player.x, player.y, player.size, player.size, sx, sy, sw, sh)
-      ) {
-        if (canTakeStormDamageRef.current) {
-          setLives((prev) => {
-            const next = prev - 1;
-            if (next <= 0) {
-              // Game over
-              setGameOver(true);
-            }
-            return next;
-          });
-
-          // brief i-frames
-          canTakeStormDamageRef.current = false;
-          stormHitCooldownRef.current = setTimeout(() => {
-            canTakeStormDamageRef.current = true;
-            stormHitCooldownRef.current = null;
-          }, 1000);
-        }
-
-        // push player slightly on hit
-        player.vy += -2;
-        player.x -= 2;
-      }
-    }
-  }, []);
-
-  // Level progression with banner animation
-  useEffect(() => {
-    if (starsCollected >= nextLevelAt && !gameOver) {
-      const newLevel = (lv) => lv + 1;
-      setLevel(newLevel);
-      setNextLevelAt((prev) => prev + 5);
-
-      // increase difficulty by slightly upping star speed and adding another star
-      const W = (canvasRef.current && canvasRef.current.width) || 600;
-      starsRef.current.forEach((s) => (s.speed += 0.2));
-      starsRef.current.push({
-        x: W + Math.random() * 120,
-        y: 80 + Math.random() * 200,
-        r: 5,
-        speed: 1.5 + (typeof newLevel === "function" ? 0 : 0), // maintain verbatim logic, no extra dependency
-      });
-
-      // level complete banner animation
-      setBannerText(`Level ${level + 1}!`);
-      setShowLevelBanner(true);
-      if (levelBannerTimeoutRef.current) {
-        clearTimeout(levelBannerTimeoutRef.current);
-      }
-      levelBannerTimeoutRef.current = setTimeout(() => {
-        setShowLevelBanner(false);
-        setBannerText("");
-        levelBannerTimeoutRef.current = null;
-      }, 1600);
-    }
-  }, [starsCollected, nextLevelAt, gameOver, level]);
+  }, [input, isReplay]);
 
   // Main game loop
   useEffect(() => {
@@ -435,94 +474,367 @@ export default function GameCanvas({ onScore }) {
     const ctx = canvas.getContext("2d");
     if (!ctx) return;
 
-    const W = canvas.width;
-    const H = canvas.height;
-    playerRef.current.maxX = W - playerRef.current.size;
+    // Theme tokens and accessibility options for the frame being drawn; set by render
+    let theme = themeRef.current;
+    let a11y = a11yRef.current;
+    let label = "";
 
     // Draw helpers
-    function drawBackground() {
+    // Where a parallax layer has scrolled to; it holds still under reduced motion
+    function layerOffset(state, layer) {
+      if (a11y.reducedMotion) return 0;
+      return parallaxOffset(PARALLAX_LAYERS[layer].rate, state.distance, SCENERY[layer].span);
+    }
+
+    function drawBackground(state, sky) {
+      // Authored levels keep their own sky, tinted by the theme; endless mode uses the theme's
+      const level = currentLevel(state);
+      const palette = level ? level.palette : theme;
       const grad = ctx.createLinearGradient(0, 0, 0, H);
-      grad.addColorStop(0, "#c0e8ff");
-      grad.addColorStop(1, "#f5f7ff");
+      grad.addColorStop(0, palette.skyTop);
+      grad.addColorStop(1, palette.skyBottom);
       ctx.fillStyle = grad;
       ctx.fillRect(0, 0, W, H);
+      if (level && theme.sceneDim > 0) {
+        ctx.fillStyle = withAlpha(theme.sceneTint, Math.min(1, theme.sceneDim));
+        ctx.fillRect(0, 0, W, H);
+      }
+
+      // Stars come out at night (always, under a dimming theme) and twinkle
+      const starAlpha = Math.max(theme.sceneDim > 0 ? 0.6 : 0, sky.starAlpha * 0.8);
+      if (starAlpha <= 0) return;
+      NIGHT_SKY.forEach((s) => {
+        const twinkle = a11y.reducedMotion ? 1 : 0.6 + 0.4 * Math.sin(state.time / 400 + s.twinkle);
+        ctx.fillStyle = withAlpha(theme.star, starAlpha * twinkle);
+        ctx.beginPath();
+        ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+        ctx.fill();
+      });
     }
 
-    function drawClouds() {
-      ctx.fillStyle = "#fff";
-      const clouds = cloudsRef.current;
-      clouds.forEach((c) => {
+    function drawScenery(state) {
+      // Distant mountains: one silhouette, drawn twice so the wrap is seamless
+      const { span, peaks } = SCENERY.mountains;
+      const mountainsAt = layerOffset(state, "mountains");
+      ctx.fillStyle = withAlpha(theme.storm, 0.3);
+      [0, span].forEach((shift) => {
+        const x0 = shift - mountainsAt;
         ctx.beginPath();
-        ctx.ellipse(c.x, c.y, c.w, c.h, 0, 0, Math.PI * 2);
+        ctx.moveTo(x0, H);
+        peaks.forEach((pk) => ctx.lineTo(x0 + pk.x, pk.y));
+        ctx.lineTo(x0 + span, peaks[0].y);
+        ctx.lineTo(x0 + span, H);
+        ctx.closePath();
+        ctx.fill();
+      });
+
+      // Far clouds: small and faint
+      const far = SCENERY.farClouds;
+      const farAt = layerOffset(state, "farClouds");
+      ctx.fillStyle = withAlpha(theme.cloud, 0.55);
+      far.puffs.forEach((c) => {
+        const x = ((c.x - farAt + far.span) % far.span) - c.w;
+        ctx.beginPath();
+        ctx.ellipse(x, c.y, c.w, c.h, 0, 0, Math.PI * 2);
         ctx.fill();
-        c.x -= c.speed;
-        if (c.x + c.w < 0) c.x = W + Math.random() * 200;
       });
     }
 
-    function drawStars() {
-      ctx.fillStyle = "#ffdf5d";
-      const stars = starsRef.current;
-      stars.forEach((s) => {
+    function drawClouds(state) {
+      // Near clouds (engine state): each a cluster of puffs, varied by index
+      ctx.fillStyle = theme.cloud;
+      state.clouds.forEach((c, i) => {
+        const k = 0.8 + (i % 3) * 0.15;
         ctx.beginPath();
-        ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+        ctx.ellipse(c.x, c.y, c.w * k, c.h * k, 0, 0, Math.PI * 2);
+        ctx.ellipse(c.x - c.w * 0.45 * k, c.y + c.h * 0.2, c.w * 0.5 * k, c.h * 0.8 * k, 0, 0, Math.PI * 2);
+        ctx.ellipse(c.x + c.w * 0.3 * k, c.y - c.h * 0.45 * k, c.w * 0.45 * k, c.h * 0.9 * k, 0, 0, Math.PI * 2);
         ctx.fill();
-        s.x -= s.speed;
-        if (s.x + s.r < 0) {
-          s.x = W + Math.random() * 200;
-          s.y = 80 + Math.random() * 200;
+      });
+    }
+
+    function drawHaze(state) {
+      // Foreground haze along the ground, drifting past faster than anything else
+      const { span, banks } = SCENERY.haze;
+      const at = layerOffset(state, "haze");
+      ctx.fillStyle = withAlpha(theme.cloud, 0.18);
+      banks.forEach((b) => {
+        const x = ((b.x - at + span) % span) - b.w;
+        ctx.beginPath();
+        ctx.ellipse(x, state.groundY + 4, b.w, b.h, 0, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+
+    function drawSkyTint(sky) {
+      // Time of day tints the whole scene under the HUD; never over high contrast colours
+      if (sky.tintAlpha <= 0 || a11y.highContrast) return;
+      ctx.fillStyle = withAlpha(sky.tint, sky.tintAlpha);
+      ctx.fillRect(0, 0, W, H);
+    }
+
+    function drawStars(state) {
+      ctx.fillStyle = theme.star;
+      state.stars.forEach((s) => {
+        if (a11y.safeShapes) {
+          starPath(ctx, s.x, s.y, s.r * 1.8);
+        } else {
+          ctx.beginPath();
+          ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        // Charged stars (boss fights) wear a ring, so they stand out by shape too
+        if (s.charged) {
+          ctx.save();
+          ctx.strokeStyle = theme.lightning;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(s.x, s.y, s.r + 5, 0, Math.PI * 2);
+          ctx.stroke();
+          ctx.restore();
         }
       });
     }
 
-    function drawPlayer() {
-      const p = playerRef.current;
-      ctx.fillStyle = "#ff7f7f";
+    // `ghost` draws the personal-best ghost instead: translucent and without
+    // power-ups, as is a downed player waiting for a co-op revive
+    function drawPlayer(state, p = state.player, { ghost = false, color = theme.player } = {}) {
+      const faded = ghost || p.down;
+      ctx.save();
+      if (faded) ctx.globalAlpha = GHOST_ALPHA;
+      ctx.fillStyle = color;
       ctx.fillRect(p.x, p.y, p.size, p.size);
+      ctx.restore();
+
+      if (!faded && state.active.shield > 0) {
+        ctx.save();
+        ctx.strokeStyle = POWER_UP_STYLE.shield.color;
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(p.x + p.size / 2, p.y + p.size / 2, p.size * 0.85, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
     }
 
-    function drawStorms() {
-      const storms = stormsRef.current;
-      storms.forEach((s) => {
+    function drawPowerUps(state) {
+      ctx.save();
+      ctx.font = "bold 12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      state.powerUps.forEach((pu) => {
+        const style = POWER_UP_STYLE[pu.kind];
+        ctx.fillStyle = style.color;
+        ctx.beginPath();
+        ctx.arc(pu.x, pu.y, pu.r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#fff";
+        ctx.fillText(style.glyph, pu.x, pu.y + 1);
+      });
+      ctx.restore();
+    }
+
+    // Lightning bolt zig-zagging down from (x, top) to the ground
+    function drawBolt(x, top, bottom, width) {
+      ctx.strokeStyle = theme.lightning;
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      for (let y = top + 20, i = 0; y < bottom; y += 20, i++) ctx.lineTo(x + (i % 2 === 0 ? 6 : -6), y);
+      ctx.lineTo(x, bottom);
+      ctx.stroke();
+    }
+
+    function drawStorms(state) {
+      state.storms.forEach((s) => {
+        const scale = s.scale || 1;
+        const rx = STORM_RADIUS.x * scale;
+        const ry = STORM_RADIUS.y * scale;
+
+        // Striker: a faint column while it charges the bolt, then the bolt itself
+        if (s.bolt) {
+          const column = strikeColumn(s, state.groundY);
+          ctx.save();
+          if (s.bolt.phase === "warn") {
+            // Blinks as a warning, unless motion is reduced
+            const blink = a11y.reducedMotion || Math.floor(s.bolt.remaining / 100) % 2 === 0;
+            ctx.fillStyle = withAlpha(theme.lightning, blink ? 0.35 : 0.15);
+            ctx.fillRect(column.x, column.y, column.w, column.h);
+            ctx.setLineDash([6, 6]);
+            ctx.strokeStyle = withAlpha(theme.storm, 0.6);
+            ctx.lineWidth = 1;
+            ctx.strokeRect(column.x, column.y, column.w, column.h);
+          } else {
+            drawBolt(s.x, column.y, column.y + column.h, 4);
+          }
+          ctx.restore();
+        }
+
         // cloud
-        ctx.fillStyle = "#777";
+        ctx.fillStyle = theme.storm;
         ctx.beginPath();
-        ctx.ellipse(s.x, s.y, 40, 20, 0, 0, Math.PI * 2);
+        ctx.ellipse(s.x, s.y, rx, ry, 0, 0, Math.PI * 2);
         ctx.fill();
 
-        // lightning flash effect
-        if (Math.random() < 0.01) {
-          ctx.strokeStyle = "#ffef88";
-          ctx.lineWidth = 2;
+        // Saw-tooth underside: storms read as storms without relying on colour
+        if (a11y.safeShapes) {
           ctx.beginPath();
-          ctx.moveTo(s.x, s.y);
-          ctx.lineTo(s.x + (Math.random() * 20 - 10), s.y + 50);
+          ctx.moveTo(s.x - rx * 0.8, s.y + ry * 0.4);
+          for (let i = 0; i < 8; i++) ctx.lineTo(s.x - rx * 0.7 + i * rx * 0.2, s.y + ry * (i % 2 === 0 ? 1.3 : 0.6));
+          ctx.lineTo(s.x + rx * 0.8, s.y + ry * 0.4);
+          ctx.fill();
+        }
+
+        // Chaser: eyes that look at the player it is homing on
+        if (s.kind === "chaser") {
+          const target = chaserTarget(s, [state.player, state.player2].filter((p) => p && !p.down));
+          const look = target ? Math.max(-2, Math.min(2, (target.y + target.size / 2 - s.y) / 20)) : 0;
+          [-12, 12].forEach((dx) => {
+            ctx.fillStyle = "#ffffff";
+            ctx.beginPath();
+            ctx.arc(s.x + dx, s.y - 2, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = "#111827";
+            ctx.beginPath();
+            ctx.arc(s.x + dx - 2, s.y - 2 + look, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+          });
+        }
+
+        // Splitter: a crack down the middle that glows as the split nears
+        if (s.kind === "splitter") {
+          const near = Math.max(0, 1 - (s.x - s.splitAt) / SPLITTER.warnDistance);
+          ctx.strokeStyle = near > 0 ? withAlpha(theme.lightning, 0.4 + near * 0.6) : withAlpha("#000000", 0.3);
+          ctx.lineWidth = 2 + near * 2;
+          ctx.beginPath();
+          ctx.moveTo(s.x, s.y - ry);
+          ctx.lineTo(s.x - 4, s.y - ry / 3);
+          ctx.lineTo(s.x + 4, s.y + ry / 3);
+          ctx.lineTo(s.x, s.y + ry);
           ctx.stroke();
         }
+      });
+    }
+
+    // Boss storm (see game/boss): a giant cloud with its weak point hanging
+    // below and a health bar, each attack telegraphed before it lands
+    function drawBoss(state) {
+      const boss = state.boss;
+      if (!boss) return;
+      const { rx, ry, weakPoint, boltWidth } = BOSS_SHAPE;
+      const attack = boss.attack;
+      const warning = (kind) => attack && attack.kind === kind && attack.phase === "warn";
+      ctx.save();
+
+      // Volley: marked columns while it warns, then the bolts
+      if (attack && attack.kind === "volley") {
+        boss.bolts.forEach((bx) => {
+          if (attack.phase === "active") {
+            drawBolt(bx, 0, state.groundY, 5);
+            return;
+          }
+          ctx.fillStyle = withAlpha(theme.lightning, 0.3);
+          ctx.fillRect(bx - boltWidth / 2, 0, boltWidth, state.groundY);
+          ctx.setLineDash([6, 6]);
+          ctx.strokeStyle = withAlpha(theme.storm, 0.6);
+          ctx.lineWidth = 1;
+          ctx.strokeRect(bx - boltWidth / 2, 0, boltWidth, state.groundY);
+          ctx.setLineDash([]);
+        });
+      }
+
+      // Summon: two small clouds budding off the front
+      if (warning("summon")) {
+        ctx.fillStyle = withAlpha(theme.storm, 0.6);
+        [-1, 1].forEach((dir) => {
+          ctx.beginPath();
+          ctx.ellipse(boss.x - rx, boss.y + dir * 30, 24, 12, 0, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+
+      // Cloud: swells while it winds up a blast, flashes when hit
+      const swell = warning("blast") ? 1.1 : 1;
+      ctx.fillStyle = boss.hit > 0 && !a11y.reducedMotion ? theme.lightning : theme.storm;
+      ctx.beginPath();
+      ctx.ellipse(boss.x, boss.y, rx * swell, ry * swell, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "#ffffff";
+      [-28, 28].forEach((dx) => {
+        ctx.beginPath();
+        ctx.moveTo(boss.x + dx - 12, boss.y - 8 + (dx < 0 ? -4 : 4));
+        ctx.lineTo(boss.x + dx + 12, boss.y - 8 + (dx < 0 ? 4 : -4));
+        ctx.lineTo(boss.x + dx, boss.y + 4);
+        ctx.fill();
+      });
+
+      // Weak point: the glowing core charged stars zap
+      ctx.fillStyle = theme.lightning;
+      ctx.strokeStyle = theme.storm;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(boss.x + weakPoint.dx, boss.y + weakPoint.dy, weakPoint.r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      // Health bar, top centre
+      const barW = 200;
+      const barX = W / 2 - barW / 2;
+      ctx.fillStyle = withAlpha(theme.text, 0.2);
+      ctx.fillRect(barX, 44, barW, 10);
+      ctx.fillStyle = "#EF4444";
+      ctx.fillRect(barX, 44, (barW * boss.health) / boss.maxHealth, 10);
+      ctx.fillStyle = theme.text;
+      ctx.font = "bold 12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillText(`Boss storm ${boss.health}/${boss.maxHealth}`, W / 2, 68);
+      ctx.restore();
+    }
 
-        s.x -= s.speed;
-        if (s.x + 40 < 0) s.x = W + Math.random() * 200;
+    function drawParticles() {
+      ctx.save();
+      particlesRef.current.forEach((p) => {
+        ctx.globalAlpha = Math.min(1, (p.life / p.maxLife) * 1.5);
+        ctx.fillStyle = p.color;
+        ctx.strokeStyle = p.color;
+        if (p.shape === "line") {
+          ctx.lineWidth = p.size;
+          ctx.beginPath();
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(p.x - p.vx * 4, p.y - p.vy * 4);
+          ctx.stroke();
+        } else if (p.shape === "rect") {
+          ctx.save();
+          ctx.translate(p.x, p.y);
+          ctx.rotate(p.angle);
+          ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+          ctx.restore();
+        } else {
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+          ctx.fill();
+        }
       });
+      ctx.restore();
     }
 
-    function drawFlashOverlay() {
-      const alpha = flashAlphaRef.current;
-      if (alpha > 0) {
+    function drawFlashOverlay(state) {
+      const alpha = state.flash.alpha;
+      if (alpha > 0 && !a11y.reducedMotion) {
         ctx.fillStyle = `rgba(245, 158, 11, ${alpha})`;
         ctx.fillRect(0, 0, W, H);
-        flashAlphaRef.current = Math.max(0, alpha - 0.04);
       }
     }
 
-    function drawHUD() {
+    function drawHUD(state) {
       ctx.save();
       ctx.font = "bold 14px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.fillStyle = "#111827";
+      ctx.fillStyle = theme.text;
 
-      const pill = (text, x, y, colorBg, colorText = "#111827") => {
+      const pill = (text, x, y, colorBg, colorText = theme.text) => {
         ctx.font = "bold 14px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
         const paddingX = 10;
-        const paddingY = 6;
         const tm = ctx.measureText(text);
         const w = tm.width + paddingX * 2;
         const h = 24;
@@ -545,29 +857,57 @@ export default function GameCanvas({ onScore }) {
         ctx.fillText(text, x + paddingX, y + h - 7);
       };
 
-      pill(`Score: ${score}`, 12, 10, "rgba(37,99,235,0.08)", "#2563EB");
-      pill(`Level: ${level}`, 120, 10, "rgba(245,158,11,0.12)", "#F59E0B");
-      pill(`Lives: ${lives}`, 220, 10, "rgba(17,24,39,0.08)", "#111827");
+      pill(`Score: ${state.score}`, 12, 10, withAlpha(theme.primary, 0.08), theme.primary);
+      pill(`Level: ${state.level}`, 120, 10, withAlpha(theme.secondary, 0.12), theme.secondary);
+      if (state.player2) {
+        // Per-player score and lives in each player's colour
+        [
+          [state.player, theme.player],
+          [state.player2, PLAYER_TWO_COLOR],
+        ].forEach(([p, color], i) => {
+          const text = p.down ? `P${p.id} down` : `P${p.id}: ${p.score} • ${p.lives} ♥`;
+          pill(text, 220 + i * 110, 10, withAlpha(color, 0.12), color);
+        });
+      } else {
+        pill(`Lives: ${state.lives}`, 220, 10, withAlpha(theme.text, 0.08), theme.text);
+      }
+
+      const ghost = ghostRef.current;
+      if (ghost) {
+        const delta = state.score - ghostScore(ghost, state.tick);
+        const color = delta < 0 ? GHOST_BEHIND : GHOST_AHEAD;
+        pill(`Best ${delta < 0 ? "−" : "+"}${Math.abs(delta)}`, 310, 10, withAlpha(color, 0.12), color);
+      }
+
+      // Active power-ups on a second row, counting down in whole seconds
+      let x = 12;
+      Object.keys(POWER_UP_STYLE).forEach((kind) => {
+        const remaining = state.active[kind];
+        if (!remaining) return;
+        const style = POWER_UP_STYLE[kind];
+        pill(`${style.label} ${Math.ceil(remaining / 1000)}s`, x, 40, withAlpha(theme.surface, 0.85), style.color);
+        x += 100;
+      });
 
       ctx.restore();
     }
 
-    function drawLevelBanner() {
-      if (!showLevelBanner || !bannerText) return;
+    function drawLevelBanner(state) {
+      const { text, remaining } = state.banner;
+      if (!text) return;
       ctx.save();
       // slide/fade style
-      const t = Date.now() % 1600;
-      const progress = Math.min(1, (t % 800) / 800);
-      const y = 60 - Math.sin(progress * Math.PI) * 10;
+      const progress = Math.min(1, ((1600 - remaining) % 800) / 800);
+      const y = a11y.reducedMotion ? 60 : 60 - Math.sin(progress * Math.PI) * 10;
 
       ctx.font = "bold 22px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      const tm = ctx.measureText(bannerText);
+      const tm = ctx.measureText(text);
       const w = tm.width + 24;
       const h = 34;
       const x = W / 2 - w / 2;
 
       // background pill
-      ctx.fillStyle = "rgba(37,99,235,0.9)";
+      ctx.fillStyle = withAlpha(theme.primary, 0.9);
       ctx.beginPath();
       const r = 16;
       ctx.moveTo(x + r, y);
@@ -583,12 +923,14 @@ export default function GameCanvas({ onScore }) {
 
       // text
       ctx.fillStyle = "#fff";
-      ctx.fillText(bannerText, x + 12, y + h - 9);
+      ctx.fillText(text, x + 12, y + h - 9);
 
       ctx.restore();
     }
 
+    // Live runs show the DOM game-over panel instead; replays and playtests label their last frame
     function drawGameOver() {
+      if (!isReplay && !isPlaytest) return;
       ctx.save();
       ctx.fillStyle = "rgba(0,0,0,0.35)";
       ctx.fillRect(0, 0, W, H);
@@ -600,196 +942,299 @@ export default function GameCanvas({ onScore }) {
       ctx.fillText(title, W / 2 - tm.width / 2, H / 2 - 10);
 
       ctx.font = "bold 16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      const tip = "Press R or Tap Restart";
+      const tip = isReplay ? "End of replay" : "Playtest over • Restart to try again";
       const tm2 = ctx.measureText(tip);
       ctx.fillText(tip, W / 2 - tm2.width / 2, H / 2 + 20);
 
       ctx.restore();
     }
 
-    // Ensure entities exist (initial mount or after restart)
-    if (starsRef.current.length === 0 && cloudsRef.current.length === 0) {
-      initEntities();
-    }
-
-    const update = () => {
-      ctx.clearRect(0, 0, W, H);
-      drawBackground();
-
-      // Draw/update world
-      computerControl(W);
-      drawClouds();
-      drawStars();
-      drawStorms();
-
-      const player = playerRef.current;
-
-      // Player movement
-      const pressed = pressedRef.current;
-      if (pressed.has("ArrowLeft")) player.x -= player.speed;
-      if (pressed.has("ArrowRight")) player.x += player.speed;
+    // Jump/dive are presses since the last tick; quantized exactly as the
+    // recorder stores it so the replay reproduces this tick
+    const readInput = () => {
+      const { left, right, jump, dive, axis } = input.sample();
+      const tickInput = normalizeInput({ left, right, jump, dive, axis });
+      return isTwoPlayer ? { ...tickInput, player2: normalizeInput(input.samplePlayerTwo()) } : tickInput;
+    };
 
-      // Clamp X
-      if (player.x < player.minX) player.x = player.minX;
-      if (player.x > player.maxX) player.x = player.maxX;
+    const playSounds = (state, events) => {
+      events.forEach((ev) => {
+        const sfx = sfxForEvent(ev);
+        if (sfx) audio.play(sfx);
+        if (ev.type === "levelUp") audio.playMusic(musicCue(state), state.level);
+        if (ev.type === "gameOver") audio.stopMusic();
+      });
+    };
 
-      // Physics: gravity + wind
-      player.vy += player.gravity;
-      player.y += player.vy;
-      player.x += windForceRef.current;
+    const spawnEffects = (prev, state, events) => {
+      const particles = particlesRef.current;
+      // Two-player events name their player (1 or 2)
+      const playerOf = (ev) => (ev.player === 2 ? state.player2 : state.player);
+      events.forEach((ev) => {
+        if (ev.type === "star") particles.emit("sparkle", ev.x, ev.y);
+        if (ev.type === "stormHit") {
+          const p = playerOf(ev);
+          particles.emit("debris", p.x + p.size / 2, p.y + p.size / 2);
+        }
+        // Behind the level banner, which is drawn after the particles
+        if (ev.type === "levelUp") particles.emit("confetti", W / 2, 76);
+      });
+      ["player", "player2"].forEach((key) => {
+        const p = state[key];
+        if (p && prev && prev[key] && !prev[key].grounded && p.grounded) {
+          particles.emit("dust", p.x + p.size / 2, p.y + p.size);
+        }
+      });
+      const { force } = state.wind;
+      if (force !== 0 && !state.gameOver) {
+        const strength = Math.min(1, Math.abs(force) / 2);
+        if (Math.random() < 0.5 * strength) {
+          particles.emit("windStreak", force > 0 ? -10 : W + 10, Math.random() * H * 0.85, {
+            force: Math.sign(force) * (0.5 + strength / 2),
+          });
+        }
+      }
+      particles.update(FRAME_MS);
+    };
 
-      // Clamp X after wind
-      if (player.x < player.minX) player.x = player.minX;
-      if (player.x > player.maxX) player.x = player.maxX;
+    const narrate = (state, events) => {
+      const { onAnnounce: announce } = propsRef.current;
+      const said = narratorRef.current.tick(state, events);
+      if (said.length > 0 && typeof announce === "function") announce(said.join(". "));
+    };
 
-      // Ceiling
-      if (player.y < player.ceilingY) {
-        player.y = player.ceilingY;
-        if (player.vy < 0) player.vy = 0;
+    const playTick = () => {
+      const tickInput = readInput();
+      const { onGameOver: ended } = propsRef.current;
+      const wasOver = engineRef.current.gameOver;
+      const { state, events } = step(engineRef.current, tickInput, FRAME_MS);
+      engineRef.current = state;
+      if (!wasOver) {
+        recorderRef.current.record(tickInput);
+        if (ghostRecorderRef.current) ghostRecorderRef.current.record(state);
       }
+      playSounds(state, events);
+      spawnEffects(prevEngineRef.current, state, events);
+      reportRunEvents(events, propsRef.current);
+      narrate(state, events);
+
+      events.forEach((ev) => {
+        if (ev.type === "shieldBlock") {
+          input.rumble(0.3, 120);
+        }
+        if (ev.type === "stormHit") {
+          input.rumble(ev.lives > 0 ? 0.6 : 1, ev.lives > 0 ? 180 : 400);
+        }
+        if (ev.type === "gameOver") {
+          const result = {
+            score: ev.score,
+            level: ev.level,
+            stars: ev.stars,
+            durationMs: ev.durationMs,
+            difficulty: difficultyLabel(state.difficulty),
+          };
+          if (state.player2) {
+            result.players = [state.player.score, state.player2.score];
+            if (state.twoPlayer === "versus") result.winner = ev.winner;
+          }
+          if (!isPlaytest && !isTwoPlayer) saveReplay(recorderRef.current.finish({ score: ev.score, level: ev.level }));
+          if (ghostRecorderRef.current) saveGhostIfBest(ghostRecorderRef.current.finish());
+          setGameOverResult(result);
+          if (typeof ended === "function") ended(result);
+        }
+      });
+    };
 
-      // Ground
-      if (player.y + player.size > 280) {
-        player.y = 280 - player.size;
-        player.vy = 0;
-        player.grounded = true;
+    const tick = () => {
+      prevEngineRef.current = engineRef.current;
+      if (isReplay) {
+        const { state, events } = advanceReplay();
+        engineRef.current = state;
+        playSounds(state, events);
+        spawnEffects(prevEngineRef.current, state, events);
+        narrate(state, events);
       } else {
-        player.grounded = false;
+        playTick();
       }
+    };
+
+    const render = (alpha) => {
+      const state = interpolate(prevEngineRef.current, engineRef.current, alpha);
+      theme = themeRef.current;
+      a11y = a11yRef.current;
 
-      // Collisions
-      if (!gameOver) {
-        handleStarCollisions(W);
-        handleStormCollisions(W);
+      const nextLabel = canvasLabel(engineRef.current);
+      if (nextLabel !== label) {
+        label = nextLabel;
+        canvas.setAttribute("aria-label", label);
       }
 
-      // Draw player
-      drawPlayer();
+      // Letterbox bars show the canvas background; the world is clipped to its box
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(...worldTransform(viewportRef.current));
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, W, H);
+      ctx.clip();
+
+      const sky = skyAt(state.time);
+      drawBackground(state, sky);
+      drawScenery(state);
+      drawClouds(state);
+      drawStars(state);
+      drawBoss(state);
+      drawStorms(state);
+      drawPowerUps(state);
+      const ghost = ghostRef.current && ghostPosition(ghostRef.current, state.tick - 1 + alpha);
+      if (ghost) drawPlayer(state, { ...state.player, ...ghost }, { ghost: true });
+      if (state.player2) drawPlayer(state, state.player2, { color: PLAYER_TWO_COLOR });
+      drawPlayer(state);
+      drawParticles();
+      drawHaze(state);
+      drawSkyTint(sky);
 
       // HUD and overlays
-      drawFlashOverlay();
-      drawHUD();
-      drawLevelBanner();
+      drawFlashOverlay(state);
+      drawHUD(state);
+      drawLevelBanner(state);
 
-      if (gameOver) {
+      if (state.gameOver) {
         drawGameOver();
       }
-
-      rafRef.current = requestAnimationFrame(update);
+      ctx.restore();
     };
 
-    update();
+    // One loop for the component's lifetime; everything it needs is read from refs
+    const loop = createFixedLoop({
+      tickMs: FRAME_MS,
+      onTick: tick,
+      onRender: render,
+      isPaused: () => pausedRef.current,
+    });
+    loop.start();
 
-    return () => {
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-    };
-  }, [
-    gameOver,
-    score,
-    level,
-    lives,
-    showLevelBanner,
-    bannerText,
-    initEntities,
-    computerControl,
-    handleStarCollisions,
-    handleStormCollisions,
-  ]);
-
-  // Cleanup for timers on unmount
-  useEffect(() => {
-    return () => {
-      if (windTimeoutRef.current) {
-        clearTimeout(windTimeoutRef.current);
-        windTimeoutRef.current = null;
-      }
-      if (flashTimeoutRef.current) {
-        clearTimeout(flashTimeoutRef.current);
-        flashTimeoutRef.current = null;
-      }
-      if (stormHitCooldownRef.current) {
-        clearTimeout(stormHitCooldownRef.current);
-        stormHitCooldownRef.current = null;
-      }
-      if (levelBannerTimeoutRef.current) {
-        clearTimeout(levelBannerTimeoutRef.current);
-        levelBannerTimeoutRef.current = null;
-      }
-      pressedRef.current.clear();
-      starsRef.current = [];
-      cloudsRef.current = [];
-      stormsRef.current = [];
-    };
-  }, []);
+    return () => loop.stop();
+  }, [isReplay, isPlaytest, isTwoPlayer, advanceReplay, input, audio]);
 
   // PUBLIC_INTERFACE
   return (
-    <div style={{ position: "relative", width: 600 }}>
-      <div
-        ref={touchAreaRef}
-        style={{
-          position: "absolute",
-          inset: 0,
-          zIndex: 2,
-          touchAction: "manipulation",
-        }}
-        aria-hidden="true"
-      />
-      <canvas
-        ref={canvasRef}
-        width={600}
-        height={330}
-        style={{
-          display: "block",
-          borderRadius: 12,
-          boxShadow: "0 10px 25px rgba(0,0,0,0.08)",
-          background: "#f5f7ff",
-        }}
-        aria-label="Dream Dash Game Canvas"
-        role="img"
-      />
-      {/* Simple on-canvas HUD is drawn via context; bottom-left hint */}
+    <div style={{ width: "100%" }}>
       <div
-        aria-live="polite"
-        style={{
-          position: "absolute",
-          left: 8,
-          bottom: 8,
-          color: "#2563EB",
-          background: "rgba(37,99,235,0.06)",
-          padding: "6px 8px",
-          borderRadius: 8,
-          fontSize: 12,
-          fontWeight: 600,
-          zIndex: 3,
-        }}
+        ref={boxRef}
+        style={{ position: "relative", width: "100%", aspectRatio: `${W} / ${H}`, maxHeight: "75vh" }}
       >
-        Arrows to move • R to restart
+        <div
+          ref={touchAreaRef}
+          style={{
+            position: "absolute",
+            inset: 0,
+            zIndex: 2,
+            touchAction: "manipulation",
+          }}
+          aria-hidden="true"
+        />
+        <canvas
+          ref={canvasRef}
+          width={W}
+          height={H}
+          style={{
+            display: "block",
+            width: "100%",
+            height: "100%",
+            borderRadius: 12,
+            boxShadow: "0 10px 25px rgba(0,0,0,0.08)",
+            background: theme.skyBottom,
+          }}
+          aria-label={canvasLabel(engineRef.current)}
+          role="img"
+        />
+        {/* Simple on-canvas HUD is drawn via context; bottom-left hint */}
+        <div
+          aria-live="polite"
+          style={{
+            position: "absolute",
+            left: 8,
+            bottom: 8,
+            color: theme.primary,
+            background: withAlpha(theme.primary, 0.06),
+            padding: "6px 8px",
+            borderRadius: 8,
+            fontSize: 12,
+            fontWeight: 600,
+            zIndex: 3,
+          }}
+        >
+          {isReplay ? `Replay • seed ${replay.seed}` : controlsHint(bindings)}
+          {playerTwoKeys && ` • P2: ${playerTwoHint(playerTwoKeys)}`}
+          {!isReplay && ghostRef.current && ` • Racing your best: ${ghostRef.current.score}`}
+        </div>
+
+        {gameOverResult && !isReplay && !isPlaytest && (
+          <GameOverPanel
+            mode="2d"
+            result={gameOverResult}
+            onRestart={restartGame}
+            highScores={!challenge && !isTwoPlayer}
+            restartKeys={actionKeysHint(bindings, "restart")}
+            theme={theme}
+          />
+        )}
+
+        {/* Restart button overlay for touch devices */}
+        {!isReplay && (
+          <button
+            onClick={restartGame}
+            style={{
+              position: "absolute",
+              right: 8,
+              bottom: 8,
+              background: theme.primary,
+              color: "#fff",
+              border: "none",
+              borderRadius: 8,
+              padding: "8px 12px",
+              fontSize: 12,
+              fontWeight: 700,
+              boxShadow: `0 6px 16px ${withAlpha(theme.primary, 0.35)}`,
+              cursor: "pointer",
+              zIndex: 3,
+            }}
+            aria-label="Restart game"
+            type="button"
+          >
+            Restart
+          </button>
+        )}
       </div>
 
-      {/* Restart button overlay for touch devices */}
-      <button
-        onClick={restartGame}
-        style={{
-          position: "absolute",
-          right: 8,
-          bottom: 8,
-          background: "#2563EB",
-          color: "#fff",
-          border: "none",
-          borderRadius: 8,
-          padding: "8px 12px",
-          fontSize: 12,
-          fontWeight: 700,
-          boxShadow: "0 6px 16px rgba(37,99,235,0.35)",
-          cursor: "pointer",
-          zIndex: 3,
-        }}
-        aria-label="Restart game"
-        type="button"
-      >
-        Restart
-      </button>
+      {isReplay && (
+        <ReplayControls {...replayControls} tickMs={replay.tickMs} onExit={onExitReplay} theme={theme} />
+      )}
+
+      {isPlaytest && (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 8, fontSize: 12 }}>
+          <span style={{ fontWeight: 700, color: theme.primary }}>
+            Playtest • level {playtest.startLevel} from {(playtest.startTime / 1000).toFixed(1)}s
+          </span>
+          <button
+            type="button"
+            onClick={onExitPlaytest}
+            style={{
+              background: withAlpha(theme.primary, 0.12),
+              color: theme.primary,
+              border: "none",
+              borderRadius: 8,
+              padding: "6px 10px",
+              fontSize: 12,
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            Back to editor
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import HighScoreTable from "./HighScoreTable";
+import { BUILT_IN_THEMES } from "../theme/themes";
+import { addHighScore, lastInitials, loadHighScores, qualifiesForHighScore } from "../game/highScores";
+
+/**
+ * PUBLIC_INTERFACE
+ * GameOverPanel
+ * Game-over overlay shared by both modes. When the run makes the `mode` top-10
+ * it first asks for initials, then shows the table with the new entry marked.
+ * `result` is { score, level, stars, durationMs } from the engine's gameOver event.
+ * Runs under different rules (e.g. a Daily Dash) pass `highScores={false}` and
+ * get just the result and a restart button. Two-player results also carry
+ * `players` (each player's score) and, in versus, the `winner` (1, 2 or null for a draw).
+ * `restartKeys` names the keys bound to restart (see actionKeysHint in input/bindings).
+ */
+export default function GameOverPanel({
+  mode,
+  result,
+  onRestart,
+  highScores = true,
+  restartKeys = "R",
+  theme = BUILT_IN_THEMES.light.tokens,
+}) {
+  const [qualifies] = useState(() => highScores && qualifiesForHighScore(mode, result.score));
+  const [initials, setInitials] = useState(() => lastInitials());
+  const [saved, setSaved] = useState(null);
+  const [table, setTable] = useState(() => loadHighScores(mode));
+
+  const submit = (e) => {
+    e.preventDefault();
+    const name = initials.trim() || "???";
+    const out = addHighScore(mode, { ...result, initials: name });
+    setTable(out.table);
+    setSaved(out);
+  };
+
+  const button = {
+    background: theme.primary,
+    color: theme.surface,
+    border: "none",
+    borderRadius: 8,
+    padding: "8px 12px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  const entering = qualifies && !saved;
+  let title = "Game Over";
+  if (result.winner !== undefined) title = result.winner ? `Player ${result.winner} wins!` : "Draw!";
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Game over"
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(0,0,0,0.35)",
+        borderRadius: 12,
+        zIndex: 4,
+        pointerEvents: "auto",
+      }}
+    >
+      <div
+        style={{
+          minWidth: 360,
+          maxHeight: "90%",
+          overflowY: "auto",
+          padding: 16,
+          borderRadius: 12,
+          background: theme.surface,
+          color: theme.text,
+          boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+          textAlign: "center",
+        }}
+      >
+        <div style={{ fontSize: 24, fontWeight: 800 }}>{title}</div>
+        <div style={{ fontSize: 14, margin: "4px 0 12px" }}>
+          Score {result.score} • Level {result.level}
+          {result.difficulty && ` • ${result.difficulty}`}
+          {result.players && result.players.map((score, i) => ` • P${i + 1} ${score}`).join("")}
+        </div>
+
+        {entering ? (
+          <form onSubmit={submit} style={{ display: "flex", gap: 8, justifyContent: "center", alignItems: "center" }}>
+            <label htmlFor={`initials-${mode}`} style={{ fontSize: 13, fontWeight: 700 }}>
+              New high score! Your initials
+            </label>
+            <input
+              id={`initials-${mode}`}
+              autoFocus
+              value={initials}
+              maxLength={3}
+              onChange={(e) => setInitials(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ""))}
+              style={{ width: 56, textAlign: "center", fontSize: 16, fontWeight: 800, letterSpacing: 2 }}
+            />
+            <button type="submit" style={button}>
+              Save
+            </button>
+          </form>
+        ) : (
+          <>
+            {highScores && <HighScoreTable entries={table} highlight={saved ? saved.rank : -1} />}
+            <div style={{ marginTop: 12, display: "flex", gap: 8, justifyContent: "center", alignItems: "center" }}>
+              {restartKeys && <span style={{ fontSize: 12, opacity: 0.7 }}>Press {restartKeys} or</span>}
+              <button type="button" style={button} onClick={onRestart}>
+                Restart
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+
+function formatDuration(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * HighScoreTable
+ * Renders a mode's top-10 list; the row at `highlight` (rank index) is emphasised.
+ */
+export default function HighScoreTable({ entries, highlight = -1 }) {
+  if (entries.length === 0) {
+    return <div style={{ fontSize: 13, opacity: 0.8 }}>No high scores yet.</div>;
+  }
+
+  const cell = { padding: "2px 6px", textAlign: "right" };
+
+  return (
+    <table aria-label="High scores" style={{ borderCollapse: "collapse", fontSize: 13, width: "100%" }}>
+      <thead>
+        <tr style={{ opacity: 0.7 }}>
+          <th style={cell}>#</th>
+          <th style={{ ...cell, textAlign: "left" }}>Name</th>
+          <th style={cell}>Score</th>
+          <th style={cell}>Level</th>
+          <th style={cell}>Stars</th>
+          <th style={cell}>Time</th>
+          <th style={{ ...cell, textAlign: "left" }}>Difficulty</th>
+          <th style={cell}>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((e, i) => (
+          <tr
+            key={`${e.date}-${i}`}
+            style={i === highlight ? { background: "rgba(245,158,11,0.25)", fontWeight: 800 } : undefined}
+          >
+            <td style={cell}>{i + 1}</td>
+            <td style={{ ...cell, textAlign: "left" }}>{e.initials}</td>
+            <td style={cell}>{e.score}</td>
+            <td style={cell}>{e.level}</td>
+            <td style={cell}>{e.stars}</td>
+            <td style={cell}>{formatDuration(e.durationMs)}</td>
+            <td style={{ ...cell, textAlign: "left" }}>{e.difficulty}</td>
+            <td style={cell}>{new Date(e.date).toLocaleDateString()}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  DEFAULT_BINDINGS,
+  PRESETS,
+  keyLabel,
+  matchPreset,
+  rebindKey,
+} from "../input/bindings";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+const PRESET_LABELS = { arrows: "Arrows", wasd: "WASD", both: "Arrows + WASD" };
+
+/**
+ * PUBLIC_INTERFACE
+ * KeyBindings
+ * Rebinding table for the Controls settings section. Each action has a
+ * primary and a secondary key; clicking a slot waits for the next key press
+ * (Escape cancels). Controlled: changes go out through `onChange(bindings)`.
+ */
+export default function KeyBindings({ bindings, onChange, theme = BUILT_IN_THEMES.light.tokens }) {
+  // { action, slot } while waiting for a key, otherwise null
+  const [listening, setListening] = useState(null);
+
+  // Captured before the input manager sees it, so the key binds instead of
+  // also pausing or steering the game behind the dialog
+  useEffect(() => {
+    if (!listening) return undefined;
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.key !== "Escape") onChange(rebindKey(bindings, listening.action, listening.slot, e.key));
+      setListening(null);
+    };
+    window.addEventListener("keydown", onKey, { capture: true });
+    return () => window.removeEventListener("keydown", onKey, { capture: true });
+  }, [listening, bindings, onChange]);
+
+  const preset = matchPreset(bindings);
+
+  const chip = (active) => ({
+    background: active ? theme.primary : withAlpha(theme.primary, 0.12),
+    color: active ? theme.surface : theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "4px 8px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  });
+
+  const keyButton = (active) => ({
+    minWidth: 72,
+    background: active ? withAlpha(theme.secondary, 0.25) : withAlpha(theme.text, 0.06),
+    color: theme.text,
+    border: `1px solid ${active ? theme.secondary : withAlpha(theme.text, 0.08)}`,
+    borderRadius: 6,
+    padding: "4px 8px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, marginBottom: 8 }}>
+        <span>Preset:</span>
+        {Object.keys(PRESETS).map((name) => (
+          <button
+            key={name}
+            type="button"
+            style={chip(preset === name)}
+            aria-pressed={preset === name}
+            onClick={() => onChange(PRESETS[name])}
+          >
+            {PRESET_LABELS[name]}
+          </button>
+        ))}
+        {preset === "custom" && <span style={{ color: theme.muted, fontSize: 12 }}>Custom</span>}
+      </div>
+
+      <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+        <tbody>
+          {ACTIONS.map((action) => (
+            <tr key={action}>
+              <td style={{ padding: "3px 12px 3px 0" }}>{ACTION_LABELS[action]}</td>
+              {[0, 1].map((slot) => {
+                const active = listening && listening.action === action && listening.slot === slot;
+                const key = bindings[action][slot];
+                return (
+                  <td key={slot} style={{ padding: "3px 4px" }}>
+                    <button
+                      type="button"
+                      style={keyButton(active)}
+                      aria-label={`${ACTION_LABELS[action]} ${slot === 0 ? "primary" : "secondary"} key: ${
+                        key ? keyLabel(key) : "unbound"
+                      }`}
+                      onClick={() => setListening(active ? null : { action, slot })}
+                    >
+                      {active ? "Press a key…" : keyLabel(key)}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        type="button"
+        style={{ ...chip(false), marginTop: 8 }}
+        onClick={() => {
+          setListening(null);
+          onChange(DEFAULT_BINDINGS);
+        }}
+      >
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
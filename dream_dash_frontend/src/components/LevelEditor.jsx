@@ -0,0 +1,571 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import campaignData from "../levels/campaign.json";
+import { DEFAULT_PALETTE, parseCampaign } from "../game/levels";
+import { FRAME_MS } from "../game/engine2d";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+import { isTextEntryTarget } from "../input/inputManager";
+import { createHistory, pushHistory, redo, undo } from "../editor/history";
+import {
+  GRID,
+  MS_TO_PX,
+  WIND_LANE,
+  addEntity,
+  entityAt,
+  getEntity,
+  levelLength,
+  newCampaign,
+  newLevel,
+  removeEntity,
+  snap,
+  timeToX,
+  updateEntity,
+  updateLevelFields,
+  xToTime,
+} from "../editor/editorModel";
+
+const DRAFT_KEY = "dreamDash.levelDraft";
+const VIEW = { width: 600, height: 330 };
+const TOOLS = [
+  { id: "select", label: "Select" },
+  { id: "star", label: "★ Star" },
+  { id: "storm", label: "☁ Storm" },
+  { id: "wind", label: "≋ Wind" },
+];
+
+// Last autosaved draft (possibly mid-edit and invalid), else the bundled
+// campaign with its defaults filled in, else a blank one
+function loadDraft() {
+  try {
+    const raw = window.localStorage.getItem(DRAFT_KEY);
+    const draft = raw ? JSON.parse(raw) : null;
+    if (draft && Array.isArray(draft.levels) && draft.levels.length) return draft;
+  } catch (e) {
+    // Fall through to the bundled campaign
+  }
+  try {
+    return parseCampaign(campaignData);
+  } catch (e) {
+    return newCampaign();
+  }
+}
+
+function saveDraft(campaign) {
+  try {
+    window.localStorage.setItem(DRAFT_KEY, JSON.stringify(campaign));
+  } catch (e) {
+    // The draft is a convenience; export is the real save
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * LevelEditor
+ * Designer view for the 2D level format (game/levels). The world view is a
+ * timeline: time runs left to right and the view scrolls through the level.
+ * - Tools place star and storm waves or wind zones; Select drags them
+ * - Snap to grid (GRID.ms along time, GRID.y vertically), undo/redo with
+ *   Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), Delete removes the selection
+ * - "Play from here" calls `onPlaytest({ levels, startLevel, startTime })`
+ *   with the validated campaign, starting at the left edge of the view
+ * - Import/export of the campaign JSON; the working copy autosaves locally
+ * `active` is false while a playtest runs so editor shortcuts stay quiet.
+ */
+export default function LevelEditor({ onPlaytest, onClose, active = true, theme = BUILT_IN_THEMES.light.tokens }) {
+  const canvasRef = useRef(null);
+  const fileRef = useRef(null);
+  const [history, setHistory] = useState(() => createHistory(loadDraft()));
+  const [levelIndex, setLevelIndex] = useState(0);
+  const [selection, setSelection] = useState(null);
+  const [tool, setTool] = useState("select");
+  const [snapOn, setSnapOn] = useState(true);
+  const [viewStart, setViewStart] = useState(0);
+  const [error, setError] = useState("");
+  // While dragging: { selection, grab: { t, y }, origin: { at, y }, preview }
+  const [drag, setDrag] = useState(null);
+
+  const campaign = drag ? drag.preview : history.present;
+  const level = campaign.levels[levelIndex] || campaign.levels[0];
+  const selected = getEntity(campaign, levelIndex, selection);
+
+  // Typing into a text field (`mergeKey`) undoes as one step, not letter by letter
+  const commit = useCallback((next, mergeKey) => setHistory((h) => pushHistory(h, next, mergeKey)), []);
+
+  useEffect(() => {
+    saveDraft(history.present);
+  }, [history.present]);
+
+  // Keep the level index and selection valid across undo/redo
+  useEffect(() => {
+    if (levelIndex >= history.present.levels.length) setLevelIndex(history.present.levels.length - 1);
+  }, [history.present, levelIndex]);
+
+  useEffect(() => {
+    if (selection && !getEntity(history.present, levelIndex, selection)) setSelection(null);
+  }, [history.present, levelIndex, selection]);
+
+  // Editor shortcuts
+  useEffect(() => {
+    if (!active) return undefined;
+    const onKey = (e) => {
+      if (isTextEntryTarget(e)) return;
+      const mod = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      if (mod && key === "z") {
+        e.preventDefault();
+        setHistory((h) => (e.shiftKey ? redo(h) : undo(h)));
+      } else if (mod && key === "y") {
+        e.preventDefault();
+        setHistory(redo);
+      } else if ((e.key === "Delete" || e.key === "Backspace") && selection) {
+        e.preventDefault();
+        commit(removeEntity(history.present, levelIndex, selection));
+        setSelection(null);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [active, selection, history.present, levelIndex, commit]);
+
+  // Timeline drawing
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext("2d");
+    if (!ctx) return;
+    const { width: W, height: H } = VIEW;
+    const palette = { ...DEFAULT_PALETTE, ...(level.palette || {}) };
+
+    const grad = ctx.createLinearGradient(0, 0, 0, H);
+    grad.addColorStop(0, palette.skyTop);
+    grad.addColorStop(1, palette.skyBottom);
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, W, H);
+
+    // Grid: faint snap lines, stronger line and label every second
+    const firstLine = Math.ceil(viewStart / GRID.ms) * GRID.ms;
+    ctx.font = "11px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    for (let t = firstLine; timeToX(t, viewStart) <= W; t += GRID.ms) {
+      const x = timeToX(t, viewStart);
+      const major = t % 1000 === 0;
+      if (!major && !snapOn) continue;
+      ctx.fillStyle = major ? "rgba(17,24,39,0.18)" : "rgba(17,24,39,0.06)";
+      ctx.fillRect(x, 0, 1, H);
+      if (major) {
+        ctx.fillStyle = "rgba(17,24,39,0.55)";
+        ctx.fillText(`${t / 1000}s`, x + 3, H - 6);
+      }
+    }
+
+    // Wind lane
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.fillRect(0, WIND_LANE.y, W, WIND_LANE.height);
+    (level.wind || []).forEach((w, i) => {
+      const x0 = timeToX(w.at, viewStart);
+      const x1 = timeToX(w.at + w.durationMs, viewStart);
+      const isSelected = selection && selection.list === "wind" && selection.index === i;
+      ctx.fillStyle = w.force >= 0 ? "rgba(37,99,235,0.35)" : "rgba(245,158,11,0.45)";
+      ctx.fillRect(x0, WIND_LANE.y + 3, x1 - x0, WIND_LANE.height - 6);
+      ctx.fillStyle = "#111827";
+      ctx.fillText(`${w.force >= 0 ? "→" : "←"} ${w.force}`, x0 + 4, WIND_LANE.y + 16);
+      if (isSelected) {
+        ctx.strokeStyle = "#111827";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x0, WIND_LANE.y + 3, x1 - x0, WIND_LANE.height - 6);
+      }
+    });
+
+    // Waves; extra entities in a wave follow the leader by `spacing` px of travel
+    (level.waves || []).forEach((w, i) => {
+      const x = timeToX(w.at, viewStart);
+      const followMs = ((w.spacing ?? 80) / w.speed) * FRAME_MS;
+      for (let n = (w.count || 1) - 1; n >= 0; n--) {
+        const cx = x + n * followMs * MS_TO_PX;
+        ctx.globalAlpha = n === 0 ? 1 : 0.35;
+        if (w.kind === "storm") {
+          ctx.fillStyle = "#777";
+          ctx.beginPath();
+          ctx.ellipse(cx, w.y, 24, 12, 0, 0, Math.PI * 2);
+          ctx.fill();
+        } else {
+          ctx.fillStyle = "#f5b800";
+          ctx.beginPath();
+          ctx.arc(cx, w.y, 7, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+      ctx.globalAlpha = 1;
+      if (selection && selection.list === "waves" && selection.index === i) {
+        ctx.strokeStyle = "#2563EB";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, w.y, w.kind === "storm" ? 28 : 12, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    });
+  }, [level, viewStart, selection, snapOn]);
+
+  const toView = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * VIEW.width) / rect.width,
+      y: ((e.clientY - rect.top) * VIEW.height) / rect.height,
+    };
+  };
+
+  const onPointerDown = (e) => {
+    const { x, y } = toView(e);
+    const t = xToTime(x, viewStart);
+
+    if (tool !== "select") {
+      const at = snap(t, GRID.ms, snapOn);
+      const placeY = Math.min(VIEW.height - 20, Math.max(WIND_LANE.height + 10, snap(y, GRID.y, snapOn)));
+      const out = addEntity(history.present, levelIndex, tool, at, placeY);
+      commit(out.campaign);
+      setSelection(out.selection);
+      return;
+    }
+
+    const hit = entityAt(level, x, y, viewStart);
+    setSelection(hit);
+    if (!hit) return;
+    const entity = getEntity(history.present, levelIndex, hit);
+    e.currentTarget.setPointerCapture && e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ selection: hit, grab: { t, y }, origin: { at: entity.at, y: entity.y }, preview: history.present });
+  };
+
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const { x, y } = toView(e);
+    const t = xToTime(x, viewStart);
+    const patch = { at: Math.max(0, snap(drag.origin.at + t - drag.grab.t, GRID.ms, snapOn)) };
+    if (drag.selection.list === "waves") {
+      const movedY = snap(drag.origin.y + y - drag.grab.y, GRID.y, snapOn);
+      patch.y = Math.min(VIEW.height - 20, Math.max(WIND_LANE.height + 10, movedY));
+    }
+    setDrag({ ...drag, preview: updateEntity(history.present, levelIndex, drag.selection, patch) });
+  };
+
+  // A whole drag is one undo step
+  const onPointerUp = () => {
+    if (!drag) return;
+    commit(drag.preview);
+    setDrag(null);
+  };
+
+  const editSelected = (patch) => commit(updateEntity(history.present, levelIndex, selection, patch));
+  const editLevel = (patch, mergeKey) => commit(updateLevelFields(history.present, levelIndex, patch), mergeKey);
+
+  const addLevel = () => {
+    const levels = [...history.present.levels, newLevel(history.present.levels.length + 1)];
+    commit({ ...history.present, levels });
+    setLevelIndex(levels.length - 1);
+    setViewStart(0);
+  };
+
+  const deleteLevel = () => {
+    if (history.present.levels.length <= 1) return;
+    commit({ ...history.present, levels: history.present.levels.filter((_, i) => i !== levelIndex) });
+    setLevelIndex(Math.max(0, levelIndex - 1));
+  };
+
+  // Validates with the same loader the game uses, so errors read the same
+  const validated = () => {
+    try {
+      const parsed = parseCampaign(history.present);
+      setError("");
+      return parsed;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const playFromHere = () => {
+    const parsed = validated();
+    if (parsed) onPlaytest({ levels: parsed.levels, startLevel: levelIndex + 1, startTime: Math.round(viewStart) });
+  };
+
+  const exportCampaign = () => {
+    if (!validated()) return;
+    const blob = new Blob([JSON.stringify(history.present, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${history.present.name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "campaign"}.levels.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importCampaign = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      commit(parseCampaign(await file.text()));
+      setLevelIndex(0);
+      setSelection(null);
+      setViewStart(0);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const small = (on = false) => ({
+    background: on ? theme.primary : withAlpha(theme.primary, 0.12),
+    color: on ? theme.surface : theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "4px 8px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  });
+  const field = { display: "flex", alignItems: "center", gap: 6, fontSize: 12 };
+  const numberInput = { width: 64, fontSize: 12 };
+
+  const numberField = (label, value, onChange, props = {}) => (
+    <label style={field}>
+      {label}
+      <input
+        type="number"
+        style={numberInput}
+        value={value}
+        onChange={(e) => e.target.value !== "" && onChange(Number(e.target.value))}
+        {...props}
+      />
+    </label>
+  );
+
+  const scrollMax = Math.max(levelLength(level) + 5000, 10000);
+
+  return (
+    <div role="region" aria-label="Level editor" style={{ width: VIEW.width, color: theme.text, textAlign: "left" }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+        <input
+          aria-label="Campaign name"
+          value={history.present.name}
+          onChange={(e) => commit({ ...history.present, name: e.target.value }, "campaign-name")}
+          style={{ fontWeight: 800, fontSize: 15, border: "none", background: "transparent", width: 220 }}
+        />
+        <div style={{ display: "flex", gap: 6 }}>
+          <button type="button" style={small()} onClick={() => fileRef.current && fileRef.current.click()}>
+            Import…
+          </button>
+          <button type="button" style={small()} onClick={exportCampaign}>
+            Export
+          </button>
+          <button type="button" style={small(true)} onClick={playFromHere}>
+            ▶ Play from here
+          </button>
+          <button type="button" style={small()} onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importCampaign} hidden />
+      </div>
+
+      {error && (
+        <div role="alert" style={{ color: "#b91c1c", fontSize: 12, marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8, flexWrap: "wrap" }}>
+        <select
+          aria-label="Level"
+          value={levelIndex}
+          onChange={(e) => {
+            setLevelIndex(Number(e.target.value));
+            setSelection(null);
+            setViewStart(0);
+          }}
+          style={{ fontSize: 12 }}
+        >
+          {history.present.levels.map((l, i) => (
+            <option key={i} value={i}>
+              {i + 1}. {l.name}
+            </option>
+          ))}
+        </select>
+        <button type="button" style={small()} onClick={addLevel}>
+          + Level
+        </button>
+        <button type="button" style={small()} onClick={deleteLevel} disabled={history.present.levels.length <= 1}>
+          Delete level
+        </button>
+        <span style={{ flex: 1 }} />
+        <button type="button" style={small()} onClick={() => setHistory(undo)} disabled={!history.past.length}>
+          Undo
+        </button>
+        <button type="button" style={small()} onClick={() => setHistory(redo)} disabled={!history.future.length}>
+          Redo
+        </button>
+      </div>
+
+      <div role="toolbar" aria-label="Editor tools" style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8 }}>
+        {TOOLS.map((t) => (
+          <button key={t.id} type="button" style={small(tool === t.id)} aria-pressed={tool === t.id} onClick={() => setTool(t.id)}>
+            {t.label}
+          </button>
+        ))}
+        <label style={{ ...field, marginLeft: 8 }}>
+          <input type="checkbox" checked={snapOn} onChange={(e) => setSnapOn(e.target.checked)} />
+          Snap to grid
+        </label>
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        width={VIEW.width}
+        height={VIEW.height}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onWheel={(e) => setViewStart((v) => Math.min(scrollMax, Math.max(0, v + (e.deltaX || e.deltaY) / MS_TO_PX / 4)))}
+        style={{
+          display: "block",
+          borderRadius: 12,
+          boxShadow: "0 10px 25px rgba(0,0,0,0.08)",
+          cursor: tool === "select" ? "default" : "crosshair",
+          touchAction: "none",
+        }}
+        aria-label="Level timeline"
+        role="img"
+      />
+      <input
+        type="range"
+        aria-label="Scroll timeline"
+        min={0}
+        max={scrollMax}
+        step={GRID.ms}
+        value={viewStart}
+        onChange={(e) => setViewStart(Number(e.target.value))}
+        style={{ width: "100%", margin: "6px 0" }}
+      />
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        <div style={{ display: "grid", gap: 6, alignContent: "start" }}>
+          <strong style={{ fontSize: 13, color: theme.primary }}>Level</strong>
+          <label style={field}>
+            Name
+            <input
+              value={level.name}
+              onChange={(e) => editLevel({ name: e.target.value }, `level-name:${levelIndex}`)}
+              style={{ fontSize: 12 }}
+            />
+          </label>
+          <label style={field}>
+            Win
+            <select
+              value={level.win.type}
+              onChange={(e) =>
+                editLevel({ win: e.target.value === "stars" ? { type: "stars", count: 5 } : { type: "survive", ms: 20000 } })
+              }
+              style={{ fontSize: 12 }}
+            >
+              <option value="stars">Collect stars</option>
+              <option value="survive">Survive</option>
+            </select>
+            {level.win.type === "stars" ? (
+              <input
+                type="number"
+                aria-label="Stars to collect"
+                min={1}
+                style={numberInput}
+                value={level.win.count}
+                onChange={(e) => e.target.value && editLevel({ win: { type: "stars", count: Number(e.target.value) } })}
+              />
+            ) : (
+              <input
+                type="number"
+                aria-label="Seconds to survive"
+                min={1}
+                style={numberInput}
+                value={level.win.ms / 1000}
+                onChange={(e) => e.target.value && editLevel({ win: { type: "survive", ms: Number(e.target.value) * 1000 } })}
+              />
+            )}
+          </label>
+          <label style={field}>
+            Music
+            <input
+              value={level.music || ""}
+              onChange={(e) => editLevel({ music: e.target.value }, `level-music:${levelIndex}`)}
+              style={{ fontSize: 12 }}
+            />
+          </label>
+          <label style={field}>
+            Sky
+            <input
+              type="color"
+              aria-label="Sky top colour"
+              value={(level.palette && level.palette.skyTop) || DEFAULT_PALETTE.skyTop}
+              onChange={(e) =>
+                editLevel(
+                  { palette: { ...DEFAULT_PALETTE, ...level.palette, skyTop: e.target.value } },
+                  `level-sky-top:${levelIndex}`
+                )
+              }
+            />
+            <input
+              type="color"
+              aria-label="Sky bottom colour"
+              value={(level.palette && level.palette.skyBottom) || DEFAULT_PALETTE.skyBottom}
+              onChange={(e) =>
+                editLevel(
+                  { palette: { ...DEFAULT_PALETTE, ...level.palette, skyBottom: e.target.value } },
+                  `level-sky-bottom:${levelIndex}`
+                )
+              }
+            />
+          </label>
+          <label style={field}>
+            <input
+              type="checkbox"
+              checked={Boolean(level.randomStorms)}
+              onChange={(e) => editLevel({ randomStorms: e.target.checked })}
+            />
+            Random storms too
+          </label>
+        </div>
+
+        <div style={{ display: "grid", gap: 6, alignContent: "start" }}>
+          <strong style={{ fontSize: 13, color: theme.primary }}>Selection</strong>
+          {!selected ? (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              Pick a tool and click the timeline to place it, or select something to edit.
+            </div>
+          ) : (
+            <>
+              {numberField("At (ms)", selected.at, (v) => editSelected({ at: Math.max(0, v) }), { step: GRID.ms })}
+              {selection.list === "waves" ? (
+                <>
+                  {numberField("Y", selected.y, (v) => editSelected({ y: v }), { step: GRID.y })}
+                  {numberField("Speed", selected.speed, (v) => editSelected({ speed: v }), { step: 0.1 })}
+                  {numberField("Count", selected.count, (v) => editSelected({ count: v }), { min: 1 })}
+                  {numberField("Spacing", selected.spacing, (v) => editSelected({ spacing: v }), { step: 10 })}
+                </>
+              ) : (
+                <>
+                  {numberField("Force", selected.force, (v) => editSelected({ force: v }), { step: 0.1 })}
+                  {numberField("Duration (ms)", selected.durationMs, (v) => editSelected({ durationMs: v }), { step: GRID.ms })}
+                </>
+              )}
+              <button
+                type="button"
+                style={{ ...small(), justifySelf: "start" }}
+                onClick={() => {
+                  commit(removeEntity(history.present, levelIndex, selection));
+                  setSelection(null);
+                }}
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React from "react";
+import { DIFFICULTY_PRESETS } from "../game/difficulty";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * MainMenu
+ * Title screen shown before a run and after quitting from the pause menu.
+ * `onPlayTwo(rules)` starts a local two-player 2D run ("coop" or "versus").
+ * `difficulty` is the selected preset id (see game/difficulty); picking another
+ * reports it through `onDifficulty(id)`. Custom values and assists live in Settings.
+ * `raceBest` is the score of the personal-best 2D ghost at this difficulty, if
+ * any; `onRace()` starts a 2D run on its course to race it.
+ */
+export default function MainMenu({
+  onPlay,
+  onPlayTwo,
+  onDaily,
+  onReplays,
+  onTrophies,
+  onSettings,
+  onEditor,
+  onRace,
+  raceBest = null,
+  difficulty = "normal",
+  onDifficulty,
+  theme = BUILT_IN_THEMES.light.tokens,
+}) {
+  const button = {
+    background: withAlpha(theme.primary, 0.12),
+    color: theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "12px 20px",
+    fontSize: 15,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      role="menu"
+      aria-label="Main menu"
+      style={{ display: "grid", gap: 10, minWidth: 280, padding: 24, textAlign: "center" }}
+    >
+      <div style={{ fontSize: 28, fontWeight: 800, color: theme.text }}>Dream Dash</div>
+      <div style={{ fontSize: 14, color: theme.muted, marginBottom: 8 }}>
+        Collect stars, dodge storms, ride the wind.
+      </div>
+      <label style={{ fontSize: 14, fontWeight: 700, color: theme.text }}>
+        Difficulty{" "}
+        <select value={difficulty} onChange={(e) => onDifficulty(e.target.value)}>
+          {Object.entries(DIFFICULTY_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>
+              {preset.label}
+            </option>
+          ))}
+          <option value="custom">Custom</option>
+        </select>
+      </label>
+      <button
+        role="menuitem"
+        type="button"
+        style={{ ...button, background: theme.primary, color: theme.surface }}
+        onClick={() => onPlay(false)}
+      >
+        Play 2D
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={() => onPlay(true)}>
+        Play 3D (Beta)
+      </button>
+      {raceBest !== null && (
+        <button role="menuitem" type="button" style={button} onClick={onRace}>
+          Race your best ({raceBest})
+        </button>
+      )}
+      <button role="menuitem" type="button" style={button} onClick={() => onPlayTwo("coop")}>
+        2 Players: Co-op
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={() => onPlayTwo("versus")}>
+        2 Players: Versus
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={onDaily}>
+        Daily Dash
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={onReplays}>
+        Replays
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={onTrophies}>
+        Trophy Room
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={onEditor}>
+        Level Editor
+      </button>
+      <button role="menuitem" type="button" style={button} onClick={onSettings}>
+        Settings
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef } from "react";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+import { DEFAULT_BINDINGS, actionKeysHint } from "../input/bindings";
+
+/**
+ * PUBLIC_INTERFACE
+ * PauseMenu
+ * Overlay shown over the game card while a run is paused.
+ * Offers resume, restart, settings and quit-to-menu; focus starts on Resume.
+ * The resume hint names the keys bound to pause in `bindings`.
+ */
+export default function PauseMenu({
+  onResume,
+  onRestart,
+  onSettings,
+  onQuit,
+  bindings = DEFAULT_BINDINGS,
+  theme = BUILT_IN_THEMES.light.tokens,
+}) {
+  const resumeRef = useRef(null);
+  const pauseKeys = actionKeysHint(bindings, "pause");
+
+  useEffect(() => {
+    if (resumeRef.current) resumeRef.current.focus();
+  }, []);
+
+  const item = {
+    width: "100%",
+    background: withAlpha(theme.primary, 0.12),
+    color: theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "10px 16px",
+    fontSize: 14,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Game paused"
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(2,8,23,0.45)",
+        borderRadius: 16,
+        zIndex: 10,
+      }}
+    >
+      <div
+        style={{
+          display: "grid",
+          gap: 8,
+          minWidth: 220,
+          padding: 20,
+          borderRadius: 12,
+          background: theme.surface,
+          boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+        }}
+      >
+        <strong style={{ color: theme.text, fontSize: 18, marginBottom: 4 }}>Paused</strong>
+        <button
+          ref={resumeRef}
+          type="button"
+          style={{ ...item, background: theme.primary, color: theme.surface }}
+          onClick={onResume}
+        >
+          Resume
+        </button>
+        <button type="button" style={item} onClick={onRestart}>
+          Restart
+        </button>
+        <button type="button" style={item} onClick={onSettings}>
+          Settings
+        </button>
+        <button type="button" style={item} onClick={onQuit}>
+          Quit to menu
+        </button>
+        {pauseKeys && <span style={{ fontSize: 12, color: theme.muted }}>{pauseKeys} to resume</span>}
+      </div>
+    </div>
+  );
+}
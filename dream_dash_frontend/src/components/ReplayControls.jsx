@@ -0,0 +1,89 @@
+import React from "react";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ReplayControls
+ * Transport bar for watch-only replays: play/pause, 1x/2x/4x speed, a scrub
+ * slider over the recorded ticks, and an exit button. Purely presentational;
+ * state comes from useReplayPlayback's `controls`.
+ */
+export default function ReplayControls({
+  playing,
+  speed,
+  speeds,
+  tick,
+  length,
+  tickMs,
+  onTogglePlay,
+  onSpeed,
+  onSeek,
+  onExit,
+  theme = BUILT_IN_THEMES.light.tokens,
+}) {
+  const seconds = (t) => Math.floor((t * tickMs) / 1000);
+
+  const button = {
+    background: theme.primary,
+    color: theme.surface,
+    border: "none",
+    borderRadius: 8,
+    padding: "6px 10px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Replay controls"
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: 8,
+        marginTop: 8,
+        padding: "8px 10px",
+        borderRadius: 12,
+        background: withAlpha(theme.primary, 0.06),
+        fontSize: 12,
+        fontWeight: 600,
+        color: theme.primary,
+      }}
+    >
+      <button type="button" style={button} onClick={onTogglePlay} aria-label={playing ? "Pause replay" : "Play replay"}>
+        {playing ? "Pause" : "Play"}
+      </button>
+      {speeds.map((s) => (
+        <button
+          key={s}
+          type="button"
+          onClick={() => onSpeed(s)}
+          aria-pressed={speed === s}
+          style={{
+            ...button,
+            background: speed === s ? theme.primary : withAlpha(theme.primary, 0.12),
+            color: speed === s ? theme.surface : theme.primary,
+          }}
+        >
+          {s}x
+        </button>
+      ))}
+      <input
+        type="range"
+        min={0}
+        max={length}
+        value={tick}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        aria-label="Replay position"
+        style={{ flex: 1 }}
+      />
+      <span style={{ minWidth: 64 }}>
+        {seconds(tick)}s / {seconds(length)}s
+      </span>
+      <button type="button" style={{ ...button, background: theme.text }} onClick={onExit}>
+        Exit replay
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from "react";
+import { parseReplay } from "../game/replay";
+import { deleteReplay, loadReplays, saveReplay } from "../game/replayStore";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ReplayLibrary
+ * Panel listing saved replays with Watch / Export / Delete actions, plus
+ * importing a replay file (e.g. one attached to a bug ticket).
+ * Calls `onWatch(replay)` to start playback and `onClose()` to dismiss.
+ */
+export default function ReplayLibrary({ onWatch, onClose, theme = BUILT_IN_THEMES.light.tokens }) {
+  const [replays, setReplays] = useState(() => loadReplays());
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const exportReplay = (replay) => {
+    const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `dream-dash-${replay.mode}-${replay.seed}.replay.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importReplay = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const replay = parseReplay(await file.text());
+      saveReplay(replay);
+      setReplays(loadReplays());
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = (id) => {
+    deleteReplay(id);
+    setReplays(loadReplays());
+  };
+
+  const small = {
+    background: withAlpha(theme.primary, 0.12),
+    color: theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "4px 8px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Replays"
+      style={{
+        minWidth: 420,
+        padding: 16,
+        borderRadius: 12,
+        background: theme.surface,
+        boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+        color: theme.text,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+        <strong>Replays</strong>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button type="button" style={small} onClick={() => fileRef.current && fileRef.current.click()}>
+            Import…
+          </button>
+          <button type="button" style={small} onClick={onClose} aria-label="Close replays">
+            Close
+          </button>
+        </div>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importReplay} hidden />
+      </div>
+
+      {error && (
+        <div role="alert" style={{ color: "#b91c1c", fontSize: 12, marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {replays.length === 0 ? (
+        <div style={{ fontSize: 13, opacity: 0.7 }}>No replays yet. Finish a run to record one.</div>
+      ) : (
+        <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 6 }}>
+          {replays.map((r) => (
+            <li key={r.id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+              <span style={{ fontWeight: 700, width: 28 }}>{r.mode.toUpperCase()}</span>
+              <span style={{ flex: 1 }}>
+                Score {r.score ?? "?"} • Level {r.level ?? "?"} • {new Date(r.createdAt).toLocaleString()}
+              </span>
+              <button type="button" style={small} onClick={() => onWatch(r)}>
+                Watch
+              </button>
+              <button type="button" style={small} onClick={() => exportReplay(r)}>
+                Export
+              </button>
+              <button type="button" style={small} onClick={() => remove(r.id)} aria-label="Delete replay">
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
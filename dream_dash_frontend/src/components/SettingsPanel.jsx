@@ -0,0 +1,280 @@
+import React, { useRef, useState } from "react";
+import KeyBindings from "./KeyBindings";
+import { sanitizeBindings } from "../input/bindings";
+import {
+  BUILT_IN_THEMES,
+  exportThemeJson,
+  findTheme,
+  parseThemeJson,
+  sanitizeCustomThemes,
+  withAlpha,
+} from "../theme/themes";
+import { ASSISTS, CUSTOM_RANGES, DIFFICULTY_PRESETS } from "../game/difficulty";
+
+/**
+ * PUBLIC_INTERFACE
+ * SettingsPanel
+ * Dialog for user settings (see settings/settingsStore). Controlled: every
+ * change is reported through `onChange(nextSettings)`; the caller persists it.
+ * Custom themes are imported from and exported to JSON files (see theme/themes).
+ * Difficulty is a preset or custom values plus assists (see game/difficulty).
+ */
+export default function SettingsPanel({ settings, onChange, onClose, theme = BUILT_IN_THEMES.light.tokens }) {
+  const [themeError, setThemeError] = useState("");
+  const themeFileRef = useRef(null);
+
+  const update = (section, patch) => {
+    onChange({ ...settings, [section]: { ...settings[section], ...patch } });
+  };
+
+  const customThemes = sanitizeCustomThemes(settings.appearance.customThemes);
+  const themeId = settings.appearance.theme;
+  const isCustomTheme = customThemes.some((t) => `custom:${t.name}` === themeId);
+
+  // An imported theme replaces a saved one with the same name and is selected
+  const importTheme = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const theme = parseThemeJson(await file.text());
+      update("appearance", {
+        theme: `custom:${theme.name}`,
+        customThemes: [...customThemes.filter((t) => t.name !== theme.name), theme],
+      });
+      setThemeError("");
+    } catch (err) {
+      setThemeError(err.message);
+    }
+  };
+
+  const exportTheme = () => {
+    const theme = findTheme(themeId, customThemes);
+    const blob = new Blob([exportThemeJson(theme)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "theme"}.theme.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const deleteTheme = () => {
+    const theme = findTheme(themeId, customThemes);
+    update("appearance", { theme: theme.base, customThemes: customThemes.filter((t) => t.name !== theme.name) });
+  };
+
+  const sectionTitle = { fontSize: 13, fontWeight: 800, color: theme.primary, margin: "12px 0 6px" };
+  const row = { display: "flex", alignItems: "center", gap: 8, fontSize: 14 };
+  const volumeRow = { ...row, justifyContent: "space-between", marginBottom: 4 };
+  const small = {
+    background: withAlpha(theme.primary, 0.12),
+    color: theme.primary,
+    border: "none",
+    borderRadius: 8,
+    padding: "4px 8px",
+    fontSize: 12,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  const volumeSlider = (key, label) => (
+    <label style={volumeRow}>
+      <span style={{ minWidth: 60 }}>{label}</span>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={settings.audio[key]}
+        disabled={settings.audio.muted}
+        onChange={(e) => update("audio", { [key]: Number(e.target.value) })}
+        aria-label={`${label} volume`}
+        style={{ flex: 1 }}
+      />
+      <span style={{ minWidth: 36, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+        {Math.round(settings.audio[key] * 100)}%
+      </span>
+    </label>
+  );
+
+  const gameplay = settings.gameplay;
+  const customSlider = (key) => {
+    const { label, min, max, step } = CUSTOM_RANGES[key];
+    const value = gameplay.custom[key];
+    return (
+      <label key={key} style={volumeRow}>
+        <span style={{ minWidth: 110 }}>{label}</span>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          onChange={(e) => update("gameplay", { custom: { ...gameplay.custom, [key]: Number(e.target.value) } })}
+          style={{ flex: 1 }}
+        />
+        <span style={{ minWidth: 36, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+          {key === "lives" ? value : `${Math.round(value * 100)}%`}
+        </span>
+      </label>
+    );
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Settings"
+      style={{
+        minWidth: 360,
+        padding: 16,
+        borderRadius: 12,
+        background: theme.surface,
+        boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+        color: theme.text,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong>Settings</strong>
+        <button type="button" onClick={onClose} style={small}>
+          Done
+        </button>
+      </div>
+
+      <div style={sectionTitle}>General</div>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.general.autoPause}
+          onChange={(e) => update("general", { autoPause: e.target.checked })}
+        />
+        Pause automatically when the window loses focus
+      </label>
+
+      <div style={sectionTitle}>Difficulty</div>
+      <label style={row}>
+        Preset
+        <select value={gameplay.difficulty} onChange={(e) => update("gameplay", { difficulty: e.target.value })}>
+          {Object.entries(DIFFICULTY_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>
+              {preset.label}
+            </option>
+          ))}
+          <option value="custom">Custom</option>
+        </select>
+      </label>
+      {gameplay.difficulty === "custom" && Object.keys(CUSTOM_RANGES).map(customSlider)}
+      {Object.entries(ASSISTS).map(([id, assist]) => (
+        <label key={id} style={row}>
+          <input
+            type="checkbox"
+            checked={gameplay.assists[id]}
+            onChange={(e) => update("gameplay", { assists: { ...gameplay.assists, [id]: e.target.checked } })}
+          />
+          {assist.label}
+        </label>
+      ))}
+
+      <div style={sectionTitle}>Appearance</div>
+      <div style={row}>
+        <label style={row}>
+          Theme
+          <select
+            value={isCustomTheme ? themeId : findTheme(themeId).base}
+            onChange={(e) => update("appearance", { theme: e.target.value })}
+          >
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+            {customThemes.map((t) => (
+              <option key={t.name} value={`custom:${t.name}`}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="button" style={small} onClick={() => themeFileRef.current && themeFileRef.current.click()}>
+          Import…
+        </button>
+        <button type="button" style={small} onClick={exportTheme}>
+          Export
+        </button>
+        {isCustomTheme && (
+          <button type="button" style={small} onClick={deleteTheme} aria-label="Delete custom theme">
+            Delete
+          </button>
+        )}
+        <input ref={themeFileRef} type="file" accept="application/json,.json" onChange={importTheme} hidden />
+      </div>
+      {themeError && (
+        <div role="alert" style={{ color: "#b91c1c", fontSize: 12, marginTop: 4 }}>
+          {themeError}
+        </div>
+      )}
+
+      <div style={sectionTitle}>Graphics</div>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.graphics.lowEffects}
+          onChange={(e) => update("graphics", { lowEffects: e.target.checked })}
+        />
+        Low effects (fewer particles, for slower devices)
+      </label>
+
+      <div style={sectionTitle}>Accessibility</div>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.accessibility.narration}
+          onChange={(e) => update("accessibility", { narration: e.target.checked })}
+        />
+        Announce stars, hits, level-ups and nearby storms to screen readers
+      </label>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.accessibility.reducedMotion}
+          onChange={(e) => update("accessibility", { reducedMotion: e.target.checked })}
+        />
+        Reduce motion (no flashes, lightning, bobbing or bouncing banners)
+      </label>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.accessibility.highContrast}
+          onChange={(e) => update("accessibility", { highContrast: e.target.checked })}
+        />
+        High contrast colours
+      </label>
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.accessibility.shapes}
+          onChange={(e) => update("accessibility", { shapes: e.target.checked })}
+        />
+        Colour-blind-safe shapes for stars and storms
+      </label>
+
+      <div style={sectionTitle}>Audio</div>
+      {volumeSlider("master", "Master")}
+      {volumeSlider("music", "Music")}
+      {volumeSlider("sfx", "Effects")}
+      <label style={row}>
+        <input
+          type="checkbox"
+          checked={settings.audio.muted}
+          onChange={(e) => update("audio", { muted: e.target.checked })}
+        />
+        Mute all sound
+      </label>
+
+      <div style={sectionTitle}>Controls</div>
+      <KeyBindings
+        bindings={sanitizeBindings(settings.controls.bindings)}
+        onChange={(bindings) => update("controls", { bindings })}
+        theme={theme}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ToastStack
+ * Short-lived notifications stacked at the top of the game card.
+ * `toasts` is [{ id, text, icon?, kind? }]; the owner removes them when they
+ * expire. Achievement toasts (kind "achievement") pop in with an amber accent;
+ * errors (kind "error", e.g. bundled data that failed to load) get a red one.
+ */
+export default function ToastStack({ toasts, theme = BUILT_IN_THEMES.light.tokens }) {
+  const accent = (kind) => ({ achievement: theme.secondary, error: "#EF4444" })[kind];
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={{
+        position: "absolute",
+        top: 12,
+        left: "50%",
+        transform: "translateX(-50%)",
+        display: "grid",
+        gap: 6,
+        zIndex: 15,
+        pointerEvents: "none",
+      }}
+    >
+      {toasts.map((t) => (
+        <div
+          key={t.id}
+          className={t.kind === "achievement" ? "toast toast-achievement" : "toast"}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            background: withAlpha(theme.text, 0.92),
+            border: accent(t.kind) ? `2px solid ${accent(t.kind)}` : "none",
+            color: theme.surface,
+            padding: "8px 14px",
+            borderRadius: 999,
+            fontSize: 13,
+            fontWeight: 700,
+            boxShadow: "0 10px 30px rgba(2,8,23,0.25)",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {t.icon && <span aria-hidden="true">{t.icon}</span>}
+          {t.text}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React from "react";
+import { BUILT_IN_THEMES, withAlpha } from "../theme/themes";
+
+/**
+ * PUBLIC_INTERFACE
+ * TrophyRoom
+ * Panel listing every achievement: earned ones with their unlock date, the
+ * rest greyed out, with a progress bar for those that take more than one step.
+ * `achievements` are rows from achievementProgress (see achievements/achievements).
+ */
+export default function TrophyRoom({ achievements, onClose, theme = BUILT_IN_THEMES.light.tokens }) {
+  const earned = achievements.filter((a) => a.unlockedAt).length;
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Trophy room"
+      style={{
+        width: 440,
+        maxWidth: "calc(100vw - 32px)",
+        maxHeight: "80vh",
+        overflowY: "auto",
+        padding: 16,
+        borderRadius: 12,
+        background: theme.surface,
+        boxShadow: "0 10px 30px rgba(2,8,23,0.18)",
+        color: theme.text,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+        <strong>
+          Trophy room • {earned}/{achievements.length}
+        </strong>
+        <button
+          type="button"
+          onClick={onClose}
+          style={{
+            background: withAlpha(theme.primary, 0.12),
+            color: theme.primary,
+            border: "none",
+            borderRadius: 8,
+            padding: "4px 8px",
+            fontSize: 12,
+            fontWeight: 700,
+            cursor: "pointer",
+          }}
+        >
+          Close
+        </button>
+      </div>
+
+      <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 8 }}>
+        {achievements.map((a) => (
+          <li
+            key={a.id}
+            style={{ display: "flex", gap: 10, alignItems: "center", opacity: a.unlockedAt ? 1 : 0.6 }}
+          >
+            <span
+              aria-hidden="true"
+              style={{ fontSize: 24, width: 32, textAlign: "center", filter: a.unlockedAt ? "none" : "grayscale(1)" }}
+            >
+              {a.icon}
+            </span>
+            <div style={{ flex: 1, fontSize: 13 }}>
+              <div style={{ fontWeight: 700 }}>
+                {a.title}
+                {a.unlockedAt && (
+                  <span style={{ fontWeight: 400, color: theme.muted }}>
+                    {" "}
+                    • {new Date(a.unlockedAt).toLocaleDateString()}
+                  </span>
+                )}
+              </div>
+              <div style={{ color: theme.muted }}>{a.description}</div>
+              {a.target > 1 && !a.unlockedAt && (
+                <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 4 }}>
+                  <div
+                    role="progressbar"
+                    aria-label={`${a.title} progress`}
+                    aria-valuemin={0}
+                    aria-valuemax={a.target}
+                    aria-valuenow={a.progress}
+                    style={{ flex: 1, height: 6, borderRadius: 3, background: withAlpha(theme.text, 0.08) }}
+                  >
+                    <div
+                      style={{
+                        width: `${(a.progress / a.target) * 100}%`,
+                        height: "100%",
+                        borderRadius: 3,
+                        background: theme.secondary,
+                      }}
+                    />
+                  </div>
+                  <span style={{ fontSize: 12, fontVariantNumeric: "tabular-nums" }}>
+                    {a.progress}/{a.target}
+                  </span>
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
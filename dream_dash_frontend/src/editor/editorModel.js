@@ -0,0 +1,151 @@
+import { LEVEL_FORMAT_VERSION } from "../game/levels";
+
+/**
+ * Level editor document model.
+ * The editor works directly on the campaign file shape from game/levels
+ * ({ version, name, levels }) so export is a plain JSON.stringify. Entities
+ * are addressed by { list: "waves" | "wind", index } within the selected
+ * level. Every edit returns a new campaign object, which keeps undo/redo a
+ * matter of remembering old ones.
+ *
+ * The timeline maps level time to the horizontal axis of the world view:
+ * `MS_TO_PX` pixels per ms, so a 600px view shows a little under 7 seconds.
+ */
+
+// PUBLIC_INTERFACE
+export const MS_TO_PX = 0.09;
+
+// PUBLIC_INTERFACE
+export const GRID = { ms: 250, y: 10 };
+
+// Wind zones are drawn in a lane along the top of the view
+// PUBLIC_INTERFACE
+export const WIND_LANE = { y: 0, height: 24 };
+
+const DEFAULTS = {
+  star: { speed: 1.5, count: 1, spacing: 80 },
+  storm: { speed: 1.8, count: 1, spacing: 120 },
+  wind: { force: 1.5, durationMs: 2000 },
+};
+
+// PUBLIC_INTERFACE
+export function newLevel(n = 1) {
+  /** Blank level with a star-count win condition. */
+  return { name: `Level ${n}`, win: { type: "stars", count: 5 }, music: "calm", waves: [], wind: [] };
+}
+
+// PUBLIC_INTERFACE
+export function newCampaign() {
+  /** Campaign file with a single blank level. */
+  return { version: LEVEL_FORMAT_VERSION, name: "New campaign", levels: [newLevel(1)] };
+}
+
+// PUBLIC_INTERFACE
+export function snap(value, step, enabled = true) {
+  /** Rounds to the nearest grid step when snapping is on. */
+  return enabled ? Math.round(value / step) * step : Math.round(value);
+}
+
+// PUBLIC_INTERFACE
+export function timeToX(ms, viewStart) {
+  /** Timeline x for a level time, given the time at the view's left edge. */
+  return (ms - viewStart) * MS_TO_PX;
+}
+
+// PUBLIC_INTERFACE
+export function xToTime(x, viewStart) {
+  /** Inverse of timeToX; never before the start of the level. */
+  return Math.max(0, viewStart + x / MS_TO_PX);
+}
+
+function updateLevel(campaign, levelIndex, fn) {
+  return {
+    ...campaign,
+    levels: campaign.levels.map((level, i) => (i === levelIndex ? fn(level) : level)),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function addEntity(campaign, levelIndex, kind, at, y) {
+  /** Adds a star/storm wave or a wind zone; returns { campaign, selection }. */
+  let selection = null;
+  const next = updateLevel(campaign, levelIndex, (level) => {
+    if (kind === "wind") {
+      const wind = [...(level.wind || []), { at, ...DEFAULTS.wind }];
+      selection = { list: "wind", index: wind.length - 1 };
+      return { ...level, wind };
+    }
+    const waves = [...(level.waves || []), { at, kind, y, ...DEFAULTS[kind] }];
+    selection = { list: "waves", index: waves.length - 1 };
+    return { ...level, waves };
+  });
+  return { campaign: next, selection };
+}
+
+// PUBLIC_INTERFACE
+export function updateEntity(campaign, levelIndex, selection, patch) {
+  /** Merges `patch` into the selected wave or wind zone. */
+  return updateLevel(campaign, levelIndex, (level) => ({
+    ...level,
+    [selection.list]: level[selection.list].map((e, i) => (i === selection.index ? { ...e, ...patch } : e)),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function removeEntity(campaign, levelIndex, selection) {
+  /** Deletes the selected wave or wind zone. */
+  return updateLevel(campaign, levelIndex, (level) => ({
+    ...level,
+    [selection.list]: level[selection.list].filter((_, i) => i !== selection.index),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function updateLevelFields(campaign, levelIndex, patch) {
+  /** Merges `patch` (name, win, music, palette, randomStorms) into a level. */
+  return updateLevel(campaign, levelIndex, (level) => ({ ...level, ...patch }));
+}
+
+// PUBLIC_INTERFACE
+export function getEntity(campaign, levelIndex, selection) {
+  /** The selected entity, or null if the selection no longer exists. */
+  const level = campaign.levels[levelIndex];
+  if (!level || !selection) return null;
+  return (level[selection.list] || [])[selection.index] || null;
+}
+
+// PUBLIC_INTERFACE
+export function entityAt(level, x, y, viewStart) {
+  /**
+   * Hit test in view coordinates; returns a selection or null. Later entities
+   * are drawn on top, so they are tested first.
+   */
+  if (y >= WIND_LANE.y && y <= WIND_LANE.y + WIND_LANE.height) {
+    const wind = level.wind || [];
+    for (let i = wind.length - 1; i >= 0; i--) {
+      const x0 = timeToX(wind[i].at, viewStart);
+      const x1 = timeToX(wind[i].at + wind[i].durationMs, viewStart);
+      if (x >= x0 && x <= x1) return { list: "wind", index: i };
+    }
+    return null;
+  }
+  const waves = level.waves || [];
+  for (let i = waves.length - 1; i >= 0; i--) {
+    const w = waves[i];
+    const radius = w.kind === "storm" ? 24 : 12;
+    const dx = x - timeToX(w.at, viewStart);
+    const dy = y - w.y;
+    if (dx * dx + dy * dy <= radius * radius) return { list: "waves", index: i };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function levelLength(level) {
+  /** Time of the last scripted event (ms), used to size the timeline scroll range. */
+  const ends = [
+    ...(level.waves || []).map((w) => w.at),
+    ...(level.wind || []).map((w) => w.at + w.durationMs),
+  ];
+  return ends.length ? Math.max(...ends) : 0;
+}
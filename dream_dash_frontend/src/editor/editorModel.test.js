@@ -0,0 +1,77 @@
+import { parseCampaign } from "../game/levels";
+import { createHistory, pushHistory, redo, undo } from "./history";
+import {
+  WIND_LANE,
+  addEntity,
+  entityAt,
+  newCampaign,
+  removeEntity,
+  snap,
+  timeToX,
+  updateEntity,
+  xToTime,
+} from "./editorModel";
+
+test("snapping and the time axis round-trip", () => {
+  expect(snap(1130, 250)).toBe(1250);
+  expect(snap(1130, 250, false)).toBe(1130);
+  expect(xToTime(timeToX(4200, 1000), 1000)).toBeCloseTo(4200);
+  expect(xToTime(-50, 0)).toBe(0);
+});
+
+test("placed entities can be hit, moved and removed", () => {
+  let { campaign, selection } = addEntity(newCampaign(), 0, "storm", 2000, 150);
+  expect(selection).toEqual({ list: "waves", index: 0 });
+  const wind = addEntity(campaign, 0, "wind", 1000, 0);
+  campaign = wind.campaign;
+
+  const level = campaign.levels[0];
+  expect(entityAt(level, timeToX(2000, 500) + 5, 150, 500)).toEqual(selection);
+  expect(entityAt(level, timeToX(1500, 500), WIND_LANE.height / 2, 500)).toEqual(wind.selection);
+  expect(entityAt(level, 590, 300, 500)).toBeNull();
+
+  const moved = updateEntity(campaign, 0, selection, { at: 3000 });
+  expect(moved.levels[0].waves[0].at).toBe(3000);
+  expect(campaign.levels[0].waves[0].at).toBe(2000);
+
+  const removed = removeEntity(moved, 0, wind.selection);
+  expect(removed.levels[0].wind).toHaveLength(0);
+  expect(() => parseCampaign(removed)).not.toThrow();
+});
+
+test("undo and redo walk the edit history", () => {
+  const a = newCampaign();
+  const b = addEntity(a, 0, "star", 0, 100).campaign;
+  const c = addEntity(b, 0, "star", 500, 100).campaign;
+  let h = pushHistory(pushHistory(createHistory(a), b), c);
+
+  h = undo(undo(h));
+  expect(h.present).toBe(a);
+  expect(undo(h)).toBe(h);
+  h = redo(h);
+  expect(h.present).toBe(b);
+
+  // A fresh edit after undo discards the redo branch
+  h = pushHistory(h, a);
+  expect(h.future).toHaveLength(0);
+  expect(redo(h)).toBe(h);
+});
+
+test("typing into one field undoes as a single step", () => {
+  const a = newCampaign();
+  let h = createHistory(a);
+  ["L", "Le", "Lev"].forEach((name) => {
+    h = pushHistory(h, { ...h.present, name }, "campaign-name");
+  });
+  expect(h.present.name).toBe("Lev");
+  expect(h.past).toHaveLength(1);
+  expect(undo(h).present).toBe(a);
+
+  // Another field, or any other edit, starts a new step
+  h = pushHistory(h, { ...h.present, levels: [] }, "level-name:0");
+  h = pushHistory(h, { ...h.present, name: "Levels" }, "campaign-name");
+  expect(h.past).toHaveLength(3);
+  // ...and so does typing again after an undo
+  const back = undo(h);
+  expect(pushHistory(back, { ...back.present, name: "X" }, "campaign-name").past).toHaveLength(3);
+});
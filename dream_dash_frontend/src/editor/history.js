@@ -0,0 +1,48 @@
+/**
+ * Undo/redo history over immutable documents.
+ * A history is { past, present, future, mergeKey }; every function returns a new one.
+ * `mergeKey` names the field the last edit typed into, so a run of keystrokes in
+ * one field undoes as a single step.
+ */
+
+// Oldest steps are dropped beyond this, keeping long sessions bounded
+const LIMIT = 100;
+
+// PUBLIC_INTERFACE
+export function createHistory(present) {
+  /** History with nothing to undo. */
+  return { past: [], present, future: [] };
+}
+
+// PUBLIC_INTERFACE
+export function pushHistory(history, next, mergeKey = null) {
+  /**
+   * Records `next` as the new present; clears the redo stack. No-op if unchanged.
+   * An edit with the same non-null `mergeKey` as the one before replaces it instead.
+   */
+  if (next === history.present) return history;
+  if (mergeKey !== null && mergeKey === history.mergeKey) return { ...history, present: next, future: [] };
+  return { past: [...history.past, history.present].slice(-LIMIT), present: next, future: [], mergeKey };
+}
+
+// PUBLIC_INTERFACE
+export function undo(history) {
+  /** Steps back one edit, if any. */
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function redo(history) {
+  /** Re-applies the last undone edit, if any. */
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Boss storms: every `BOSS.every`-th level opens with a boss phase, in both
+ * engines. A giant storm cell with a health bar cycles through its attacks,
+ * each telegraphed for a moment before it lands:
+ *
+ *   volley  lightning columns strike the marked spots
+ *   blast   a wind blast pushes the player away
+ *   summon  mini-storms break off and give chase
+ *
+ * While it fights, stars that come round are sometimes `charged`; collecting
+ * one zaps the boss's weak point for one point of damage. Random storm, wind
+ * and power-up spawning pause for the fight, and beating the boss pays a bonus
+ * and lets the level carry on as usual.
+ *
+ * The rules here are shared; each engine places the boss, its attacks and its
+ * weak point in its own world. A boss is
+ *
+ *   { level, health, maxHealth, attack, cooldown, next, hit }
+ *
+ *   attack    null between attacks, else { kind, phase: "warn" | "active", remaining }
+ *   cooldown  ms until the next attack starts its warning
+ *   next      index into BOSS.attacks of the next attack
+ *   hit       ms left of the flash after taking damage
+ */
+
+// PUBLIC_INTERFACE
+export const BOSS = {
+  every: 5,
+  attacks: ["volley", "blast", "summon"],
+  warnMs: { volley: 700, blast: 600, summon: 500 },
+  activeMs: { volley: 300, blast: 1500, summon: 0 },
+  firstAttackMs: 1500,
+  cooldownMs: 1600,
+  hitMs: 300,
+  chargedShare: 0.35, // of stars coming round during the fight
+  health: 3, // at the first boss; each later one has `healthStep` more
+  healthStep: 2,
+  bonusPerLevel: 5,
+};
+
+// PUBLIC_INTERFACE
+export function isBossLevel(level) {
+  /** True for the levels that open with a boss: 5, 10, 15, ... */
+  return level > 0 && level % BOSS.every === 0;
+}
+
+// PUBLIC_INTERFACE
+export function bossBonus(level) {
+  /** Score bonus for beating the boss of `level`. */
+  return level * BOSS.bonusPerLevel;
+}
+
+// PUBLIC_INTERFACE
+export function createBoss(level) {
+  /** A fresh boss for `level`, at full health and about to wind up its first attack. */
+  const health = BOSS.health + (Math.floor(level / BOSS.every) - 1) * BOSS.healthStep;
+  return { level, health, maxHealth: health, attack: null, cooldown: BOSS.firstAttackMs, next: 0, hit: 0 };
+}
+
+// PUBLIC_INTERFACE
+export function advanceBoss(boss, dt) {
+  /**
+   * Runs the boss's attack cycle for `dt` ms: cooldown -> warn -> active -> cooldown.
+   * Returns { boss, warned, fired }: the new boss, plus the kind of attack whose
+   * warning started and whose active phase started this tick (or null).
+   */
+  const out = { boss: { ...boss, hit: Math.max(0, boss.hit - dt) }, warned: null, fired: null };
+  const { attack } = boss;
+  if (!attack) {
+    const cooldown = boss.cooldown - dt;
+    if (cooldown > 0) {
+      out.boss.cooldown = cooldown;
+      return out;
+    }
+    const kind = BOSS.attacks[boss.next % BOSS.attacks.length];
+    out.boss.cooldown = 0;
+    out.boss.next = boss.next + 1;
+    out.boss.attack = { kind, phase: "warn", remaining: BOSS.warnMs[kind] };
+    out.warned = kind;
+    return out;
+  }
+
+  const remaining = attack.remaining - dt;
+  if (remaining > 0) {
+    out.boss.attack = { ...attack, remaining };
+  } else if (attack.phase === "warn") {
+    out.boss.attack = { ...attack, phase: "active", remaining: BOSS.activeMs[attack.kind] };
+    out.fired = attack.kind;
+  } else {
+    out.boss.attack = null;
+    out.boss.cooldown = BOSS.cooldownMs;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function damageBoss(boss) {
+  /** The boss after one hit on its weak point; beaten once `health` reaches 0. */
+  return { ...boss, health: Math.max(0, boss.health - 1), hit: BOSS.hitMs };
+}
+
+// PUBLIC_INTERFACE
+export function attackActive(boss, kind) {
+  /** True while the boss's `kind` attack is landing. */
+  return Boolean(boss && boss.attack && boss.attack.kind === kind && boss.attack.phase === "active");
+}
@@ -0,0 +1,170 @@
+import * as engine2d from "./engine2d";
+import * as engine3d from "./engine3d";
+import { BOSS, advanceBoss, bossBonus, createBoss, damageBoss, isBossLevel } from "./boss";
+import { parseCampaign } from "./levels";
+
+// A 2D run one star short of `level`, with that star on the player
+function beforeLevel2d(level) {
+  const state = engine2d.createInitialState({ seed: 3 });
+  const p = state.player;
+  return {
+    ...state,
+    level: level - 1,
+    starsCollected: 19,
+    nextLevelAt: 20,
+    storms: [{ kind: "drifter", x: 500, y: 100, speed: 0 }],
+    stars: [{ x: p.x + 10, y: p.y + 10, r: 5, speed: 0 }],
+  };
+}
+
+function chargedStarOn(state, p = state.player) {
+  return { ...state, stars: [{ x: p.x + 10, y: p.y + 10, r: 5, speed: 0, charged: true }] };
+}
+
+test("every fifth level has a boss, tougher each time", () => {
+  expect([1, 4, 5, 6, 10].map(isBossLevel)).toEqual([false, false, true, false, true]);
+  expect(createBoss(5)).toEqual(expect.objectContaining({ health: 3, maxHealth: 3, attack: null }));
+  expect(createBoss(10).health).toBe(5);
+  expect(bossBonus(10)).toBeGreaterThan(bossBonus(5));
+  expect(damageBoss(createBoss(5)).health).toBe(2);
+});
+
+test("the boss telegraphs each attack before it lands, in turn", () => {
+  let boss = createBoss(5);
+  const seen = [];
+  for (let ms = 0; ms < 20000; ms += 10) {
+    const out = advanceBoss(boss, 10);
+    if (out.warned) seen.push(["warn", out.warned, ms]);
+    if (out.fired) seen.push(["fire", out.fired, ms]);
+    boss = out.boss;
+  }
+  expect(seen.slice(0, 6).map(([phase, kind]) => `${phase} ${kind}`)).toEqual([
+    "warn volley",
+    "fire volley",
+    "warn blast",
+    "fire blast",
+    "warn summon",
+    "fire summon",
+  ]);
+  expect(seen[1][2] - seen[0][2]).toBeCloseTo(BOSS.warnMs.volley, -2);
+});
+
+test("2D: level five opens a boss fight that pauses normal spawning", () => {
+  const { state, events } = engine2d.step(beforeLevel2d(5));
+  expect(state.level).toBe(5);
+  expect(state.boss).toEqual(expect.objectContaining({ level: 5, health: 3 }));
+  expect(state.banner.text).toBe("Level 5: Boss storm!");
+  expect(events).toContainEqual({ type: "bossStart", level: 5, health: 3 });
+  expect(state.storms.every((st) => st.once)).toBe(true);
+
+  // Only the boss's own summons turn up while it fights, and the only wind is its blasts
+  let s = state;
+  const later = [];
+  for (let t = 0; t < 1500; t++) {
+    const out = engine2d.step({ ...s, lives: 9 });
+    s = out.state;
+    later.push(...out.events);
+  }
+  expect(s.boss).not.toBeNull();
+  expect(s.storms.every((st) => st.once)).toBe(true);
+  expect(later.filter((ev) => ev.type === "bossAttack").map((ev) => ev.attack)).toEqual(
+    expect.arrayContaining(["volley", "blast", "summon"])
+  );
+  const gusts = later.filter((ev) => ev.type === "wind");
+  expect(gusts.length).toBeGreaterThan(0);
+  gusts.forEach((ev) => expect(ev.force).toBe(engine2d.BOSS_SHAPE.blastForce));
+  expect(s.level).toBe(5);
+});
+
+test("2D: charged stars hit the weak point until the boss is beaten for a bonus", () => {
+  let state = engine2d.step(beforeLevel2d(5)).state;
+  for (let hit = 2; hit >= 1; hit--) {
+    const out = engine2d.step(chargedStarOn(state));
+    expect(out.events).toContainEqual({ type: "bossHit", health: hit });
+    state = out.state;
+  }
+  const scoreBefore = state.score;
+  const { state: after, events } = engine2d.step(chargedStarOn(state));
+  const bonus = bossBonus(5);
+  expect(after.boss).toBeNull();
+  expect(after.score).toBe(scoreBefore + 1 + bonus);
+  expect(after.banner.text).toBe(`Boss beaten! +${bonus}`);
+  expect(events).toContainEqual({ type: "bossDefeated", level: 5, bonus, score: after.score });
+  expect(after.nextLevelAt).toBe(after.starsCollected + after.starsPerLevel);
+});
+
+test("2D: a campaign's fifth level opens with a boss, then plays its script", () => {
+  const level = (name) => ({ name, win: { type: "survive", ms: 1000 } });
+  const fifth = { ...level("Five"), waves: [{ at: 100, kind: "storm", y: 60, speed: 1, count: 1 }] };
+  const { levels } = parseCampaign(
+    JSON.stringify({ version: 1, levels: [level("One"), level("Two"), level("Three"), level("Four"), fifth] })
+  );
+  let state = engine2d.step(engine2d.createInitialState({ seed: 3, levels, startLevel: 4, startTime: 1000 })).state;
+  expect(state.level).toBe(5);
+  expect(state.boss).toEqual(expect.objectContaining({ level: 5 }));
+  expect(state.stars.length).toBeGreaterThan(0);
+
+  // The level's waves and clock wait for the fight
+  for (let t = 0; t < 120; t++) state = engine2d.step({ ...state, lives: 9 }).state;
+  expect(state.levelTime).toBe(0);
+  expect(state.storms.every((st) => st.once)).toBe(true);
+
+  while (state.boss) state = engine2d.step({ ...chargedStarOn(state), lives: 9 }).state;
+  expect(state.levelStars).toBe(0);
+  for (let t = 0; t < 10; t++) state = engine2d.step({ ...state, lives: 9 }).state;
+  expect(state.storms.some((st) => !st.once)).toBe(true);
+  expect(state.level).toBe(5);
+});
+
+test("2D: a striking lightning volley costs a life", () => {
+  const state = engine2d.step(beforeLevel2d(5)).state;
+  const p = state.player;
+  const boss = { ...state.boss, attack: { kind: "volley", phase: "active", remaining: 200 }, bolts: [p.x + 15] };
+  const { events } = engine2d.step({ ...state, boss, storms: [] });
+  expect(events).toContainEqual({ type: "stormHit", lives: state.lives - 1 });
+});
+
+test("3D: the boss fight pauses storms, and charged stars beat it", () => {
+  const start = engine3d.createInitialState({ seed: 2 });
+  const p = start.player;
+  const star = (charged) => ({ x: p.x, y: p.y, z: p.z, active: true, charged });
+  let { state, events } = engine3d.step({ ...start, level: 4, score: 40, target: 41, stars: [star(false)] }, {});
+  expect(state.level).toBe(5);
+  expect(events).toContainEqual({ type: "bossStart", level: 5, health: 3 });
+  expect(state.message.text).toBe("Level 5: Boss storm!");
+
+  // Storms that pass come back inactive while the boss is up
+  const passing = { ...state, storms: [{ x: 3, y: 1, z: 2.99, active: true }], stars: [] };
+  expect(engine3d.step(passing, {}).state.storms[0].active).toBe(false);
+
+  for (let health = 2; health >= 0; health--) {
+    ({ state, events } = engine3d.step({ ...state, stars: [star(true)], storms: [] }, {}));
+    expect(events).toContainEqual({ type: "bossHit", health });
+  }
+  expect(state.boss).toBeNull();
+  expect(state.score).toBe(44 + bossBonus(5));
+  expect(state.target).toBeGreaterThan(state.score);
+  expect(events).toContainEqual({ type: "bossDefeated", level: 5, bonus: bossBonus(5), score: state.score });
+});
+
+test("boss bonuses count towards score but not the stars of the run's result", () => {
+  // 2D: game over straight after the boss falls
+  let state2d = engine2d.step(beforeLevel2d(5)).state;
+  for (let hit = 0; hit < 3; hit++) state2d = engine2d.step(chargedStarOn(state2d)).state;
+  const p = state2d.player;
+  const storm = { kind: "drifter", x: p.x + 10, y: p.y + 10, speed: 0 };
+  const over2d = engine2d.step({ ...state2d, lives: 1, invulnerable: 0, storms: [storm], stars: [] }).events;
+  expect(over2d).toContainEqual(expect.objectContaining({ type: "gameOver", stars: state2d.starsCollected }));
+  expect(state2d.score).toBeGreaterThan(state2d.starsCollected);
+
+  // 3D
+  const start = engine3d.createInitialState({ seed: 2 });
+  const q = start.player;
+  const star = { x: q.x, y: q.y, z: q.z, active: true, charged: true };
+  const last = { ...start, level: 4, score: 40, target: 41, stars: [{ ...star, charged: false }] };
+  let state3d = engine3d.step(last, {}).state;
+  for (let hit = 0; hit < 3; hit++) state3d = engine3d.step({ ...state3d, stars: [star], storms: [] }, {}).state;
+  const hazard = { x: q.x, y: q.y, z: q.z, active: true };
+  const over3d = engine3d.step({ ...state3d, lives: 1, invulnerable: 0, stars: [], storms: [hazard] }, {}).events;
+  expect(over3d).toContainEqual(expect.objectContaining({ type: "gameOver", stars: 4, score: 44 + bossBonus(5) }));
+});
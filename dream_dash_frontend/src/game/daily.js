@@ -0,0 +1,68 @@
+import { createRng } from "./rng";
+import { MODIFIERS } from "./modifiers";
+
+/**
+ * Daily Dash: one challenge per calendar day, the same for every player.
+ * The day's key ("YYYY-MM-DD", local time) hashes to the run seed, so both
+ * engines lay out the same stars and storms for everyone; the same seed also
+ * picks the day's fixed modifiers. Daily runs are endless (no campaign) so
+ * the layout comes from the seed alone.
+ */
+
+// PUBLIC_INTERFACE
+export const DAILY_MODIFIER_COUNT = 2;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// PUBLIC_INTERFACE
+export function dailyKey(date = new Date()) {
+  /** Local calendar day of `date` as "YYYY-MM-DD". */
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function previousDay(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return dailyKey(new Date(y, m - 1, d - 1));
+}
+
+// PUBLIC_INTERFACE
+export function dailySeed(key) {
+  /** uint32 seed for a day key (FNV-1a), stable across browsers and time zones. */
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function dailyChallenge(key = dailyKey()) {
+  /** The day's challenge: { date, seed, modifiers } with modifiers drawn from the seed. */
+  const seed = dailySeed(key);
+  const rng = createRng(seed);
+  const pool = Object.keys(MODIFIERS);
+  const modifiers = [];
+  while (modifiers.length < DAILY_MODIFIER_COUNT && pool.length > 0) {
+    modifiers.push(pool.splice(Math.floor(rng.next() * pool.length), 1)[0]);
+  }
+  return { date: key, seed, modifiers };
+}
+
+// PUBLIC_INTERFACE
+export function dailyStreak(results, today = dailyKey()) {
+  /**
+   * Consecutive days played, counting back from today, or from yesterday
+   * while today's attempt is still open. `results` are daily history entries.
+   */
+  const played = new Set(results.map((r) => r.date));
+  let day = played.has(today) ? today : previousDay(today);
+  let streak = 0;
+  while (played.has(day)) {
+    streak += 1;
+    day = previousDay(day);
+  }
+  return streak;
+}
@@ -0,0 +1,93 @@
+import * as engine2d from "./engine2d";
+import * as engine3d from "./engine3d";
+import { DAILY_MODIFIER_COUNT, dailyChallenge, dailyKey, dailySeed, dailyStreak } from "./daily";
+import { dailyAttemptUsed, dailyResultFor, loadDailyResults, recordDailyResult, startDailyAttempt } from "./dailyStore";
+import { MODIFIERS, modifierEffects } from "./modifiers";
+import { createRecorder, createReplayPlayer, parseReplay } from "./replay";
+
+// How the game components build daily runs
+const dailyEngine = {
+  createInitialState: ({ challenge, ...options }) =>
+    engine2d.createInitialState({ ...options, modifiers: challenge ? challenge.modifiers : [] }),
+  step: engine2d.step,
+};
+
+test("a day's challenge is the same for everyone and differs between days", () => {
+  expect(dailyKey(new Date(2026, 0, 5, 23, 59))).toBe("2026-01-05");
+  expect(dailyChallenge("2026-01-05")).toEqual(dailyChallenge("2026-01-05"));
+  expect(dailySeed("2026-01-05")).not.toBe(dailySeed("2026-01-06"));
+
+  const { seed, modifiers } = dailyChallenge("2026-01-05");
+  expect(seed).toBe(dailySeed("2026-01-05"));
+  expect(new Set(modifiers).size).toBe(DAILY_MODIFIER_COUNT);
+  modifiers.forEach((id) => expect(MODIFIERS[id]).toBeDefined());
+});
+
+test("modifiers change the rules of both engines", () => {
+  expect(modifierEffects(["strongWind", "thinAir"])).toEqual({ wind: 2, storms: 1, starSpeed: 1, lives: -1 });
+  expect(() => modifierEffects(["moonGravity"])).toThrow(/Unknown run modifier "moonGravity"/);
+
+  const plain2d = engine2d.createInitialState({ seed: 5 });
+  expect(engine2d.createInitialState({ seed: 5, modifiers: ["thinAir"] }).lives).toBe(plain2d.lives - 1);
+
+  const plain3d = engine3d.createInitialState({ seed: 5 });
+  const stormy3d = engine3d.createInitialState({ seed: 5, modifiers: ["doubleStorms"] });
+  expect(stormy3d.storms).toHaveLength(plain3d.storms.length * 2);
+});
+
+test("daily replays keep their challenge and reproduce the run", () => {
+  const challenge = dailyChallenge("2026-03-14");
+  const recorder = createRecorder({ mode: "2d", seed: challenge.seed, tickMs: engine2d.FRAME_MS, challenge });
+  let state = dailyEngine.createInitialState({ seed: challenge.seed, challenge });
+  for (let t = 0; t < 600; t++) {
+    const input = { right: t % 120 < 60, jump: t % 40 === 0 };
+    state = engine2d.step(state, input).state;
+    recorder.record(input);
+  }
+  const replay = parseReplay(JSON.stringify(recorder.finish()));
+  expect(replay.challenge).toEqual(challenge);
+
+  const player = createReplayPlayer(replay, dailyEngine);
+  while (!player.isEnded()) player.advance();
+  expect(player.getState()).toEqual(state);
+
+  const tampered = { ...replay, challenge: { ...challenge, modifiers: ["moonGravity"] } };
+  expect(() => parseReplay(JSON.stringify(tampered))).toThrow(/unknown modifier "moonGravity"/);
+});
+
+test("only the first attempt of a day is recorded", () => {
+  window.localStorage.clear();
+  expect(recordDailyResult({ date: "2026-02-01", mode: "2d", score: 12, level: 3 })).toBe(true);
+  expect(recordDailyResult({ date: "2026-02-01", mode: "3d", score: 40, level: 5 })).toBe(false);
+  expect(dailyResultFor("2026-02-01")).toMatchObject({ mode: "2d", score: 12 });
+  expect(dailyResultFor("2026-02-02")).toBeNull();
+
+  recordDailyResult({ date: "2026-02-03", mode: "3d", score: 7 });
+  expect(loadDailyResults().map((r) => r.date)).toEqual(["2026-02-03", "2026-02-01"]);
+  window.localStorage.clear();
+});
+
+test("a day's attempt is used up as soon as it starts, result or not", () => {
+  window.localStorage.clear();
+  expect(dailyAttemptUsed("2026-02-01")).toBe(false);
+  expect(startDailyAttempt("2026-02-01")).toBe(true);
+  // Reloading mid-run leaves no result, but the attempt is gone
+  expect(dailyResultFor("2026-02-01")).toBeNull();
+  expect(startDailyAttempt("2026-02-01")).toBe(false);
+
+  recordDailyResult({ date: "2026-02-01", mode: "2d", score: 3 });
+  expect(dailyAttemptUsed("2026-02-01")).toBe(true);
+  recordDailyResult({ date: "2026-01-31", mode: "2d", score: 5 });
+  expect(dailyAttemptUsed("2026-01-31")).toBe(true);
+  expect(startDailyAttempt("2026-02-02")).toBe(true);
+  expect(dailyAttemptUsed("2026-02-01")).toBe(true);
+  window.localStorage.clear();
+});
+
+test("the streak counts consecutive days up to today, or yesterday while today is open", () => {
+  const results = ["2026-02-28", "2026-03-01", "2026-03-02", "2026-02-25"].map((date) => ({ date }));
+  expect(dailyStreak(results, "2026-03-02")).toBe(3);
+  expect(dailyStreak(results, "2026-03-03")).toBe(3);
+  expect(dailyStreak(results, "2026-03-04")).toBe(0);
+  expect(dailyStreak([], "2026-03-04")).toBe(0);
+});
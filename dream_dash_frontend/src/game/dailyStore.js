@@ -0,0 +1,93 @@
+/**
+ * Local history of Daily Dash results, one entry per day, newest first.
+ * Saved as { version, results: [{ date, mode, score, level, stars, durationMs, modifiers }], startedOn },
+ * where `startedOn` is the day whose scored attempt last began: a run left by
+ * reloading the page never reaches a result, but still uses up the attempt.
+ */
+
+const STORAGE_KEY = "dreamDash.daily";
+const DAILY_VERSION = 1;
+const HISTORY_SIZE = 365;
+
+function normalizeResult(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.date !== "string" || !Number.isFinite(raw.score)) return null;
+  return {
+    date: raw.date,
+    mode: raw.mode === "3d" ? "3d" : "2d",
+    score: raw.score,
+    level: Number.isFinite(raw.level) ? raw.level : 1,
+    stars: Number.isFinite(raw.stars) ? raw.stars : raw.score,
+    durationMs: Number.isFinite(raw.durationMs) ? raw.durationMs : 0,
+    modifiers: Array.isArray(raw.modifiers) ? raw.modifiers.filter((m) => typeof m === "string") : [],
+  };
+}
+
+function readData() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const list = data && Array.isArray(data.results) ? data.results : [];
+    return {
+      results: list.map(normalizeResult).filter(Boolean),
+      startedOn: data && typeof data.startedOn === "string" ? data.startedOn : null,
+    };
+  } catch (e) {
+    return { results: [], startedOn: null };
+  }
+}
+
+function read() {
+  return readData().results;
+}
+
+function write(data) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: DAILY_VERSION, ...data }));
+  } catch (e) {
+    // Storage unavailable: the history simply won't persist
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadDailyResults() {
+  /** Past daily results, newest first. */
+  return read();
+}
+
+// PUBLIC_INTERFACE
+export function dailyResultFor(date) {
+  /** The scored result for a day key, or null while that day's attempt is still open. */
+  return read().find((r) => r.date === date) || null;
+}
+
+// PUBLIC_INTERFACE
+export function recordDailyResult(result) {
+  /**
+   * Saves a day's scored attempt. Only the first attempt of a day counts:
+   * returns false (and keeps the stored one) if that day already has a result.
+   */
+  const { results, startedOn } = readData();
+  const entry = normalizeResult(result);
+  if (!entry || results.some((r) => r.date === entry.date)) return false;
+  const sorted = [entry, ...results].sort((a, b) => b.date.localeCompare(a.date));
+  write({ results: sorted.slice(0, HISTORY_SIZE), startedOn });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function startDailyAttempt(date) {
+  /**
+   * Marks a day's scored attempt as begun, before it has a result. Returns
+   * false if that day's attempt was already used (started or recorded).
+   */
+  if (dailyAttemptUsed(date)) return false;
+  write({ ...readData(), startedOn: date });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function dailyAttemptUsed(date) {
+  /** Whether a day's scored attempt has begun, even if it never reached a result. */
+  const { results, startedOn } = readData();
+  return startedOn === date || results.some((r) => r.date === date);
+}
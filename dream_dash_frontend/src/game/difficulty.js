@@ -0,0 +1,96 @@
+/**
+ * Difficulty: presets, custom values and assists that both engines read when
+ * a run is created. A resolved difficulty is a plain object
+ *
+ *   { id, assists, lives, target, storms, wind, speed }
+ *
+ *   id       "easy", "normal", "hard" or "custom"
+ *   assists  ids of the assists switched on (see ASSISTS)
+ *   lives    starting lives
+ *   target   multiplier on the stars needed per level
+ *   storms   multiplier on how many storms are about
+ *   wind     multiplier on gust force (0: no wind at all)
+ *   speed    multiplier on how fast the world moves
+ *
+ * Runs record it so replays reproduce them and scores say how they were set.
+ */
+
+// PUBLIC_INTERFACE
+export const DIFFICULTY_PRESETS = {
+  easy: { label: "Easy", lives: 5, target: 0.8, storms: 0.6, wind: 0.5, speed: 0.85 },
+  normal: { label: "Normal", lives: 3, target: 1, storms: 1, wind: 1, speed: 1 },
+  hard: { label: "Hard", lives: 2, target: 1.2, storms: 1.5, wind: 1.5, speed: 1.2 },
+};
+
+// Allowed range and step of each custom value, for validation and the settings sliders
+// PUBLIC_INTERFACE
+export const CUSTOM_RANGES = {
+  lives: { label: "Lives", min: 1, max: 9, step: 1 },
+  target: { label: "Stars per level", min: 0.4, max: 2, step: 0.1 },
+  storms: { label: "Storms", min: 0, max: 3, step: 0.1 },
+  wind: { label: "Wind", min: 0, max: 3, step: 0.1 },
+  speed: { label: "Game speed", min: 0.5, max: 1.5, step: 0.05 },
+};
+
+// PUBLIC_INTERFACE
+export const ASSISTS = {
+  noWind: { label: "No wind", apply: (d) => ({ ...d, wind: 0 }) },
+  extraLives: { label: "Two extra lives", apply: (d) => ({ ...d, lives: d.lives + 2 }) },
+  slowSpeed: { label: "Slower game speed", apply: (d) => ({ ...d, speed: d.speed * 0.75 }) },
+};
+
+// Names of the numeric values of a difficulty
+// PUBLIC_INTERFACE
+export const DIFFICULTY_VALUES = Object.keys(CUSTOM_RANGES);
+
+// PUBLIC_INTERFACE
+export const DEFAULT_DIFFICULTY = resolveDifficulty();
+
+function clampValue(key, value) {
+  const { min, max } = CUSTOM_RANGES[key];
+  if (!Number.isFinite(value)) return DIFFICULTY_PRESETS.normal[key];
+  const clamped = Math.min(max, Math.max(min, value));
+  return key === "lives" ? Math.round(clamped) : clamped;
+}
+
+// PUBLIC_INTERFACE
+export function resolveDifficulty({ preset = "normal", custom = {}, assists = {} } = {}) {
+  /**
+   * Difficulty for a run from the settings: a preset id ("custom" uses the
+   * clamped `custom` values), then every assist set in `assists` ({ id: bool }).
+   * Unknown presets play as normal.
+   */
+  const id = preset === "custom" || DIFFICULTY_PRESETS[preset] ? preset : "normal";
+  const base = id === "custom" ? custom : DIFFICULTY_PRESETS[id];
+  let out = { id, assists: Object.keys(ASSISTS).filter((a) => assists[a]) };
+  DIFFICULTY_VALUES.forEach((key) => {
+    out[key] = clampValue(key, base[key]);
+  });
+  out.assists.forEach((a) => {
+    out = ASSISTS[a].apply(out);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function parseDifficulty(raw, path = "difficulty") {
+  /** Validates a recorded difficulty (e.g. from a replay file); throws `${path} ...` on bad data. */
+  const fail = (message) => {
+    throw new Error(`${path} ${message}`);
+  };
+  if (!raw || typeof raw !== "object") fail("must be an object");
+  if (raw.id !== "custom" && !DIFFICULTY_PRESETS[raw.id]) fail(`has unknown id "${raw.id}"`);
+  if (!Array.isArray(raw.assists) || raw.assists.some((a) => !ASSISTS[a])) fail("has unknown assists");
+  DIFFICULTY_VALUES.forEach((key) => {
+    if (!Number.isFinite(raw[key]) || raw[key] < 0) fail(`${key} must be a non-negative number`);
+  });
+  const values = Object.fromEntries(DIFFICULTY_VALUES.map((key) => [key, raw[key]]));
+  return { id: raw.id, assists: [...raw.assists], ...values };
+}
+
+// PUBLIC_INTERFACE
+export function difficultyLabel(difficulty) {
+  /** Short name for tables and panels, e.g. "Hard" or "Easy + assists". */
+  const name = difficulty.id === "custom" ? "Custom" : DIFFICULTY_PRESETS[difficulty.id].label;
+  return difficulty.assists.length > 0 ? `${name} + assists` : name;
+}
@@ -0,0 +1,97 @@
+import * as engine2d from "./engine2d";
+import * as engine3d from "./engine3d";
+import { DEFAULT_DIFFICULTY, difficultyLabel, parseDifficulty, resolveDifficulty } from "./difficulty";
+import { createRecorder, createReplayPlayer, parseReplay } from "./replay";
+import { parseCampaign } from "./levels";
+import campaign from "../levels/campaign.json";
+
+test("presets, custom values and assists resolve to one set of values", () => {
+  expect(DEFAULT_DIFFICULTY).toEqual({ id: "normal", assists: [], lives: 3, target: 1, storms: 1, wind: 1, speed: 1 });
+  expect(resolveDifficulty({ preset: "nope" }).id).toBe("normal");
+
+  const easy = resolveDifficulty({ preset: "easy", assists: { noWind: true, extraLives: true, slowSpeed: false } });
+  expect(easy).toEqual(expect.objectContaining({ assists: ["noWind", "extraLives"], lives: 7, wind: 0, speed: 0.85 }));
+  expect(difficultyLabel(easy)).toBe("Easy + assists");
+
+  // Custom values are clamped to their ranges; missing ones play as normal
+  const custom = resolveDifficulty({ preset: "custom", custom: { lives: 40, storms: -1, speed: 0.75 } });
+  expect(custom).toEqual(expect.objectContaining({ lives: 9, target: 1, storms: 0, wind: 1, speed: 0.75 }));
+  expect(difficultyLabel(custom)).toBe("Custom");
+});
+
+test("recorded difficulties are validated", () => {
+  const hard = resolveDifficulty({ preset: "hard" });
+  expect(parseDifficulty(JSON.parse(JSON.stringify(hard)))).toEqual(hard);
+  expect(() => parseDifficulty({ ...hard, id: "brutal" }, "Replay difficulty")).toThrow(
+    'Replay difficulty has unknown id "brutal"'
+  );
+  expect(() => parseDifficulty({ ...hard, assists: ["godMode"] })).toThrow(/unknown assists/);
+  expect(() => parseDifficulty({ ...hard, wind: "lots" })).toThrow(/wind must be a non-negative number/);
+});
+
+test("both engines take their lives, level targets and speed from the difficulty", () => {
+  const easy = resolveDifficulty({ preset: "easy" });
+  const hard = resolveDifficulty({ preset: "hard" });
+
+  const easy2d = engine2d.createInitialState({ seed: 3, difficulty: easy });
+  const hard2d = engine2d.createInitialState({ seed: 3, difficulty: hard });
+  expect([easy2d.lives, hard2d.lives]).toEqual([5, 2]);
+  expect([easy2d.nextLevelAt, hard2d.nextLevelAt]).toEqual([4, 6]);
+
+  const easy3d = engine3d.createInitialState({ seed: 3, difficulty: easy });
+  const hard3d = engine3d.createInitialState({ seed: 3, difficulty: hard });
+  expect([easy3d.lives, hard3d.lives]).toEqual([5, 2]);
+  expect(easy3d.target).toBeLessThan(hard3d.target);
+  expect(easy3d.speed).toBeLessThan(hard3d.speed);
+  expect(easy3d.storms.length).toBeLessThan(hard3d.storms.length);
+});
+
+test("campaign star goals scale with the difficulty too", () => {
+  const { levels } = parseCampaign(campaign);
+  expect(levels[0].win).toEqual({ type: "stars", count: 5 });
+  // Level one's stars, one short of easy's goal, then one short of hard's
+  const collecting = (difficulty, levelStars) => {
+    const state = engine2d.createInitialState({ seed: 3, levels, difficulty });
+    const p = state.player;
+    return engine2d.step({ ...state, levelStars, stars: [{ x: p.x + 10, y: p.y + 10, r: 5, speed: 0 }] }).state;
+  };
+  const easy = resolveDifficulty({ preset: "easy" });
+  const hard = resolveDifficulty({ preset: "hard" });
+  expect(collecting(easy, 3).level).toBe(2);
+  expect(collecting(DEFAULT_DIFFICULTY, 3).level).toBe(1);
+  expect(collecting(DEFAULT_DIFFICULTY, 4).level).toBe(2);
+  expect(collecting(hard, 4).level).toBe(1);
+  expect(collecting(hard, 5).level).toBe(2);
+});
+
+test("the no-wind assist keeps every gust away", () => {
+  const gusts = (difficulty) => {
+    let state = engine2d.createInitialState({ seed: 5, difficulty });
+    let count = 0;
+    for (let t = 0; t < 3000 && !state.gameOver; t++) {
+      const out = engine2d.step(state, { right: t % 120 < 60, jump: t % 40 === 0 });
+      count += out.events.filter((ev) => ev.type === "wind").length;
+      state = out.state;
+    }
+    return count;
+  };
+  expect(gusts(DEFAULT_DIFFICULTY)).toBeGreaterThan(0);
+  expect(gusts(resolveDifficulty({ assists: { noWind: true } }))).toBe(0);
+});
+
+test("replays record the difficulty and play back on it", () => {
+  const hard = resolveDifficulty({ preset: "hard", assists: { slowSpeed: true } });
+  const recorder = createRecorder({ mode: "2d", seed: 8, tickMs: engine2d.FRAME_MS, difficulty: hard });
+  let state = engine2d.createInitialState({ seed: 8, difficulty: hard });
+  for (let t = 0; t < 600; t++) {
+    const input = { right: t % 150 < 90, jump: t % 50 === 0 };
+    state = engine2d.step(state, input, engine2d.FRAME_MS).state;
+    recorder.record(input);
+  }
+  const replay = parseReplay(JSON.stringify(recorder.finish({ score: state.score })));
+  expect(replay.difficulty).toEqual(hard);
+
+  const player = createReplayPlayer(replay, engine2d);
+  while (!player.isEnded()) player.advance();
+  expect(player.getState()).toEqual(state);
+});
@@ -0,0 +1,723 @@
+import { createRng } from "./rng";
+import { modifierEffects } from "./modifiers";
+import { DEFAULT_DIFFICULTY } from "./difficulty";
+import { pickStormKind, spawnStorm, stormHitboxes, updateStorms } from "./storms";
+import { BOSS, advanceBoss, attackActive, bossBonus, createBoss, damageBoss, isBossLevel } from "./boss";
+
+/**
+ * Dream Dash 2D simulation core.
+ * Pure and framework-free: `step(state, input, dt)` returns a new state plus the
+ * gameplay events that happened during the tick. All randomness comes from the
+ * seeded generator whose state travels inside the game state, so the same seed
+ * and input sequence always produce the same run.
+ *
+ * Movement constants are expressed per 60Hz frame; `dt` (ms) scales them.
+ *
+ * Levels are endless by default: random spawns, and every few stars raise the
+ * level. Random storms mix behaviours (drifters, chasers, strikers, splitters;
+ * see game/storms) that grow more varied with the level, and every fifth
+ * level opens with a boss storm (`state.boss`, see game/boss). Passing
+ * authored `levels` (see game/levels) plays those first, each with its own
+ * spawn waves, wind and win condition, then continues endlessly; an authored
+ * level with a boss starts its script and clock once the boss is beaten.
+ * Run `modifiers` (see game/modifiers) tweak wind, storms, star speed and lives;
+ * the `difficulty` (see game/difficulty) sets lives, stars per level (authored
+ * star goals included), storms, wind and world speed.
+ *
+ * `twoPlayer` adds a second player on the same screen, steered by
+ * `input.player2`. Each player then keeps their own lives, score and hit/dive
+ * timers (the state's `lives` and `score` become team totals) and a player out
+ * of lives is `down`. In "coop" the level progresses on both players' stars and
+ * collecting a star revives a downed partner; the run ends when both are down.
+ * In "versus" the last player standing wins. Power-ups are shared.
+ */
+
+// PUBLIC_INTERFACE
+export const FRAME_MS = 1000 / 60;
+
+const WORLD = {
+  width: 600,
+  height: 330,
+  groundY: 280,
+  starsPerLevel: 5,
+  starCount: 10,
+  cloudCount: 8,
+  windChance: 0.002,
+  windMs: 2000,
+  stormChance: 0.01,
+  invulnerableMs: 1000,
+  flashMs: 120,
+  bannerMs: 1600,
+  diveCooldownMs: 120,
+  powerUpChance: 0.0015,
+  powerUpRadius: 10,
+  magnetRadius: 140,
+  magnetPull: 3,
+  slowFactor: 0.5,
+};
+
+// Size of the playfield in world units; renderers scale it to the screen
+// PUBLIC_INTERFACE
+export const WORLD_SIZE = { width: WORLD.width, height: WORLD.height };
+
+// PUBLIC_INTERFACE
+export const POWER_UPS = {
+  /** Absorbs the next storm hit; lapses unused after `durationMs`. */
+  shield: { durationMs: 10000 },
+  /** Pulls stars within WORLD.magnetRadius toward the player. */
+  magnet: { durationMs: 6000 },
+  /** World (clouds, stars, storms) moves at half speed; the player does not. */
+  slow: { durationMs: 4000 },
+};
+
+const POWER_UP_KINDS = Object.keys(POWER_UPS);
+
+// PUBLIC_INTERFACE
+export const TWO_PLAYER_RULES = ["coop", "versus"];
+
+// Where the boss sits and how its attacks play out in the 2D world. The cloud
+// is an ellipse `rx` x `ry` around the boss's (x, y); its weak point hangs
+// below it, and volley columns run from the sky to the ground.
+// PUBLIC_INTERFACE
+export const BOSS_SHAPE = {
+  rx: 90,
+  ry: 50,
+  y: 100,
+  homeX: WORLD.width - 110,
+  enterSpeed: 2,
+  weakPoint: { dx: -30, dy: 45, r: 14 },
+  volleySize: 3,
+  boltWidth: 20,
+  blastForce: -2,
+  miniScale: 0.6,
+  miniSpeed: 1.8,
+};
+
+function noPowerUps() {
+  return { shield: 0, magnet: 0, slow: 0 };
+}
+
+function createPlayer(width) {
+  return {
+    x: 100,
+    y: 250,
+    size: 30,
+    vy: 0,
+    gravity: 0.8,
+    jumpPower: -12,
+    grounded: true,
+    speed: 2.5,
+    maxX: width - 30,
+    minX: 0,
+    ceilingY: 10,
+  };
+}
+
+// Two-player runs: each player carries the stats solo runs keep on the state itself
+function withStats(player, id, lives) {
+  return { ...player, id, lives, score: 0, invulnerable: 0, diveCooldown: 0, down: false };
+}
+
+// PUBLIC_INTERFACE
+export function emptyInput() {
+  /**
+   * Held directions plus the jump/dive presses that arrived since the last tick.
+   * `axis` (-1..1) is analog steering; when non-zero it replaces left/right.
+   */
+  return { left: false, right: false, jump: false, dive: false, axis: 0 };
+}
+
+// PUBLIC_INTERFACE
+export function currentLevel(state) {
+  /** The authored level being played, or null once the run is in endless mode. */
+  return state.levels[state.level - 1] || null;
+}
+
+function levelBanner(state) {
+  const level = currentLevel(state);
+  return level ? `Level ${state.level}: ${level.name}` : `Level ${state.level}!`;
+}
+
+// PUBLIC_INTERFACE
+export function createInitialState({
+  seed = 1,
+  width = WORLD.width,
+  height = WORLD.height,
+  levels = [],
+  startLevel = 1,
+  startTime = 0,
+  modifiers = [],
+  twoPlayer = null,
+  difficulty = DEFAULT_DIFFICULTY,
+} = {}) {
+  /**
+   * Builds a fresh run: player, clouds and stars placed from `seed`.
+   * `levels` are parsed authored levels; an authored first level starts with
+   * an empty sky that its waves fill. `startLevel` (1-based) and `startTime`
+   * (ms into that level) begin a run part-way through, e.g. to playtest from
+   * the editor: anything the level spawned earlier is placed where it would be.
+   * `modifiers` are run modifier ids, e.g. a daily challenge's.
+   * `twoPlayer` ("coop" or "versus", see TWO_PLAYER_RULES) adds the second player.
+   * `difficulty` is a resolved difficulty (see game/difficulty); normal by default.
+   */
+  if (twoPlayer !== null && !TWO_PLAYER_RULES.includes(twoPlayer)) {
+    throw new Error(`Unknown two-player rules "${twoPlayer}"`);
+  }
+  const rng = createRng(seed);
+  const effects = modifierEffects(modifiers);
+  const lives = Math.max(1, difficulty.lives + effects.lives);
+  const starsPerLevel = Math.max(1, Math.round(WORLD.starsPerLevel * difficulty.target));
+
+  const clouds = [];
+  for (let i = 0; i < WORLD.cloudCount; i++) {
+    clouds.push({ x: i * 100, y: 220 + rng.next() * 30, w: 50, h: 20, speed: 0.5 });
+  }
+
+  const stars = [];
+  for (let i = 0; levels.length === 0 && i < WORLD.starCount; i++) {
+    stars.push({ x: i * 80 + 100, y: 100 + rng.next() * 100, r: 5, speed: 1.5 });
+  }
+
+  const level = levels.length ? Math.min(Math.max(1, Math.floor(startLevel)), levels.length) : 1;
+  const state = {
+    seed,
+    rngState: rng.getState(),
+    tick: 0,
+    time: 0,
+    distance: 0, // how far the world has scrolled, in ticks at normal speed (drives parallax)
+    width,
+    height,
+    groundY: WORLD.groundY,
+    player: twoPlayer ? withStats(createPlayer(width), 1, lives) : createPlayer(width),
+    player2: twoPlayer ? withStats({ ...createPlayer(width), x: 160 }, 2, lives) : null,
+    twoPlayer,
+    clouds,
+    stars,
+    storms: [],
+    nextStormId: 1, // storms get stable ids so renderers can match them across ticks
+    powerUps: [],
+    boss: null,
+    active: noPowerUps(),
+    wind: { force: 0, remaining: 0, airborne: false, hit: false },
+    flash: { alpha: 0, remaining: 0 },
+    invulnerable: 0,
+    diveCooldown: 0,
+    banner: { text: "", remaining: 0 },
+    score: 0,
+    level,
+    lives: twoPlayer ? lives * 2 : lives,
+    modifiers: [...modifiers],
+    effects,
+    difficulty,
+    starsCollected: 0,
+    starsPerLevel,
+    nextLevelAt: starsPerLevel,
+    levels,
+    levelTime: 0,
+    levelStars: 0,
+    waveCursor: 0,
+    windCursor: 0,
+    gameOver: false,
+  };
+
+  if (levels.length) {
+    state.banner = { text: levelBanner(state), remaining: WORLD.bannerMs };
+    state.levelTime = Math.max(0, startTime);
+    runLevelScript(state, []);
+  }
+  return state;
+}
+
+function cloneState(state) {
+  return {
+    ...state,
+    player: { ...state.player },
+    player2: state.player2 && { ...state.player2 },
+    clouds: state.clouds.map((c) => ({ ...c })),
+    stars: state.stars.map((s) => ({ ...s })),
+    storms: state.storms.map((s) => ({ ...s })),
+    powerUps: state.powerUps.map((p) => ({ ...p })),
+    boss: state.boss && { ...state.boss },
+    active: { ...state.active },
+    wind: { ...state.wind },
+    flash: { ...state.flash },
+    banner: { ...state.banner },
+  };
+}
+
+function countdown(value, dt) {
+  return Math.max(0, value - dt);
+}
+
+function rectCircleColliding(px, py, pw, ph, cx, cy, r) {
+  const closestX = Math.max(px, Math.min(cx, px + pw));
+  const closestY = Math.max(py, Math.min(cy, py + ph));
+  const dx = cx - closestX;
+  const dy = cy - closestY;
+  return dx * dx + dy * dy <= r * r;
+}
+
+function rectRectOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
+  return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+}
+
+// Players still in the run: the one player of a solo run, or both until one is down
+function activePlayers(s) {
+  return s.player2 ? [s.player, s.player2].filter((p) => !p.down) : [s.player];
+}
+
+// Holder of a player's lives, score and hit/dive timers: the state itself in a
+// solo run, the player in a two-player run
+function statsOf(s, p) {
+  return s.player2 ? p : s;
+}
+
+// Two-player events say which player they are about
+function playerEvent(s, p, event) {
+  return s.player2 ? { ...event, player: p.id } : event;
+}
+
+// Starts a gust. `airborne` and `hit` record how the player fares while it
+// blows and are reported by the windEnd event when it dies down.
+function startGust(s, force, remaining, events) {
+  if (s.difficulty.wind === 0) return;
+  s.wind = { force: force * s.effects.wind * s.difficulty.wind, remaining, airborne: false, hit: false };
+  events.push({ type: "wind", force: s.wind.force });
+}
+
+// AI environment: storm spawning, wind gusts and the odd power-up, scaled slightly by level.
+// Authored levels script their own storms and wind unless they opt back in.
+function computerControl(s, rng, k, events) {
+  // A boss fight brings its own storms and wind
+  if (s.boss) return;
+  const level = currentLevel(s);
+  const stormScale = s.effects.storms * s.difficulty.storms;
+  const maxStorms = Math.min(2 + Math.floor(s.level / 2), 5) * stormScale;
+  const randomStorms = !level || level.randomStorms;
+  if (randomStorms && rng.next() < WORLD.stormChance * stormScale * k && s.storms.length < maxStorms) {
+    const kind = pickStormKind(s.level, rng);
+    const storm = { x: s.width, y: 80 + rng.next() * 120, speed: 1.6 + rng.next() * 0.8 + s.level * 0.1 };
+    s.storms.push(spawnStorm(kind, storm, stormWorld(s, rng, k, events)));
+  }
+
+  if (!level && rng.next() < WORLD.windChance * k) {
+    startGust(s, (rng.next() - 0.5) * (2 + s.level * 0.2), WORLD.windMs, events);
+  }
+
+  // Rare, and never more than one on screen
+  if (s.powerUps.length === 0 && rng.next() < WORLD.powerUpChance * k) {
+    s.powerUps.push({
+      kind: POWER_UP_KINDS[Math.floor(rng.next() * POWER_UP_KINDS.length)],
+      x: s.width + WORLD.powerUpRadius,
+      y: 90 + rng.next() * 110,
+      r: WORLD.powerUpRadius,
+      speed: 1.4,
+    });
+  }
+}
+
+// Authored level script: spawn waves and wind events whose time has come.
+// During a tick that is at most one tick late; when a run starts part-way
+// into a level, earlier spawns are moved on by the time they would have had.
+function runLevelScript(s, events) {
+  const level = currentLevel(s);
+  if (!level || s.boss) return;
+
+  while (s.waveCursor < level.waves.length && level.waves[s.waveCursor].at <= s.levelTime) {
+    const wave = level.waves[s.waveCursor];
+    const late = s.levelTime - wave.at > FRAME_MS ? (s.levelTime - wave.at) / FRAME_MS : 0;
+    for (let i = 0; i < wave.count; i++) {
+      const x = s.width + 40 + i * wave.spacing - wave.speed * late;
+      if (x < -40) continue;
+      if (wave.kind === "star") s.stars.push({ x, y: wave.y, r: 5, speed: wave.speed });
+      else s.storms.push({ x, y: wave.y, speed: wave.speed });
+    }
+    s.waveCursor += 1;
+  }
+
+  while (s.windCursor < level.wind.length && level.wind[s.windCursor].at <= s.levelTime) {
+    const gust = level.wind[s.windCursor];
+    const remaining = gust.durationMs - Math.max(0, s.levelTime - gust.at - FRAME_MS);
+    if (remaining > 0) startGust(s, gust.force, remaining, events);
+    s.windCursor += 1;
+  }
+}
+
+// Gives storms that are new this tick (spawned, scripted or split off) an id of their own
+function tagStorms(s) {
+  s.storms.forEach((st) => {
+    if (st.id === undefined) {
+      st.id = s.nextStormId;
+      s.nextStormId += 1;
+    }
+  });
+}
+
+// What storm behaviours (see game/storms) see of the run during a tick
+function stormWorld(s, rng, k, events) {
+  return {
+    width: s.width,
+    groundY: s.groundY,
+    level: s.level,
+    players: activePlayers(s),
+    rng,
+    k,
+    frameMs: FRAME_MS,
+    events,
+  };
+}
+
+function moveWorld(s, rng, k, events) {
+  const W = s.width;
+  s.distance += k;
+  s.clouds.forEach((c) => {
+    c.x -= c.speed * k;
+    if (c.x + c.w < 0) c.x = W + rng.next() * 200;
+  });
+  s.stars.forEach((st) => {
+    st.x -= st.speed * s.effects.starSpeed * k;
+    if (st.x + st.r < 0) {
+      st.x = W + rng.next() * 200;
+      st.y = 80 + rng.next() * 200;
+      chargeStar(s, st, rng);
+    }
+  });
+  // Storms keep moving behind the game-over screen but stay quiet
+  s.storms = updateStorms(s.storms, stormWorld(s, rng, k, s.gameOver ? [] : events));
+  s.powerUps.forEach((p) => {
+    p.x -= p.speed * k;
+  });
+  s.powerUps = s.powerUps.filter((p) => p.x + p.r >= 0);
+}
+
+// During a boss fight some stars come round charged (see game/boss)
+function chargeStar(s, st, rng) {
+  st.charged = Boolean(s.boss) && rng.next() < BOSS.chargedShare;
+}
+
+// Spots a lightning volley will strike: under every player, then at random
+function volleyTargets(s, rng) {
+  const xs = activePlayers(s).map((p) => p.x + p.size / 2);
+  const maxX = BOSS_SHAPE.homeX - BOSS_SHAPE.rx;
+  while (xs.length < BOSS_SHAPE.volleySize) xs.push(20 + rng.next() * (maxX - 20));
+  return xs;
+}
+
+// Boss phase: the boss slides in from the right, then cycles its attacks
+function bossControl(s, rng, k, events) {
+  if (!s.boss || s.gameOver) return;
+  const { boss, warned, fired } = advanceBoss(s.boss, k * FRAME_MS);
+  boss.x = Math.max(BOSS_SHAPE.homeX, boss.x - BOSS_SHAPE.enterSpeed * k);
+  if (warned) events.push({ type: "bossAttack", attack: warned });
+  if (warned === "volley") boss.bolts = volleyTargets(s, rng);
+  if (fired === "blast") startGust(s, BOSS_SHAPE.blastForce, BOSS.activeMs.blast, events);
+  if (fired === "summon") {
+    [-1, 1].forEach((dir) => {
+      const mini = { x: boss.x - BOSS_SHAPE.rx, y: boss.y + dir * 30, speed: BOSS_SHAPE.miniSpeed };
+      const storm = spawnStorm("chaser", mini, stormWorld(s, rng, k, events));
+      s.storms.push({ ...storm, scale: BOSS_SHAPE.miniScale, once: true });
+    });
+  }
+  s.boss = boss;
+}
+
+// Rects of the boss that hurt: its cloud, and the volley columns while they strike
+function bossHitboxes(s) {
+  const { x, y, bolts } = s.boss;
+  const body = { x: x - BOSS_SHAPE.rx, y: y - BOSS_SHAPE.ry, w: BOSS_SHAPE.rx * 2, h: BOSS_SHAPE.ry * 2 };
+  if (!attackActive(s.boss, "volley")) return [body];
+  const column = (bx) => ({ x: bx - BOSS_SHAPE.boltWidth / 2, y: 0, w: BOSS_SHAPE.boltWidth, h: s.groundY });
+  return [body, ...bolts.map(column)];
+}
+
+// A charged star zaps the boss's weak point; the last hit ends the fight with a bonus
+function hitBoss(s, p, events) {
+  s.boss = damageBoss(s.boss);
+  events.push(playerEvent(s, p, { type: "bossHit", health: s.boss.health }));
+  if (s.boss.health > 0) return;
+
+  const stats = statsOf(s, p);
+  const bonus = bossBonus(s.boss.level);
+  stats.score += bonus;
+  if (stats !== s) s.score += bonus;
+  s.boss = null;
+  s.stars.forEach((st) => {
+    st.charged = false;
+  });
+  // An authored level proper starts now, from a clear sky, with the fight's stars not counting
+  if (currentLevel(s)) {
+    s.stars = [];
+    s.levelStars = 0;
+  }
+  s.nextLevelAt = s.starsCollected + s.starsPerLevel;
+  s.banner = { text: `Boss beaten! +${bonus}`, remaining: WORLD.bannerMs };
+  events.push(playerEvent(s, p, { type: "bossDefeated", level: s.level, bonus, score: s.score }));
+}
+
+// Magnet: stars inside the radius drift toward the player's centre
+function pullStars(s, p, k) {
+  if (s.active.magnet === 0) return;
+  const cx = p.x + p.size / 2;
+  const cy = p.y + p.size / 2;
+  s.stars.forEach((st) => {
+    const dx = cx - st.x;
+    const dy = cy - st.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist === 0 || dist > WORLD.magnetRadius) return;
+    const pull = Math.min(dist, WORLD.magnetPull * k);
+    st.x += (dx / dist) * pull;
+    st.y += (dy / dist) * pull;
+  });
+}
+
+function movePlayer(s, player, input, k, events) {
+  const stats = statsOf(s, player);
+
+  if (input.jump) {
+    if (player.grounded) {
+      player.vy = player.jumpPower;
+      player.grounded = false;
+      events.push(playerEvent(s, player, { type: "jump" }));
+    } else {
+      player.vy += -0.8;
+    }
+  }
+  if (input.dive && stats.diveCooldown === 0) {
+    player.vy += 3.2;
+    stats.diveCooldown = WORLD.diveCooldownMs;
+    events.push(playerEvent(s, player, { type: "dive" }));
+  }
+
+  const lateral = input.axis ? input.axis : (input.right ? 1 : 0) - (input.left ? 1 : 0);
+  player.x += lateral * player.speed * k;
+  player.x = Math.min(Math.max(player.x, player.minX), player.maxX);
+
+  // Physics: gravity + wind
+  player.vy += player.gravity * k;
+  player.y += player.vy * k;
+  player.x += s.wind.force * k;
+  player.x = Math.min(Math.max(player.x, player.minX), player.maxX);
+
+  if (player.y < player.ceilingY) {
+    player.y = player.ceilingY;
+    if (player.vy < 0) player.vy = 0;
+  }
+
+  if (player.y + player.size > s.groundY) {
+    player.y = s.groundY - player.size;
+    player.vy = 0;
+    player.grounded = true;
+  } else {
+    player.grounded = false;
+  }
+}
+
+function handleStarCollisions(s, p, rng, events) {
+  const stats = statsOf(s, p);
+  s.stars.forEach((st) => {
+    if (!rectCircleColliding(p.x, p.y, p.size, p.size, st.x, st.y, st.r)) return;
+    stats.score += 1;
+    if (stats !== s) s.score += 1;
+    s.starsCollected += 1;
+    s.levelStars += 1;
+    s.flash = { alpha: 0.35, remaining: WORLD.flashMs };
+    events.push(playerEvent(s, p, { type: "star", x: st.x, y: st.y, score: s.score }));
+    if (st.charged && s.boss) hitBoss(s, p, events);
+
+    st.x = s.width + 40 + rng.next() * 200;
+    st.y = 80 + rng.next() * 200;
+    chargeStar(s, st, rng);
+    revivePartner(s, p, events);
+  });
+}
+
+// Co-op: a star collected by one player brings a downed partner back beside them
+function revivePartner(s, p, events) {
+  const partner = p === s.player ? s.player2 : s.player;
+  if (s.twoPlayer !== "coop" || !partner.down) return;
+  Object.assign(partner, { down: false, lives: 1, invulnerable: WORLD.invulnerableMs, x: p.x, y: p.y, vy: 0 });
+  s.lives += 1;
+  events.push({ type: "revive", player: partner.id, lives: s.lives });
+}
+
+function handlePowerUpCollisions(s, p, events) {
+  s.powerUps = s.powerUps.filter((pu) => {
+    if (!rectCircleColliding(p.x, p.y, p.size, p.size, pu.x, pu.y, pu.r)) return true;
+    s.active[pu.kind] = POWER_UPS[pu.kind].durationMs;
+    events.push({ type: "powerUp", kind: pu.kind });
+    return false;
+  });
+}
+
+function endRun(s, events, extra = {}) {
+  s.gameOver = true;
+  events.push({
+    type: "gameOver",
+    score: s.score,
+    level: s.level,
+    stars: s.starsCollected,
+    durationMs: s.time,
+    ...extra,
+  });
+}
+
+// A two-player run ends once both players are down in co-op, or all but one in
+// versus; the survivor wins, or the higher score if both went down together
+function checkPlayersDown(s, events) {
+  const standing = activePlayers(s);
+  if (s.twoPlayer === "coop" && standing.length === 0) endRun(s, events);
+  if (s.twoPlayer !== "versus" || standing.length > 1) return;
+  let winner = standing.length === 1 ? standing[0].id : null;
+  if (winner === null && s.player.score !== s.player2.score) winner = s.player.score > s.player2.score ? 1 : 2;
+  endRun(s, events, { winner });
+}
+
+function handleStormCollisions(s, p, events) {
+  const stats = statsOf(s, p);
+  const hazards = s.storms.map((st) => stormHitboxes(st, s));
+  if (s.boss) hazards.push(bossHitboxes(s));
+  hazards.forEach((boxes) => {
+    if (p.down || !boxes.some((b) => rectRectOverlap(p.x, p.y, p.size, p.size, b.x, b.y, b.w, b.h))) return;
+
+    if (stats.invulnerable === 0 && !s.gameOver && s.active.shield > 0) {
+      s.active.shield = 0;
+      stats.invulnerable = WORLD.invulnerableMs;
+      events.push(playerEvent(s, p, { type: "shieldBlock" }));
+    } else if (stats.invulnerable === 0 && !s.gameOver) {
+      stats.lives -= 1;
+      if (stats !== s) s.lives -= 1;
+      stats.invulnerable = WORLD.invulnerableMs;
+      if (s.wind.remaining > 0) s.wind.hit = true;
+      events.push(playerEvent(s, p, { type: "stormHit", lives: s.lives }));
+      if (stats === s && s.lives <= 0) endRun(s, events);
+      if (stats !== s && p.lives <= 0) {
+        p.down = true;
+        events.push({ type: "down", player: p.id });
+      }
+    }
+
+    // push player slightly on hit
+    p.vy += -2;
+    p.x -= 2;
+  });
+}
+
+// Stars an authored level asks for, scaled like endless levels by the difficulty
+function starGoal(s, level) {
+  return Math.max(1, Math.round(level.win.count * s.difficulty.target));
+}
+
+function levelComplete(s) {
+  const level = currentLevel(s);
+  if (!level) return s.starsCollected >= s.nextLevelAt;
+  return level.win.type === "stars" ? s.levelStars >= starGoal(s, level) : s.levelTime >= level.win.ms;
+}
+
+function fillStarField(s, rng) {
+  while (s.stars.length < WORLD.starCount) {
+    s.stars.push({ x: s.width + rng.next() * 400, y: 80 + rng.next() * 200, r: 5, speed: 1.5 });
+  }
+}
+
+function checkLevelUp(s, rng, events) {
+  if (s.gameOver || s.boss || !levelComplete(s)) return;
+  const wasAuthored = currentLevel(s) !== null;
+  s.level += 1;
+  s.levelTime = 0;
+  s.levelStars = 0;
+  s.waveCursor = 0;
+  s.windCursor = 0;
+
+  if (currentLevel(s)) {
+    // Next authored level starts from a clear sky; its waves repopulate it
+    s.stars = [];
+    s.storms = [];
+  } else if (wasAuthored) {
+    // Campaign finished: hand over to endless mode with a full star field
+    s.nextLevelAt = s.starsCollected + s.starsPerLevel;
+    fillStarField(s, rng);
+  } else {
+    s.nextLevelAt += s.starsPerLevel;
+
+    // increase difficulty by slightly upping star speed and adding another star
+    s.stars.forEach((st) => (st.speed += 0.2));
+    s.stars.push({ x: s.width + rng.next() * 120, y: 80 + rng.next() * 200, r: 5, speed: 1.5 });
+  }
+
+  s.banner = { text: levelBanner(s), remaining: WORLD.bannerMs };
+  events.push({ type: "levelUp", level: s.level });
+
+  // Every fifth level opens with a boss; the storms about drift off for good.
+  // An authored level's sky starts clear, so it gets stars to fight with
+  if (isBossLevel(s.level)) {
+    if (currentLevel(s)) fillStarField(s, rng);
+    s.boss = { ...createBoss(s.level), x: s.width + BOSS_SHAPE.rx, y: BOSS_SHAPE.y, bolts: [] };
+    s.storms = s.storms.map((st) => ({ ...st, once: true }));
+    s.banner = { text: `Level ${s.level}: Boss storm!`, remaining: WORLD.bannerMs };
+    events.push({ type: "bossStart", level: s.level, health: s.boss.health });
+  }
+}
+
+// PUBLIC_INTERFACE
+export function step(state, input = emptyInput(), dt = FRAME_MS) {
+  /** Advances the simulation by `dt` ms. Returns { state, events } without mutating `state`. */
+  const s = cloneState(state);
+  const events = [];
+  const rng = createRng(s.rngState);
+  const k = dt / FRAME_MS;
+
+  s.tick += 1;
+  s.time += dt;
+  // An authored level's clock waits while its boss is fought
+  if (!s.boss) s.levelTime += dt;
+  s.invulnerable = countdown(s.invulnerable, dt);
+  s.diveCooldown = countdown(s.diveCooldown, dt);
+  if (s.player2) {
+    [s.player, s.player2].forEach((p) => {
+      p.invulnerable = countdown(p.invulnerable, dt);
+      p.diveCooldown = countdown(p.diveCooldown, dt);
+    });
+  }
+
+  const gustBlowing = s.wind.remaining > 0;
+  s.wind.remaining = countdown(s.wind.remaining, dt);
+  if (s.wind.remaining === 0) s.wind.force = 0;
+  if (gustBlowing && s.wind.remaining === 0 && !s.gameOver) {
+    events.push({ type: "windEnd", airborne: s.wind.airborne, hit: s.wind.hit });
+  }
+
+  s.flash.remaining = countdown(s.flash.remaining, dt);
+  s.flash.alpha = s.flash.remaining === 0 ? 0 : Math.max(0, s.flash.alpha - 0.04 * k);
+
+  s.banner.remaining = countdown(s.banner.remaining, dt);
+  if (s.banner.remaining === 0) s.banner.text = "";
+
+  // Power-up timers run on real time, even while slow-time is active
+  const worldK = (s.active.slow > 0 ? k * WORLD.slowFactor : k) * s.difficulty.speed;
+  POWER_UP_KINDS.forEach((kind) => {
+    s.active[kind] = countdown(s.active[kind], dt);
+  });
+
+  runLevelScript(s, events);
+  computerControl(s, rng, k, events);
+  moveWorld(s, rng, worldK, events);
+  bossControl(s, rng, worldK, events);
+  const players = activePlayers(s);
+  players.forEach((p) => movePlayer(s, p, p === s.player2 ? input.player2 || emptyInput() : input, k, events));
+  if (s.wind.remaining > 0 && players.some((p) => !p.grounded)) s.wind.airborne = true;
+  players.forEach((p) => pullStars(s, p, k));
+
+  if (!s.gameOver) {
+    players.forEach((p) => {
+      handlePowerUpCollisions(s, p, events);
+      handleStarCollisions(s, p, rng, events);
+      handleStormCollisions(s, p, events);
+    });
+    if (s.player2) checkPlayersDown(s, events);
+    checkLevelUp(s, rng, events);
+  }
+  tagStorms(s);
+
+  s.rngState = rng.getState();
+  return { state: s, events };
+}
@@ -0,0 +1,207 @@
+import { createInitialState, emptyInput, step, FRAME_MS, POWER_UPS } from "./engine2d";
+
+function runTicks(state, ticks, input = emptyInput()) {
+  let s = state;
+  const events = [];
+  for (let i = 0; i < ticks; i++) {
+    const out = step(s, input);
+    s = out.state;
+    events.push(...out.events);
+  }
+  return { state: s, events };
+}
+
+// Places a single star (or storm) right on the grounded player
+function withStarOnPlayer(state) {
+  const p = state.player;
+  return { ...state, stars: [{ x: p.x + 10, y: p.y + 10, r: 5, speed: 0 }] };
+}
+
+function withStormOnPlayer(state) {
+  const p = state.player;
+  return { ...state, storms: [{ x: p.x + 15, y: p.y + 15, speed: 0 }] };
+}
+
+test("same seed and inputs reproduce the same run", () => {
+  const input = { ...emptyInput(), right: true };
+  const a = runTicks(createInitialState({ seed: 42 }), 600, input);
+  const b = runTicks(createInitialState({ seed: 42 }), 600, input);
+  expect(a.state).toEqual(b.state);
+  expect(a.events).toEqual(b.events);
+
+  const c = runTicks(createInitialState({ seed: 43 }), 600, input);
+  expect(c.state.stars).not.toEqual(a.state.stars);
+});
+
+test("step does not mutate the state it is given", () => {
+  const initial = createInitialState({ seed: 7 });
+  const snapshot = JSON.parse(JSON.stringify(initial));
+  step(initial, { ...emptyInput(), jump: true });
+  expect(initial).toEqual(snapshot);
+});
+
+test("collecting a star scores and respawns it off screen", () => {
+  const { state, events } = step(withStarOnPlayer(createInitialState({ seed: 1 })));
+  expect(state.score).toBe(1);
+  expect(state.starsCollected).toBe(1);
+  expect(events.filter((e) => e.type === "star")).toHaveLength(1);
+  expect(state.stars[0].x).toBeGreaterThan(state.width);
+});
+
+test("storm hits cost a life and grant invulnerability frames", () => {
+  let s = withStormOnPlayer(createInitialState({ seed: 1 }));
+  let out = step(s);
+  expect(out.state.lives).toBe(2);
+  expect(out.events).toContainEqual({ type: "stormHit", lives: 2 });
+
+  // Still overlapping during i-frames: no further damage
+  s = withStormOnPlayer(out.state);
+  out = step(s);
+  expect(out.state.lives).toBe(2);
+
+  // After the cooldown has elapsed the next hit counts again
+  s = withStormOnPlayer({ ...out.state, invulnerable: FRAME_MS / 2 });
+  out = step(s);
+  expect(out.state.lives).toBe(1);
+});
+
+test("losing the last life ends the run", () => {
+  const { state, events } = step(withStormOnPlayer({ ...createInitialState({ seed: 1 }), lives: 1 }));
+  expect(state.gameOver).toBe(true);
+  expect(events.map((e) => e.type)).toEqual(expect.arrayContaining(["stormHit", "gameOver"]));
+});
+
+test("reaching nextLevelAt levels up and raises the bar", () => {
+  const s = { ...withStarOnPlayer(createInitialState({ seed: 1 })), starsCollected: 4 };
+  const { state, events } = step(s);
+  expect(state.level).toBe(2);
+  expect(state.nextLevelAt).toBe(10);
+  expect(state.banner.text).toBe("Level 2!");
+  expect(events).toContainEqual({ type: "levelUp", level: 2 });
+});
+
+test("analog axis scales horizontal speed proportionally", () => {
+  const start = createInitialState({ seed: 1 });
+  const full = step(start, { ...emptyInput(), right: true }).state.player.x - start.player.x;
+  const half = step(start, { ...emptyInput(), axis: 0.5 }).state.player.x - start.player.x;
+  expect(half).toBeCloseTo(full / 2);
+});
+
+function withPowerUpOnPlayer(state, kind) {
+  const p = state.player;
+  return { ...state, powerUps: [{ kind, x: p.x + 10, y: p.y + 10, r: 10, speed: 0 }] };
+}
+
+test("picking up a power-up starts its timer", () => {
+  const { state, events } = step(withPowerUpOnPlayer(createInitialState({ seed: 1 }), "magnet"));
+  expect(state.powerUps).toHaveLength(0);
+  expect(state.active.magnet).toBe(POWER_UPS.magnet.durationMs);
+  expect(events).toContainEqual({ type: "powerUp", kind: "magnet" });
+});
+
+test("a shield absorbs one storm hit instead of a life", () => {
+  const start = createInitialState({ seed: 1 });
+  const shielded = { ...start, active: { ...start.active, shield: 5000 } };
+  const out = step(withStormOnPlayer(shielded));
+  expect(out.state.lives).toBe(start.lives);
+  expect(out.state.active.shield).toBe(0);
+  expect(out.events).toContainEqual({ type: "shieldBlock" });
+
+  const after = step(withStormOnPlayer({ ...out.state, invulnerable: 0 }));
+  expect(after.state.lives).toBe(start.lives - 1);
+});
+
+test("the magnet pulls nearby stars toward the player", () => {
+  const start = createInitialState({ seed: 1 });
+  const p = start.player;
+  const star = { x: p.x + 100, y: p.y, r: 5, speed: 0 };
+  const base = { ...start, stars: [star] };
+  const plain = step(base).state.stars[0];
+  const pulled = step({ ...base, active: { ...base.active, magnet: 1000 } }).state.stars[0];
+  expect(plain.x).toBe(star.x);
+  expect(pulled.x).toBeLessThan(star.x);
+});
+
+test("slow-time halves world speed but not the player's", () => {
+  const start = createInitialState({ seed: 1 });
+  const base = { ...start, stars: [{ x: 500, y: 40, r: 5, speed: 2 }] };
+  const normal = step(base, { ...emptyInput(), right: true }).state;
+  const slowed = step({ ...base, active: { ...base.active, slow: 1000 } }, { ...emptyInput(), right: true }).state;
+  expect(500 - slowed.stars[0].x).toBeCloseTo((500 - normal.stars[0].x) / 2);
+  // The distance the parallax sky follows slows down with the world
+  expect(slowed.distance).toBeCloseTo(normal.distance / 2);
+  expect(slowed.player.x).toBeCloseTo(normal.player.x);
+  expect(slowed.active.slow).toBeCloseTo(1000 - FRAME_MS);
+});
+
+test("jumps from the ground and dives report events for sound", () => {
+  const grounded = runTicks(createInitialState({ seed: 3 }), 120).state;
+  const jumped = step(grounded, { ...emptyInput(), jump: true });
+  expect(jumped.events.map((e) => e.type)).toContain("jump");
+
+  // A mid-air jump is a boost, not a new jump
+  const boosted = step(jumped.state, { ...emptyInput(), jump: true });
+  expect(boosted.events.map((e) => e.type)).not.toContain("jump");
+
+  const dived = step(boosted.state, { ...emptyInput(), dive: true });
+  expect(dived.events.map((e) => e.type)).toContain("dive");
+});
+
+test("a gust dying down reports whether the player was airborne or hit during it", () => {
+  const grounded = runTicks(createInitialState({ seed: 3 }), 120).state;
+  const gust = { force: 0.5, remaining: FRAME_MS * 3, airborne: false, hit: false };
+  const start = { ...grounded, storms: [], wind: gust };
+
+  const jumped = step(start, { ...emptyInput(), jump: true }).state;
+  expect(runTicks(jumped, 3).events).toContainEqual({ type: "windEnd", airborne: true, hit: false });
+
+  const hit = step(withStormOnPlayer(start), emptyInput()).state;
+  const end = runTicks({ ...hit, storms: [] }, 3).events.find((e) => e.type === "windEnd");
+  expect(end.hit).toBe(true);
+});
+
+function withStormOn(state, p) {
+  return { ...state, storms: [{ x: p.x + 15, y: p.y + 15, speed: 0 }] };
+}
+
+test("two-player runs steer, score and take hits per player", () => {
+  const start = createInitialState({ seed: 1, twoPlayer: "coop" });
+  expect(start.lives).toBe(6);
+  const moved = step(start, { ...emptyInput(), player2: { ...emptyInput(), right: true } }).state;
+  expect(moved.player.x).toBe(start.player.x);
+  expect(moved.player2.x).toBeGreaterThan(start.player2.x);
+
+  const scored = step(withStarOnPlayer(start)).state;
+  expect([scored.player.score, scored.player2.score, scored.score]).toEqual([1, 0, 1]);
+
+  const { state, events } = step(withStormOn(start, start.player2));
+  expect([state.player.lives, state.player2.lives, state.lives]).toEqual([3, 2, 5]);
+  expect(events).toContainEqual({ type: "stormHit", lives: 5, player: 2 });
+  expect(() => createInitialState({ twoPlayer: "tag" })).toThrow(/Unknown two-player rules "tag"/);
+});
+
+test("co-op revives a downed partner with a star and ends when both are down", () => {
+  const start = createInitialState({ seed: 1, twoPlayer: "coop" });
+  const lastLife = { ...start, player2: { ...start.player2, lives: 1 }, lives: 4 };
+  const downed = step(withStormOn(lastLife, lastLife.player2));
+  expect(downed.state.player2.down).toBe(true);
+  expect(downed.state.gameOver).toBe(false);
+  expect(downed.events).toContainEqual({ type: "down", player: 2 });
+
+  const revived = step(withStarOnPlayer(downed.state));
+  expect(revived.state.player2).toMatchObject({ down: false, lives: 1 });
+  expect(revived.events).toContainEqual({ type: "revive", player: 2, lives: 4 });
+
+  const alone = { ...downed.state, player: { ...downed.state.player, lives: 1 }, lives: 1 };
+  const over = step(withStormOn(alone, alone.player));
+  expect(over.state.gameOver).toBe(true);
+  expect(over.events.find((e) => e.type === "gameOver")).not.toHaveProperty("winner");
+});
+
+test("versus ends when one player is left standing, who wins", () => {
+  const start = createInitialState({ seed: 1, twoPlayer: "versus" });
+  const lastLife = { ...start, player: { ...start.player, lives: 1 }, lives: 4 };
+  const { state, events } = step(withStormOn(lastLife, lastLife.player));
+  expect(state.gameOver).toBe(true);
+  expect(events.find((e) => e.type === "gameOver")).toMatchObject({ winner: 2 });
+});
@@ -0,0 +1,390 @@
+import { createRng } from "./rng";
+import { modifierEffects } from "./modifiers";
+import { DEFAULT_DIFFICULTY } from "./difficulty";
+import { BOSS, advanceBoss, attackActive, bossBonus, createBoss, damageBoss, isBossLevel } from "./boss";
+
+/**
+ * Dream Dash 3D runner simulation core.
+ * Same contract as `engine2d`: `step(state, input, dt)` returns { state, events }
+ * and never mutates its argument; randomness comes from the seeded generator
+ * stored in `state.rngState`. Distances are world units per 60Hz frame.
+ *
+ * Survival follows the 2D rules: a storm hit costs a life and grants a second
+ * of invulnerability, and the run ends when the last life is lost. Hits also
+ * knock the player sideways and start a camera shake (`state.shake`, ms left)
+ * for the renderer. From `extraLife.minLevel` on, a rare extra-life pickup
+ * may appear ahead.
+ *
+ * Every fifth level opens with a boss storm (`state.boss`, see game/boss)
+ * hovering far down the track. Storms that pass meanwhile come back inactive,
+ * its summons reactivate them, and its volleys strike the lanes marked at the
+ * player's depth (`boss.bolts`, x positions).
+ */
+
+// PUBLIC_INTERFACE
+export const FRAME_MS = 1000 / 60;
+
+// Global configuration for the runner
+// PUBLIC_INTERFACE
+export const CONFIG = {
+  laneWidth: 1.5,
+  worldWidth: 8,
+  groundZCount: 20,
+  groundTileLength: 4, // length along -Z
+  baseForwardSpeed: 0.12,
+  levelTarget: 8,
+  targetStep: 6,
+  messageMs: 1600,
+  maxLives: 5,
+  invulnerableMs: 1000,
+  shakeMs: 400,
+  knockback: {
+    speed: 0.18, // lateral velocity away from the storm, decaying
+    decay: 0.85,
+    hop: 0.12,
+  },
+  extraLife: {
+    minLevel: 3,
+    chance: 0.0015,
+    radius: 0.35,
+  },
+  player: {
+    radius: 0.35, // for collision approximation
+    height: 1.2,
+    jumpVelocity: 0.23,
+    gravity: -0.015,
+    moveSpeed: 0.12,
+    minX: -3,
+    maxX: 3,
+    startY: 0.6,
+  },
+  star: {
+    count: 14,
+    radius: 0.3,
+  },
+  storm: {
+    count: 8,
+    size: { x: 1.4, y: 0.8, z: 1.2 }, // AABB half-extents approximation
+  },
+  wind: {
+    chance: 0.002,
+    durationMs: 1800,
+    maxForce: 0.06,
+  },
+  boss: {
+    z: -30,
+    y: 4,
+    sway: 2, // lateral swing either side of the track's centre
+    swayMs: 1500,
+    volleySize: 3,
+    boltRadius: 0.5,
+    blastForce: 0.09, // pushes the player towards the edge they are nearer
+    summons: 2,
+  },
+};
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Distance-based collision for sphere (player) vs AABB (storm)
+// PUBLIC_INTERFACE
+export function sphereAabbIntersect(center, radius, boxCenter, halfSize) {
+  /** Sphere vs AABB collision */
+  const dx = Math.max(Math.abs(center.x - boxCenter.x) - halfSize.x, 0);
+  const dy = Math.max(Math.abs(center.y - boxCenter.y) - halfSize.y, 0);
+  const dz = Math.max(Math.abs(center.z - boxCenter.z) - halfSize.z, 0);
+  return dx * dx + dy * dy + dz * dz <= radius * radius;
+}
+
+function randLane(rng) {
+  return (rng.next() * CONFIG.worldWidth - CONFIG.worldWidth / 2) * 0.6;
+}
+
+// PUBLIC_INTERFACE
+export function createInitialState({ seed = 1, modifiers = [], difficulty = DEFAULT_DIFFICULTY } = {}) {
+  /**
+   * Builds a fresh run with stars and storms scattered ahead from `seed`.
+   * `modifiers` are run modifier ids (see game/modifiers), e.g. a daily challenge's.
+   * `difficulty` (see game/difficulty) sets lives, the level target, storms, wind and speed.
+   */
+  const rng = createRng(seed);
+  const effects = modifierEffects(modifiers);
+
+  const stars = Array.from({ length: CONFIG.star.count }).map((_, i) => ({
+    x: randLane(rng),
+    y: 0.8 + rng.next() * 1.1,
+    z: -i * 6 - 10 - rng.next() * 6,
+    active: true,
+  }));
+  const stormCount = Math.round(CONFIG.storm.count * effects.storms * difficulty.storms);
+  const storms = Array.from({ length: stormCount }).map((_, i) => ({
+    x: randLane(rng),
+    y: 1.2 + rng.next() * 0.8,
+    z: -i * 12 - 20 - rng.next() * 16,
+    active: true,
+  }));
+
+  return {
+    seed,
+    rngState: rng.getState(),
+    tick: 0,
+    time: 0,
+    player: { x: 0, y: CONFIG.player.startY, z: 2, vy: 0, knockback: 0, grounded: true, diving: false },
+    wind: { force: 0, remaining: 0, airborne: false, hit: false },
+    stars,
+    storms,
+    extraLife: null,
+    boss: null,
+    lives: Math.max(1, difficulty.lives + effects.lives),
+    modifiers: [...modifiers],
+    effects,
+    difficulty,
+    invulnerable: 0,
+    shake: 0,
+    level: 1,
+    score: 0,
+    starsCollected: 0, // unlike score, boss bonuses don't count
+    target: Math.max(1, Math.round(CONFIG.levelTarget * difficulty.target)),
+    speed: CONFIG.baseForwardSpeed * difficulty.speed,
+    message: { text: "", remaining: 0 },
+    gameOver: false,
+  };
+}
+
+function cloneState(state) {
+  return {
+    ...state,
+    player: { ...state.player },
+    wind: { ...state.wind },
+    stars: state.stars.map((s) => ({ ...s })),
+    storms: state.storms.map((s) => ({ ...s })),
+    extraLife: state.extraLife && { ...state.extraLife },
+    boss: state.boss && { ...state.boss },
+    message: { ...state.message },
+  };
+}
+
+function movePlayer(s, input, k, events) {
+  const p = s.player;
+  // Analog stick deflection scales move speed; digital input is full speed
+  const lateral = input.axis ? input.axis : (input.left ? -1 : 0) + (input.right ? 1 : 0);
+  p.x += lateral * CONFIG.player.moveSpeed * k;
+  p.x += s.wind.force * k; // wind push
+  p.x += p.knockback * k;
+  p.knockback *= Math.pow(CONFIG.knockback.decay, k);
+  if (Math.abs(p.knockback) < 0.001) p.knockback = 0;
+  p.x = clamp(p.x, CONFIG.player.minX, CONFIG.player.maxX);
+
+  if (input.jump && p.grounded) {
+    p.vy = CONFIG.player.jumpVelocity;
+    p.grounded = false;
+    events.push({ type: "jump" });
+  }
+  if (input.dive) {
+    p.vy += CONFIG.player.gravity * 0.4 * k; // quick drop
+    if (!p.diving && !p.grounded) events.push({ type: "dive" });
+  }
+  p.diving = Boolean(input.dive);
+
+  p.vy += CONFIG.player.gravity * k;
+  p.y += p.vy * k;
+
+  const groundY = CONFIG.player.startY;
+  if (p.y <= groundY) {
+    p.y = groundY;
+    p.vy = 0;
+    p.grounded = true;
+  }
+}
+
+// Move world toward player (illusion of forward motion), respawning ahead
+function moveWorld(s, rng, k) {
+  const forward = (s.speed + Math.min(s.level * 0.003, 0.05)) * k;
+  s.stars.forEach((st) => {
+    st.z += forward * s.effects.starSpeed;
+    if (st.z > 3) {
+      st.z = -60 - rng.next() * 40;
+      st.x = randLane(rng);
+      st.y = 0.8 + rng.next() * 1.1;
+      st.active = true;
+      st.charged = Boolean(s.boss) && rng.next() < BOSS.chargedShare;
+    }
+  });
+  s.storms.forEach((st) => {
+    st.z += forward * 1.1;
+    if (st.z > 3) {
+      st.z = -80 - rng.next() * 60;
+      st.x = randLane(rng);
+      st.y = 1.0 + rng.next() * 1.3;
+      // Normal spawning pauses for a boss fight
+      st.active = !s.boss;
+    }
+  });
+  if (s.extraLife) {
+    s.extraLife.z += forward;
+    if (s.extraLife.z > 3) s.extraLife = null;
+  }
+}
+
+// At most one extra life on the track at a time, and only while one could be used
+function maybeSpawnExtraLife(s, rng, k) {
+  if (s.extraLife || s.level < CONFIG.extraLife.minLevel || s.lives >= CONFIG.maxLives) return;
+  if (rng.next() >= CONFIG.extraLife.chance * k) return;
+  s.extraLife = { x: randLane(rng), y: 0.9 + rng.next() * 0.8, z: -70 };
+}
+
+// Boss phase: the boss sways far ahead and cycles its attacks
+function bossControl(s, rng, k, events) {
+  if (!s.boss || s.gameOver) return;
+  const { boss, warned, fired } = advanceBoss(s.boss, k * FRAME_MS);
+  boss.x = Math.sin(s.time / CONFIG.boss.swayMs) * CONFIG.boss.sway;
+  if (warned) events.push({ type: "bossAttack", attack: warned });
+  if (warned === "volley") {
+    boss.bolts = [s.player.x];
+    while (boss.bolts.length < CONFIG.boss.volleySize) boss.bolts.push(randLane(rng));
+  }
+  if (fired === "blast" && s.difficulty.wind > 0) {
+    const away = s.player.x >= 0 ? 1 : -1;
+    const force = away * CONFIG.boss.blastForce * s.effects.wind * s.difficulty.wind;
+    s.wind = { force, remaining: BOSS.activeMs.blast, airborne: false, hit: false };
+    events.push({ type: "wind", force });
+  }
+  if (fired === "summon") {
+    s.storms
+      .filter((st) => !st.active)
+      .slice(0, CONFIG.boss.summons)
+      .forEach((st) => Object.assign(st, { x: randLane(rng), y: 1.2, z: CONFIG.boss.z + 4, active: true }));
+  }
+  s.boss = boss;
+}
+
+// A charged star zaps the boss's weak point; the last hit ends the fight with a bonus
+function hitBoss(s, events) {
+  s.boss = damageBoss(s.boss);
+  events.push({ type: "bossHit", health: s.boss.health });
+  if (s.boss.health > 0) return;
+
+  const bonus = bossBonus(s.boss.level);
+  s.score += bonus;
+  s.boss = null;
+  s.stars.forEach((st) => {
+    st.charged = false;
+  });
+  s.target = s.score + Math.max(1, Math.round(CONFIG.targetStep * s.difficulty.target));
+  s.message = { text: `Boss beaten! +${bonus}`, remaining: CONFIG.messageMs };
+  events.push({ type: "bossDefeated", level: s.level, bonus, score: s.score });
+}
+
+// Lightning volley columns hit anywhere along them while they strike
+function struckByVolley(s) {
+  if (!attackActive(s.boss, "volley")) return null;
+  const reach = CONFIG.boss.boltRadius + CONFIG.player.radius;
+  const x = s.boss.bolts.find((bx) => Math.abs(s.player.x - bx) < reach);
+  return x === undefined ? null : { x };
+}
+
+function handleCollisions(s, events) {
+  const p = s.player;
+  for (const st of s.stars) {
+    if (!st.active) continue;
+    const hit = sphereAabbIntersect(p, CONFIG.star.radius, st, { x: 0.25, y: 0.25, z: 0.25 });
+    if (hit) {
+      st.active = false;
+      s.score += 1;
+      s.starsCollected += 1;
+      events.push({ type: "star", score: s.score });
+      if (st.charged && s.boss) hitBoss(s, events);
+    }
+  }
+  const life = s.extraLife;
+  if (life && sphereAabbIntersect(p, CONFIG.extraLife.radius, life, { x: 0.3, y: 0.3, z: 0.3 })) {
+    s.extraLife = null;
+    s.lives = Math.min(CONFIG.maxLives, s.lives + 1);
+    events.push({ type: "extraLife", lives: s.lives });
+  }
+  if (s.invulnerable > 0) return;
+  const hazard =
+    struckByVolley(s) ||
+    s.storms.find((st) => st.active && sphereAabbIntersect(p, CONFIG.player.radius, st, CONFIG.storm.size));
+  if (!hazard) return;
+  s.lives -= 1;
+  s.invulnerable = CONFIG.invulnerableMs;
+  s.shake = CONFIG.shakeMs;
+  if (s.wind.remaining > 0) s.wind.hit = true;
+  // Knocked away from the storm's (or bolt's) centre, with a little hop
+  p.knockback = (p.x >= hazard.x ? 1 : -1) * CONFIG.knockback.speed;
+  p.vy = Math.max(p.vy, CONFIG.knockback.hop);
+  p.grounded = false;
+  events.push({ type: "stormHit", lives: s.lives });
+  if (s.lives <= 0) {
+    s.gameOver = true;
+    s.message = { text: "Game Over", remaining: 0 };
+    events.push({ type: "gameOver", score: s.score, level: s.level, stars: s.starsCollected, durationMs: s.time });
+  }
+}
+
+function checkLevelUp(s, events) {
+  if (s.gameOver || s.boss || s.score < s.target) return;
+  s.level += 1;
+  s.target += Math.max(1, Math.round(CONFIG.targetStep * s.difficulty.target));
+  s.speed += 0.02 * s.difficulty.speed;
+  s.message = { text: `Level ${s.level}!`, remaining: CONFIG.messageMs };
+  events.push({ type: "levelUp", level: s.level });
+
+  if (isBossLevel(s.level)) {
+    s.boss = { ...createBoss(s.level), x: 0, bolts: [] };
+    s.message = { text: `Level ${s.level}: Boss storm!`, remaining: CONFIG.messageMs };
+    events.push({ type: "bossStart", level: s.level, health: s.boss.health });
+  }
+}
+
+// PUBLIC_INTERFACE
+export function step(state, input, dt = FRAME_MS) {
+  /** Advances the runner by `dt` ms. Returns { state, events } without mutating `state`. */
+  const s = cloneState(state);
+  const events = [];
+  const rng = createRng(s.rngState);
+  const k = dt / FRAME_MS;
+
+  s.tick += 1;
+  s.time += dt;
+
+  s.invulnerable = Math.max(0, s.invulnerable - dt);
+  s.shake = Math.max(0, s.shake - dt);
+
+  // Banner messages time out; "Game Over" stays until restart
+  if (!s.gameOver) {
+    s.message.remaining = Math.max(0, s.message.remaining - dt);
+    if (s.message.remaining === 0) s.message.text = "";
+  }
+
+  // Spawn random wind gust once the previous one has died down (a boss blows
+  // its own). `airborne` and `hit` record how the player fared during it, for the windEnd event
+  const gustBlowing = s.wind.remaining > 0;
+  s.wind.remaining = Math.max(0, s.wind.remaining - dt);
+  if (s.wind.remaining === 0) s.wind.force = 0;
+  if (gustBlowing && s.wind.remaining === 0 && !s.gameOver) {
+    events.push({ type: "windEnd", airborne: s.wind.airborne, hit: s.wind.hit });
+  }
+  const calm = s.gameOver || s.boss || s.wind.remaining > 0;
+  if (!calm && rng.next() < CONFIG.wind.chance * k && s.difficulty.wind > 0) {
+    const force = (rng.next() * 2 - 1) * CONFIG.wind.maxForce * s.effects.wind * s.difficulty.wind;
+    s.wind = { force, remaining: CONFIG.wind.durationMs, airborne: false, hit: false };
+    events.push({ type: "wind", force });
+  }
+
+  if (!s.gameOver) movePlayer(s, input, k, events);
+  if (s.wind.remaining > 0 && !s.player.grounded) s.wind.airborne = true;
+  moveWorld(s, rng, k);
+  bossControl(s, rng, k, events);
+  if (!s.gameOver) maybeSpawnExtraLife(s, rng, k);
+
+  if (!s.gameOver) {
+    handleCollisions(s, events);
+    checkLevelUp(s, events);
+  }
+
+  s.rngState = rng.getState();
+  return { state: s, events };
+}
@@ -0,0 +1,63 @@
+import { CONFIG, createInitialState, step } from "./engine3d";
+import { DEFAULT_DIFFICULTY } from "./difficulty";
+
+const idle = { left: false, right: false, jump: false, dive: false, axis: 0 };
+
+// Parks a single storm (or extra life) right on the player, slightly to one side
+function withStormOnPlayer(state, dx = -0.2) {
+  const p = state.player;
+  return { ...state, storms: [{ x: p.x + dx, y: p.y, z: p.z, active: true }] };
+}
+
+function withExtraLifeOnPlayer(state) {
+  const p = state.player;
+  return { ...state, extraLife: { x: p.x, y: p.y, z: p.z } };
+}
+
+test("a storm hit costs a life, shakes the camera and knocks the player away", () => {
+  const { state, events } = step(withStormOnPlayer(createInitialState({ seed: 1 })), idle);
+  expect(state.lives).toBe(DEFAULT_DIFFICULTY.lives - 1);
+  expect(state.gameOver).toBe(false);
+  expect(state.invulnerable).toBeGreaterThan(0);
+  expect(state.shake).toBe(CONFIG.shakeMs);
+  expect(events).toContainEqual({ type: "stormHit", lives: DEFAULT_DIFFICULTY.lives - 1 });
+
+  // Storm was on the left, so the player is pushed right
+  const later = step(state, idle).state;
+  expect(later.player.x).toBeGreaterThan(state.player.x);
+});
+
+test("invulnerability frames ignore further hits until they run out", () => {
+  let state = step(withStormOnPlayer(createInitialState({ seed: 2 })), idle).state;
+  state = step(withStormOnPlayer(state), idle).state;
+  expect(state.lives).toBe(DEFAULT_DIFFICULTY.lives - 1);
+
+  state = { ...state, invulnerable: 0 };
+  state = step(withStormOnPlayer(state), idle).state;
+  expect(state.lives).toBe(DEFAULT_DIFFICULTY.lives - 2);
+});
+
+test("losing the last life ends the run", () => {
+  const start = { ...createInitialState({ seed: 3 }), lives: 1 };
+  const { state, events } = step(withStormOnPlayer(start), idle);
+  expect(state.gameOver).toBe(true);
+  expect(events.map((e) => e.type)).toEqual(expect.arrayContaining(["stormHit", "gameOver"]));
+});
+
+test("extra lives are collected up to the cap and only spawn at higher levels", () => {
+  const { state, events } = step(withExtraLifeOnPlayer(createInitialState({ seed: 4 })), idle);
+  expect(state.lives).toBe(DEFAULT_DIFFICULTY.lives + 1);
+  expect(state.extraLife).toBeNull();
+  expect(events).toContainEqual({ type: "extraLife", lives: DEFAULT_DIFFICULTY.lives + 1 });
+
+  const full = step(withExtraLifeOnPlayer({ ...createInitialState({ seed: 4 }), lives: CONFIG.maxLives }), idle);
+  expect(full.state.lives).toBe(CONFIG.maxLives);
+
+  const run = (level) => {
+    let s = { ...createInitialState({ seed: 5 }), level, storms: [] };
+    for (let i = 0; i < 3000 && !s.extraLife; i++) s = step({ ...s, storms: [] }, idle).state;
+    return s.extraLife;
+  };
+  expect(run(1)).toBeNull();
+  expect(run(CONFIG.extraLife.minLevel)).not.toBeNull();
+});
@@ -0,0 +1,70 @@
+/**
+ * Fixed-timestep game loop.
+ * Real frame time is accumulated and spent in whole simulation ticks of
+ * `tickMs`, so gameplay speed does not depend on the display refresh rate.
+ * The leftover fraction of a tick (`alpha`) lets the renderer interpolate
+ * between the previous and current simulation states.
+ */
+
+// Upper bound on catch-up work per frame; a longer stall drops the backlog
+// instead of freezing the tab trying to simulate it all at once.
+const MAX_TICKS_PER_FRAME = 5;
+
+// PUBLIC_INTERFACE
+export function accumulate(accumulator, elapsedMs, tickMs, maxTicks = MAX_TICKS_PER_FRAME) {
+  /** Adds `elapsedMs` to the accumulator; returns { ticks, accumulator, alpha }. */
+  let acc = accumulator + Math.max(0, elapsedMs);
+  let ticks = Math.floor(acc / tickMs);
+  if (ticks > maxTicks) {
+    ticks = maxTicks;
+    acc = ticks * tickMs;
+  }
+  acc -= ticks * tickMs;
+  return { ticks, accumulator: acc, alpha: acc / tickMs };
+}
+
+// PUBLIC_INTERFACE
+export function createFixedLoop({
+  tickMs,
+  onTick,
+  onRender,
+  isPaused = () => false,
+  requestFrame = (cb) => window.requestAnimationFrame(cb),
+  cancelFrame = (id) => window.cancelAnimationFrame(id),
+}) {
+  /**
+   * Runs `onTick()` at a fixed rate and `onRender(alpha)` once per display frame.
+   * While `isPaused()` is true no ticks run and no time accumulates.
+   */
+  let accumulator = 0;
+  let last = null;
+  let frameId = null;
+
+  const frame = (timestamp) => {
+    if (isPaused()) {
+      accumulator = 0;
+      last = null;
+      onRender(1);
+    } else {
+      const elapsed = last === null ? 0 : timestamp - last;
+      last = timestamp;
+      const out = accumulate(accumulator, elapsed, tickMs);
+      accumulator = out.accumulator;
+      for (let i = 0; i < out.ticks; i++) onTick();
+      onRender(out.alpha);
+    }
+    frameId = requestFrame(frame);
+  };
+
+  return {
+    start() {
+      if (frameId === null) frameId = requestFrame(frame);
+    },
+    stop() {
+      if (frameId !== null) cancelFrame(frameId);
+      frameId = null;
+      last = null;
+      accumulator = 0;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+import { accumulate, createFixedLoop } from "./fixedLoop";
+import { FRAME_MS } from "./engine2d";
+
+// Drives the loop with a fake requestAnimationFrame at `hz` for `seconds`
+function countTicks(hz, seconds) {
+  let pending = null;
+  let ticks = 0;
+  const loop = createFixedLoop({
+    tickMs: FRAME_MS,
+    onTick: () => (ticks += 1),
+    onRender: () => {},
+    requestFrame: (cb) => {
+      pending = cb;
+      return 1;
+    },
+    cancelFrame: () => {},
+  });
+  loop.start();
+  for (let f = 0; f <= hz * seconds; f++) pending((f * 1000) / hz);
+  loop.stop();
+  return ticks;
+}
+
+test.each([60, 120, 144])("simulates 60 ticks per second at %iHz", (hz) => {
+  expect(Math.abs(countTicks(hz, 10) - 600)).toBeLessThanOrEqual(1);
+});
+
+test("leftover time becomes the interpolation factor", () => {
+  const out = accumulate(0, FRAME_MS * 2.5, FRAME_MS);
+  expect(out.ticks).toBe(2);
+  expect(out.alpha).toBeCloseTo(0.5);
+});
+
+test("a long stall is capped instead of replayed in full", () => {
+  const out = accumulate(0, 5000, FRAME_MS);
+  expect(out.ticks).toBe(5);
+  expect(out.accumulator).toBe(0);
+});
@@ -0,0 +1,88 @@
+/**
+ * Ghost of a personal best in the 2D mode.
+ * A ghost is the player's trajectory on one course (same mode, seed and
+ * difficulty, or the same Daily Dash), sampled every few ticks, plus the tick of every point
+ * scored, so a later run on that course can draw it and compare scores live:
+ *
+ *   { key, seed, score, ticks, sampleTicks, points: [x0, y0, x1, y1, ...], scoreTicks: [t, ...] }
+ *
+ * `points` holds the position after every `sampleTicks`-th tick (pair i is tick
+ * (i + 1) * sampleTicks), rounded to whole world units to keep saved ghosts small.
+ * `seed` is the run's seed, so a new run can be started on the ghost's course.
+ */
+
+import { DEFAULT_DIFFICULTY, DIFFICULTY_VALUES } from "./difficulty";
+
+// PUBLIC_INTERFACE
+export const GHOST_SAMPLE_TICKS = 3;
+
+// PUBLIC_INTERFACE
+export function ghostKey({ mode, seed, challenge, difficulty }) {
+  /**
+   * Course a ghost belongs to: a Daily Dash day, otherwise mode and seed, plus
+   * the difficulty's values (see game/difficulty) when they are not normal's.
+   */
+  if (challenge) return `${mode}:daily:${challenge.date}`;
+  const values = difficulty && DIFFICULTY_VALUES.map((key) => difficulty[key]);
+  const normal = DIFFICULTY_VALUES.map((key) => DEFAULT_DIFFICULTY[key]);
+  const suffix = values && values.join("/") !== normal.join("/") ? `:${values.join("/")}` : "";
+  return `${mode}:seed:${seed}${suffix}`;
+}
+
+// PUBLIC_INTERFACE
+export function createGhostRecorder(key, seed) {
+  /** Samples a live run; call `record(state)` after every tick and `finish()` at game over. */
+  const points = [];
+  const scoreTicks = [];
+  let lastScore = 0;
+  let ticks = 0;
+
+  return {
+    record(state) {
+      ticks = state.tick;
+      if (state.tick % GHOST_SAMPLE_TICKS === 0) {
+        points.push(Math.round(state.player.x), Math.round(state.player.y));
+      }
+      for (; lastScore < state.score; lastScore++) scoreTicks.push(state.tick);
+    },
+    finish() {
+      return {
+        key,
+        seed,
+        score: lastScore,
+        ticks,
+        sampleTicks: GHOST_SAMPLE_TICKS,
+        points: [...points],
+        scoreTicks: [...scoreTicks],
+      };
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function ghostPosition(ghost, tick) {
+  /** Ghost { x, y } at a (fractional) tick, between samples; null once its run has ended. */
+  const samples = ghost.points.length / 2;
+  const at = tick / ghost.sampleTicks - 1;
+  if (samples === 0 || at < 0 || tick > ghost.ticks || at > samples - 1) return null;
+  const i = Math.floor(at);
+  const j = Math.min(i + 1, samples - 1);
+  const t = at - i;
+  return {
+    x: ghost.points[i * 2] + (ghost.points[j * 2] - ghost.points[i * 2]) * t,
+    y: ghost.points[i * 2 + 1] + (ghost.points[j * 2 + 1] - ghost.points[i * 2 + 1]) * t,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function ghostScore(ghost, tick) {
+  /** The ghost's score at `tick` (binary search over its scoring ticks). */
+  let lo = 0;
+  let hi = ghost.scoreTicks.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (ghost.scoreTicks[mid] <= tick) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,64 @@
+import { createInitialState, step } from "./engine2d";
+import { DEFAULT_DIFFICULTY } from "./difficulty";
+import { GHOST_SAMPLE_TICKS, createGhostRecorder, ghostKey, ghostPosition, ghostScore } from "./ghost";
+import { findRaceGhost, loadGhost, saveGhostIfBest } from "./ghostStore";
+
+function recordRun(ticks) {
+  const recorder = createGhostRecorder(ghostKey({ mode: "2d", seed: 11 }), 11);
+  let state = createInitialState({ seed: 11 });
+  const states = [state];
+  for (let t = 0; t < ticks; t++) {
+    state = step(state, { right: t % 90 < 45, left: t % 90 >= 45, jump: t % 30 === 0 }).state;
+    recorder.record(state);
+    states.push(state);
+  }
+  return { ghost: recorder.finish(), states };
+}
+
+test("ghosts belong to a course: a seed, or a Daily Dash day", () => {
+  expect(ghostKey({ mode: "2d", seed: 42 })).toBe("2d:seed:42");
+  expect(ghostKey({ mode: "2d", seed: 42, challenge: { date: "2026-05-01", seed: 42 } })).toBe("2d:daily:2026-05-01");
+});
+
+test("a recorded ghost follows the player's trajectory and score", () => {
+  const { ghost, states } = recordRun(300);
+  expect(ghost.ticks).toBe(300);
+  expect(ghost.points).toHaveLength((300 / GHOST_SAMPLE_TICKS) * 2);
+
+  const sampled = states[GHOST_SAMPLE_TICKS * 10].player;
+  expect(ghostPosition(ghost, GHOST_SAMPLE_TICKS * 10)).toEqual({ x: Math.round(sampled.x), y: Math.round(sampled.y) });
+  const between = ghostPosition(ghost, GHOST_SAMPLE_TICKS * 10 + 1);
+  const next = states[GHOST_SAMPLE_TICKS * 11].player;
+  expect(between.x).toBeCloseTo(Math.round(sampled.x) + (Math.round(next.x) - Math.round(sampled.x)) / 3);
+  expect(ghostPosition(ghost, 301)).toBeNull();
+
+  [0, 100, 200, 300].forEach((t) => expect(ghostScore(ghost, t)).toBe(states[t].score));
+});
+
+test("only a better run replaces the saved ghost", () => {
+  window.localStorage.clear();
+  const ghost = { key: "2d:seed:1", score: 2, ticks: 9, sampleTicks: 3, points: [0, 0, 3, 0, 6, 0], scoreTicks: [4, 8] };
+  expect(saveGhostIfBest(ghost)).toBe(true);
+  expect(saveGhostIfBest({ ...ghost, score: 1, scoreTicks: [4] })).toBe(false);
+  expect(saveGhostIfBest({ ...ghost, score: 0, scoreTicks: [], key: "2d:seed:2" })).toBe(false);
+  expect(loadGhost("2d:seed:1")).toEqual(ghost);
+  expect(loadGhost("2d:seed:2")).toBeNull();
+
+  expect(saveGhostIfBest({ ...ghost, score: 3, scoreTicks: [1, 2, 3] })).toBe(true);
+  expect(loadGhost("2d:seed:1").score).toBe(3);
+  window.localStorage.clear();
+});
+
+test("a second run on the raced seed loads the first run's ghost", () => {
+  window.localStorage.clear();
+  const { ghost } = recordRun(300);
+  expect(saveGhostIfBest(ghost)).toBe(true);
+
+  const race = findRaceGhost("2d");
+  expect(race.seed).toBe(11);
+  const next = createInitialState({ seed: race.seed });
+  expect(loadGhost(ghostKey({ mode: "2d", seed: next.seed }))).toEqual(ghost);
+  // Other difficulties race their own ghosts
+  expect(findRaceGhost("2d", { ...DEFAULT_DIFFICULTY, lives: 5 })).toBeNull();
+  window.localStorage.clear();
+});
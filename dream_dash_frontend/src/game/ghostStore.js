@@ -0,0 +1,71 @@
+/**
+ * Local store of personal-best ghosts (see game/ghost), one per course key.
+ * Saved as { version, ghosts: [ghost, ...] }, most recently improved first;
+ * only the newest few courses are kept since a ghost holds a whole trajectory.
+ */
+
+import { ghostKey } from "./ghost";
+
+const STORAGE_KEY = "dreamDash.ghosts";
+const GHOST_VERSION = 1;
+const MAX_GHOSTS = 10;
+
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+function normalizeGhost(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.key !== "string") return null;
+  const { score, ticks, sampleTicks, points, scoreTicks } = raw;
+  if (!isCount(score) || !isCount(ticks) || !Number.isInteger(sampleTicks) || sampleTicks < 1) return null;
+  if (!Array.isArray(points) || points.length % 2 !== 0 || !points.every(Number.isFinite)) return null;
+  if (!Array.isArray(scoreTicks) || scoreTicks.length !== score || !scoreTicks.every(isCount)) return null;
+  const seed = Number.isInteger(raw.seed) ? { seed: raw.seed } : {};
+  return { key: raw.key, ...seed, score, ticks, sampleTicks, points, scoreTicks };
+}
+
+function read() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const list = data && Array.isArray(data.ghosts) ? data.ghosts : [];
+    return list.map(normalizeGhost).filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function write(ghosts) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: GHOST_VERSION, ghosts }));
+  } catch (e) {
+    // Storage unavailable or full: the ghost simply won't persist
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadGhost(key) {
+  /** The personal-best ghost for a course key, or null if none was saved. */
+  return read().find((g) => g.key === key) || null;
+}
+
+// PUBLIC_INTERFACE
+export function saveGhostIfBest(ghost) {
+  /** Keeps `ghost` if it beats the saved one for its course; returns true when saved. */
+  const entry = normalizeGhost(ghost);
+  if (!entry || entry.score === 0) return false;
+  const ghosts = read();
+  const current = ghosts.find((g) => g.key === entry.key);
+  if (current && current.score >= entry.score) return false;
+  write([entry, ...ghosts.filter((g) => g.key !== entry.key)].slice(0, MAX_GHOSTS));
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function findRaceGhost(mode, difficulty) {
+  /**
+   * The most recently improved ghost of a seeded course (not a Daily Dash) at
+   * `difficulty`, for a "race your best" run on its seed; null if there is none.
+   */
+  return read().find((g) => Number.isInteger(g.seed) && g.key === ghostKey({ mode, seed: g.seed, difficulty })) || null;
+}
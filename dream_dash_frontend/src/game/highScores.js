@@ -0,0 +1,101 @@
+/**
+ * Local high-score tables, one top-10 list per game mode.
+ * Saved as { version, lastInitials, tables: { [mode]: entry[] } }. Entries are
+ * normalized on load: missing fields get defaults and unknown fields written by
+ * newer versions are kept, so saves survive schema changes in both directions.
+ * Each entry names the difficulty it was set on (see game/difficulty); entries
+ * from before difficulties existed were played on normal.
+ */
+
+import { DEFAULT_DIFFICULTY, difficultyLabel } from "./difficulty";
+
+const STORAGE_KEY = "dreamDash.highScores";
+
+// PUBLIC_INTERFACE
+export const HIGH_SCORE_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const TABLE_SIZE = 10;
+
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== "object" || !Number.isFinite(raw.score)) return null;
+  return {
+    ...raw,
+    initials: typeof raw.initials === "string" ? raw.initials.slice(0, 3) : "???",
+    score: raw.score,
+    level: Number.isFinite(raw.level) ? raw.level : 1,
+    stars: Number.isFinite(raw.stars) ? raw.stars : raw.score,
+    durationMs: Number.isFinite(raw.durationMs) ? raw.durationMs : 0,
+    difficulty: typeof raw.difficulty === "string" ? raw.difficulty : difficultyLabel(DEFAULT_DIFFICULTY),
+    date: typeof raw.date === "string" ? raw.date : new Date(0).toISOString(),
+  };
+}
+
+function sortTable(entries) {
+  // Higher score first; ties go to the earlier run
+  return entries.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date)).slice(0, TABLE_SIZE);
+}
+
+// PUBLIC_INTERFACE
+export function migrateHighScores(raw) {
+  /** Converts any stored shape into the current one; unreadable data becomes an empty save. */
+  const data = raw && typeof raw === "object" ? raw : {};
+  const tables = {};
+  Object.entries(data.tables && typeof data.tables === "object" ? data.tables : {}).forEach(([mode, list]) => {
+    tables[mode] = sortTable((Array.isArray(list) ? list : []).map(normalizeEntry).filter(Boolean));
+  });
+  return {
+    version: HIGH_SCORE_VERSION,
+    lastInitials: typeof data.lastInitials === "string" ? data.lastInitials : "",
+    tables,
+  };
+}
+
+function read() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return migrateHighScores(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    return migrateHighScores(null);
+  }
+}
+
+function write(data) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch (e) {
+    // Storage unavailable: the table simply won't persist
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadHighScores(mode) {
+  /** Returns the top-10 table for `mode` ("2d" or "3d"), best first. */
+  return read().tables[mode] || [];
+}
+
+// PUBLIC_INTERFACE
+export function lastInitials() {
+  /** Initials used for the most recent entry, to prefill the name prompt. */
+  return read().lastInitials;
+}
+
+// PUBLIC_INTERFACE
+export function qualifiesForHighScore(mode, score) {
+  /** True if `score` would earn a place in the `mode` table. */
+  if (!(score > 0)) return false;
+  const table = loadHighScores(mode);
+  return table.length < TABLE_SIZE || score > table[table.length - 1].score;
+}
+
+// PUBLIC_INTERFACE
+export function addHighScore(mode, entry) {
+  /** Inserts a run into the `mode` table; returns { table, rank } (rank is -1 if it didn't place). */
+  const data = read();
+  const record = normalizeEntry({ ...entry, date: entry.date || new Date().toISOString() });
+  const table = sortTable([...(data.tables[mode] || []), record]);
+  data.tables[mode] = table;
+  data.lastInitials = record.initials;
+  write(data);
+  return { table, rank: table.indexOf(record) };
+}
@@ -0,0 +1,44 @@
+import { addHighScore, loadHighScores, migrateHighScores, qualifiesForHighScore, TABLE_SIZE } from "./highScores";
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const run = (score, extra = {}) => ({ initials: "ABC", score, level: 2, stars: score, durationMs: 30000, ...extra });
+
+test("keeps a separate top-10 table per mode, best first", () => {
+  for (let i = 1; i <= 12; i++) addHighScore("2d", run(i));
+  addHighScore("3d", run(4));
+
+  const table = loadHighScores("2d");
+  expect(table).toHaveLength(TABLE_SIZE);
+  expect(table[0].score).toBe(12);
+  expect(table[TABLE_SIZE - 1].score).toBe(3);
+  expect(loadHighScores("3d").map((e) => e.score)).toEqual([4]);
+});
+
+test("only scores that beat the last place qualify once the table is full", () => {
+  expect(qualifiesForHighScore("2d", 0)).toBe(false);
+  expect(qualifiesForHighScore("2d", 1)).toBe(true);
+  for (let i = 0; i < TABLE_SIZE; i++) addHighScore("2d", run(5));
+  expect(qualifiesForHighScore("2d", 5)).toBe(false);
+  expect(qualifiesForHighScore("2d", 6)).toBe(true);
+});
+
+test("reports the rank of the new entry", () => {
+  addHighScore("2d", run(10));
+  addHighScore("2d", run(2));
+  expect(addHighScore("2d", run(5, { initials: "NEW" })).rank).toBe(1);
+});
+
+test("old or foreign saves load without losing unknown fields", () => {
+  const migrated = migrateHighScores({
+    version: 7,
+    tables: { "2d": [{ score: 9, initials: "ZED", ghostId: "x" }, { bogus: true }], "3d": "nope" },
+  });
+  expect(migrated.version).toBe(1);
+  expect(migrated.tables["2d"]).toEqual([
+    expect.objectContaining({ score: 9, initials: "ZED", level: 1, stars: 9, durationMs: 0, ghostId: "x", difficulty: "Normal" }),
+  ]);
+  expect(migrated.tables["3d"]).toEqual([]);
+});
@@ -0,0 +1,149 @@
+/**
+ * Authored level format for the 2D mode.
+ * A campaign file is JSON: { version, name, levels: [level, ...] } where each
+ * level describes its win condition, timed star/storm spawn waves, wind
+ * events, background palette and music cue. Times are ms from level start.
+ *
+ *   {
+ *     "name": "Morning Breeze",
+ *     "win": { "type": "stars", "count": 5 },      // or { "type": "survive", "ms": 20000 }
+ *     "palette": { "skyTop": "#c0e8ff", "skyBottom": "#f5f7ff" },
+ *     "music": "calm",
+ *     "randomStorms": false,                        // also spawn endless-style storms
+ *     "waves": [{ "at": 0, "kind": "star", "y": 120, "speed": 1.5, "count": 3, "spacing": 80 }],
+ *     "wind": [{ "at": 6000, "force": -1.5, "durationMs": 2000 }]
+ *   }
+ *
+ * parseCampaign() validates everything up front and throws an Error naming
+ * the offending field, so a broken file fails on load rather than mid-run.
+ */
+
+// PUBLIC_INTERFACE
+export const LEVEL_FORMAT_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PALETTE = { skyTop: "#c0e8ff", skyBottom: "#f5f7ff" };
+
+const WAVE_KINDS = ["star", "storm"];
+const WIN_TYPES = ["stars", "survive"];
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function fail(path, message) {
+  throw new Error(`${path} ${message}`);
+}
+
+function isObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function number(obj, key, path, { min = -Infinity, max = Infinity, fallback } = {}) {
+  const v = obj[key];
+  if (v === undefined && fallback !== undefined) return fallback;
+  if (typeof v !== "number" || !Number.isFinite(v)) fail(`${path}.${key}`, "must be a number");
+  if (v < min || v > max) fail(`${path}.${key}`, `must be between ${min} and ${max}`);
+  return v;
+}
+
+function parseWin(win, path) {
+  if (!isObject(win)) fail(path, "must be an object");
+  if (!WIN_TYPES.includes(win.type)) fail(`${path}.type`, `must be one of ${WIN_TYPES.map((t) => `"${t}"`).join(", ")}`);
+  if (win.type === "stars") {
+    const count = number(win, "count", path, { min: 1 });
+    if (!Number.isInteger(count)) fail(`${path}.count`, "must be a whole number");
+    return { type: "stars", count };
+  }
+  return { type: "survive", ms: number(win, "ms", path, { min: 1 }) };
+}
+
+function parseWave(wave, path) {
+  if (!isObject(wave)) fail(path, "must be an object");
+  if (!WAVE_KINDS.includes(wave.kind)) fail(`${path}.kind`, `must be one of ${WAVE_KINDS.map((k) => `"${k}"`).join(", ")}`);
+  const count = number(wave, "count", path, { min: 1, max: 50, fallback: 1 });
+  if (!Number.isInteger(count)) fail(`${path}.count`, "must be a whole number");
+  return {
+    at: number(wave, "at", path, { min: 0 }),
+    kind: wave.kind,
+    y: number(wave, "y", path, { min: 0, max: 330 }),
+    speed: number(wave, "speed", path, { min: 0.1, max: 20 }),
+    count,
+    spacing: number(wave, "spacing", path, { min: 0, fallback: 80 }),
+  };
+}
+
+function parseWind(event, path) {
+  if (!isObject(event)) fail(path, "must be an object");
+  return {
+    at: number(event, "at", path, { min: 0 }),
+    force: number(event, "force", path, { min: -10, max: 10 }),
+    durationMs: number(event, "durationMs", path, { min: 1 }),
+  };
+}
+
+function parsePalette(palette, path) {
+  if (palette === undefined) return { ...DEFAULT_PALETTE };
+  if (!isObject(palette)) fail(path, "must be an object");
+  const out = { ...DEFAULT_PALETTE };
+  Object.keys(DEFAULT_PALETTE).forEach((key) => {
+    if (palette[key] === undefined) return;
+    if (typeof palette[key] !== "string" || !HEX_COLOR.test(palette[key])) {
+      fail(`${path}.${key}`, 'must be a hex colour like "#a0c4ff"');
+    }
+    out[key] = palette[key];
+  });
+  return out;
+}
+
+function parseList(list, path, parseItem) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) fail(path, "must be an array");
+  // Sorted by time so the engine can walk each list with a single cursor
+  return list.map((item, i) => parseItem(item, `${path}[${i}]`)).sort((a, b) => a.at - b.at);
+}
+
+// PUBLIC_INTERFACE
+export function parseLevel(level, path = "level") {
+  /** Validates one level object and returns it with defaults filled in. */
+  if (!isObject(level)) fail(path, "must be an object");
+  if (typeof level.name !== "string" || !level.name.trim()) fail(`${path}.name`, "must be a non-empty string");
+  if (level.music !== undefined && typeof level.music !== "string") fail(`${path}.music`, "must be a string");
+  if (level.randomStorms !== undefined && typeof level.randomStorms !== "boolean") {
+    fail(`${path}.randomStorms`, "must be true or false");
+  }
+  return {
+    name: level.name.trim(),
+    win: parseWin(level.win, `${path}.win`),
+    palette: parsePalette(level.palette, `${path}.palette`),
+    music: level.music || "default",
+    randomStorms: Boolean(level.randomStorms),
+    waves: parseList(level.waves, `${path}.waves`, parseWave),
+    wind: parseList(level.wind, `${path}.wind`, parseWind),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseCampaign(source) {
+  /**
+   * Validates a campaign given as JSON text or an already-parsed object.
+   * Returns { version, name, levels } or throws an Error describing the problem.
+   */
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`Level file is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!isObject(data)) throw new Error("Level file must be a JSON object");
+  if (data.version !== LEVEL_FORMAT_VERSION) {
+    throw new Error(`Unsupported level format version ${data.version} (expected ${LEVEL_FORMAT_VERSION})`);
+  }
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error("Level file must contain a non-empty levels array");
+  }
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    name: typeof data.name === "string" ? data.name : "Untitled campaign",
+    levels: data.levels.map((level, i) => parseLevel(level, `levels[${i}]`)),
+  };
+}
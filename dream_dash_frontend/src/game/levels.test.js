@@ -0,0 +1,103 @@
+import campaign from "../levels/campaign.json";
+import { parseCampaign } from "./levels";
+import { createInitialState, currentLevel, emptyInput, step } from "./engine2d";
+
+function level(overrides = {}) {
+  return { name: "Test", win: { type: "stars", count: 2 }, ...overrides };
+}
+
+function file(levels) {
+  return JSON.stringify({ version: 1, levels });
+}
+
+test("the bundled campaign is valid", () => {
+  const parsed = parseCampaign(campaign);
+  expect(parsed.levels.length).toBeGreaterThan(0);
+  parsed.levels.forEach((l) => expect(l.palette.skyTop).toMatch(/^#/));
+});
+
+test("defaults are filled in and waves are sorted by time", () => {
+  const { levels } = parseCampaign(
+    file([
+      level({
+        waves: [
+          { at: 500, kind: "storm", y: 100, speed: 2 },
+          { at: 0, kind: "star", y: 120, speed: 1.5, count: 3 },
+        ],
+      }),
+    ])
+  );
+  expect(levels[0].music).toBe("default");
+  expect(levels[0].waves.map((w) => w.at)).toEqual([0, 500]);
+  expect(levels[0].waves[1]).toMatchObject({ count: 1, spacing: 80 });
+});
+
+test.each([
+  ["{", /not valid JSON/],
+  [JSON.stringify({ version: 7, levels: [] }), /Unsupported level format version 7/],
+  [file([]), /non-empty levels array/],
+  [file([level({ name: "" })]), /levels\[0\]\.name must be a non-empty string/],
+  [file([level(), level({ win: { type: "score" } })]), /levels\[1\]\.win\.type must be one of "stars", "survive"/],
+  [file([level({ win: { type: "survive" } })]), /levels\[0\]\.win\.ms must be a number/],
+  [file([level({ waves: [{ at: 0, kind: "star", y: 900, speed: 1 }] })]), /levels\[0\]\.waves\[0\]\.y must be between 0 and 330/],
+  [file([level({ wind: [{ at: 0, force: 1 }] })]), /levels\[0\]\.wind\[0\]\.durationMs must be a number/],
+  [file([level({ palette: { skyTop: "blue" } })]), /levels\[0\]\.palette\.skyTop must be a hex colour/],
+])("rejects malformed file %#", (text, message) => {
+  expect(() => parseCampaign(text)).toThrow(message);
+});
+
+test("authored levels run their waves, win condition and then go endless", () => {
+  const { levels } = parseCampaign(
+    file([
+      level({
+        win: { type: "survive", ms: 1000 },
+        waves: [{ at: 200, kind: "storm", y: 40, speed: 1, count: 2 }],
+        wind: [{ at: 100, force: 1.5, durationMs: 300 }],
+      }),
+    ])
+  );
+  let s = createInitialState({ seed: 3, levels });
+  expect(s.stars).toHaveLength(0);
+  expect(s.banner.text).toBe("Level 1: Test");
+
+  const events = [];
+  while (s.level === 1) {
+    const out = step(s, emptyInput());
+    s = out.state;
+    events.push(...out.events);
+    if (s.tick === 15) expect(s.storms).toHaveLength(2);
+  }
+  expect(events).toContainEqual({ type: "wind", force: 1.5 });
+  expect(events).toContainEqual({ type: "levelUp", level: 2 });
+  expect(s.time).toBeGreaterThanOrEqual(1000);
+
+  // Past the campaign: endless rules with a full star field
+  expect(currentLevel(s)).toBeNull();
+  expect(s.stars.length).toBeGreaterThanOrEqual(10);
+  expect(s.nextLevelAt).toBe(s.starsCollected + 5);
+});
+
+test("a run can start part-way into a level with earlier spawns in flight", () => {
+  const { levels } = parseCampaign(
+    file([
+      level({ name: "One" }),
+      level({
+        name: "Two",
+        waves: [
+          { at: 0, kind: "star", y: 100, speed: 1 },
+          { at: 1000, kind: "storm", y: 150, speed: 2 },
+          { at: 5000, kind: "storm", y: 150, speed: 2 },
+        ],
+        wind: [{ at: 500, force: -1, durationMs: 1000 }],
+      }),
+    ])
+  );
+  const s = createInitialState({ seed: 1, levels, startLevel: 2, startTime: 1200 });
+  expect(s.level).toBe(2);
+  expect(s.banner.text).toBe("Level 2: Two");
+  expect(s.waveCursor).toBe(2);
+  expect(s.stars[0].x).toBeCloseTo(s.width + 40 - 1200 / (1000 / 60));
+  expect(s.storms).toHaveLength(1);
+  expect(s.wind.force).toBe(-1);
+  expect(s.wind.remaining).toBeLessThan(1000);
+});
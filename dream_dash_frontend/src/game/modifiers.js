@@ -0,0 +1,36 @@
+/**
+ * Run modifiers: named rule tweaks both engines understand, e.g. the fixed
+ * twists of a Daily Dash (see game/daily). A run lists modifier ids; the
+ * engines fold them into one `effects` object when the run is created:
+ *
+ *   wind       multiplier on gust force
+ *   storms     multiplier on how many storms are about
+ *   starSpeed  multiplier on how fast stars fly past
+ *   lives      added to the starting lives (never below one life)
+ */
+
+// PUBLIC_INTERFACE
+export const MODIFIERS = {
+  strongWind: { label: "Strong wind", description: "Gusts blow twice as hard", effects: { wind: 2 } },
+  doubleStorms: { label: "Double storms", description: "Twice as many storms", effects: { storms: 2 } },
+  swiftStars: { label: "Swift stars", description: "Stars fly past 50% faster", effects: { starSpeed: 1.5 } },
+  thinAir: { label: "Thin air", description: "Start with one life fewer", effects: { lives: -1 } },
+};
+
+const NO_EFFECTS = { wind: 1, storms: 1, starSpeed: 1, lives: 0 };
+
+// PUBLIC_INTERFACE
+export function modifierEffects(ids = []) {
+  /** Combined effects of the modifiers in `ids`; throws on an unknown id. */
+  return ids.reduce((out, id) => {
+    const modifier = MODIFIERS[id];
+    if (!modifier) throw new Error(`Unknown run modifier "${id}"`);
+    const { wind = 1, storms = 1, starSpeed = 1, lives = 0 } = modifier.effects;
+    return {
+      wind: out.wind * wind,
+      storms: out.storms * storms,
+      starSpeed: out.starSpeed * starSpeed,
+      lives: out.lives + lives,
+    };
+  }, NO_EFFECTS);
+}
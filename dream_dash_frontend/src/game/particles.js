@@ -0,0 +1,216 @@
+/**
+ * Pooled particle system for cosmetic effects in the 2D renderer.
+ * Particles are visual only: they never feed back into the simulation, so they
+ * use their own random source and are not part of replays. Particle objects
+ * are allocated once, as the pool first grows towards the budget, and then
+ * recycled, so steady play allocates nothing per frame. When the budget is spent new
+ * particles are simply dropped; effects thin out rather than slowing down.
+ *
+ * Living particles are kept packed at the front of the pool; a particle that
+ * dies is swapped with the last living one.
+ */
+
+// PUBLIC_INTERFACE
+export const EFFECT_LEVELS = {
+  full: { budget: 400, density: 1 },
+  low: { budget: 60, density: 0.3 },
+};
+
+const CONFETTI_COLORS = ["#2563EB", "#F59E0B", "#EF4444", "#10B981", "#8B5CF6"];
+
+function spread(random, amount) {
+  return (random() * 2 - 1) * amount;
+}
+
+// Each emitter sets up one particle; `count` is per emit at full density
+const EMITTERS = {
+  // Star collect: a quick amber burst
+  sparkle: {
+    count: 12,
+    init(p, x, y, random) {
+      const angle = random() * Math.PI * 2;
+      const speed = 1 + random() * 2.5;
+      Object.assign(p, {
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        gravity: 0.03,
+        drag: 0.94,
+        life: 350 + random() * 250,
+        size: 1.5 + random() * 2,
+        color: random() < 0.3 ? "#ffffff" : "#ffdf5d",
+        shape: "dot",
+      });
+    },
+  },
+  // Storm hit: heavy grey chunks thrown up and falling back
+  debris: {
+    count: 16,
+    init(p, x, y, random) {
+      Object.assign(p, {
+        x,
+        y,
+        vx: spread(random, 3.5),
+        vy: -1 - random() * 3,
+        gravity: 0.18,
+        drag: 0.98,
+        life: 500 + random() * 400,
+        size: 2 + random() * 3,
+        color: random() < 0.5 ? "#555" : "#8a8a8a",
+        shape: "rect",
+        spin: spread(random, 0.3),
+      });
+    },
+  },
+  // Wind gust: streaks blowing across the screen in the gust's direction;
+  // pass { force } and an x on the upwind edge
+  windStreak: {
+    count: 1,
+    init(p, x, y, random, { force = 1 }) {
+      Object.assign(p, {
+        x,
+        y,
+        vx: force * (4 + random() * 3),
+        vy: spread(random, 0.2),
+        gravity: 0,
+        drag: 1,
+        life: 600 + random() * 300,
+        size: 1,
+        color: "rgba(255,255,255,0.9)",
+        shape: "line",
+      });
+    },
+  },
+  // Landing: small puffs kicked out sideways along the ground
+  dust: {
+    count: 8,
+    init(p, x, y, random) {
+      Object.assign(p, {
+        x: x + spread(random, 6),
+        y,
+        vx: spread(random, 1.6),
+        vy: -random() * 0.8,
+        gravity: 0.02,
+        drag: 0.92,
+        life: 300 + random() * 200,
+        size: 2 + random() * 2.5,
+        color: "#c8b89a",
+        shape: "dot",
+      });
+    },
+  },
+  // Level up: confetti raining from around the banner
+  confetti: {
+    count: 48,
+    init(p, x, y, random) {
+      Object.assign(p, {
+        x: x + spread(random, 140),
+        y: y + spread(random, 10),
+        vx: spread(random, 2),
+        vy: -1 - random() * 2.5,
+        gravity: 0.06,
+        drag: 0.99,
+        life: 1200 + random() * 800,
+        size: 3 + random() * 3,
+        color: CONFETTI_COLORS[Math.floor(random() * CONFETTI_COLORS.length)],
+        shape: "rect",
+        spin: spread(random, 0.25),
+      });
+    },
+  },
+};
+
+function blankParticle() {
+  return {
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    gravity: 0,
+    drag: 1,
+    life: 0,
+    maxLife: 1,
+    size: 1,
+    color: "",
+    shape: "dot",
+    angle: 0,
+    spin: 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createParticleSystem({ level = "full", random = Math.random } = {}) {
+  /**
+   * Returns { emit, update, forEach, clear, setLevel, count, budget }.
+   * `level` is a key of EFFECT_LEVELS.
+   */
+  let { budget, density } = EFFECT_LEVELS[level] || EFFECT_LEVELS.full;
+  const pool = [];
+  let alive = 0;
+
+  const acquire = () => {
+    if (alive >= budget) return null;
+    if (alive === pool.length) pool.push(blankParticle());
+    const p = pool[alive];
+    alive += 1;
+    p.angle = 0;
+    p.spin = 0;
+    return p;
+  };
+
+  return {
+    emit(kind, x, y, options = {}) {
+      /** Emits one burst of `kind` at (x, y); returns how many particles were spawned. */
+      const emitter = EMITTERS[kind];
+      if (!emitter) return 0;
+      // Fractional counts round up at random, so low density also thins out
+      // single-particle emitters like wind streaks
+      const exact = emitter.count * density;
+      let wanted = Math.floor(exact);
+      if (random() < exact - wanted) wanted += 1;
+      let spawned = 0;
+      for (; spawned < wanted; spawned++) {
+        const p = acquire();
+        if (!p) break;
+        emitter.init(p, x, y, random, options);
+        p.maxLife = p.life;
+      }
+      return spawned;
+    },
+    update(dtMs) {
+      /** Advances every particle by `dtMs` and recycles the ones that expired. */
+      const k = dtMs / (1000 / 60);
+      let i = 0;
+      while (i < alive) {
+        const p = pool[i];
+        p.life -= dtMs;
+        if (p.life <= 0) {
+          alive -= 1;
+          pool[i] = pool[alive];
+          pool[alive] = p;
+          continue;
+        }
+        p.vx *= Math.pow(p.drag, k);
+        p.vy = p.vy * Math.pow(p.drag, k) + p.gravity * k;
+        p.x += p.vx * k;
+        p.y += p.vy * k;
+        p.angle += p.spin * k;
+        i += 1;
+      }
+    },
+    forEach(fn) {
+      for (let i = 0; i < alive; i++) fn(pool[i]);
+    },
+    clear() {
+      alive = 0;
+    },
+    setLevel(next) {
+      /** Switches effect level; particles over the new budget are dropped. */
+      ({ budget, density } = EFFECT_LEVELS[next] || EFFECT_LEVELS.full);
+      alive = Math.min(alive, budget);
+    },
+    count: () => alive,
+    budget: () => budget,
+  };
+}
@@ -0,0 +1,54 @@
+import { createParticleSystem, EFFECT_LEVELS } from "./particles";
+
+// Deterministic stand-in for Math.random
+function seq(values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test("bursts spawn particles that move and expire", () => {
+  const particles = createParticleSystem({ random: seq([0.5, 0.25, 0.75]) });
+  expect(particles.emit("sparkle", 100, 100)).toBe(12);
+  expect(particles.count()).toBe(12);
+
+  particles.update(100);
+  let moved = 0;
+  particles.forEach((p) => {
+    if (p.x !== 100 || p.y !== 100) moved += 1;
+  });
+  expect(moved).toBeGreaterThan(0);
+
+  particles.update(1000);
+  expect(particles.count()).toBe(0);
+});
+
+test("the budget caps live particles and expired ones are recycled", () => {
+  const particles = createParticleSystem({ random: seq([0.5]) });
+  const budget = EFFECT_LEVELS.full.budget;
+  for (let i = 0; i < 20; i++) particles.emit("confetti", 300, 60);
+  expect(particles.count()).toBe(budget);
+  expect(particles.emit("sparkle", 0, 0)).toBe(0);
+
+  particles.update(5000);
+  expect(particles.count()).toBe(0);
+  expect(particles.emit("sparkle", 0, 0)).toBe(12);
+});
+
+test("low effects shrink bursts and the budget", () => {
+  const particles = createParticleSystem({ level: "low", random: seq([0.99]) });
+  expect(particles.emit("sparkle", 0, 0)).toBe(Math.floor(12 * EFFECT_LEVELS.low.density));
+  expect(particles.budget()).toBe(EFFECT_LEVELS.low.budget);
+
+  const full = createParticleSystem({ random: seq([0.5]) });
+  for (let i = 0; i < 5; i++) full.emit("confetti", 0, 0);
+  full.setLevel("low");
+  expect(full.count()).toBe(EFFECT_LEVELS.low.budget);
+});
+
+test("wind streaks travel in the gust direction; unknown kinds emit nothing", () => {
+  const particles = createParticleSystem({ random: seq([0.5]) });
+  particles.emit("windStreak", 600, 50, { force: -1 });
+  particles.update(100);
+  particles.forEach((p) => expect(p.x).toBeLessThan(600));
+  expect(particles.emit("fireworks", 0, 0)).toBe(0);
+});
@@ -0,0 +1,182 @@
+import { MODIFIERS } from "./modifiers";
+import { parseDifficulty } from "./difficulty";
+
+/**
+ * Input recording and deterministic playback.
+ * A replay is the run's seed plus one input bitmask per simulation tick, stored
+ * run-length encoded as [mask, count] pairs. Feeding the same masks back into
+ * the same engine reproduces the run tick for tick.
+ *
+ * The low four bits hold the digital inputs; the analog stick axis is
+ * quantized to hundredths and stored signed above them, so keyboard-only runs
+ * keep the same small masks.
+ *
+ * Daily Dash runs also store their `challenge` ({ date, seed, modifiers }, see
+ * game/daily) and every run its `difficulty` (see game/difficulty); engines
+ * receive both as createInitialState options. Replays without a difficulty
+ * were recorded before it existed and play on normal.
+ */
+
+// Bumped whenever engine rules change, so recordings that would no longer
+// reproduce their run are rejected instead of replaying a different one.
+// PUBLIC_INTERFACE
+export const REPLAY_VERSION = 8;
+
+const BITS = { left: 1, right: 2, jump: 4, dive: 8 };
+const AXIS_SHIFT = 4;
+const AXIS_STEPS = 100;
+const CHECKPOINT_EVERY = 300;
+
+// PUBLIC_INTERFACE
+export function encodeInput(input) {
+  /** Packs a tick input ({ left, right, jump, dive, axis }) into a small integer. */
+  const digital = Object.keys(BITS).reduce((mask, key) => (input[key] ? mask | BITS[key] : mask), 0);
+  const axis = Math.round(Math.max(-1, Math.min(1, input.axis || 0)) * AXIS_STEPS);
+  return digital | (axis << AXIS_SHIFT);
+}
+
+// PUBLIC_INTERFACE
+export function decodeInput(mask) {
+  /** Inverse of encodeInput. */
+  return {
+    left: (mask & BITS.left) !== 0,
+    right: (mask & BITS.right) !== 0,
+    jump: (mask & BITS.jump) !== 0,
+    dive: (mask & BITS.dive) !== 0,
+    axis: (mask >> AXIS_SHIFT) / AXIS_STEPS,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeInput(input) {
+  /** Input exactly as a replay will reproduce it; live play steps the engine with this. */
+  return decodeInput(encodeInput(input));
+}
+
+// PUBLIC_INTERFACE
+export function createRecorder({ mode, seed, tickMs, challenge = null, difficulty = null }) {
+  /** Collects per-tick inputs for one run; `finish(meta)` returns the replay object. */
+  const inputs = [];
+  let ticks = 0;
+
+  return {
+    record(input) {
+      const mask = encodeInput(input);
+      const last = inputs[inputs.length - 1];
+      if (last && last[0] === mask) last[1] += 1;
+      else inputs.push([mask, 1]);
+      ticks += 1;
+    },
+    finish(meta = {}) {
+      return {
+        version: REPLAY_VERSION,
+        id: `${mode}-${seed}-${Date.now()}`,
+        mode,
+        seed,
+        tickMs,
+        ticks,
+        ...(challenge && { challenge }),
+        ...(difficulty && { difficulty }),
+        createdAt: new Date().toISOString(),
+        ...meta,
+        inputs: inputs.map((pair) => [...pair]),
+      };
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function expandInputs(replay) {
+  /** Flattens the run-length encoded log into one mask per tick. */
+  const out = new Int16Array(replay.ticks);
+  let i = 0;
+  replay.inputs.forEach(([mask, count]) => {
+    out.fill(mask, i, i + count);
+    i += count;
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function parseReplay(text) {
+  /** Parses and validates a replay JSON string; throws an Error describing the problem. */
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Replay is not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== "object") throw new Error("Replay must be a JSON object");
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+  }
+  if (data.mode !== "2d" && data.mode !== "3d") throw new Error(`Unknown replay mode "${data.mode}"`);
+  if (!Number.isInteger(data.seed)) throw new Error("Replay seed must be an integer");
+  if (!(data.tickMs > 0)) throw new Error("Replay tickMs must be a positive number");
+  if (!Array.isArray(data.inputs)) throw new Error("Replay inputs must be an array");
+  if (data.challenge !== undefined) {
+    const { challenge } = data;
+    if (!challenge || typeof challenge.date !== "string" || !Array.isArray(challenge.modifiers)) {
+      throw new Error("Replay challenge must have a date and a modifiers array");
+    }
+    const unknown = challenge.modifiers.find((id) => !MODIFIERS[id]);
+    if (unknown !== undefined) throw new Error(`Replay uses unknown modifier "${unknown}"`);
+  }
+  if (data.difficulty !== undefined) data.difficulty = parseDifficulty(data.difficulty, "Replay difficulty");
+
+  let total = 0;
+  data.inputs.forEach((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2 || !Number.isInteger(pair[0]) || !(pair[1] > 0)) {
+      throw new Error(`Replay input #${i} must be a [mask, count] pair`);
+    }
+    total += pair[1];
+  });
+  if (total !== data.ticks) throw new Error(`Replay declares ${data.ticks} ticks but contains ${total}`);
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export function createReplayPlayer(replay, engine) {
+  /**
+   * Steps `engine` ({ createInitialState, step }) through a replay.
+   * States are immutable, so periodic checkpoints make scrubbing cheap.
+   */
+  const inputs = expandInputs(replay);
+  const checkpoints = new Map();
+  let state = engine.createInitialState({
+    seed: replay.seed,
+    challenge: replay.challenge,
+    difficulty: replay.difficulty,
+  });
+  let tick = 0;
+  checkpoints.set(0, state);
+
+  const advance = () => {
+    if (tick >= inputs.length) return [];
+    const out = engine.step(state, decodeInput(inputs[tick]), replay.tickMs);
+    state = out.state;
+    tick += 1;
+    if (tick % CHECKPOINT_EVERY === 0) checkpoints.set(tick, state);
+    return out.events;
+  };
+
+  const seek = (target) => {
+    const to = Math.max(0, Math.min(inputs.length, Math.round(target)));
+    let from = Math.floor(to / CHECKPOINT_EVERY) * CHECKPOINT_EVERY;
+    while (!checkpoints.has(from)) from -= CHECKPOINT_EVERY;
+    if (tick > to || tick < from) {
+      state = checkpoints.get(from);
+      tick = from;
+    }
+    while (tick < to) advance();
+  };
+
+  return {
+    advance,
+    seek,
+    length: inputs.length,
+    getState: () => state,
+    getTick: () => tick,
+    isEnded: () => tick >= inputs.length,
+  };
+}
@@ -0,0 +1,69 @@
+import * as engine2d from "./engine2d";
+import * as engine3d from "./engine3d";
+import { REPLAY_VERSION, createRecorder, createReplayPlayer, decodeInput, encodeInput, parseReplay } from "./replay";
+
+// Scripted inputs standing in for a player: run right, hop now and then
+function scriptedInput(tick) {
+  const axis = tick % 300 > 250 ? -0.5 : 0;
+  return { left: tick % 200 > 150, right: tick % 200 < 100, jump: tick % 45 === 0, dive: tick % 90 === 30, axis };
+}
+
+function recordRun(engine, mode, ticks) {
+  const recorder = createRecorder({ mode, seed: 99, tickMs: engine.FRAME_MS });
+  let state = engine.createInitialState({ seed: 99 });
+  for (let t = 0; t < ticks; t++) {
+    const input = scriptedInput(t);
+    state = engine.step(state, input, engine.FRAME_MS).state;
+    recorder.record(input);
+  }
+  return { replay: recorder.finish({ score: state.score }), finalState: state };
+}
+
+test("input masks round-trip", () => {
+  const input = { left: true, right: false, jump: true, dive: false, axis: 0 };
+  expect(decodeInput(encodeInput(input))).toEqual(input);
+  expect(encodeInput({ right: true })).toBe(2);
+
+  const analog = { left: false, right: false, jump: false, dive: true, axis: -0.37 };
+  expect(decodeInput(encodeInput(analog))).toEqual(analog);
+});
+
+test("inputs are run-length encoded", () => {
+  const recorder = createRecorder({ mode: "2d", seed: 1, tickMs: 16 });
+  for (let i = 0; i < 50; i++) recorder.record({ right: true });
+  recorder.record({ jump: true });
+  expect(recorder.finish().inputs).toEqual([
+    [2, 50],
+    [4, 1],
+  ]);
+});
+
+test.each([
+  ["2d", engine2d],
+  ["3d", engine3d],
+])("%s playback reproduces the recorded run", (mode, engine) => {
+  const { replay, finalState } = recordRun(engine, mode, 900);
+  const player = createReplayPlayer(parseReplay(JSON.stringify(replay)), engine);
+  while (!player.isEnded()) player.advance();
+  expect(player.getState()).toEqual(finalState);
+});
+
+test("seeking backwards and forwards lands on the same states as playing", () => {
+  const { replay } = recordRun(engine2d, "2d", 800);
+  const linear = createReplayPlayer(replay, engine2d);
+  for (let i = 0; i < 650; i++) linear.advance();
+
+  const scrubbed = createReplayPlayer(replay, engine2d);
+  scrubbed.seek(780);
+  scrubbed.seek(120);
+  scrubbed.seek(650);
+  expect(scrubbed.getTick()).toBe(650);
+  expect(scrubbed.getState()).toEqual(linear.getState());
+});
+
+test("malformed replay files are rejected with a clear message", () => {
+  expect(() => parseReplay("{")).toThrow(/not valid JSON/);
+  expect(() => parseReplay(JSON.stringify({ version: 99 }))).toThrow(/Unsupported replay version/);
+  const bad = { version: REPLAY_VERSION, mode: "2d", seed: 1, tickMs: 16, ticks: 3, inputs: [[0, 2]] };
+  expect(() => parseReplay(JSON.stringify(bad))).toThrow(/declares 3 ticks but contains 2/);
+});
@@ -0,0 +1,69 @@
+import { parseReplay } from "./replay";
+
+/**
+ * localStorage-backed replay library.
+ * Per mode it keeps the best few runs by score plus the most recent few, so a
+ * fresh bug repro never pushes out a personal best and vice versa.
+ */
+
+const STORAGE_KEY = "dreamDash.replays";
+const KEEP_BEST = 5;
+const KEEP_RECENT = 5;
+
+function prune(list) {
+  const keep = new Set();
+  ["2d", "3d"].forEach((mode) => {
+    const mine = list.filter((r) => r.mode === mode);
+    [...mine]
+      .sort((a, b) => (b.score || 0) - (a.score || 0))
+      .slice(0, KEEP_BEST)
+      .forEach((r) => keep.add(r.id));
+    [...mine]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, KEEP_RECENT)
+      .forEach((r) => keep.add(r.id));
+  });
+  return list.filter((r) => keep.has(r.id));
+}
+
+// PUBLIC_INTERFACE
+export function loadReplays() {
+  /** Returns saved replays, newest first; unreadable entries are dropped. */
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return list
+      .map((r) => {
+        try {
+          return parseReplay(JSON.stringify(r));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeReplays(list) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    // Storage full or unavailable: replays are a convenience, never fatal
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveReplay(replay) {
+  /** Adds (or replaces by id) a replay and prunes the library. */
+  const list = loadReplays().filter((r) => r.id !== replay.id);
+  writeReplays(prune([replay, ...list]));
+}
+
+// PUBLIC_INTERFACE
+export function deleteReplay(id) {
+  /** Removes a replay from the library. */
+  writeReplays(loadReplays().filter((r) => r.id !== id));
+}
@@ -0,0 +1,31 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * The whole generator state is a single uint32, so it can be stored inside a
+ * plain game state object, serialized, and resumed to reproduce a run exactly.
+ */
+
+// PUBLIC_INTERFACE
+export function createRng(seed) {
+  /** Returns a generator seeded with `seed` (coerced to uint32). */
+  let s = seed >>> 0;
+
+  const next = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    getState: () => s,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function randomSeed() {
+  /** Picks a fresh seed for a new run; the only non-deterministic entry point. */
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,90 @@
+/**
+ * Run session shown in the app header.
+ * Both game components report the same event contract to their parent:
+ *
+ *   onStart({ mode, lives, level })  a live run begins (mount or restart)
+ *   onScore(increment, total, stars) a star was collected (stars 1), or a boss
+ *                                    bonus paid (stars 0)
+ *   onLifeLost(lives)                a storm hit; `lives` left afterwards
+ *   onLifeGained(lives)              an extra life was picked up, or a partner revived
+ *   onLevelChange(level)             the run moved on to `level`
+ *   onGameOver(result)               the run ended ({ score, level, stars, durationMs })
+ *   onRestart()                      the player asked for a new run (onStart follows)
+ *   onEvents(events)                 every engine event of a tick, for listeners
+ *                                    such as achievements (see achievements/)
+ *
+ * App folds these into a session with sessionReducer; replays and menus leave
+ * the session idle, so the header never shows a stale run.
+ */
+
+// PUBLIC_INTERFACE
+export function createSession() {
+  /** An idle session: nothing running, counters at zero. */
+  return { mode: null, status: "idle", score: 0, stars: 0, lives: 0, level: 1, elapsedMs: 0, result: null };
+}
+
+// PUBLIC_INTERFACE
+export function sessionReducer(session, action) {
+  /**
+   * Applies one action: start, score, lifeLost, lifeGained, levelChange,
+   * gameOver, tick ({ ms }) or reset. Run updates outside a running session
+   * are ignored, so late callbacks from an unmounting game can't revive it.
+   */
+  if (action.type === "start") {
+    return { ...createSession(), mode: action.mode, status: "running", lives: action.lives, level: action.level };
+  }
+  if (action.type === "reset") return createSession();
+  if (session.status !== "running") return session;
+
+  switch (action.type) {
+    case "score":
+      // Score also counts boss bonuses; `stars` is only what was collected
+      return {
+        ...session,
+        score: action.total ?? session.score + action.increment,
+        stars: session.stars + (action.stars ?? action.increment),
+      };
+    case "lifeLost":
+    case "lifeGained":
+      return { ...session, lives: action.lives };
+    case "levelChange":
+      return { ...session, level: action.level };
+    case "gameOver":
+      return {
+        ...session,
+        status: "over",
+        score: action.result.score,
+        stars: action.result.stars ?? session.stars,
+        result: action.result,
+      };
+    case "tick":
+      return { ...session, elapsedMs: session.elapsedMs + action.ms };
+    default:
+      return session;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function reportRunEvents(events, handlers) {
+  /**
+   * Forwards engine events to the session callbacks in `handlers`. Game over
+   * is left to the caller, which also saves the replay and shows its panel.
+   */
+  const call = (fn, ...args) => typeof fn === "function" && fn(...args);
+  if (events.length > 0) call(handlers.onEvents, events);
+  events.forEach((ev) => {
+    if (ev.type === "star") call(handlers.onScore, 1, ev.score, 1);
+    if (ev.type === "bossDefeated") call(handlers.onScore, ev.bonus, ev.score, 0);
+    if (ev.type === "stormHit") call(handlers.onLifeLost, ev.lives);
+    if (ev.type === "extraLife" || ev.type === "revive") call(handlers.onLifeGained, ev.lives);
+    if (ev.type === "levelUp") call(handlers.onLevelChange, ev.level);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function formatRunTime(ms) {
+  /** Header clock: "42s" under a minute, "3:07" after. */
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,74 @@
+import { createSession, formatRunTime, reportRunEvents, sessionReducer } from "./session";
+
+function run(actions, from = createSession()) {
+  return actions.reduce(sessionReducer, from);
+}
+
+test("a run starts fresh, tracks its events and stops the clock at game over", () => {
+  const stale = { ...createSession(), status: "running", score: 12, elapsedMs: 40000 };
+  const s = run(
+    [
+      { type: "start", mode: "3d", lives: 3, level: 1 },
+      { type: "score", increment: 1, total: 1 },
+      { type: "tick", ms: 1000 },
+      { type: "lifeLost", lives: 2 },
+      { type: "levelChange", level: 2 },
+      { type: "gameOver", result: { score: 4, level: 2, stars: 4, durationMs: 1200 } },
+      { type: "tick", ms: 1000 },
+      { type: "score", increment: 1, total: 5 },
+    ],
+    stale
+  );
+  expect(s).toMatchObject({ mode: "3d", status: "over", score: 4, lives: 2, level: 2, elapsedMs: 1000 });
+  expect(s.result.durationMs).toBe(1200);
+});
+
+test("updates outside a running session are ignored and reset clears everything", () => {
+  expect(run([{ type: "tick", ms: 1000 }, { type: "score", increment: 1 }])).toEqual(createSession());
+
+  const s = run([{ type: "start", mode: "2d", lives: 3, level: 1 }, { type: "score", increment: 2 }]);
+  expect(s.score).toBe(2);
+  expect(sessionReducer(s, { type: "reset" })).toEqual(createSession());
+});
+
+test("boss bonuses raise the score but not the stars collected", () => {
+  const s = run([
+    { type: "start", mode: "2d", lives: 3, level: 5 },
+    { type: "score", increment: 1, total: 1, stars: 1 },
+    { type: "score", increment: 25, total: 26, stars: 0 },
+    { type: "score", increment: 1, total: 27, stars: 1 },
+  ]);
+  expect(s).toMatchObject({ score: 27, stars: 2 });
+});
+
+test("engine events are forwarded to the matching callbacks", () => {
+  const calls = [];
+  const handlers = {
+    onScore: (...args) => calls.push(["score", ...args]),
+    onLifeLost: (lives) => calls.push(["lifeLost", lives]),
+    onLevelChange: (level) => calls.push(["level", level]),
+  };
+  reportRunEvents(
+    [
+      { type: "star", score: 7 },
+      { type: "stormHit", lives: 1 },
+      { type: "extraLife", lives: 2 },
+      { type: "levelUp", level: 3 },
+      { type: "wind", force: 1 },
+      { type: "bossDefeated", level: 5, bonus: 25, score: 40 },
+    ],
+    handlers
+  );
+  expect(calls).toEqual([
+    ["score", 1, 7, 1],
+    ["lifeLost", 1],
+    ["level", 3],
+    ["score", 25, 40, 0],
+  ]);
+});
+
+test("run time reads as seconds, then minutes", () => {
+  expect(formatRunTime(0)).toBe("0s");
+  expect(formatRunTime(59999)).toBe("59s");
+  expect(formatRunTime(187000)).toBe("3:07");
+});
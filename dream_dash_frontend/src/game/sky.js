@@ -0,0 +1,77 @@
+/**
+ * Sky for the 2D renderer: parallax background layers and the day/night cycle.
+ * Like particles, all of this is cosmetic: it is derived from the run's clock
+ * and distance and never feeds back into the simulation, so replays are unaffected.
+ *
+ * Layers scroll at `rate` times the speed of the near clouds (the engine's
+ * `clouds`), back to front: distant mountains, far clouds, then the engine's
+ * near clouds, with foreground haze drifting past fastest. They follow the
+ * engine's `distance`, so slow-time and the difficulty's speed move them too.
+ *
+ * The cycle runs day -> sunset -> night -> dawn over `SKY.cycleMs` of run time.
+ * Each phase holds its look for most of its quarter and blends into the next
+ * one over the rest; night tints the scene deepest and brings out the stars.
+ */
+
+// PUBLIC_INTERFACE
+export const SKY = {
+  cycleMs: 180000,
+  blendShare: 0.3, // of each phase spent blending into the next
+  nearSpeed: 0.5, // px the near clouds drift per unit of world distance
+};
+
+// PUBLIC_INTERFACE
+export const PARALLAX_LAYERS = {
+  mountains: { rate: 0.15 },
+  farClouds: { rate: 0.45 },
+  haze: { rate: 1.6 },
+};
+
+// PUBLIC_INTERFACE
+export const SKY_PHASES = [
+  { name: "day", tint: "#000000", tintAlpha: 0, starAlpha: 0 },
+  { name: "sunset", tint: "#f97316", tintAlpha: 0.22, starAlpha: 0.15 },
+  { name: "night", tint: "#0b1033", tintAlpha: 0.45, starAlpha: 1 },
+  { name: "dawn", tint: "#f472b6", tintAlpha: 0.18, starAlpha: 0.25 },
+];
+
+function mixHex(a, b, t) {
+  const ca = parseInt(a.slice(1), 16);
+  const cb = parseInt(b.slice(1), 16);
+  const channel = (shift) => {
+    const from = (ca >> shift) & 255;
+    return Math.round(from + (((cb >> shift) & 255) - from) * t);
+  };
+  const n = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+  return `#${n.toString(16).padStart(6, "0")}`;
+}
+
+// PUBLIC_INTERFACE
+export function skyAt(timeMs) {
+  /**
+   * Look of the sky `timeMs` into a run:
+   * { phase, progress, tint, tintAlpha, starAlpha }, where `phase` names the
+   * phase under way and `progress` (0..1) is the position in the whole cycle.
+   */
+  const progress = (((timeMs / SKY.cycleMs) % 1) + 1) % 1;
+  const at = progress * SKY_PHASES.length;
+  const index = Math.floor(at);
+  const from = SKY_PHASES[index];
+  const to = SKY_PHASES[(index + 1) % SKY_PHASES.length];
+  const hold = 1 - SKY.blendShare;
+  const t = Math.max(0, (at - index - hold) / SKY.blendShare);
+  return {
+    phase: from.name,
+    progress,
+    // A phase with no tint blends in the other's colour, fading by alpha alone
+    tint: from.tintAlpha === 0 ? to.tint : to.tintAlpha === 0 ? from.tint : mixHex(from.tint, to.tint, t),
+    tintAlpha: from.tintAlpha + (to.tintAlpha - from.tintAlpha) * t,
+    starAlpha: from.starAlpha + (to.starAlpha - from.starAlpha) * t,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parallaxOffset(rate, distance, span) {
+  /** How far (0..span) a layer repeating every `span` px has scrolled left after world `distance`. */
+  return (((distance * SKY.nearSpeed * rate) % span) + span) % span;
+}
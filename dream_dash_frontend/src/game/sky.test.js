@@ -0,0 +1,37 @@
+import { PARALLAX_LAYERS, SKY, parallaxOffset, skyAt } from "./sky";
+
+test("the sky runs day, sunset, night and dawn, then starts over", () => {
+  const quarter = SKY.cycleMs / 4;
+  expect([0, 1, 2, 3, 4].map((i) => skyAt(i * quarter + 1).phase)).toEqual([
+    "day",
+    "sunset",
+    "night",
+    "dawn",
+    "day",
+  ]);
+  expect(skyAt(0)).toEqual(expect.objectContaining({ tintAlpha: 0, starAlpha: 0 }));
+  expect(skyAt(2.5 * quarter)).toEqual(expect.objectContaining({ tint: "#0b1033", tintAlpha: 0.45, starAlpha: 1 }));
+});
+
+test("phases blend into each other instead of snapping", () => {
+  const quarter = SKY.cycleMs / 4;
+  const before = skyAt(2 * quarter - 1);
+  const mid = skyAt(2 * quarter - (SKY.blendShare * quarter) / 2);
+  expect(before.starAlpha).toBeCloseTo(1, 2);
+  expect(mid.starAlpha).toBeGreaterThan(skyAt(quarter).starAlpha);
+  expect(mid.starAlpha).toBeLessThan(1);
+  expect(mid.tint).not.toBe("#f97316");
+  expect(mid.tint).not.toBe("#0b1033");
+});
+
+test("nearer layers scroll faster and wrap at their span", () => {
+  // Offsets follow world distance, not time
+  const { mountains, farClouds, haze } = PARALLAX_LAYERS;
+  const offsets = [mountains, farClouds, haze].map((layer) => parallaxOffset(layer.rate, 100, 10000));
+  expect(offsets[0]).toBeLessThan(offsets[1]);
+  expect(offsets[1]).toBeLessThan(offsets[2]);
+  const span = 100;
+  const wrapped = parallaxOffset(1, span / SKY.nearSpeed + 50, span);
+  expect(wrapped).toBeCloseTo(parallaxOffset(1, 50, span));
+  expect(wrapped).toBeLessThan(span);
+});
@@ -0,0 +1,31 @@
+/**
+ * Shape shared by every storm behaviour: an ellipse 40 x 20 world units in
+ * radius around (x, y), shrunk by `scale` for the small storms a splitter sheds.
+ */
+
+// PUBLIC_INTERFACE
+export const STORM_RADIUS = { x: 40, y: 20 };
+
+// PUBLIC_INTERFACE
+export function stormBody(storm) {
+  /** Bounding rect { x, y, w, h } of a storm's cloud, used for collisions. */
+  const scale = storm.scale || 1;
+  const rx = STORM_RADIUS.x * scale;
+  const ry = STORM_RADIUS.y * scale;
+  return { x: storm.x - rx, y: storm.y - ry, w: rx * 2, h: ry * 2 };
+}
+
+// PUBLIC_INTERFACE
+export function driftLeft(storm, world) {
+  /**
+   * Moves a storm left by its speed (and vertically by `vy`, if any). Once it
+   * leaves the screen it comes back round from the right, or is gone (null)
+   * if it only passes through once.
+   */
+  const next = { ...storm, x: storm.x - storm.speed * world.k };
+  if (storm.vy) next.y = Math.min(world.groundY - 40, Math.max(60, storm.y + storm.vy * world.k));
+  if (next.x + STORM_RADIUS.x * (storm.scale || 1) >= 0) return next;
+  if (storm.once) return null;
+  next.x = world.width + world.rng.next() * 200;
+  return next;
+}
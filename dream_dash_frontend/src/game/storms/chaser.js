@@ -0,0 +1,47 @@
+import { driftLeft } from "./body";
+
+/**
+ * Chaser: a slower storm that steers towards the height of the nearest player
+ * ahead of it, at most `turn` world units per tick, and gives up once it has
+ * passed them. Renderers draw it with eyes that follow its target.
+ */
+
+// PUBLIC_INTERFACE
+export const CHASER = {
+  speedFactor: 0.7, // of a drifter's speed at the same level
+  turn: 0.5,
+  turnPerLevel: 0.05,
+  maxTurn: 1.2,
+};
+
+// PUBLIC_INTERFACE
+export function chaserTarget(storm, players) {
+  /** Player the chaser is homing on: the nearest one still ahead of it (to its left), or null. */
+  return players
+    .filter((p) => p.x + p.size < storm.x)
+    .reduce((best, p) => (!best || p.x > best.x ? p : best), null);
+}
+
+// PUBLIC_INTERFACE
+export const chaser = {
+  label: "Chaser",
+  fromLevel: 2,
+  spawn(storm, world) {
+    /** Slows the storm down and sets how sharply it turns, which grows with the level. */
+    return {
+      speed: storm.speed * CHASER.speedFactor,
+      turn: Math.min(CHASER.maxTurn, CHASER.turn + (world.level - 1) * CHASER.turnPerLevel),
+    };
+  },
+  update(storm, world) {
+    /** Homes on the target's centre height, then drifts on like any storm. */
+    const target = chaserTarget(storm, world.players);
+    let y = storm.y;
+    if (target) {
+      const gap = target.y + target.size / 2 - storm.y;
+      y += Math.max(-storm.turn * world.k, Math.min(storm.turn * world.k, gap));
+    }
+    const next = driftLeft({ ...storm, y }, world);
+    return next ? [next] : [];
+  },
+};
@@ -0,0 +1,21 @@
+import { driftLeft } from "./body";
+
+/**
+ * Drifter: the plain storm. Floats left in a straight line at its own speed
+ * and comes back round from the right once it has left the screen.
+ */
+
+// PUBLIC_INTERFACE
+export const drifter = {
+  label: "Drifter",
+  fromLevel: 1,
+  spawn() {
+    /** Drifters need nothing beyond position and speed. */
+    return {};
+  },
+  update(storm, world) {
+    /** Storms this one becomes after a tick: itself moved on, or none once a one-off has passed. */
+    const next = driftLeft(storm, world);
+    return next ? [next] : [];
+  },
+};
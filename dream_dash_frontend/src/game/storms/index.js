@@ -0,0 +1,84 @@
+import { stormBody } from "./body";
+import { drifter } from "./drifter";
+import { chaser } from "./chaser";
+import { striker } from "./striker";
+import { splitter } from "./splitter";
+
+/**
+ * Storm behaviours of the 2D game. A storm is { id, kind, x, y, speed, ... } plus
+ * whatever its behaviour keeps; storms without a `kind` (e.g. from authored
+ * level waves) are drifters. Each behaviour is a module with
+ *
+ *   label, fromLevel       name, and the first level it turns up on
+ *   spawn(storm, world)    extra fields for a new storm of this kind
+ *   update(storm, world)   the storms it becomes after a tick (none, itself, or more)
+ *   hazards(storm, world)  optional: rects that hurt besides the cloud itself;
+ *                          only needs the playfield, so the game state will do
+ *
+ * `world` is { width, groundY, level, players, rng, k, frameMs, events }: the
+ * playfield, the players still in the run, the run's RNG, the tick's speed
+ * factor and the event list behaviours may add to. Updates return new objects
+ * and never mutate the storm they are given.
+ */
+
+// PUBLIC_INTERFACE
+export const STORM_BEHAVIOURS = { drifter, chaser, striker, splitter };
+
+// Weight of drifters in the mix; newer kinds grow from 1 to this as levels pass
+const DRIFTER_WEIGHT = 4;
+const MAX_WEIGHT = 3;
+
+// PUBLIC_INTERFACE
+export function stormMix(level) {
+  /** Relative odds of each kind at `level`: drifters throughout, the others from their `fromLevel` on. */
+  const mix = {};
+  Object.entries(STORM_BEHAVIOURS).forEach(([kind, b]) => {
+    if (kind === "drifter") mix[kind] = DRIFTER_WEIGHT;
+    else mix[kind] = level < b.fromLevel ? 0 : Math.min(MAX_WEIGHT, level - b.fromLevel + 1);
+  });
+  return mix;
+}
+
+// PUBLIC_INTERFACE
+export function pickStormKind(level, rng) {
+  /** A kind drawn from the level's mix with one RNG draw. */
+  const weights = Object.entries(stormMix(level));
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  let roll = rng.next() * total;
+  const hit = weights.find(([, w]) => (roll -= w) < 0);
+  return hit ? hit[0] : "drifter";
+}
+
+function behaviourOf(storm) {
+  return STORM_BEHAVIOURS[storm.kind] || drifter;
+}
+
+// PUBLIC_INTERFACE
+export function spawnStorm(kind, storm, world) {
+  /** New storm of `kind` at `storm` ({ x, y, speed }). */
+  return { kind, ...storm, ...STORM_BEHAVIOURS[kind].spawn(storm, world) };
+}
+
+// PUBLIC_INTERFACE
+export function updateStorms(storms, world) {
+  /**
+   * Steps every storm. A storm's first successor keeps its place in the list;
+   * any extra storms go last. Successors built from scratch (like a splitter's
+   * halves) carry no `id`; the engine gives them fresh ones.
+   */
+  const kept = [];
+  const added = [];
+  storms.forEach((st) => {
+    const [first, ...rest] = behaviourOf(st).update(st, world);
+    if (first) kept.push(first);
+    added.push(...rest);
+  });
+  return kept.concat(added);
+}
+
+// PUBLIC_INTERFACE
+export function stormHitboxes(storm, world) {
+  /** Rects of a storm that hurt on contact: its cloud plus its behaviour's hazards. */
+  const b = behaviourOf(storm);
+  return [stormBody(storm), ...(b.hazards ? b.hazards(storm, world) : [])];
+}
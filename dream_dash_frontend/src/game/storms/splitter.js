@@ -0,0 +1,45 @@
+import { driftLeft } from "./body";
+
+/**
+ * Splitter: a storm that breaks into two small storms once it drifts past
+ * `splitAt`, one veering up and one down. The halves are one-off drifters:
+ * they don't come back round after leaving the screen. Renderers show a crack
+ * that widens as the split nears.
+ */
+
+// PUBLIC_INTERFACE
+export const SPLITTER = {
+  splitFrom: 0.45, // split point, as a share of the playfield width...
+  splitTo: 0.7, // ...picked at random in this range
+  warnDistance: 80, // world units before the split point the crack shows
+  childScale: 0.6,
+  childVy: 0.6,
+  childSpeedFactor: 1.2,
+};
+
+// PUBLIC_INTERFACE
+export const splitter = {
+  label: "Splitter",
+  fromLevel: 4,
+  spawn(storm, world) {
+    /** Picks where on screen this one will split. */
+    const share = SPLITTER.splitFrom + world.rng.next() * (SPLITTER.splitTo - SPLITTER.splitFrom);
+    return { splitAt: world.width * share };
+  },
+  update(storm, world) {
+    /** Drifts until the split point, then becomes its two halves. */
+    const next = driftLeft(storm, world);
+    if (!next || next.x > storm.splitAt) return next ? [next] : [];
+    world.events.push({ type: "split", x: next.x, y: next.y });
+    const half = (vy) => ({
+      kind: "drifter",
+      x: next.x,
+      y: next.y,
+      speed: storm.speed * SPLITTER.childSpeedFactor,
+      scale: SPLITTER.childScale,
+      vy,
+      once: true,
+    });
+    return [half(-SPLITTER.childVy), half(SPLITTER.childVy)];
+  },
+};
@@ -0,0 +1,148 @@
+import { createRng } from "../rng";
+import * as engine2d from "../engine2d";
+import { STORM_BEHAVIOURS, pickStormKind, spawnStorm, stormHitboxes, stormMix, updateStorms } from ".";
+import { drifter } from "./drifter";
+import { chaser, chaserTarget } from "./chaser";
+import { STRIKER, striker } from "./striker";
+import { SPLITTER, splitter } from "./splitter";
+
+function world(extra = {}) {
+  return {
+    width: 600,
+    groundY: 280,
+    level: 1,
+    players: [{ x: 100, y: 240, size: 20 }],
+    rng: createRng(1),
+    k: 1,
+    frameMs: 1000 / 60,
+    events: [],
+    ...extra,
+  };
+}
+
+// Steps one storm through its behaviour `ticks` times, keeping the first successor
+function run(storm, w, ticks) {
+  let st = storm;
+  for (let t = 0; t < ticks && st; t++) [st] = STORM_BEHAVIOURS[st.kind].update(st, w);
+  return st;
+}
+
+// Steps a storm until `done(storm)`; returns it and how many ms that took
+function runUntil(storm, w, done) {
+  let st = storm;
+  let ms = 0;
+  while (!done(st) && ms < 10000) {
+    st = run(st, w, 1);
+    ms += w.frameMs;
+  }
+  return { storm: st, ms };
+}
+
+test("the mix starts with drifters only and adds a kind every level", () => {
+  expect(stormMix(1)).toEqual({ drifter: 4, chaser: 0, striker: 0, splitter: 0 });
+  expect(stormMix(3)).toEqual({ drifter: 4, chaser: 2, striker: 1, splitter: 0 });
+  expect(stormMix(9)).toEqual({ drifter: 4, chaser: 3, striker: 3, splitter: 3 });
+
+  const rng = createRng(7);
+  const kinds = new Set(Array.from({ length: 200 }, () => pickStormKind(1, rng)));
+  expect([...kinds]).toEqual(["drifter"]);
+  const later = new Set(Array.from({ length: 200 }, () => pickStormKind(6, rng)));
+  expect(later).toEqual(new Set(Object.keys(STORM_BEHAVIOURS)));
+});
+
+test("drifters float left and come back round; one-off halves are gone", () => {
+  const w = world();
+  const [moved] = drifter.update({ kind: "drifter", x: 300, y: 100, speed: 2 }, w);
+  expect(moved).toEqual({ kind: "drifter", x: 298, y: 100, speed: 2 });
+
+  const [wrapped] = drifter.update({ kind: "drifter", x: -39, y: 100, speed: 2 }, w);
+  expect(wrapped.x).toBeGreaterThanOrEqual(600);
+  expect(drifter.update({ kind: "drifter", x: -23, y: 100, speed: 2, scale: 0.6, once: true }, w)).toEqual([]);
+});
+
+test("chasers home on the height of the nearest player ahead, then give up", () => {
+  const w = world({ players: [{ x: 100, y: 240, size: 20 }, { x: 40, y: 60, size: 20 }] });
+  const storm = spawnStorm("chaser", { x: 500, y: 100, speed: 0.5 }, w);
+  expect(storm.speed).toBeCloseTo(0.35);
+  expect(chaserTarget(storm, w.players)).toBe(w.players[0]);
+
+  const [next] = chaser.update(storm, w);
+  expect(next.y).toBeCloseTo(100 + storm.turn);
+  expect(run(storm, w, 400).y).toBeCloseTo(250);
+
+  const passed = { ...storm, x: 90 };
+  expect(chaserTarget(passed, [w.players[0]])).toBeNull();
+  expect(chaser.update(passed, { ...w, players: [w.players[0]] })[0].y).toBe(100);
+});
+
+test("strikers telegraph for half a second before the column hurts", () => {
+  const w = world();
+  const charging = spawnStorm("striker", { x: 400, y: 100, speed: 0 }, w);
+  const frame = w.frameMs + 0.001;
+
+  const warned = runUntil(charging, w, (st) => st.bolt);
+  expect(warned.ms).toBeCloseTo(STRIKER.firstChargeMs, -1);
+  expect(warned.storm.bolt).toEqual({ phase: "warn", remaining: STRIKER.warnMs });
+  expect(w.events).toEqual([{ type: "lightning", x: 400 }]);
+  expect(stormHitboxes(warned.storm, w)).toHaveLength(1);
+
+  const struck = runUntil(warned.storm, w, (st) => st.bolt.phase === "strike");
+  expect(Math.abs(struck.ms - STRIKER.warnMs)).toBeLessThan(frame);
+  const [, column] = stormHitboxes(struck.storm, w);
+  expect(column).toEqual({ x: 392, y: 120, w: 16, h: 160 });
+
+  const spent = runUntil(struck.storm, w, (st) => !st.bolt);
+  expect(Math.abs(spent.ms - STRIKER.strikeMs)).toBeLessThan(frame);
+  const storm = spent.storm;
+  expect(storm.charge).toBeGreaterThanOrEqual(STRIKER.chargeMs);
+  expect(striker.hazards(storm, w)).toEqual([]);
+});
+
+test("splitters break into two small one-off storms at their split point", () => {
+  const w = world();
+  const storm = spawnStorm("splitter", { x: 600, y: 150, speed: 2 }, w);
+  expect(storm.splitAt).toBeGreaterThanOrEqual(600 * SPLITTER.splitFrom);
+  expect(storm.splitAt).toBeLessThanOrEqual(600 * SPLITTER.splitTo);
+
+  const before = splitter.update({ ...storm, x: storm.splitAt + 3 }, w);
+  expect(before).toHaveLength(1);
+  const halves = splitter.update({ ...storm, x: storm.splitAt + 1 }, w);
+  expect(halves).toHaveLength(2);
+  halves.forEach((h) => expect(h).toEqual(expect.objectContaining({ kind: "drifter", scale: 0.6, once: true })));
+  expect(halves[0].vy).toBeLessThan(0);
+  expect(halves[1].vy).toBeGreaterThan(0);
+  expect(w.events).toEqual([expect.objectContaining({ type: "split" })]);
+
+  // The first half keeps the splitter's place in the list, the other goes last
+  const other = { kind: "drifter", x: 300, y: 100, speed: 1 };
+  const list = updateStorms([{ ...storm, x: storm.splitAt + 1 }, other], world());
+  expect(list.map((st) => st.kind)).toEqual(["drifter", "drifter", "drifter"]);
+  expect(list[1].x).toBe(299);
+});
+
+test("storms keep their ids across ticks and split-off halves get new ones", () => {
+  const state = engine2d.createInitialState({ seed: 3 });
+  const splitting = { kind: "splitter", x: 400, y: 150, speed: 1, splitAt: 300 };
+  const other = { kind: "drifter", x: 500, y: 100, speed: 1 };
+  const { state: tagged } = engine2d.step({ ...state, storms: [splitting, other] }, {});
+  const [first, second] = tagged.storms.map((st) => st.id);
+  expect(first).not.toBe(second);
+
+  const { state: next } = engine2d.step({ ...tagged, storms: [{ ...tagged.storms[0], x: 301 }, tagged.storms[1]] }, {});
+  expect(next.storms).toHaveLength(3);
+  expect(next.storms.find((st) => st.kind === "drifter" && !st.once).id).toBe(second);
+  const halves = next.storms.filter((st) => st.once);
+  expect(halves).toHaveLength(2);
+  halves.forEach((h) => expect([first, second]).not.toContain(h.id));
+  expect(halves[0].id).not.toBe(halves[1].id);
+});
+
+test("a striking column costs a 2D player a life", () => {
+  const state = engine2d.createInitialState({ seed: 2 });
+  const p = state.player;
+  const bolt = { phase: "strike", remaining: STRIKER.strikeMs };
+  const storm = { kind: "striker", x: p.x + p.size / 2, y: 60, speed: 0, charge: 0, bolt };
+  const { state: next, events } = engine2d.step({ ...state, storms: [storm] }, {});
+  expect(events).toContainEqual({ type: "stormHit", lives: state.lives - 1 });
+  expect(next.lives).toBe(state.lives - 1);
+});
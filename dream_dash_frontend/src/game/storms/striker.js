@@ -0,0 +1,64 @@
+import { driftLeft, stormBody } from "./body";
+
+/**
+ * Striker: a storm that charges up while it drifts, then telegraphs a
+ * lightning column straight down to the ground for `warnMs` before striking it
+ * for `strikeMs`. Only the strike hurts. The column moves with the storm.
+ *
+ *   bolt: null | { phase: "warn" | "strike", remaining }
+ *
+ * A warning starts with a `lightning` event so players who can't see it can
+ * still hear or be told about it.
+ */
+
+// PUBLIC_INTERFACE
+export const STRIKER = {
+  warnMs: 500,
+  strikeMs: 300,
+  firstChargeMs: 600, // until the first warning once on screen
+  chargeMs: 1800, // between strikes, plus up to `chargeJitterMs`
+  chargeJitterMs: 1200,
+  boltWidth: 16,
+};
+
+// PUBLIC_INTERFACE
+export function strikeColumn(storm, groundY) {
+  /** Rect { x, y, w, h } of the lightning column from under the storm to the ground. */
+  const body = stormBody(storm);
+  const top = body.y + body.h;
+  return { x: storm.x - STRIKER.boltWidth / 2, y: top, w: STRIKER.boltWidth, h: Math.max(0, groundY - top) };
+}
+
+function advanceBolt(storm, world) {
+  const dt = world.k * world.frameMs;
+  const onScreen = storm.x > 40 && storm.x < world.width - 40;
+  if (!storm.bolt) {
+    const charge = onScreen ? storm.charge - dt : storm.charge;
+    if (charge > 0) return { charge, bolt: null };
+    world.events.push({ type: "lightning", x: storm.x });
+    return { charge: 0, bolt: { phase: "warn", remaining: STRIKER.warnMs } };
+  }
+  const remaining = storm.bolt.remaining - dt;
+  if (remaining > 0) return { charge: storm.charge, bolt: { ...storm.bolt, remaining } };
+  if (storm.bolt.phase === "warn") return { charge: 0, bolt: { phase: "strike", remaining: STRIKER.strikeMs } };
+  return { charge: STRIKER.chargeMs + world.rng.next() * STRIKER.chargeJitterMs, bolt: null };
+}
+
+// PUBLIC_INTERFACE
+export const striker = {
+  label: "Striker",
+  fromLevel: 3,
+  spawn() {
+    /** Starts charging with no bolt. */
+    return { charge: STRIKER.firstChargeMs, bolt: null };
+  },
+  update(storm, world) {
+    /** Drifts on while the bolt cycles charge -> warn -> strike. */
+    const next = driftLeft({ ...storm, ...advanceBolt(storm, world) }, world);
+    return next ? [next] : [];
+  },
+  hazards(storm, world) {
+    /** The lightning column while it is striking. */
+    return storm.bolt && storm.bolt.phase === "strike" ? [strikeColumn(storm, world.groundY)] : [];
+  },
+};
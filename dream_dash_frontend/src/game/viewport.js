@@ -0,0 +1,55 @@
+/**
+ * Mapping between the 2D game's world coordinates and the screen.
+ * The simulation always runs in a fixed world (see WORLD_SIZE in engine2d);
+ * the renderer fits that world into whatever box the canvas gets, keeping its
+ * aspect ratio and letterboxing the rest. The canvas backing store is sized
+ * in device pixels (CSS size × devicePixelRatio) so drawing stays sharp on
+ * HiDPI screens; one transform takes world units straight to device pixels.
+ */
+
+// Never render to a zero-sized backing store, even while the layout settles
+const MIN_CSS_SIZE = 1;
+
+// PUBLIC_INTERFACE
+export function computeViewport({ cssWidth, cssHeight, dpr = 1, worldWidth, worldHeight }) {
+  /**
+   * Returns { cssWidth, cssHeight, dpr, backingWidth, backingHeight, scale,
+   * offsetX, offsetY }. `scale` is CSS px per world unit; offsets (CSS px)
+   * centre the world inside the box.
+   */
+  const w = Math.max(MIN_CSS_SIZE, cssWidth);
+  const h = Math.max(MIN_CSS_SIZE, cssHeight);
+  const ratio = dpr > 0 && Number.isFinite(dpr) ? dpr : 1;
+  const scale = Math.min(w / worldWidth, h / worldHeight);
+  return {
+    cssWidth: w,
+    cssHeight: h,
+    dpr: ratio,
+    backingWidth: Math.round(w * ratio),
+    backingHeight: Math.round(h * ratio),
+    scale,
+    offsetX: (w - worldWidth * scale) / 2,
+    offsetY: (h - worldHeight * scale) / 2,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function worldTransform(viewport) {
+  /** Canvas transform [a, b, c, d, e, f] from world units to device pixels. */
+  const s = viewport.scale * viewport.dpr;
+  return [s, 0, 0, s, viewport.offsetX * viewport.dpr, viewport.offsetY * viewport.dpr];
+}
+
+// PUBLIC_INTERFACE
+export function screenToWorld(viewport, x, y, worldWidth, worldHeight) {
+  /**
+   * World point for a CSS-pixel position inside the canvas box, clamped to the
+   * world so touches on the letterbox bars count as its nearest edge.
+   */
+  const wx = (x - viewport.offsetX) / viewport.scale;
+  const wy = (y - viewport.offsetY) / viewport.scale;
+  return {
+    x: Math.max(0, Math.min(worldWidth, wx)),
+    y: Math.max(0, Math.min(worldHeight, wy)),
+  };
+}
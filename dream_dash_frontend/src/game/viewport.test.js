@@ -0,0 +1,38 @@
+import { computeViewport, screenToWorld, worldTransform } from "./viewport";
+
+const WORLD = { worldWidth: 600, worldHeight: 330 };
+
+test("a box with the world's aspect ratio is filled exactly", () => {
+  const vp = computeViewport({ cssWidth: 300, cssHeight: 165, dpr: 2, ...WORLD });
+  expect(vp).toMatchObject({ scale: 0.5, offsetX: 0, offsetY: 0, backingWidth: 600, backingHeight: 330 });
+  expect(worldTransform(vp)).toEqual([1, 0, 0, 1, 0, 0]);
+});
+
+test("other aspect ratios are letterboxed around the centred world", () => {
+  // Tall phone: bars above and below
+  const tall = computeViewport({ cssWidth: 360, cssHeight: 640, dpr: 3, ...WORLD });
+  expect(tall.scale).toBeCloseTo(0.6);
+  expect(tall.offsetX).toBe(0);
+  expect(tall.offsetY).toBeCloseTo((640 - 330 * 0.6) / 2);
+  expect(tall.backingWidth).toBe(1080);
+
+  // Wide window: bars left and right
+  const wide = computeViewport({ cssWidth: 1000, cssHeight: 330, dpr: 1, ...WORLD });
+  expect(wide.scale).toBe(1);
+  expect(wide.offsetX).toBe(200);
+  expect(worldTransform(wide)).toEqual([1, 0, 0, 1, 200, 0]);
+});
+
+test("screen points map back to world points, clamped to the world", () => {
+  const vp = computeViewport({ cssWidth: 1000, cssHeight: 330, dpr: 2, ...WORLD });
+  expect(screenToWorld(vp, 500, 165, 600, 330)).toEqual({ x: 300, y: 165 });
+  expect(screenToWorld(vp, 50, 10, 600, 330)).toEqual({ x: 0, y: 10 });
+  expect(screenToWorld(vp, 990, 10, 600, 330)).toEqual({ x: 600, y: 10 });
+});
+
+test("degenerate sizes and pixel ratios fall back to something drawable", () => {
+  const vp = computeViewport({ cssWidth: 0, cssHeight: 0, dpr: NaN, ...WORLD });
+  expect(vp.dpr).toBe(1);
+  expect(vp.backingWidth).toBeGreaterThan(0);
+  expect(vp.backingHeight).toBeGreaterThan(0);
+});
@@ -0,0 +1,70 @@
+import { useEffect, useMemo, useRef } from "react";
+import definitionsData from "../achievements/achievements.json";
+import {
+  achievementProgress,
+  createAchievementState,
+  parseAchievements,
+  startRun,
+  trackEvents,
+} from "../achievements/achievements";
+import { loadAchievements, saveAchievements } from "../achievements/achievementStore";
+
+// Bundled definitions; a broken file is reported through `onError` and
+// achievements are switched off
+function loadDefinitions() {
+  try {
+    return { definitions: parseAchievements(definitionsData), error: null };
+  } catch (e) {
+    return { definitions: [], error: `Achievements not loaded: ${e.message}` };
+  }
+}
+
+const { definitions: DEFINITIONS, error: DEFINITIONS_ERROR } = loadDefinitions();
+
+/**
+ * PUBLIC_INTERFACE
+ * useAchievements
+ * Tracks achievements across runs (see achievements/achievements). Returns a
+ * stable { startRun(mode), trackEvents(events), progress() }: wire startRun to
+ * a game's onStart and trackEvents to its onEvents. `onUnlock(definition)` is
+ * called for every new unlock, and `onError(message)` once if the bundled
+ * definitions could not be loaded. Tracking lives in a ref so gameplay never
+ * re-renders the app; progress is saved on unlocks, at the end of each run
+ * and on unmount.
+ */
+export default function useAchievements(onUnlock, onError) {
+  const stateRef = useRef(null);
+  if (stateRef.current === null) stateRef.current = createAchievementState(loadAchievements());
+
+  const onUnlockRef = useRef(onUnlock);
+  useEffect(() => {
+    onUnlockRef.current = onUnlock;
+  }, [onUnlock]);
+
+  useEffect(() => () => saveAchievements(stateRef.current), []);
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    if (DEFINITIONS_ERROR && onErrorRef.current) onErrorRef.current(DEFINITIONS_ERROR);
+  }, []);
+
+  return useMemo(
+    () => ({
+      startRun: (mode) => {
+        // A run abandoned part-way still keeps the progress it made
+        if (stateRef.current.run) saveAchievements(stateRef.current);
+        stateRef.current = startRun(stateRef.current, mode);
+      },
+      trackEvents: (events) => {
+        const out = trackEvents(stateRef.current, DEFINITIONS, events);
+        stateRef.current = out.state;
+        if (out.unlocked.length > 0 || events.some((ev) => ev.type === "gameOver")) {
+          saveAchievements(out.state);
+        }
+        out.unlocked.forEach((def) => onUnlockRef.current && onUnlockRef.current(def));
+      },
+      progress: () => achievementProgress(stateRef.current, DEFINITIONS),
+    }),
+    []
+  );
+}
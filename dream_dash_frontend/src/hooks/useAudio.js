@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import { createAudioEngine } from "../audio/audioEngine";
+
+const UNLOCK_EVENTS = ["pointerdown", "keydown", "touchstart"];
+
+/**
+ * PUBLIC_INTERFACE
+ * useAudio
+ * Owns the app-wide audio engine. The first click, key or touch anywhere
+ * unlocks playback (browsers refuse to start audio before a gesture), and
+ * `volumes` from settings are applied whenever they change.
+ */
+export default function useAudio(volumes) {
+  const [audio] = useState(() => createAudioEngine());
+
+  useEffect(() => {
+    const unlock = () => {
+      if (audio.isUnlocked()) return;
+      audio.unlock();
+    };
+    UNLOCK_EVENTS.forEach((type) => window.addEventListener(type, unlock, true));
+    return () => {
+      UNLOCK_EVENTS.forEach((type) => window.removeEventListener(type, unlock, true));
+      audio.dispose();
+    };
+  }, [audio]);
+
+  useEffect(() => {
+    audio.setVolumes(volumes);
+  }, [audio, volumes]);
+
+  return audio;
+}
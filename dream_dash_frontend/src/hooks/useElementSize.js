@@ -0,0 +1,57 @@
+import { useEffect, useState } from "react";
+
+function measure(el) {
+  const rect = el.getBoundingClientRect();
+  return { width: rect.width, height: rect.height, dpr: window.devicePixelRatio || 1 };
+}
+
+function same(a, b) {
+  return a.width === b.width && a.height === b.height && a.dpr === b.dpr;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useElementSize
+ * Tracks the CSS size of `ref`'s element and the device pixel ratio, live:
+ * element resizes (ResizeObserver where available), window resizes,
+ * orientation changes and moves to a screen with a different pixel density.
+ */
+export default function useElementSize(ref, initial) {
+  const [size, setSize] = useState(() => ({ dpr: 1, ...initial }));
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return undefined;
+
+    let dprQuery = null;
+    const update = () => {
+      const next = measure(el);
+      // Hidden (display: none) elements measure 0x0; keep the last real size
+      if (next.width === 0 || next.height === 0) return;
+      setSize((prev) => (same(prev, next) ? prev : next));
+      watchDpr();
+    };
+    // A resolution media query only fires once, for the density it was made for
+    function watchDpr() {
+      if (!window.matchMedia) return;
+      if (dprQuery && dprQuery.removeEventListener) dprQuery.removeEventListener("change", update);
+      dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      if (dprQuery.addEventListener) dprQuery.addEventListener("change", update);
+    }
+
+    const observer = typeof ResizeObserver === "function" ? new ResizeObserver(update) : null;
+    if (observer) observer.observe(el);
+    window.addEventListener("resize", update);
+    window.addEventListener("orientationchange", update);
+    update();
+
+    return () => {
+      if (observer) observer.disconnect();
+      window.removeEventListener("resize", update);
+      window.removeEventListener("orientationchange", update);
+      if (dprQuery && dprQuery.removeEventListener) dprQuery.removeEventListener("change", update);
+    };
+  }, [ref]);
+
+  return size;
+}
@@ -0,0 +1,41 @@
+import { useEffect, useMemo, useRef } from "react";
+import { createGamepadPoller } from "../input/gamepad";
+
+/**
+ * PUBLIC_INTERFACE
+ * useGamepad
+ * Polls controllers every animation frame for the lifetime of the caller and
+ * reports connect/disconnect and Start presses. Returns the poller, which the
+ * game components read once per simulation tick via `consume()`.
+ */
+export default function useGamepad({ onConnect, onDisconnect, onStart }) {
+  const poller = useMemo(() => createGamepadPoller(), []);
+  const handlersRef = useRef({ onConnect, onDisconnect, onStart });
+  useEffect(() => {
+    handlersRef.current = { onConnect, onDisconnect, onStart };
+  }, [onConnect, onDisconnect, onStart]);
+
+  useEffect(() => {
+    if (typeof navigator === "undefined" || !navigator.getGamepads) return undefined;
+
+    let frameId = null;
+    const loop = () => {
+      if (poller.poll().start && handlersRef.current.onStart) handlersRef.current.onStart();
+      frameId = window.requestAnimationFrame(loop);
+    };
+    frameId = window.requestAnimationFrame(loop);
+
+    const connected = (e) => handlersRef.current.onConnect && handlersRef.current.onConnect(e.gamepad);
+    const disconnected = (e) => handlersRef.current.onDisconnect && handlersRef.current.onDisconnect(e.gamepad);
+    window.addEventListener("gamepadconnected", connected);
+    window.addEventListener("gamepaddisconnected", disconnected);
+
+    return () => {
+      window.cancelAnimationFrame(frameId);
+      window.removeEventListener("gamepadconnected", connected);
+      window.removeEventListener("gamepaddisconnected", disconnected);
+    };
+  }, [poller]);
+
+  return poller;
+}
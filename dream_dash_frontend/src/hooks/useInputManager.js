@@ -0,0 +1,26 @@
+import { useEffect, useState } from "react";
+import { createInputManager } from "../input/inputManager";
+
+/**
+ * PUBLIC_INTERFACE
+ * useInputManager
+ * Owns the app-wide input manager: listeners are attached for the caller's
+ * lifetime and `bindings` changes apply once committed. `gamepad` (the stable
+ * poller from useGamepad) is folded into the manager's per-tick samples.
+ */
+export default function useInputManager({ bindings, gamepad }) {
+  // Created once; later binding changes go through setBindings below
+  const [manager] = useState(() => createInputManager({ bindings, gamepad }));
+
+  useEffect(() => {
+    manager.attach();
+    return () => manager.detach();
+  }, [manager]);
+
+  // On-screen hints read `bindings` themselves, so the manager can catch up after render
+  useEffect(() => {
+    manager.setBindings(bindings);
+  }, [manager, bindings]);
+
+  return manager;
+}
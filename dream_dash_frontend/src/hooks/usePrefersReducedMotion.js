@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function query() {
+  return typeof window.matchMedia === "function" ? window.matchMedia(QUERY) : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * usePrefersReducedMotion
+ * Whether the system asks for reduced motion, following changes live.
+ * False where matchMedia is unavailable.
+ */
+export default function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => Boolean(query() && query().matches));
+
+  useEffect(() => {
+    const mql = query();
+    if (!mql) return undefined;
+    const onChange = () => setReduced(mql.matches);
+    onChange();
+    mql.addEventListener("change", onChange);
+    return () => mql.removeEventListener("change", onChange);
+  }, []);
+
+  return reduced;
+}
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createReplayPlayer } from "../game/replay";
+
+const SPEEDS = [1, 2, 4];
+const UI_SYNC_TICKS = 6;
+
+/**
+ * PUBLIC_INTERFACE
+ * useReplayPlayback
+ * Drives a watch-only replay from a game's render loop. The loop calls
+ * `advance()` once per simulation tick slot and renders the returned state;
+ * play/pause/speed/seek come from the `controls` object for ReplayControls.
+ * `advance()` returns null while no replay is loaded.
+ */
+export default function useReplayPlayback(replay, engine) {
+  const playerRef = useRef(null);
+  const controlsRef = useRef({ playing: true, speed: 1 });
+  const [ui, setUi] = useState({ playing: true, speed: 1, tick: 0, length: 0 });
+
+  useEffect(() => {
+    playerRef.current = replay ? createReplayPlayer(replay, engine) : null;
+    controlsRef.current = { playing: true, speed: 1 };
+    setUi({ playing: true, speed: 1, tick: 0, length: replay ? replay.ticks : 0 });
+  }, [replay, engine]);
+
+  const sync = useCallback((player) => {
+    setUi((prev) =>
+      prev.tick === player.getTick() ? prev : { ...prev, tick: player.getTick() }
+    );
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const advance = useCallback(() => {
+    /** Steps the replay by the current speed; returns { state, events } or null. */
+    const player = playerRef.current;
+    if (!player) return null;
+    const { playing, speed } = controlsRef.current;
+    const events = [];
+    if (playing) {
+      for (let i = 0; i < speed && !player.isEnded(); i++) events.push(...player.advance());
+      if (player.isEnded()) {
+        controlsRef.current = { ...controlsRef.current, playing: false };
+        setUi((prev) => ({ ...prev, playing: false, tick: player.getTick() }));
+      } else if (player.getTick() % UI_SYNC_TICKS < speed) {
+        sync(player);
+      }
+    }
+    return { state: player.getState(), events };
+  }, [sync]);
+
+  const setControls = useCallback((patch) => {
+    controlsRef.current = { ...controlsRef.current, ...patch };
+    setUi((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const onTogglePlay = useCallback(() => {
+    const player = playerRef.current;
+    // Pressing play at the end starts the replay over
+    if (player && player.isEnded() && !controlsRef.current.playing) {
+      player.seek(0);
+      sync(player);
+    }
+    setControls({ playing: !controlsRef.current.playing });
+  }, [setControls, sync]);
+
+  const onSpeed = useCallback(
+    (speed) => {
+      if (SPEEDS.includes(speed)) setControls({ speed });
+    },
+    [setControls]
+  );
+
+  const onSeek = useCallback(
+    (tick) => {
+      const player = playerRef.current;
+      if (!player) return;
+      player.seek(tick);
+      sync(player);
+    },
+    [sync]
+  );
+
+  return {
+    advance,
+    controls: { ...ui, speeds: SPEEDS, onTogglePlay, onSpeed, onSeek },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Keyboard bindings: which keys trigger which abstract game action.
+ * Bindings are plain JSON ({ action: [primaryKey, secondaryKey?] }) so they can
+ * live in the settings store. Keys are `KeyboardEvent.key` values; letters are
+ * stored lower-case so Shift or Caps Lock do not change what a key does.
+ */
+
+// PUBLIC_INTERFACE
+export const ACTIONS = ["moveLeft", "moveRight", "jump", "dive", "restart", "pause"];
+
+// PUBLIC_INTERFACE
+export const ACTION_LABELS = {
+  moveLeft: "Move left",
+  moveRight: "Move right",
+  jump: "Jump",
+  dive: "Dive",
+  restart: "Restart",
+  pause: "Pause",
+};
+
+// Each action has at most this many keys (primary and secondary)
+const SLOTS = 2;
+
+// PUBLIC_INTERFACE
+export const PRESETS = {
+  arrows: {
+    moveLeft: ["ArrowLeft"],
+    moveRight: ["ArrowRight"],
+    jump: ["ArrowUp"],
+    dive: ["ArrowDown"],
+    restart: ["r"],
+    pause: ["p", "Escape"],
+  },
+  wasd: {
+    moveLeft: ["a"],
+    moveRight: ["d"],
+    jump: ["w"],
+    dive: ["s"],
+    restart: ["r"],
+    pause: ["p", "Escape"],
+  },
+  both: {
+    moveLeft: ["ArrowLeft", "a"],
+    moveRight: ["ArrowRight", "d"],
+    jump: ["ArrowUp", "w"],
+    dive: ["ArrowDown", "s"],
+    restart: ["r"],
+    pause: ["p", "Escape"],
+  },
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_BINDINGS = PRESETS.arrows;
+
+// Fixed keys of the second player in two-player mode, in order of preference;
+// player two takes the first layout none of player one's keys clash with
+// PUBLIC_INTERFACE
+export const PLAYER_TWO_LAYOUTS = [
+  { moveLeft: ["a"], moveRight: ["d"], jump: ["w"], dive: ["s"] },
+  { moveLeft: ["j"], moveRight: ["l"], jump: ["i"], dive: ["k"] },
+];
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  " ": "Space",
+  Escape: "Esc",
+};
+
+// PUBLIC_INTERFACE
+export function normalizeKey(key) {
+  /** Canonical form of a `KeyboardEvent.key`: single characters lower-cased. */
+  if (typeof key !== "string") return "";
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// PUBLIC_INTERFACE
+export function keyLabel(key) {
+  /** Short human-readable name for a bound key. */
+  if (!key) return "—";
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// PUBLIC_INTERFACE
+export function sanitizeBindings(bindings) {
+  /**
+   * Returns a complete, well-formed bindings object. Unknown actions and
+   * non-string keys are dropped; actions missing entirely get their defaults.
+   * An empty list is kept: the player unbound that action on purpose.
+   */
+  const out = {};
+  ACTIONS.forEach((action) => {
+    const keys = bindings ? bindings[action] : undefined;
+    out[action] = Array.isArray(keys)
+      ? keys.filter((k) => typeof k === "string" && k).map(normalizeKey).slice(0, SLOTS)
+      : [...DEFAULT_BINDINGS[action]];
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function buildKeymap(bindings) {
+  /** Inverts bindings into a Map of key -> action for event lookup. */
+  const map = new Map();
+  ACTIONS.forEach((action) => {
+    (bindings[action] || []).forEach((key) => map.set(normalizeKey(key), action));
+  });
+  return map;
+}
+
+// PUBLIC_INTERFACE
+export function rebindKey(bindings, action, slot, key) {
+  /**
+   * Binds `key` to `action` in `slot` (0 primary, 1 secondary) and returns new
+   * bindings. The key is taken away from whichever action had it, so one key
+   * never triggers two actions.
+   */
+  const k = normalizeKey(key);
+  const out = {};
+  ACTIONS.forEach((a) => {
+    out[a] = (bindings[a] || []).filter((existing) => normalizeKey(existing) !== k);
+  });
+  const keys = out[action];
+  if (slot >= keys.length) keys.push(k);
+  else keys[slot] = k;
+  out[action] = keys.slice(0, SLOTS);
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function matchPreset(bindings) {
+  /** Name of the preset these bindings equal, or "custom". */
+  const name = Object.keys(PRESETS).find((p) =>
+    ACTIONS.every((a) => JSON.stringify(PRESETS[p][a]) === JSON.stringify(bindings[a]))
+  );
+  return name || "custom";
+}
+
+// PUBLIC_INTERFACE
+export function controlsHint(bindings) {
+  /** One-line controls reminder for the in-game hint, using each action's primary key. */
+  const first = (action) => keyLabel((bindings[action] || [])[0]);
+  return `${first("moveLeft")} ${first("moveRight")} move • ${first("jump")} jump • ${first("restart")} restart`;
+}
+
+// PUBLIC_INTERFACE
+export function playerTwoBindings(bindings) {
+  /** Player two's keys alongside player one's `bindings`, or null if every layout clashes with them. */
+  const taken = new Set(ACTIONS.flatMap((a) => (bindings[a] || []).map(normalizeKey)));
+  const free = (layout) => Object.values(layout).every((keys) => keys.every((k) => !taken.has(k)));
+  return PLAYER_TWO_LAYOUTS.find(free) || null;
+}
+
+// PUBLIC_INTERFACE
+export function playerTwoHint(layout) {
+  /** Player two's keys for the in-game hint, laid out like the keyboard: "W A S D". */
+  return ["jump", "moveLeft", "dive", "moveRight"].map((a) => keyLabel(layout[a][0])).join(" ");
+}
+
+// PUBLIC_INTERFACE
+export function actionKeysHint(bindings, action) {
+  /** Every key bound to `action` for a menu hint, e.g. "P or Esc"; "" when it is unbound. */
+  return (bindings[action] || []).map(keyLabel).join(" or ");
+}
@@ -0,0 +1,98 @@
+/**
+ * Gamepad API polling for standard-mapping controllers.
+ * The browser only exposes gamepad state by polling, so a poller is sampled
+ * every animation frame; button presses are latched until a game tick consumes
+ * them, the same way keydown impulses are queued for the next tick.
+ */
+
+// Standard mapping indices (https://w3c.github.io/gamepad/#remapping)
+const BUTTON = { a: 0, b: 1, start: 9, dpadUp: 12, dpadDown: 13, dpadLeft: 14, dpadRight: 15 };
+const DEADZONE = 0.2;
+
+const NEUTRAL = {
+  connected: false,
+  axis: 0,
+  left: false,
+  right: false,
+  jump: false,
+  dive: false,
+  jumpHeld: false,
+  diveHeld: false,
+};
+
+// PUBLIC_INTERFACE
+export function applyDeadzone(value, deadzone = DEADZONE) {
+  /** Zeroes stick noise near the centre and rescales the rest back to -1..1. */
+  const magnitude = Math.abs(value);
+  if (magnitude < deadzone) return 0;
+  return (Math.sign(value) * (magnitude - deadzone)) / (1 - deadzone);
+}
+
+function firstStandardPad(pads) {
+  return Array.from(pads || []).find((p) => p && p.connected && p.mapping === "standard") || null;
+}
+
+function defaultGetGamepads() {
+  return typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+}
+
+// PUBLIC_INTERFACE
+export function createGamepadPoller({ getGamepads = defaultGetGamepads } = {}) {
+  /**
+   * Returns { poll, consume, rumble }.
+   * - poll(): samples the first standard pad; returns { start } (Start pressed this frame)
+   * - consume(): current held state plus latched jump/dive presses, clearing the latches
+   * - rumble(strength, durationMs): dual-rumble on pads that support it
+   */
+  let pad = null;
+  let prevButtons = [];
+  let held = { ...NEUTRAL };
+  let latched = { jump: false, dive: false };
+
+  const poll = () => {
+    pad = firstStandardPad(getGamepads());
+    if (!pad) {
+      held = { ...NEUTRAL };
+      prevButtons = [];
+      return { start: false };
+    }
+
+    const pressed = (i) => Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+    const edge = (i) => pressed(i) && !prevButtons[i];
+
+    held = {
+      connected: true,
+      axis: applyDeadzone(pad.axes[0] || 0),
+      left: pressed(BUTTON.dpadLeft),
+      right: pressed(BUTTON.dpadRight),
+      jumpHeld: pressed(BUTTON.a),
+      diveHeld: pressed(BUTTON.b),
+    };
+    if (edge(BUTTON.a)) latched.jump = true;
+    if (edge(BUTTON.b)) latched.dive = true;
+    const start = edge(BUTTON.start);
+
+    prevButtons = pad.buttons.map((b) => b.pressed);
+    return { start };
+  };
+
+  const consume = () => {
+    const out = { ...held, ...latched };
+    latched = { jump: false, dive: false };
+    return out;
+  };
+
+  const rumble = (strength = 1, durationMs = 200) => {
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || typeof actuator.playEffect !== "function") return;
+    actuator
+      .playEffect("dual-rumble", {
+        duration: durationMs,
+        strongMagnitude: Math.min(1, strength),
+        weakMagnitude: Math.min(1, strength * 0.6),
+      })
+      .catch(() => {});
+  };
+
+  return { poll, consume, rumble };
+}
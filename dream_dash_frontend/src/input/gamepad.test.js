@@ -0,0 +1,39 @@
+import { applyDeadzone, createGamepadPoller } from "./gamepad";
+
+function fakePad({ pressed = [], axes = [0, 0], mapping = "standard" } = {}) {
+  return {
+    connected: true,
+    mapping,
+    axes,
+    buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) })),
+  };
+}
+
+test("deadzone zeroes stick noise and rescales the rest", () => {
+  expect(applyDeadzone(0.1)).toBe(0);
+  expect(applyDeadzone(-1)).toBe(-1);
+  expect(applyDeadzone(0.6)).toBeCloseTo(0.5);
+});
+
+test("button presses latch until consumed and Start fires once per press", () => {
+  let pads = [fakePad({ pressed: [0, 9], axes: [0.6, 0] })];
+  const poller = createGamepadPoller({ getGamepads: () => pads });
+
+  expect(poller.poll().start).toBe(true);
+  expect(poller.poll().start).toBe(false);
+
+  const first = poller.consume();
+  expect(first).toMatchObject({ connected: true, jump: true, jumpHeld: true });
+  expect(first.axis).toBeCloseTo(0.5);
+  expect(poller.consume().jump).toBe(false);
+
+  pads = [];
+  poller.poll();
+  expect(poller.consume()).toMatchObject({ connected: false, axis: 0, jumpHeld: false });
+});
+
+test("non-standard pads are ignored", () => {
+  const poller = createGamepadPoller({ getGamepads: () => [fakePad({ pressed: [0], mapping: "" })] });
+  poller.poll();
+  expect(poller.consume().connected).toBe(false);
+});
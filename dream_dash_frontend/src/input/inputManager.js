@@ -0,0 +1,169 @@
+import { DEFAULT_BINDINGS, buildKeymap, normalizeKey, playerTwoBindings } from "./bindings";
+
+/**
+ * One input subsystem for the whole app.
+ * Keyboard, touch and gamepad are mapped onto abstract actions (see
+ * input/bindings). Games read movement once per simulation tick via
+ * `sample()`; discrete actions such as restart and pause are delivered to
+ * `on()` listeners as they happen. Key events aimed at text fields are
+ * ignored, so typing initials or a replay name never steers the player.
+ */
+
+// PUBLIC_INTERFACE
+export function isTextEntryTarget(e) {
+  /** True when a key event is aimed at a text field, so game shortcuts should ignore it. */
+  const el = e && e.target;
+  if (!el || !el.tagName) return false;
+  const tag = el.tagName.toUpperCase();
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable === true;
+}
+
+// PUBLIC_INTERFACE
+export function createInputManager({ bindings = DEFAULT_BINDINGS, gamepad = null, target = window } = {}) {
+  /**
+   * Returns the manager:
+   * - attach() / detach(): add or remove the keyboard listeners on `target`
+   * - setBindings(bindings): swap key bindings without dropping listeners
+   * - getBindings(): current bindings, e.g. for on-screen hints
+   * - on(listener): calls listener(action) on every fresh press; returns unsubscribe
+   * - press(action) / release(action): virtual buttons (touch controls)
+   * - isHeld(action): whether any key, touch or pad button holds the action
+   * - sample(): per-tick movement { left, right, jump, dive, jumpHeld, diveHeld, axis }
+   *   where jump/dive are presses since the last sample
+   * - setPlayerTwo(enabled): route a second player's keys (see playerTwoBindings) to them;
+   *   there are none when every layout clashes with the bindings
+   * - samplePlayerTwo(): the second player's per-tick { left, right, jump, dive, axis }
+   * - clear(): forget held and latched input (pause, restart, focus loss)
+   * - rumble(strength, durationMs): controller feedback; no-op without a pad
+   */
+  let currentBindings = bindings;
+  let keymap = buildKeymap(bindings);
+  const heldKeys = new Map(); // key -> action
+  const virtual = new Set();
+  let latched = new Set();
+  const listeners = new Set();
+  let playerTwo = false;
+  let playerTwoKeymap = new Map();
+  const layoutPlayerTwo = () => {
+    playerTwoKeymap = buildKeymap((playerTwo && playerTwoBindings(currentBindings)) || {});
+  };
+  const heldKeysTwo = new Map();
+  let latchedTwo = new Set();
+
+  const emit = (action) => {
+    latched.add(action);
+    listeners.forEach((fn) => fn(action));
+  };
+
+  const onKeyDown = (e) => {
+    if (isTextEntryTarget(e)) return;
+    const key = normalizeKey(e.key);
+    if (playerTwoKeymap.has(key)) {
+      e.preventDefault();
+      heldKeysTwo.set(key, playerTwoKeymap.get(key));
+      if (!e.repeat) latchedTwo.add(playerTwoKeymap.get(key));
+      return;
+    }
+    const action = keymap.get(key);
+    if (!action) return;
+    e.preventDefault();
+    heldKeys.set(key, action);
+    if (!e.repeat) emit(action);
+  };
+
+  const onKeyUp = (e) => {
+    heldKeys.delete(normalizeKey(e.key));
+    heldKeysTwo.delete(normalizeKey(e.key));
+  };
+
+  // Keyups are lost while the window is in the background
+  const onBlur = () => {
+    heldKeys.clear();
+    heldKeysTwo.clear();
+  };
+
+  const isHeld = (action) => {
+    if (virtual.has(action)) return true;
+    for (const a of heldKeys.values()) if (a === action) return true;
+    return false;
+  };
+
+  const clear = () => {
+    heldKeys.clear();
+    heldKeysTwo.clear();
+    virtual.clear();
+    latched = new Set();
+    latchedTwo = new Set();
+    if (gamepad) gamepad.consume();
+  };
+
+  return {
+    attach() {
+      target.addEventListener("keydown", onKeyDown, { passive: false });
+      target.addEventListener("keyup", onKeyUp);
+      target.addEventListener("blur", onBlur);
+    },
+    detach() {
+      target.removeEventListener("keydown", onKeyDown);
+      target.removeEventListener("keyup", onKeyUp);
+      target.removeEventListener("blur", onBlur);
+      clear();
+    },
+    setBindings(next) {
+      currentBindings = next;
+      keymap = buildKeymap(next);
+      heldKeys.clear();
+      layoutPlayerTwo();
+    },
+    getBindings: () => currentBindings,
+    on(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    press(action) {
+      if (!virtual.has(action)) emit(action);
+      virtual.add(action);
+    },
+    release(action) {
+      virtual.delete(action);
+    },
+    isHeld,
+    sample() {
+      const pad = gamepad ? gamepad.consume() : {};
+      const out = {
+        left: isHeld("moveLeft") || Boolean(pad.left),
+        right: isHeld("moveRight") || Boolean(pad.right),
+        jump: latched.has("jump") || Boolean(pad.jump),
+        dive: latched.has("dive") || Boolean(pad.dive),
+        jumpHeld: isHeld("jump") || Boolean(pad.jumpHeld),
+        diveHeld: isHeld("dive") || Boolean(pad.diveHeld),
+        axis: pad.axis || 0,
+      };
+      latched = new Set();
+      return out;
+    },
+    setPlayerTwo(enabled) {
+      playerTwo = Boolean(enabled);
+      layoutPlayerTwo();
+      heldKeys.clear();
+      heldKeysTwo.clear();
+      latchedTwo = new Set();
+    },
+    samplePlayerTwo() {
+      const held = (action) => [...heldKeysTwo.values()].includes(action);
+      const out = {
+        left: held("moveLeft"),
+        right: held("moveRight"),
+        jump: latchedTwo.has("jump"),
+        dive: latchedTwo.has("dive"),
+        axis: 0,
+      };
+      latchedTwo = new Set();
+      return out;
+    },
+    clear,
+    rumble(strength, durationMs) {
+      if (gamepad) gamepad.rumble(strength, durationMs);
+    },
+  };
+}
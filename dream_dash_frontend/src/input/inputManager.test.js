@@ -0,0 +1,116 @@
+import { createInputManager } from "./inputManager";
+import {
+  PLAYER_TWO_LAYOUTS,
+  PRESETS,
+  actionKeysHint,
+  matchPreset,
+  playerTwoBindings,
+  playerTwoHint,
+  rebindKey,
+  sanitizeBindings,
+} from "./bindings";
+
+function keyEvent(type, key, target = document.body) {
+  const e = new KeyboardEvent(type, { key, bubbles: true, cancelable: true });
+  target.dispatchEvent(e);
+  return e;
+}
+
+let manager;
+afterEach(() => manager && manager.detach());
+
+test("bound keys drive actions and presses latch until sampled", () => {
+  manager = createInputManager({ bindings: PRESETS.wasd });
+  manager.attach();
+  const actions = [];
+  manager.on((a) => actions.push(a));
+
+  keyEvent("keydown", "D");
+  keyEvent("keydown", "w");
+  keyEvent("keyup", "w");
+  expect(actions).toEqual(["moveRight", "jump"]);
+
+  expect(manager.sample()).toMatchObject({ right: true, jump: true, jumpHeld: false });
+  expect(manager.sample().jump).toBe(false);
+
+  keyEvent("keyup", "d");
+  expect(manager.sample().right).toBe(false);
+});
+
+test("keys typed into text fields are ignored", () => {
+  manager = createInputManager();
+  manager.attach();
+  const field = document.createElement("input");
+  document.body.appendChild(field);
+  const listener = jest.fn();
+  manager.on(listener);
+
+  const e = keyEvent("keydown", "r", field);
+  expect(listener).not.toHaveBeenCalled();
+  expect(e.defaultPrevented).toBe(false);
+  field.remove();
+});
+
+test("rebinding moves a key off its old action and applies live", () => {
+  const next = rebindKey(PRESETS.arrows, "jump", 0, " ");
+  expect(next.jump).toEqual([" "]);
+
+  const stolen = rebindKey(next, "dive", 1, "ArrowLeft");
+  expect(stolen.moveLeft).toEqual([]);
+  expect(stolen.dive).toEqual(["ArrowDown", "ArrowLeft"]);
+  expect(matchPreset(stolen)).toBe("custom");
+
+  manager = createInputManager();
+  manager.attach();
+  manager.setBindings(stolen);
+  keyEvent("keydown", "ArrowLeft");
+  expect(manager.sample()).toMatchObject({ left: false, dive: true });
+});
+
+test("saved bindings are sanitized", () => {
+  const clean = sanitizeBindings({ jump: ["W", 5, "Space", "x"], bogus: ["q"] });
+  expect(clean.jump).toEqual(["w", "Space"]);
+  expect(clean.moveLeft).toEqual(PRESETS.arrows.moveLeft);
+  expect(clean).not.toHaveProperty("bogus");
+});
+
+test("two-player mode routes WASD to the second player", () => {
+  manager = createInputManager({ bindings: PRESETS.arrows });
+  manager.attach();
+  manager.setPlayerTwo(true);
+
+  keyEvent("keydown", "a");
+  keyEvent("keydown", "w");
+  keyEvent("keydown", "ArrowRight");
+  expect(manager.samplePlayerTwo()).toEqual({ left: true, right: false, jump: true, dive: false, axis: 0 });
+  expect(manager.sample()).toMatchObject({ left: false, right: true, jump: false });
+  expect(manager.samplePlayerTwo().jump).toBe(false);
+
+  manager.setPlayerTwo(false);
+  manager.setBindings(PRESETS.both);
+  keyEvent("keydown", "a");
+  expect(manager.sample().left).toBe(true);
+  expect(manager.samplePlayerTwo().left).toBe(false);
+});
+
+test("player two moves to I J K L when player one steers with WASD", () => {
+  expect(playerTwoBindings(PRESETS.wasd)).toBe(PLAYER_TWO_LAYOUTS[1]);
+  expect(playerTwoBindings(PRESETS.both)).toBe(PLAYER_TWO_LAYOUTS[1]);
+  expect(playerTwoHint(playerTwoBindings(PRESETS.wasd))).toBe("I J K L");
+  expect(playerTwoBindings(rebindKey(PRESETS.wasd, "restart", 0, "j"))).toBeNull();
+
+  manager = createInputManager({ bindings: PRESETS.wasd });
+  manager.attach();
+  manager.setPlayerTwo(true);
+  keyEvent("keydown", "a");
+  keyEvent("keydown", "w");
+  keyEvent("keydown", "l");
+  expect(manager.sample()).toMatchObject({ left: true, jump: true });
+  expect(manager.samplePlayerTwo()).toEqual({ left: false, right: true, jump: false, dive: false, axis: 0 });
+});
+
+test("menu hints name every key bound to an action", () => {
+  expect(actionKeysHint(PRESETS.arrows, "pause")).toBe("P or Esc");
+  expect(actionKeysHint(rebindKey(PRESETS.arrows, "restart", 0, "Enter"), "restart")).toBe("Enter");
+  expect(actionKeysHint({ ...PRESETS.arrows, pause: [] }, "pause")).toBe("");
+});
@@ -0,0 +1,86 @@
+import { DEFAULT_BINDINGS } from "../input/bindings";
+import { DEFAULT_VOLUMES } from "../audio/audioEngine";
+import { DIFFICULTY_PRESETS } from "../game/difficulty";
+
+/**
+ * User settings persisted to localStorage.
+ * Stored as { version, ...sections }; unknown or missing fields fall back to
+ * DEFAULT_SETTINGS so older saves keep loading as new options are added.
+ */
+
+const STORAGE_KEY = "dreamDash.settings";
+const SETTINGS_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SETTINGS = {
+  general: {
+    autoPause: true,
+  },
+  controls: {
+    bindings: DEFAULT_BINDINGS,
+  },
+  audio: DEFAULT_VOLUMES,
+  gameplay: {
+    difficulty: "normal", // "easy", "normal", "hard" or "custom" (see game/difficulty)
+    custom: {
+      lives: DIFFICULTY_PRESETS.normal.lives,
+      target: DIFFICULTY_PRESETS.normal.target,
+      storms: DIFFICULTY_PRESETS.normal.storms,
+      wind: DIFFICULTY_PRESETS.normal.wind,
+      speed: DIFFICULTY_PRESETS.normal.speed,
+    },
+    assists: {
+      noWind: false,
+      extraLives: false,
+      slowSpeed: false,
+    },
+  },
+  graphics: {
+    lowEffects: false,
+  },
+  appearance: {
+    theme: "light", // "light", "dark" or "custom:<name>"
+    customThemes: [],
+  },
+  accessibility: {
+    narration: true, // screen-reader announcements of gameplay (see a11y/narration)
+    reducedMotion: false, // also on whenever the system asks for reduced motion
+    highContrast: false,
+    shapes: false, // colour-blind-safe star and storm shapes
+  },
+};
+
+function merge(defaults, saved) {
+  const out = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    const d = defaults[key];
+    const v = saved ? saved[key] : undefined;
+    if (d && typeof d === "object" && !Array.isArray(d)) {
+      out[key] = merge(d, v && typeof v === "object" ? v : {});
+    } else if (v !== undefined && typeof v === typeof d) {
+      out[key] = v;
+    }
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function loadSettings() {
+  /** Returns saved settings merged over the defaults. */
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return merge(DEFAULT_SETTINGS, raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    return merge(DEFAULT_SETTINGS, {});
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveSettings(settings) {
+  /** Persists settings; failures (private mode, quota) are ignored. */
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, ...settings }));
+  } catch (e) {
+    // Settings still apply for this session
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Theme design tokens shared by the app chrome, the 2D canvas renderer and
+ * the 3D scene. A theme is { name, base, tokens }: `tokens` maps every key of
+ * TOKEN_SPEC to a value, and custom themes name a built-in `base` whose
+ * tokens fill in anything they leave out.
+ *
+ * Custom palettes travel as JSON in the same shape:
+ *
+ *   { "name": "Sunset", "base": "dark", "tokens": { "primary": "#f97316", "skyTop": "#3b0764" } }
+ *
+ * parseThemeJson() validates such a file and throws an Error naming the
+ * offending token, the same way the level format reports problems.
+ */
+
+// Token name -> kind. Colours are hex; numbers are light intensities and
+// the strength of the night tint laid over authored 2D level skies.
+// PUBLIC_INTERFACE
+export const TOKEN_SPEC = {
+  // App chrome
+  primary: "color",
+  secondary: "color",
+  background: "color",
+  surface: "color",
+  text: "color",
+  muted: "color",
+  // Scene (both modes)
+  skyTop: "color",
+  skyBottom: "color",
+  cloud: "color",
+  star: "color",
+  player: "color",
+  storm: "color",
+  lightning: "color",
+  extraLife: "color",
+  sceneTint: "color",
+  sceneDim: "number",
+  // 3D only
+  groundA: "color",
+  groundB: "color",
+  ambientLight: "number",
+  sunLight: "number",
+};
+
+// PUBLIC_INTERFACE
+export const BUILT_IN_THEMES = {
+  light: {
+    name: "Light",
+    base: "light",
+    tokens: {
+      primary: "#2563EB",
+      secondary: "#F59E0B",
+      background: "#f9fafb",
+      surface: "#ffffff",
+      text: "#111827",
+      muted: "#6b7280",
+      skyTop: "#c0e8ff",
+      skyBottom: "#f5f7ff",
+      cloud: "#ffffff",
+      star: "#ffdf5d",
+      player: "#ff7f7f",
+      storm: "#6b7080",
+      lightning: "#ffef88",
+      extraLife: "#EF4444",
+      sceneTint: "#0b1330",
+      sceneDim: 0,
+      groundA: "#e6f0ff",
+      groundB: "#dde9ff",
+      ambientLight: 0.6,
+      sunLight: 0.8,
+    },
+  },
+  dark: {
+    name: "Dark",
+    base: "dark",
+    tokens: {
+      primary: "#60a5fa",
+      secondary: "#fbbf24",
+      background: "#0b1220",
+      surface: "#111827",
+      text: "#e5e7eb",
+      muted: "#9ca3af",
+      skyTop: "#0b1330",
+      skyBottom: "#2a3563",
+      cloud: "#46507a",
+      star: "#fde68a",
+      player: "#fb7185",
+      storm: "#2b2f3a",
+      lightning: "#fde047",
+      extraLife: "#f87171",
+      sceneTint: "#0b1330",
+      sceneDim: 0.5,
+      groundA: "#1e293b",
+      groundB: "#172033",
+      ambientLight: 0.25,
+      sunLight: 0.35,
+    },
+  },
+};
+
+// Accessibility override (settings.accessibility.highContrast) applied over
+// whichever theme is selected: black scene, bright and well separated colours
+// PUBLIC_INTERFACE
+export const HIGH_CONTRAST_THEME = {
+  name: "High contrast",
+  base: "dark",
+  tokens: {
+    primary: "#ffff00",
+    secondary: "#00ffff",
+    background: "#000000",
+    surface: "#000000",
+    text: "#ffffff",
+    muted: "#ffffff",
+    skyTop: "#000000",
+    skyBottom: "#000000",
+    cloud: "#333333",
+    star: "#ffff00",
+    player: "#00ffff",
+    storm: "#ff00ff",
+    lightning: "#ffffff",
+    extraLife: "#00ff00",
+    sceneTint: "#000000",
+    sceneDim: 0,
+    groundA: "#1a1a1a",
+    groundB: "#000000",
+    ambientLight: 0.9,
+    sunLight: 1,
+  },
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const NUMBER_RANGE = { min: 0, max: 2 };
+
+// PUBLIC_INTERFACE
+export function withAlpha(hex, alpha) {
+  /** `rgba()` string for a #rgb or #rrggbb colour at `alpha` opacity. */
+  let h = hex.slice(1);
+  if (h.length === 3) h = h.replace(/./g, (c) => c + c);
+  const n = parseInt(h, 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+function fail(path, message) {
+  throw new Error(`${path} ${message}`);
+}
+
+function checkToken(key, value, path) {
+  if (TOKEN_SPEC[key] === "color") {
+    if (typeof value !== "string" || !HEX_COLOR.test(value)) fail(path, 'must be a hex colour like "#a0c4ff"');
+    return;
+  }
+  const { min, max } = NUMBER_RANGE;
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    fail(path, `must be a number between ${min} and ${max}`);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function parseThemeJson(source) {
+  /**
+   * Validates a custom theme given as JSON text or an object and returns
+   * { name, base, tokens } with only the tokens it sets. Unknown tokens are
+   * rejected so typos don't silently do nothing.
+   */
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`Theme file is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Theme file must be a JSON object");
+  if (typeof data.name !== "string" || !data.name.trim()) fail("name", "must be a non-empty string");
+  const base = data.base === undefined ? "light" : data.base;
+  if (!BUILT_IN_THEMES[base]) {
+    fail("base", `must be one of ${Object.keys(BUILT_IN_THEMES).map((b) => `"${b}"`).join(", ")}`);
+  }
+  if (!data.tokens || typeof data.tokens !== "object" || Array.isArray(data.tokens)) fail("tokens", "must be an object");
+
+  const tokens = {};
+  Object.keys(data.tokens).forEach((key) => {
+    if (!TOKEN_SPEC[key]) fail(`tokens.${key}`, "is not a theme token");
+    checkToken(key, data.tokens[key], `tokens.${key}`);
+    tokens[key] = data.tokens[key];
+  });
+  return { name: data.name.trim(), base, tokens };
+}
+
+// PUBLIC_INTERFACE
+export function exportThemeJson(theme) {
+  /** JSON text for a theme, with every token spelled out so it is easy to edit. */
+  const resolved = resolveTheme(theme);
+  return JSON.stringify({ name: theme.name, base: resolved.base, tokens: resolved.tokens }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function resolveTheme(theme) {
+  /** Fills a (possibly partial) custom theme from its base; built-ins pass through. */
+  const base = BUILT_IN_THEMES[theme && theme.base] || BUILT_IN_THEMES.light;
+  if (!theme) return base;
+  return { name: theme.name || base.name, base: base.base, tokens: { ...base.tokens, ...theme.tokens } };
+}
+
+// PUBLIC_INTERFACE
+export function findTheme(id, customThemes = []) {
+  /**
+   * Theme for a settings id: "light", "dark" or "custom:<name>". Unknown ids
+   * (e.g. a deleted custom theme) fall back to light.
+   */
+  if (BUILT_IN_THEMES[id]) return BUILT_IN_THEMES[id];
+  if (typeof id === "string" && id.startsWith("custom:")) {
+    const name = id.slice("custom:".length);
+    const custom = customThemes.find((t) => t && t.name === name);
+    if (custom) return resolveTheme(custom);
+  }
+  return BUILT_IN_THEMES.light;
+}
+
+// PUBLIC_INTERFACE
+export function sanitizeCustomThemes(list) {
+  /** Saved custom themes that still validate; broken entries are dropped. */
+  if (!Array.isArray(list)) return [];
+  return list.reduce((out, theme) => {
+    try {
+      const parsed = parseThemeJson(theme);
+      if (!out.some((t) => t.name === parsed.name)) out.push(parsed);
+    } catch (e) {
+      // Skipped; the rest still load
+    }
+    return out;
+  }, []);
+}
@@ -0,0 +1,61 @@
+import {
+  BUILT_IN_THEMES,
+  HIGH_CONTRAST_THEME,
+  TOKEN_SPEC,
+  exportThemeJson,
+  findTheme,
+  parseThemeJson,
+  sanitizeCustomThemes,
+  withAlpha,
+} from "./themes";
+
+const sunset = { name: "Sunset", base: "dark", tokens: { primary: "#f97316", sceneDim: 0.3 } };
+
+test("built-in themes define every token", () => {
+  [...Object.values(BUILT_IN_THEMES), HIGH_CONTRAST_THEME].forEach((theme) => {
+    expect(Object.keys(theme.tokens).sort()).toEqual(Object.keys(TOKEN_SPEC).sort());
+    expect(parseThemeJson(theme)).toEqual(theme);
+  });
+});
+
+test("custom themes resolve over their base and unknown ids fall back to light", () => {
+  const theme = findTheme("custom:Sunset", [sunset]);
+  expect(theme.name).toBe("Sunset");
+  expect(theme.base).toBe("dark");
+  expect(theme.tokens.primary).toBe("#f97316");
+  expect(theme.tokens.skyTop).toBe(BUILT_IN_THEMES.dark.tokens.skyTop);
+
+  expect(findTheme("dark")).toBe(BUILT_IN_THEMES.dark);
+  expect(findTheme("custom:Deleted", [sunset])).toBe(BUILT_IN_THEMES.light);
+  expect(findTheme(undefined)).toBe(BUILT_IN_THEMES.light);
+});
+
+test.each([
+  ["{", /not valid JSON/],
+  ["[]", /must be a JSON object/],
+  [JSON.stringify({ ...sunset, name: " " }), /name must be a non-empty string/],
+  [JSON.stringify({ ...sunset, base: "sepia" }), /base must be one of "light", "dark"/],
+  [JSON.stringify({ ...sunset, tokens: { primry: "#fff" } }), /tokens\.primry is not a theme token/],
+  [JSON.stringify({ ...sunset, tokens: { primary: "orange" } }), /tokens\.primary must be a hex colour/],
+  [JSON.stringify({ ...sunset, tokens: { sunLight: 5 } }), /tokens\.sunLight must be a number between 0 and 2/],
+])("rejects a bad theme file: %s", (source, message) => {
+  expect(() => parseThemeJson(source)).toThrow(message);
+});
+
+test("exported themes spell out every token and import back unchanged", () => {
+  const json = exportThemeJson(sunset);
+  const parsed = parseThemeJson(json);
+  expect(Object.keys(parsed.tokens)).toHaveLength(Object.keys(TOKEN_SPEC).length);
+  expect(findTheme("custom:Sunset", [parsed])).toEqual(findTheme("custom:Sunset", [sunset]));
+});
+
+test("saved custom themes drop broken and duplicate entries", () => {
+  const list = sanitizeCustomThemes([sunset, { name: "Broken", tokens: { nope: 1 } }, { ...sunset, base: "light" }]);
+  expect(list).toEqual([sunset]);
+  expect(sanitizeCustomThemes("not a list")).toEqual([]);
+});
+
+test("withAlpha turns short and long hex colours into rgba", () => {
+  expect(withAlpha("#2563EB", 0.08)).toBe("rgba(37, 99, 235, 0.08)");
+  expect(withAlpha("#fff", 0.5)).toBe("rgba(255, 255, 255, 0.5)");
+});